@@ -2,22 +2,40 @@
 const express = require('express');
 const plansRouter = require('./routes/plans');
 const searchRouter = require('./routes/search');
+const adminRouter = require('./routes/admin');
+const auditRouter = require('./routes/audit');
+const webhooksRouter = require('./routes/webhooks');
+const eventsRouter = require('./routes/events');
 const elasticsearchService = require('./services/elasticsearchService');
 const rabbitmqService = require('./services/rabbitmqService');
+const outboxService = require('./services/outboxService');
 const redisClient = require('./models/redisClient');
+const requireAuth = require('./middleware/requireAuth');
+const requireRole = require('./middleware/requireRole');
+const requestId = require('./middleware/requestId');
 
 const app = express();
-app.use(express.json({ limit: '1mb' }));
+// Behind a proxy/load balancer, TRUST_PROXY (e.g. "1" or "loopback") makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(requestId);
+// Parse application/json plus the +json patch media types (merge-patch, json-patch)
+app.use(express.json({ limit: '1mb', type: ['application/json', 'application/*+json'] }));
 
 // Basic logging 
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`${new Date().toISOString()} ${req.id} ${req.method} ${req.url}`);
     next();
 });
 
 // Routes namespace: /v1
 app.use('/v1/plans', plansRouter);
 app.use('/v1/search', searchRouter);
+app.use('/v1/admin', adminRouter);
+app.use('/v1/audit', auditRouter);
+app.use('/v1/webhooks', webhooksRouter);
+app.use('/v1/events', eventsRouter);
 
 // Health check with service status
 app.get('/v1/health', async (req, res) => {
@@ -53,11 +71,14 @@ app.get('/v1/health', async (req, res) => {
     });
 });
 
-// Queue stats endpoint (for monitoring)
-app.get('/v1/queue/stats', async (req, res) => {
+// Queue stats endpoint (for monitoring, admins only)
+app.get('/v1/queue/stats', requireAuth, requireRole('admin', 'admin'), async (req, res) => {
     try {
-        const stats = await rabbitmqService.getQueueStats();
-        res.json(stats);
+        const [stats, outbox] = await Promise.all([
+            rabbitmqService.getQueueStats(),
+            outboxService.getStats()
+        ]);
+        res.json({ ...stats, outbox });
     } catch (err) {
         res.status(500).json({ error: 'Failed to get queue stats' });
     }
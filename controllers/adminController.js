@@ -0,0 +1,349 @@
+// controllers/adminController.js
+const roleService = require('../services/roleService');
+const apiKeyService = require('../services/apiKeyService');
+const deadLetterService = require('../services/deadLetterService');
+const reindexService = require('../services/reindexService');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * Map roleService errors to HTTP responses
+ */
+function sendRoleError(res, err, label) {
+    if (err && err.code === 'E_BAD_REQUEST') {
+        return res.status(400).json({ error: 'invalid_role_request', message: err.message });
+    }
+    if (err && err.code === 'E_TENANT') {
+        return res.status(403).json({ error: 'org_forbidden', message: 'User holds a role granted for organizations you cannot manage' });
+    }
+    if (err && err.code === 'E_CONFLICT') {
+        return res.status(409).json({ error: 'conflict', message: 'Role grant changed concurrently; retry' });
+    }
+    console.error(`${label} error:`, err);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * Identify the :user of a role route; ?issuer= makes it a token subject of that issuer
+ */
+function roleTarget(req) {
+    const issuer = typeof req.query.issuer === 'string' && req.query.issuer !== '' ? req.query.issuer : null;
+    return { ...requestContext(req), issuer };
+}
+
+/**
+ * GET /v1/admin/roles
+ * Stored role grants within the caller's orgs (roles from token claims or ADMIN_EMAILS are not listed).
+ */
+const listRoles = async (req, res) => {
+    try {
+        const grants = await roleService.listGrants(requestContext(req));
+        return res.status(200).json({ roles: roleService.ROLES, grants });
+    } catch (err) {
+        return sendRoleError(res, err, 'listRoles');
+    }
+};
+
+/**
+ * GET /v1/admin/users/:user/role[?issuer=<iss>]
+ * :user is an email address, or a token subject when issuer is given.
+ */
+const getUserRole = async (req, res) => {
+    try {
+        const grant = await roleService.getGrant(req.params.user, roleTarget(req));
+        if (!grant) return res.status(404).json({ error: 'not_found' });
+        return res.status(200).json(grant);
+    } catch (err) {
+        return sendRoleError(res, err, 'getUserRole');
+    }
+};
+
+/**
+ * PUT /v1/admin/users/:user/role[?issuer=<iss>]  { "role": "viewer" | "editor" | "admin" }
+ * Grants (or replaces) the user's stored role for the caller's orgs.
+ */
+const grantUserRole = async (req, res) => {
+    const role = req.body && req.body.role;
+    if (!roleService.isValidRole(role)) {
+        return res.status(400).json({
+            error: 'invalid_role',
+            message: `role must be one of: ${roleService.ROLES.join(', ')}`
+        });
+    }
+
+    try {
+        const grant = await roleService.grantRole(req.params.user, role, roleTarget(req));
+        return res.status(200).json(grant);
+    } catch (err) {
+        return sendRoleError(res, err, 'grantUserRole');
+    }
+};
+
+/**
+ * DELETE /v1/admin/users/:user/role[?issuer=<iss>]
+ * Revokes the stored role; the user falls back to claims / DEFAULT_ROLE.
+ */
+const revokeUserRole = async (req, res) => {
+    try {
+        const removed = await roleService.revokeRole(req.params.user, roleTarget(req));
+        if (!removed) return res.status(404).json({ error: 'not_found' });
+        return res.status(204).end();
+    } catch (err) {
+        return sendRoleError(res, err, 'revokeUserRole');
+    }
+};
+
+/**
+ * Map apiKeyService errors to HTTP responses
+ */
+function sendApiKeyError(res, err, label) {
+    if (err && err.code === 'E_BAD_REQUEST') {
+        return res.status(400).json({ error: 'invalid_api_key_request', message: err.message });
+    }
+    if (err && err.code === 'E_TENANT') {
+        return res.status(403).json({
+            error: 'org_forbidden',
+            message: 'Organization is not allowed for this caller',
+            details: err.details
+        });
+    }
+    if (err && err.code === 'E_NOT_FOUND') {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (err && err.code === 'E_CONFLICT') {
+        return res.status(409).json({ error: 'conflict', message: 'API key changed concurrently; retry' });
+    }
+    console.error(`${label} error:`, err);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * POST /v1/admin/api-keys  { name, scopes, orgs?, expiresAt? }
+ * 201 with the plaintext key; it is not retrievable afterwards.
+ * orgs defaults to every org the caller may use; keys for all orgs need an unrestricted caller.
+ */
+const issueApiKey = async (req, res) => {
+    const { name, scopes, orgs, expiresAt } = req.body || {};
+    try {
+        const issued = await apiKeyService.issueKey({ name, scopes, orgs, expiresAt }, requestContext(req));
+        return res.status(201)
+            .location(`/v1/admin/api-keys/${issued.keyId}`)
+            .json(issued);
+    } catch (err) {
+        return sendApiKeyError(res, err, 'issueApiKey');
+    }
+};
+
+/**
+ * GET /v1/admin/api-keys
+ * Metadata with lastUsedAt (never the key or its hash) of keys within the caller's orgs.
+ */
+const listApiKeys = async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys(requestContext(req));
+        return res.status(200).json({ scopes: apiKeyService.SCOPES, keys });
+    } catch (err) {
+        return sendApiKeyError(res, err, 'listApiKeys');
+    }
+};
+
+/**
+ * GET /v1/admin/api-keys/:keyId
+ */
+const getApiKey = async (req, res) => {
+    try {
+        return res.status(200).json(await apiKeyService.getKey(req.params.keyId, requestContext(req)));
+    } catch (err) {
+        return sendApiKeyError(res, err, 'getApiKey');
+    }
+};
+
+/**
+ * POST /v1/admin/api-keys/:keyId/rotate  { graceSeconds? }
+ * Issues a new secret for the key; the old one stays valid for graceSeconds.
+ */
+const rotateApiKey = async (req, res) => {
+    const graceSeconds = req.body && req.body.graceSeconds !== undefined ? req.body.graceSeconds : 0;
+    try {
+        const rotated = await apiKeyService.rotateKey(req.params.keyId, { ...requestContext(req), graceSeconds });
+        return res.status(200).json(rotated);
+    } catch (err) {
+        return sendApiKeyError(res, err, 'rotateApiKey');
+    }
+};
+
+/**
+ * DELETE /v1/admin/api-keys/:keyId
+ * Revokes the key immediately; it stays listed with revokedAt.
+ */
+const revokeApiKey = async (req, res) => {
+    try {
+        await apiKeyService.revokeKey(req.params.keyId, requestContext(req));
+        return res.status(204).end();
+    } catch (err) {
+        return sendApiKeyError(res, err, 'revokeApiKey');
+    }
+};
+
+/**
+ * Dead-lettered messages and reindex runs cover plans of every organization, so callers
+ * must be allowed all orgs
+ * Returns true after sending a 403 otherwise
+ */
+function rejectUnlessAllOrgs(req, res) {
+    if (req.tenant && req.tenant.all) return false;
+    res.status(403).json({
+        error: 'org_forbidden',
+        message: 'This operation requires access to every organization'
+    });
+    return true;
+}
+
+/**
+ * Map deadLetterService errors to HTTP responses
+ */
+function sendDeadLetterError(res, err, label) {
+    if (err && err.code === 'E_BAD_REQUEST') {
+        return res.status(400).json({ error: 'invalid_request', message: err.message });
+    }
+    if (err && err.code === 'E_PURGE_TOKEN') {
+        return res.status(409).json({ error: 'invalid_confirmation_token', message: err.message });
+    }
+    console.error(`${label} error:`, err);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * GET /v1/admin/dlq?limit=&offset=
+ * Dead-lettered indexing messages, oldest first, with operation, plan id and failure reason.
+ */
+const listDeadLetters = async (req, res) => {
+    if (rejectUnlessAllOrgs(req, res)) return;
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'invalid_query', message: 'limit must be an integer between 1 and 500' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'invalid_query', message: 'offset must be a non-negative integer' });
+    }
+
+    try {
+        const result = await deadLetterService.listDeadLetters({ limit, offset });
+        return res.status(200).json({ ...result, count: result.items.length, limit, offset });
+    } catch (err) {
+        return sendDeadLetterError(res, err, 'listDeadLetters');
+    }
+};
+
+/**
+ * POST /v1/admin/dlq/replay  { messageIds?: [...], refresh?: boolean }
+ * Republishes the selected messages (all when messageIds is omitted) to plan_exchange.
+ * refresh=true re-reads each plan from Redis instead of replaying the stored payload.
+ */
+const replayDeadLetters = async (req, res) => {
+    if (rejectUnlessAllOrgs(req, res)) return;
+
+    const { messageIds, refresh } = req.body || {};
+    if (refresh !== undefined && typeof refresh !== 'boolean') {
+        return res.status(400).json({ error: 'invalid_request', message: 'refresh must be a boolean' });
+    }
+
+    try {
+        const result = await deadLetterService.replayDeadLetters({ messageIds, refresh: Boolean(refresh) });
+        return res.status(200).json(result);
+    } catch (err) {
+        return sendDeadLetterError(res, err, 'replayDeadLetters');
+    }
+};
+
+/**
+ * POST /v1/admin/dlq/purge  { messageIds?: [...] }  => 202 { confirmationToken, messageCount, expiresAt }
+ * POST /v1/admin/dlq/purge  { confirmationToken }   => 200 { purged }
+ * The token is single-use and purges exactly the selection it was issued for.
+ */
+const purgeDeadLetters = async (req, res) => {
+    if (rejectUnlessAllOrgs(req, res)) return;
+
+    const { messageIds, confirmationToken } = req.body || {};
+    try {
+        if (confirmationToken !== undefined) {
+            return res.status(200).json(await deadLetterService.confirmPurge(confirmationToken));
+        }
+        const pending = await deadLetterService.requestPurge({ messageIds, ...requestContext(req) });
+        return res.status(202).json(pending);
+    } catch (err) {
+        return sendDeadLetterError(res, err, 'purgeDeadLetters');
+    }
+};
+
+/**
+ * Map reindexService errors to HTTP responses
+ */
+function sendReindexError(res, err, label) {
+    if (err && err.code === 'E_BAD_REQUEST') {
+        return res.status(400).json({ error: 'invalid_request', message: err.message });
+    }
+    if (err && err.code === 'E_REINDEX_RUNNING') {
+        return res.status(409).json({ error: 'reindex_running', message: err.message, jobId: err.jobId });
+    }
+    console.error(`${label} error:`, err);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * POST /v1/admin/reindex  { mode?: 'reindex' | 'reconcile', fix?: boolean, batchSize? }
+ * Starts a background run and returns 202 with the job; poll its Location for progress.
+ * reconcile reports missing, stale and orphaned plans; fix=true also repairs them.
+ */
+const startReindex = async (req, res) => {
+    if (rejectUnlessAllOrgs(req, res)) return;
+
+    const { mode, fix, batchSize } = req.body || {};
+    try {
+        const job = await reindexService.startJob({
+            mode: mode === undefined ? 'reindex' : mode,
+            fix: fix === undefined ? false : fix,
+            batchSize,
+            ...requestContext(req)
+        });
+        return res.status(202)
+            .location(`/v1/admin/reindex/${job.jobId}`)
+            .json(job);
+    } catch (err) {
+        return sendReindexError(res, err, 'startReindex');
+    }
+};
+
+/**
+ * GET /v1/admin/reindex/:jobId
+ * Job status with the progress report so far (the final report once completed).
+ */
+const getReindexJob = async (req, res) => {
+    if (rejectUnlessAllOrgs(req, res)) return;
+
+    try {
+        const job = await reindexService.getJob(req.params.jobId);
+        if (!job) return res.status(404).json({ error: 'not_found' });
+        return res.status(200).json(job);
+    } catch (err) {
+        return sendReindexError(res, err, 'getReindexJob');
+    }
+};
+
+module.exports = {
+    listRoles,
+    getUserRole,
+    grantUserRole,
+    revokeUserRole,
+    issueApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    listDeadLetters,
+    replayDeadLetters,
+    purgeDeadLetters,
+    startReindex,
+    getReindexJob
+};
@@ -0,0 +1,104 @@
+// controllers/auditController.js
+const auditService = require('../services/auditService');
+const { requestContext } = require('../utils/requestContext');
+
+const OPERATIONS = ['create', 'update', 'replace', 'restore', 'delete', 'undelete', 'purge'];
+
+/**
+ * Parse the shared audit filters from the query string
+ * Returns { filters } or { error } with a message for a 400 response
+ */
+function readFilters(query) {
+    const filters = {};
+    if (query.planId) filters.planId = query.planId;
+    if (query.actor) filters.actor = query.actor;
+    if (query.operation) {
+        if (!OPERATIONS.includes(query.operation)) {
+            return { error: `operation must be one of: ${OPERATIONS.join(', ')}` };
+        }
+        filters.operation = query.operation;
+    }
+    for (const name of ['from', 'to']) {
+        if (query[name] === undefined) continue;
+        const ms = /^\d+$/.test(query[name]) ? Number(query[name]) : Date.parse(query[name]);
+        if (isNaN(ms)) return { error: `${name} must be an ISO timestamp or epoch milliseconds` };
+        filters[name] = ms;
+    }
+    if (query.cursor !== undefined) {
+        if (!/^\d+-\d+$/.test(query.cursor)) return { error: 'invalid cursor' };
+        filters.before = query.cursor;
+    }
+    return { filters };
+}
+
+/**
+ * GET /v1/audit?planId=&actor=&operation=&from=&to=&limit=&cursor=
+ * Audit entries, newest first. actor matches the actor's sub or email.
+ */
+const listAudit = async (req, res) => {
+    const { filters, error } = readFilters(req.query);
+    if (error) return res.status(400).json({ error: 'invalid_query', message: error });
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'invalid_query', message: 'limit must be an integer between 1 and 500' });
+    }
+
+    try {
+        const result = await auditService.listEntries(filters, { ...requestContext(req), limit });
+        return res.status(200).json({
+            items: result.items,
+            count: result.items.length,
+            nextCursor: result.nextCursor
+        });
+    } catch (err) {
+        console.error('listAudit error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+/**
+ * Resolves once the response can take more data or the client went away
+ */
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * GET /v1/audit/export (same filters, no paging)
+ * Streams every matching entry as NDJSON (one JSON object per line), newest first.
+ * Reading pauses while the client is behind, and stops when it disconnects.
+ */
+const exportAudit = async (req, res) => {
+    const { filters, error } = readFilters(req.query);
+    if (error) return res.status(400).json({ error: 'invalid_query', message: error });
+
+    res.status(200)
+        .set('Content-Type', 'application/x-ndjson')
+        .set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+
+    try {
+        await auditService.scanEntries(filters, requestContext(req), async entry => {
+            if (!res.write(`${JSON.stringify(entry)}\n`)) await waitForDrain(res);
+            return !res.destroyed;
+        });
+        if (!res.destroyed) res.end();
+    } catch (err) {
+        console.error('exportAudit error:', err);
+        // Headers are already sent; a truncated body is the only signal left
+        res.destroy(err);
+    }
+};
+
+module.exports = {
+    listAudit,
+    exportAudit
+};
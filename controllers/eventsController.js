@@ -0,0 +1,85 @@
+// controllers/eventsController.js
+const planService = require('../services/planService');
+const eventStreamService = require('../services/eventStreamService');
+const tenantService = require('../services/tenantService');
+const { requestContext } = require('../utils/requestContext');
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+const CLIENT_RETRY_MS = 3000;
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Serve an SSE stream of notifications passing filter
+ * Last-Event-ID (header, or ?lastEventId= for clients that cannot set headers) replays
+ * buffered events after it; an id no longer buffered gets a "reset" event so the client refetches.
+ */
+function openStream(req, res, filter) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = eventStreamService.eventsSince(lastEventId, filter);
+        if (missed === null) {
+            res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId, message: 'events since lastEventId are no longer available' })}\n\n`);
+        } else {
+            missed.forEach(event => writeEvent(res, event));
+        }
+    }
+
+    const unsubscribe = eventStreamService.subscribe(filter, event => writeEvent(res, event));
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+/**
+ * GET /v1/plans/:id/events
+ * created/updated/deleted notifications for one plan: { id, type, operation, planId, org, version, etag, previousEtag, occurredAt }
+ */
+const streamPlanEvents = async (req, res) => {
+    const { tenant } = requestContext(req);
+    try {
+        const plan = await planService.getPlan(req.params.id, { tenant });
+        if (!plan) return res.status(404).json({ error: 'not_found' });
+    } catch (err) {
+        console.error('streamPlanEvents error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+
+    openStream(req, res, eventStreamService.matcher({ tenant, planId: req.params.id }));
+};
+
+/**
+ * GET /v1/events?org=<org>
+ * Notifications for every plan the caller may read, optionally limited to one org.
+ */
+const streamEvents = (req, res) => {
+    const { tenant } = requestContext(req);
+    const org = req.query.org;
+    if (org !== undefined && !tenantService.isOrgAllowed(tenant, org)) {
+        return res.status(403).json({
+            error: 'org_forbidden',
+            message: 'Organization is not allowed for this caller'
+        });
+    }
+
+    openStream(req, res, eventStreamService.matcher({ tenant, org }));
+};
+
+module.exports = {
+    streamPlanEvents,
+    streamEvents
+};
@@ -1,16 +1,137 @@
 // controllers/planController.js
 const planService = require('../services/planService');
-const validator = require('../validators/planValidator');
+const subresourceService = require('../services/subresourceService');
+const { validatePlanDocument } = require('../validators/planValidator');
+const historyService = require('../services/historyService');
+const { requestContext } = require('../utils/requestContext');
+const { parseCreationDate } = require('../services/planListingService');
+
+// Supported PATCH media types and the patch format each one selects
+const PATCH_FORMATS = {
+    'application/json-patch+json': 'json-patch',
+    'application/merge-patch+json': 'merge',
+    'application/json': 'merge'
+};
+
+// JSON Patch failures mapped to HTTP status + error code
+const PATCH_ERRORS = {
+    E_PATCH_MALFORMED: { status: 400, error: 'invalid_patch' },
+    E_PATCH_INVALID: { status: 422, error: 'patch_path_invalid' },
+    E_PATCH_TEST_FAILED: { status: 409, error: 'patch_test_failed' }
+};
 
 /**
- * Helper to format AJV errors into friendlier shape
+ * Check the PATCH Content-Type and body shape
+ * Returns { format, patch }, or sends the error response and returns null
  */
-function formatAjvErrors(errors) {
-    if (!errors) return [];
-    return errors.map(e => ({
-        field: e.instancePath || e.schemaPath || '',
-        message: e.message || ''
-    }));
+function readPatchBody(req, res, objectId) {
+    const contentType = req.is(Object.keys(PATCH_FORMATS));
+    if (!contentType) {
+        res.status(415).json({
+            error: 'unsupported_media_type',
+            message: `Expected one of: ${Object.keys(PATCH_FORMATS).join(', ')}`
+        });
+        return null;
+    }
+    const format = PATCH_FORMATS[contentType];
+    const patch = req.body;
+
+    if (format === 'json-patch') {
+        if (!Array.isArray(patch) || patch.length === 0) {
+            res.status(400).json({ error: 'invalid_patch', message: 'JSON Patch body must be a non-empty array of operations' });
+            return null;
+        }
+    } else {
+        // Validate patch is not empty
+        if (!patch || Object.keys(patch).length === 0) {
+            res.status(400).json({ error: 'empty_patch', message: 'Patch body cannot be empty' });
+            return null;
+        }
+
+        // Prevent changing objectId
+        if (objectId && patch.objectId && patch.objectId !== objectId) {
+            res.status(400).json({ error: 'objectId_mismatch', message: 'Cannot change objectId via patch' });
+            return null;
+        }
+    }
+
+    return { format, patch };
+}
+
+/**
+ * 409 for an objectId that is already taken: by a live plan, by one in the trash, or (for
+ * nested objects) by another plan
+ */
+function sendConflict(res, err) {
+    if (err.objectIds) {
+        return res.status(409).json({
+            error: 'object_id_in_use',
+            message: 'Nested objectIds already belong to another plan',
+            objectIds: err.objectIds
+        });
+    }
+    if (err.deleted) {
+        return res.status(409).json({
+            error: 'plan_in_trash',
+            message: 'A deleted plan with this objectId is in the trash; restore or purge it first',
+            objectId: err.objectId
+        });
+    }
+    return res.status(409).json({ error: 'resource_exists', objectId: err.objectId });
+}
+
+/**
+ * 403 for documents or filters naming organizations outside the caller's tenant
+ */
+function sendOrgForbidden(res, err) {
+    return res.status(403).json({
+        error: 'org_forbidden',
+        message: 'Organization is not allowed for this caller',
+        details: err.details
+    });
+}
+
+/**
+ * Map planService write errors to HTTP responses (shared by the update handlers)
+ */
+function sendWriteError(res, err, label) {
+    if (err && err.code === 'E_PRECONDITION') {
+        return res.status(412).json({ error: 'etag_mismatch', message: 'Resource has been modified', currentEtag: err.currentEtag });
+    }
+    if (err && err.code === 'E_NOT_FOUND') {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (err && err.code === 'E_CONFLICT') {
+        return sendConflict(res, err);
+    }
+    if (err && err.code === 'E_TENANT') {
+        return sendOrgForbidden(res, err);
+    }
+    if (err && err.code === 'E_VALIDATION') {
+        return res.status(400).json({
+            error: 'validation_failed',
+            message: 'Merged document failed validation',
+            details: err.details
+        });
+    }
+    if (err && PATCH_ERRORS[err.code]) {
+        const { status, error } = PATCH_ERRORS[err.code];
+        return res.status(status).json({
+            error,
+            message: err.message,
+            operation: { index: err.index, op: err.op, path: err.path }
+        });
+    }
+    console.error(`${label} error:`, err);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * Sub-resource path segments below the plan id, e.g.
+ * /:id/linkedPlanServices/:objectId/linkedService => ['linkedPlanServices', '<objectId>', 'linkedService']
+ */
+function subresourceSegments(req) {
+    return req.path.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
 }
 
 /**
@@ -23,16 +144,16 @@ const createPlan = async (req, res) => {
     }
 
     const payload = req.body;
-    const valid = validator.validate(payload);
-    if (!valid) {
+    const validationErrors = validatePlanDocument(payload);
+    if (validationErrors.length > 0) {
         return res.status(400).json({
             error: 'validation_failed',
-            details: formatAjvErrors(validator.errors())
+            details: validationErrors
         });
     }
 
     try {
-        const result = await planService.createPlan(payload);
+        const result = await planService.createPlan(payload, requestContext(req));
         // result: { id, document, etag, lastModified }
         return res.status(201)
             .location(`/v1/plans/${encodeURIComponent(result.id)}`)
@@ -41,7 +162,10 @@ const createPlan = async (req, res) => {
             .json(result.document);
     } catch (err) {
         if (err && err.code === 'E_CONFLICT') {
-            return res.status(409).json({ error: 'resource_exists', objectId: err.objectId });
+            return sendConflict(res, err);
+        }
+        if (err && err.code === 'E_TENANT') {
+            return sendOrgForbidden(res, err);
         }
         console.error('createPlan error:', err);
         return res.status(500).json({ error: 'server_error' });
@@ -55,12 +179,17 @@ const createPlan = async (req, res) => {
  *  - If-None-Match      => 304 Not Modified
  *  - If-Modified-Since  => 304 (fallback)
  * Otherwise return 200 with ETag + Last-Modified
+ * ?asOf=<ISO timestamp | epoch ms> returns the version that was current at that time
  */
 const getPlan = async (req, res) => {
     const id = req.params.id;
 
+    if (req.query.asOf !== undefined) {
+        return getPlanAsOf(req, res);
+    }
+
     try {
-        const data = await planService.getPlan(id);
+        const data = await planService.getPlan(id, requestContext(req));
         if (!data) return res.status(404).json({ error: 'not_found' });
 
         const { document, etag, lastModified } = data;
@@ -105,13 +234,101 @@ const getPlan = async (req, res) => {
 };
 
 
+/**
+ * GET /v1/plans/:id?asOf=<timestamp>
+ * Serves the historical snapshot; 404 if the plan did not exist (or was deleted) at that time.
+ */
+async function getPlanAsOf(req, res) {
+    const id = req.params.id;
+    const raw = req.query.asOf;
+    const asOf = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    if (isNaN(asOf)) {
+        return res.status(400).json({ error: 'invalid_query', message: 'asOf must be an ISO timestamp or epoch milliseconds' });
+    }
+
+    try {
+        const snapshot = await historyService.getAsOf(id, asOf, requestContext(req));
+        if (!snapshot || !snapshot.document) return res.status(404).json({ error: 'not_found' });
+
+        return res.status(200)
+            .set('ETag', snapshot.etag)
+            .set('Last-Modified', new Date(snapshot.timestamp).toUTCString())
+            .set('X-Plan-Version', String(snapshot.version))
+            .json(snapshot.document);
+    } catch (err) {
+        console.error('getPlanAsOf error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+}
+
+/**
+ * GET /v1/plans
+ * List plan summaries with cursor-based pagination.
+ * Query: org, planType, creationDateFrom, creationDateTo, sort (createdAt|lastModified),
+ *        order (asc|desc), limit (1-100), cursor
+ * Returns a weak collection ETag; If-None-Match => 304 Not Modified
+ */
+const listPlans = async (req, res) => {
+    const { org, planType, creationDateFrom, creationDateTo, cursor } = req.query;
+    const sort = req.query.sort || 'createdAt';
+    const order = req.query.order || 'desc';
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!['createdAt', 'lastModified'].includes(sort)) {
+        return res.status(400).json({ error: 'invalid_query', message: 'sort must be createdAt or lastModified' });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return res.status(400).json({ error: 'invalid_query', message: 'order must be asc or desc' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: 'invalid_query', message: 'limit must be an integer between 1 and 100' });
+    }
+
+    const range = {};
+    for (const [name, value] of [['creationDateFrom', creationDateFrom], ['creationDateTo', creationDateTo]]) {
+        if (value === undefined) continue;
+        const parsed = parseCreationDate(value);
+        if (parsed === null) {
+            return res.status(400).json({ error: 'invalid_query', message: `${name} must be MM-DD-YYYY or YYYY-MM-DD` });
+        }
+        range[name] = parsed;
+    }
+
+    try {
+        const result = await planService.listPlans({ org, planType, sort, order, limit, cursor, ...range }, requestContext(req));
+
+        const ifNoneMatch = req.header('If-None-Match');
+        if (ifNoneMatch && ifNoneMatch === result.etag) {
+            return res.status(304).set('ETag', result.etag).end();
+        }
+
+        return res.status(200).set('ETag', result.etag).json({
+            items: result.items,
+            count: result.items.length,
+            nextCursor: result.nextCursor
+        });
+    } catch (err) {
+        if (err && err.code === 'E_BAD_REQUEST') {
+            return res.status(400).json({ error: 'invalid_query', message: err.message });
+        }
+        if (err && err.code === 'E_TENANT') {
+            return sendOrgForbidden(res, err);
+        }
+        console.error('listPlans error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
 /**
  * DELETE /v1/plans/:id
  * Require If-Match header to perform conditional delete (prevent blind deletes).
- * If you want to allow unconditional delete, remove the If-Match requirement.
+ * Moves the plan to the trash by default; ?hard=true removes it permanently,
+ * including plans already in the trash (the route is limited to admins).
  */
 const deletePlan = async (req, res) => {
     const id = req.params.id;
+    const hard = req.query.hard === 'true';
+
     // Require If-Match to avoid accidental deletes (change this policy if you prefer)
     const ifMatch = req.header('If-Match');
     if (!ifMatch) {
@@ -119,7 +336,7 @@ const deletePlan = async (req, res) => {
     }
 
     try {
-        const removed = await planService.deletePlan(id, ifMatch);
+        const removed = await planService.deletePlan(id, ifMatch, { ...requestContext(req), hard });
         // removed === true when deleted
         if (!removed) return res.status(404).json({ error: 'not_found' });
         return res.status(204).end();
@@ -136,70 +353,284 @@ const deletePlan = async (req, res) => {
     }
 };
 
+/**
+ * GET /v1/plans/_trash?limit=&offset=
+ * Soft-deleted plans, most recently deleted first, with deletedAt/deletedBy
+ * and the ETag to use for restore or hard delete.
+ */
+const listTrash = async (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: 'invalid_query', message: 'limit must be an integer between 1 and 100' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'invalid_query', message: 'offset must be a non-negative integer' });
+    }
+
+    try {
+        const result = await planService.listTrash({ limit, offset }, requestContext(req));
+        return res.status(200).json({ items: result.items, count: result.items.length, total: result.total });
+    } catch (err) {
+        console.error('listTrash error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+/**
+ * POST /v1/plans/:id/restore
+ * Brings a soft-deleted plan back. If-Match (optional) is checked against the ETag
+ * shown in the trash listing.
+ */
+const restorePlan = async (req, res) => {
+    try {
+        const result = await planService.restorePlan(req.params.id, {
+            ...requestContext(req),
+            ifMatch: req.header('If-Match')
+        });
 
+        return res.status(200)
+            .set('ETag', result.etag)
+            .set('Last-Modified', result.lastModified)
+            .set('X-Plan-Version', String(result.version))
+            .json(result.document);
+    } catch (err) {
+        if (err && err.code === 'E_PRECONDITION') {
+            return res.status(412).json({ error: 'etag_mismatch', message: 'Resource has been modified', currentEtag: err.currentEtag });
+        }
+        if (err && err.code === 'E_NOT_FOUND') {
+            return res.status(404).json({ error: 'not_found', message: 'No plan with this id in the trash' });
+        }
+        console.error('restorePlan error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
 
 /**
  * PATCH /v1/plans/:id
- * Partial merge / JSON Merge Patch support. Requires If-Match header (conditional patch).
- * Uses planService.patchPlan which does an atomic CAS and validates merged result.
+ * Dispatches on Content-Type. Requires If-Match header (conditional patch).
+ *  - application/json, application/merge-patch+json => deep merge
+ *  - application/json-patch+json                    => RFC 6902 operation list
+ * Uses planService.patchPlan which validates the merged result inside its atomic CAS,
+ * so a rejected patch never reaches Redis or the indexing queue.
  */
 const patchPlan = async (req, res) => {
+    const id = req.params.id;
+    const parsed = readPatchBody(req, res, id);
+    if (!parsed) return;
+    const { format, patch } = parsed;
+
+    // Require If-Match for conditional patch
+    const ifMatch = req.header('If-Match');
+    if (!ifMatch) {
+        return res.status(428).json({ error: 'precondition_required', message: 'If-Match header required for patch' });
+    }
+
+    try {
+        // Merged document is validated inside the service before it is committed
+        const result = await planService.patchPlan(id, patch, ifMatch, {
+            ...requestContext(req),
+            format,
+            validate: validatePlanDocument
+        });
+        if (!result) return res.status(404).json({ error: 'not_found' });
+
+        return res.status(200)
+            .set('ETag', result.etag)
+            .set('Last-Modified', result.lastModified)
+            .json(result.document);
+    } catch (err) {
+        return sendWriteError(res, err, 'patchPlan');
+    }
+};
+
+/**
+ * PUT /v1/plans/:id
+ * Full replacement with upsert semantics:
+ *  - If-None-Match: *  => create only if the plan does not exist (412 otherwise)
+ *  - If-Match          => required to replace an existing plan (428 if missing)
+ * 201 Created when the plan was created, 200 OK when it was replaced.
+ */
+const putPlan = async (req, res) => {
     if (!req.is('application/json')) {
         return res.status(415).json({ error: 'unsupported_media_type', message: 'Expected application/json' });
     }
 
     const id = req.params.id;
-    const patch = req.body;
+    const payload = req.body;
 
-    // Validate patch is not empty
-    if (!patch || Object.keys(patch).length === 0) {
-        return res.status(400).json({ error: 'empty_patch', message: 'Patch body cannot be empty' });
+    const validationErrors = validatePlanDocument(payload);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({
+            error: 'validation_failed',
+            details: validationErrors
+        });
     }
 
-    // Prevent changing objectId
-    if (patch.objectId && patch.objectId !== id) {
-        return res.status(400).json({ error: 'objectId_mismatch', message: 'Cannot change objectId via patch' });
+    // The body must describe the resource addressed by the URL
+    if (payload.objectId !== id) {
+        return res.status(400).json({ error: 'objectId_mismatch', message: 'Body objectId must match the URL id' });
     }
 
-    // Require If-Match for conditional patch
     const ifMatch = req.header('If-Match');
-    if (!ifMatch) {
-        return res.status(428).json({ error: 'precondition_required', message: 'If-Match header required for patch' });
+    const ifNoneMatch = req.header('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch !== '*') {
+        return res.status(400).json({ error: 'invalid_precondition', message: 'Only "If-None-Match: *" is supported for PUT' });
     }
 
     try {
-        const result = await planService.patchPlan(id, patch, ifMatch);
-        if (!result) return res.status(404).json({ error: 'not_found' });
+        const result = await planService.replacePlan(id, payload, { ...requestContext(req), ifMatch, ifNoneMatch });
 
-        // Validate merged document
-        const valid = validator.validate(result.document);
-        if (!valid) {
-            return res.status(400).json({
-                error: 'validation_failed',
-                message: 'Merged document failed validation',
-                details: formatAjvErrors(validator.errors())
-            });
+        if (result.created) {
+            res.status(201).location(`/v1/plans/${encodeURIComponent(result.id)}`);
+        } else {
+            res.status(200);
         }
-
-        return res.status(200)
+        return res
             .set('ETag', result.etag)
             .set('Last-Modified', result.lastModified)
             .json(result.document);
     } catch (err) {
+        if (err && err.code === 'E_PRECONDITION_REQUIRED') {
+            return res.status(428).json({ error: 'precondition_required', message: 'If-Match header required to replace an existing plan' });
+        }
         if (err && err.code === 'E_PRECONDITION') {
             return res.status(412).json({ error: 'etag_mismatch', message: 'Resource has been modified', currentEtag: err.currentEtag });
         }
         if (err && err.code === 'E_NOT_FOUND') {
             return res.status(404).json({ error: 'not_found' });
         }
-        console.error('patchPlan error:', err);
+        if (err && err.code === 'E_CONFLICT') {
+            return sendConflict(res, err);
+        }
+        if (err && err.code === 'E_TENANT') {
+            return sendOrgForbidden(res, err);
+        }
+        console.error('putPlan error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+/**
+ * GET /v1/plans/:id/<sub-resource>
+ * Returns the subtree with its own ETag; If-None-Match => 304 Not Modified.
+ * X-Plan-ETag carries the root plan ETag for follow-up whole-plan requests.
+ */
+const getSubresource = async (req, res) => {
+    try {
+        const data = await subresourceService.getSubresource(req.params.id, subresourceSegments(req), requestContext(req));
+        if (!data) return res.status(404).json({ error: 'not_found' });
+
+        res.set('ETag', data.etag).set('Last-Modified', data.lastModified).set('X-Plan-ETag', data.planEtag);
+
+        const ifNoneMatch = req.header('If-None-Match');
+        if (ifNoneMatch && ifNoneMatch === data.etag) {
+            return res.status(304).end();
+        }
+        return res.status(200).json(data.document);
+    } catch (err) {
+        console.error('getSubresource error:', err);
         return res.status(500).json({ error: 'server_error' });
     }
 };
 
+/**
+ * PATCH /v1/plans/:id/<sub-resource>
+ * Same media types as PATCH /v1/plans/:id. If-Match must carry the sub-resource ETag.
+ * The whole plan is validated before commit; the root ETag is recomputed and the plan re-indexed.
+ */
+const patchSubresource = async (req, res) => {
+    const segments = subresourceSegments(req);
+    const parsed = readPatchBody(req, res, null);
+    if (!parsed) return;
+
+    const ifMatch = req.header('If-Match');
+    if (!ifMatch) {
+        return res.status(428).json({ error: 'precondition_required', message: 'If-Match header required for patch' });
+    }
+
+    try {
+        const result = await subresourceService.patchSubresource(req.params.id, segments, parsed.patch, ifMatch, {
+            ...requestContext(req),
+            format: parsed.format,
+            validate: validatePlanDocument
+        });
+        return res.status(200)
+            .set('ETag', result.etag)
+            .set('Last-Modified', result.lastModified)
+            .set('X-Plan-ETag', result.planEtag)
+            .json(result.document);
+    } catch (err) {
+        return sendWriteError(res, err, 'patchSubresource');
+    }
+};
+
+/**
+ * DELETE /v1/plans/:id/<sub-resource>
+ * Requires If-Match with the sub-resource ETag. Fails with 400 if the plan would
+ * no longer satisfy the schema (e.g. deleting the required planCostShares).
+ */
+const deleteSubresource = async (req, res) => {
+    const ifMatch = req.header('If-Match');
+    if (!ifMatch) {
+        return res.status(428).json({ error: 'precondition_required', message: 'If-Match header required for delete' });
+    }
+
+    try {
+        const result = await subresourceService.deleteSubresource(req.params.id, subresourceSegments(req), ifMatch, {
+            ...requestContext(req),
+            validate: validatePlanDocument
+        });
+        return res.status(204).set('X-Plan-ETag', result.planEtag).end();
+    } catch (err) {
+        return sendWriteError(res, err, 'deleteSubresource');
+    }
+};
+
+/**
+ * POST /v1/plans/:id/linkedPlanServices
+ * Append a new linkedPlanService. Optional If-Match is checked against the root plan ETag.
+ * 201 Created with Location of the new sub-resource.
+ */
+const appendLinkedPlanService = async (req, res) => {
+    if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'unsupported_media_type', message: 'Expected application/json' });
+    }
+
+    const id = req.params.id;
+    const item = req.body;
+    if (!item || typeof item !== 'object' || Array.isArray(item) || !item.objectId) {
+        return res.status(400).json({ error: 'validation_failed', message: 'Body must be a linkedPlanService object with an objectId' });
+    }
+
+    try {
+        const result = await subresourceService.appendLinkedPlanService(id, item, {
+            ...requestContext(req),
+            ifMatch: req.header('If-Match'),
+            validate: validatePlanDocument
+        });
+        return res.status(201)
+            .location(`/v1/plans/${encodeURIComponent(id)}/linkedPlanServices/${encodeURIComponent(item.objectId)}`)
+            .set('ETag', result.etag)
+            .set('Last-Modified', result.lastModified)
+            .set('X-Plan-ETag', result.planEtag)
+            .json(result.document);
+    } catch (err) {
+        return sendWriteError(res, err, 'appendLinkedPlanService');
+    }
+};
+
 module.exports = {
     createPlan,
     getPlan,
+    listPlans,
     deletePlan,
-    patchPlan
+    listTrash,
+    restorePlan,
+    patchPlan,
+    putPlan,
+    getSubresource,
+    patchSubresource,
+    deleteSubresource,
+    appendLinkedPlanService
 };
@@ -1,24 +1,100 @@
 // controllers/searchController.js
 const elasticsearchService = require('../services/elasticsearchService');
+const tenantService = require('../services/tenantService');
+const searchQuery = require('../utils/searchQuery');
+
+// Top-level search body keys accepted from tenant-restricted callers; anything else
+// (aggs with a global scope, suggesters, ...) could read outside the _org filter
+const TENANT_SEARCH_KEYS = new Set([
+    'query', 'size', 'from', 'sort', '_source', 'highlight', 'track_total_hits', 'post_filter', 'min_score'
+]);
+const DEFAULT_SIZE = 20;
+const MAX_SIZE = 100;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.code = 'E_BAD_REQUEST';
+    return err;
+}
+
+/**
+ * Search body for a filter expression (see utils/searchQuery.js) with paging
+ * size and from may be strings (query parameters); throws E_BAD_REQUEST / E_QUERY
+ */
+function filterSearchBody({ filter, size = DEFAULT_SIZE, from = 0 }) {
+    if (typeof filter !== 'string') throw badRequest('filter must be a string');
+    const pageSize = Number(size);
+    const offset = Number(from);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SIZE) {
+        throw badRequest(`size must be an integer between 1 and ${MAX_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) throw badRequest('from must be a non-negative integer');
+
+    return { query: searchQuery.toQuery(filter), size: pageSize, from: offset };
+}
+
+function sendSearchError(res, err, label) {
+    if (err.code === 'E_QUERY') {
+        return res.status(400).json({
+            error: 'invalid_query',
+            message: err.message,
+            position: err.position,
+            ...(err.fields ? { fields: err.fields } : {})
+        });
+    }
+    if (err.code === 'E_BAD_REQUEST') {
+        return res.status(400).json({ error: 'invalid_request', message: err.message });
+    }
+
+    console.error(`${label} error:`, err);
+    if (err.meta && err.meta.body) {
+        return res.status(400).json({
+            error: 'search_failed',
+            message: err.meta.body.error.reason || 'Search query failed'
+        });
+    }
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * Wrap a search body so only documents of the caller's orgs can match
+ */
+function withTenantFilter(body, tenant) {
+    const filter = tenantService.searchFilter(tenant);
+    if (!filter) return body;
+    return {
+        ...body,
+        query: {
+            bool: {
+                must: [body.query || { match_all: {} }],
+                filter: [filter]
+            }
+        }
+    };
+}
 
 /**
  * Search plans using Elasticsearch
  * Supports parent-child queries
  * 
- * GET /v1/search?q=<query>
- * POST /v1/search (with query body)
+ * GET /v1/search?filter=<filter>&size=&from=
+ * POST /v1/search { filter, size, from }
+ * Deprecated: GET /v1/search?q=<text> and POST /v1/search with a raw Elasticsearch body
  */
 const searchPlans = async (req, res) => {
     try {
         let query;
+        const params = req.method === 'GET' ? req.query : req.body;
 
-        if (req.method === 'GET') {
+        if (params && params.filter !== undefined) {
+            query = filterSearchBody(params);
+        } else if (req.method === 'GET') {
             // Simple query string search
             const q = req.query.q;
             if (!q) {
                 return res.status(400).json({
                     error: 'missing_query',
-                    message: 'Query parameter "q" is required'
+                    message: 'Query parameter "filter" is required'
                 });
             }
 
@@ -42,28 +118,27 @@ const searchPlans = async (req, res) => {
             if (!query || !query.query) {
                 return res.status(400).json({
                     error: 'invalid_query',
-                    message: 'Request body must contain a valid Elasticsearch query'
+                    message: 'Request body must contain a "filter"'
+                });
+            }
+
+            const unsupported = Object.keys(query).filter(key => !TENANT_SEARCH_KEYS.has(key));
+            if (tenantService.searchFilter(req.tenant) && unsupported.length > 0) {
+                return res.status(400).json({
+                    error: 'invalid_query',
+                    message: `Unsupported search body keys: ${unsupported.join(', ')}`
                 });
             }
         }
 
-        const results = await elasticsearchService.searchPlans(query);
+        const results = await elasticsearchService.searchPlans(withTenantFilter(query, req.tenant));
 
         return res.status(200).json({
             total: results.total,
             hits: results.hits
         });
     } catch (err) {
-        console.error('Search error:', err);
-
-        if (err.meta && err.meta.body) {
-            return res.status(400).json({
-                error: 'search_failed',
-                message: err.meta.body.error.reason || 'Search query failed'
-            });
-        }
-
-        return res.status(500).json({ error: 'server_error' });
+        return sendSearchError(res, err, 'Search');
     }
 };
 
@@ -76,7 +151,7 @@ const searchPlans = async (req, res) => {
 const getPlanWithChildren = async (req, res) => {
     try {
         const planId = req.params.id;
-        const results = await elasticsearchService.getPlanWithChildren(planId);
+        const results = await elasticsearchService.getPlanWithChildren(planId, tenantService.searchFilter(req.tenant));
 
         if (!results || results.length === 0) {
             return res.status(404).json({ error: 'not_found' });
@@ -107,11 +182,11 @@ const searchParentChild = async (req, res) => {
 
         if (minDeductible) {
             childQueryBody = {
-                range: { deductible: { gte: parseInt(minDeductible) } }
+                range: { deductible: { gte: Number(minDeductible) } }
             };
         } else if (maxCopay) {
             childQueryBody = {
-                range: { copay: { lte: parseInt(maxCopay) } }
+                range: { copay: { lte: Number(maxCopay) } }
             };
         } else if (serviceName) {
             childQueryBody = {
@@ -134,7 +209,7 @@ const searchParentChild = async (req, res) => {
             size: 20
         };
 
-        const results = await elasticsearchService.searchPlans(query);
+        const results = await elasticsearchService.searchPlans(withTenantFilter(query, req.tenant));
 
         return res.status(200).json({
             total: results.total,
@@ -168,7 +243,7 @@ const searchByParent = async (req, res) => {
             size: 50
         };
 
-        const results = await elasticsearchService.searchPlans(query);
+        const results = await elasticsearchService.searchPlans(withTenantFilter(query, req.tenant));
 
         return res.status(200).json({
             parentType,
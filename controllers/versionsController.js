@@ -0,0 +1,160 @@
+// controllers/versionsController.js
+const planService = require('../services/planService');
+const historyService = require('../services/historyService');
+const { validatePlanDocument } = require('../validators/planValidator');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * Parse a 1-based version number from a route/query value (null if invalid)
+ */
+function parseVersion(value) {
+    if (typeof value !== 'string' || !/^[1-9][0-9]*$/.test(value)) return null;
+    return Number(value);
+}
+
+/**
+ * GET /v1/plans/:id/versions
+ * Version metadata (number, operation, ETag, timestamp, actor), oldest first.
+ * Still available after the plan has been deleted.
+ */
+const listVersions = async (req, res) => {
+    try {
+        const versions = await historyService.listVersions(req.params.id, requestContext(req));
+        if (versions.length === 0) return res.status(404).json({ error: 'not_found' });
+
+        return res.status(200).json({ planId: req.params.id, versions });
+    } catch (err) {
+        console.error('listVersions error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+/**
+ * GET /v1/plans/:id/versions/:version
+ * Full snapshot including the document as it was stored (null for delete snapshots).
+ */
+const getVersion = async (req, res) => {
+    const version = parseVersion(req.params.version);
+    if (version === null) {
+        return res.status(400).json({ error: 'invalid_version', message: 'version must be a positive integer' });
+    }
+
+    try {
+        const snapshot = await historyService.getVersion(req.params.id, version, requestContext(req));
+        if (!snapshot) return res.status(404).json({ error: 'not_found' });
+
+        if (snapshot.etag) res.set('ETag', snapshot.etag);
+        return res.status(200)
+            .set('Last-Modified', new Date(snapshot.timestamp).toUTCString())
+            .json(snapshot);
+    } catch (err) {
+        console.error('getVersion error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+/**
+ * GET /v1/plans/:id/versions/diff?from=<n>&to=<m>
+ * Field-level changes between two versions. `to` defaults to the latest version,
+ * `from` to the version before `to`.
+ */
+const diffVersions = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        let to = req.query.to === undefined ? null : parseVersion(req.query.to);
+        if (req.query.to === undefined) {
+            const versions = await historyService.listVersions(id, requestContext(req));
+            if (versions.length === 0) return res.status(404).json({ error: 'not_found' });
+            to = versions[versions.length - 1].version;
+        }
+        const from = req.query.from === undefined ? (to ? to - 1 : null) : parseVersion(req.query.from);
+
+        if (!from || !to) {
+            return res.status(400).json({ error: 'invalid_version', message: 'from and to must be positive integers' });
+        }
+
+        const result = await historyService.diffVersions(id, from, to, requestContext(req));
+        if (!result) return res.status(404).json({ error: 'not_found' });
+
+        return res.status(200).json({ planId: id, ...result });
+    } catch (err) {
+        console.error('diffVersions error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+/**
+ * POST /v1/plans/:id/versions/:version/restore
+ * Writes the snapshot back as a new version through the normal conditional PUT path:
+ *  - plan exists  => If-Match required (428 / 412 as for PUT)
+ *  - plan deleted => re-created (If-None-Match: * is honored)
+ *  - plan in trash => 409, restore it from the trash first
+ */
+const restoreVersion = async (req, res) => {
+    const id = req.params.id;
+    const version = parseVersion(req.params.version);
+    if (version === null) {
+        return res.status(400).json({ error: 'invalid_version', message: 'version must be a positive integer' });
+    }
+
+    try {
+        const snapshot = await historyService.getVersion(id, version, requestContext(req));
+        if (!snapshot) return res.status(404).json({ error: 'not_found' });
+        if (!snapshot.document) {
+            return res.status(409).json({ error: 'version_not_restorable', message: 'Version records a delete and has no document' });
+        }
+
+        // The schema may have changed since the snapshot was taken
+        const validationErrors = validatePlanDocument(snapshot.document);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'validation_failed',
+                message: 'Snapshot no longer satisfies the plan schema',
+                details: validationErrors
+            });
+        }
+
+        const result = await planService.replacePlan(id, snapshot.document, {
+            ...requestContext(req),
+            ifMatch: req.header('If-Match'),
+            ifNoneMatch: req.header('If-None-Match'),
+            operation: 'restore',
+            restoredFrom: version
+        });
+
+        return res.status(result.created ? 201 : 200)
+            .set('ETag', result.etag)
+            .set('Last-Modified', result.lastModified)
+            .set('X-Plan-Version', String(result.version))
+            .json(result.document);
+    } catch (err) {
+        if (err && err.code === 'E_PRECONDITION_REQUIRED') {
+            return res.status(428).json({ error: 'precondition_required', message: 'If-Match header required to restore over an existing plan' });
+        }
+        if (err && err.code === 'E_PRECONDITION') {
+            return res.status(412).json({ error: 'etag_mismatch', message: 'Resource has been modified', currentEtag: err.currentEtag });
+        }
+        if (err && err.code === 'E_NOT_FOUND') {
+            return res.status(404).json({ error: 'not_found' });
+        }
+        if (err && err.code === 'E_CONFLICT' && err.objectIds) {
+            return res.status(409).json({ error: 'object_id_in_use', message: 'Nested objectIds of the snapshot now belong to another plan', objectIds: err.objectIds });
+        }
+        if (err && err.code === 'E_CONFLICT') {
+            return res.status(409).json({ error: 'plan_in_trash', message: 'Plan is in the trash; restore it with POST /v1/plans/:id/restore first' });
+        }
+        if (err && err.code === 'E_TENANT') {
+            return res.status(403).json({ error: 'org_forbidden', message: 'Snapshot belongs to an organization you cannot write to', details: err.details });
+        }
+        console.error('restoreVersion error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+};
+
+module.exports = {
+    listVersions,
+    getVersion,
+    diffVersions,
+    restoreVersion
+};
@@ -0,0 +1,139 @@
+// controllers/webhooksController.js
+const webhookService = require('../services/webhookService');
+const { requestContext } = require('../utils/requestContext');
+
+const OUTCOMES = ['delivered', 'retrying', 'failed'];
+
+/**
+ * Map webhookService errors to HTTP responses
+ */
+function sendWebhookError(res, err, label) {
+    if (err && err.code === 'E_BAD_REQUEST') {
+        return res.status(400).json({ error: 'invalid_webhook', message: err.message });
+    }
+    if (err && err.code === 'E_TENANT') {
+        return res.status(403).json({
+            error: 'org_forbidden',
+            message: 'Organization is not allowed for this caller',
+            details: err.details
+        });
+    }
+    if (err && err.code === 'E_NOT_FOUND') {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    console.error(`${label} error:`, err);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * POST /v1/webhooks  { url, events, orgs?, secret?, description? }
+ * 201 with the subscription and its signing secret (not returned again).
+ * orgs defaults to every org the caller may use.
+ */
+const createWebhook = async (req, res) => {
+    const { url, events, orgs, secret, description } = req.body || {};
+    try {
+        const subscription = await webhookService.createSubscription(
+            { url, events, orgs, secret, description },
+            requestContext(req)
+        );
+        return res.status(201)
+            .location(`/v1/webhooks/${subscription.id}`)
+            .json(subscription);
+    } catch (err) {
+        return sendWebhookError(res, err, 'createWebhook');
+    }
+};
+
+/**
+ * GET /v1/webhooks
+ */
+const listWebhooks = async (req, res) => {
+    try {
+        const webhooks = await webhookService.listSubscriptions(requestContext(req));
+        return res.status(200).json({ events: webhookService.EVENT_TYPES, webhooks });
+    } catch (err) {
+        return sendWebhookError(res, err, 'listWebhooks');
+    }
+};
+
+/**
+ * GET /v1/webhooks/:id
+ */
+const getWebhook = async (req, res) => {
+    try {
+        return res.status(200).json(await webhookService.getSubscription(req.params.id, requestContext(req)));
+    } catch (err) {
+        return sendWebhookError(res, err, 'getWebhook');
+    }
+};
+
+/**
+ * PATCH /v1/webhooks/:id  { url?, events?, orgs?, active?, description? }
+ */
+const updateWebhook = async (req, res) => {
+    const { url, events, orgs, active, description } = req.body || {};
+    try {
+        const subscription = await webhookService.updateSubscription(
+            req.params.id,
+            { url, events, orgs, active, description },
+            requestContext(req)
+        );
+        return res.status(200).json(subscription);
+    } catch (err) {
+        return sendWebhookError(res, err, 'updateWebhook');
+    }
+};
+
+/**
+ * DELETE /v1/webhooks/:id
+ * Removes the subscription and its delivery history.
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        await webhookService.deleteSubscription(req.params.id, requestContext(req));
+        return res.status(204).end();
+    } catch (err) {
+        return sendWebhookError(res, err, 'deleteWebhook');
+    }
+};
+
+/**
+ * GET /v1/webhooks/:id/deliveries?deliveryId=&eventId=&outcome=&limit=&offset=
+ * Delivery attempts, newest first (one entry per attempt).
+ */
+const listDeliveries = async (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'invalid_query', message: 'limit must be an integer between 1 and 500' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'invalid_query', message: 'offset must be a non-negative integer' });
+    }
+    if (req.query.outcome !== undefined && !OUTCOMES.includes(req.query.outcome)) {
+        return res.status(400).json({ error: 'invalid_query', message: `outcome must be one of: ${OUTCOMES.join(', ')}` });
+    }
+
+    const { deliveryId, eventId, outcome } = req.query;
+    try {
+        const result = await webhookService.listDeliveries(req.params.id, {
+            ...requestContext(req),
+            limit,
+            offset,
+            filters: { deliveryId, eventId, outcome }
+        });
+        return res.status(200).json({ ...result, limit, offset });
+    } catch (err) {
+        return sendWebhookError(res, err, 'listDeliveries');
+    }
+};
+
+module.exports = {
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries
+};
@@ -2,8 +2,35 @@ require('dotenv').config();
 const app = require('./app');
 const elasticsearchService = require('./services/elasticsearchService');
 const rabbitmqService = require('./services/rabbitmqService');
+const planService = require('./services/planService');
+const eventStreamService = require('./services/eventStreamService');
+const outboxService = require('./services/outboxService');
 
 const PORT = process.env.PORT || 3000;
+const TRASH_RETENTION_DAYS = Number(process.env.PLAN_TRASH_RETENTION_DAYS || 30);
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS || 60 * 60 * 1000);
+
+let trashPurgeTimer = null;
+
+/**
+ * Periodically hard-delete plans that have been in the trash longer than the retention period
+ */
+function startTrashPurge() {
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const run = async () => {
+        try {
+            const purged = await planService.purgeExpiredPlans(retentionMs);
+            if (purged.length > 0) {
+                console.log(`Purged ${purged.length} plan(s) past the ${TRASH_RETENTION_DAYS}-day trash retention`);
+            }
+        } catch (err) {
+            console.error('Trash purge error:', err.message);
+        }
+    };
+    trashPurgeTimer = setInterval(run, TRASH_PURGE_INTERVAL_MS);
+    trashPurgeTimer.unref();
+    run();
+}
 
 async function startServer() {
     try {
@@ -14,6 +41,11 @@ async function startServer() {
         // Connect to RabbitMQ
         console.log('Connecting to RabbitMQ...');
         await rabbitmqService.connect();
+        // Buffer plan events from startup so SSE clients can resume with Last-Event-ID
+        await eventStreamService.start();
+
+        outboxService.startRelay();
+        startTrashPurge();
 
         // Start Express server
         app.listen(PORT, () => {
@@ -23,6 +55,9 @@ async function startServer() {
     } catch (error) {
         console.error('Failed to start server:', error.message);
         // Start server anyway - services may come online later
+        eventStreamService.start().catch(err => console.error('Event stream unavailable:', err.message));
+        outboxService.startRelay();
+        startTrashPurge();
         app.listen(PORT, () => {
             console.log(`API v1 listening on http://localhost:${PORT} (degraded mode)`);
         });
@@ -32,12 +67,16 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    clearInterval(trashPurgeTimer);
+    outboxService.stopRelay();
     await rabbitmqService.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    clearInterval(trashPurgeTimer);
+    outboxService.stopRelay();
     await rabbitmqService.close();
     process.exit(0);
 });
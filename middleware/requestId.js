@@ -0,0 +1,14 @@
+// middleware/requestId.js
+const crypto = require('crypto');
+
+/**
+ * Express middleware that gives every request an id (req.id)
+ * A well-formed incoming X-Request-Id is kept so ids can be traced across services;
+ * the id is echoed back in the X-Request-Id response header.
+ */
+module.exports = function requestId(req, res, next) {
+    const incoming = req.header('X-Request-Id');
+    req.id = incoming && /^[A-Za-z0-9._:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
@@ -0,0 +1,69 @@
+// middleware/requireAuth.js
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Authenticate with an X-API-Key header; req.user.apiKey carries the key's scopes and orgs
+ */
+async function authenticateApiKey(req, res, next, presented) {
+    try {
+        const apiKey = await apiKeyService.verifyKey(presented);
+        req.user = {
+            sub: `apikey:${apiKey.keyId}`,
+            email: null,
+            name: apiKey.name,
+            claims: {},
+            provider: 'apikey',
+            apiKey
+        };
+    } catch (err) {
+        if (err.code === 'E_API_KEY_EXPIRED') {
+            return res.status(401).json({ error: 'api_key_expired', message: 'API key has expired' });
+        }
+        if (err.code === 'E_API_KEY_INVALID') {
+            return res.status(401).json({ error: 'invalid_api_key', message: 'API key is not valid' });
+        }
+        console.error('API key verification error:', err);
+        return res.status(500).json({ error: 'server_error' });
+    }
+
+    next();
+}
+
+/**
+ * Express middleware to verify X-API-Key: <key> or Authorization: Bearer <token>
+ * Bearer tokens are checked by the provider chain configured in AUTH_PROVIDERS
+ * (Google ID tokens, generic OIDC/JWT, ...).
+ */
+module.exports = async function requireAuth(req, res, next) {
+    const presentedKey = req.header('X-API-Key');
+    if (presentedKey) {
+        return authenticateApiKey(req, res, next, presentedKey);
+    }
+
+    const authHeader = req.header('Authorization') || '';
+    const match = authHeader.match(/^Bearer (.+)$/);
+
+    if (!match) {
+        return res
+            .status(401)
+            .json({ error: 'missing_authorization', message: 'Authorization: Bearer <token> or X-API-Key required' });
+    }
+
+    try {
+        // Attach minimal user info to request
+        req.user = await authService.authenticate(match[1]);
+    } catch (err) {
+        if (err.code === 'E_AUTH_UNAVAILABLE') {
+            return res
+                .status(503)
+                .json({ error: 'auth_unavailable', message: 'No authentication provider is configured' });
+        }
+        console.error('Token verification failed:', err.message);
+        return res
+            .status(401)
+            .json({ error: 'invalid_token', message: 'Token verification failed' });
+    }
+
+    next(); // token valid → continue to controller
+};
@@ -0,0 +1,43 @@
+// middleware/requireRole.js
+const roleService = require('../services/roleService');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * requireRole('viewer' | 'editor' | 'admin', scope) - Express middleware (after requireAuth)
+ * Resolves the caller's role once per request (req.role) and rejects callers below `required`.
+ * API-key callers have no role; they need `scope` (plans:read, plans:write, search, admin) instead.
+ */
+module.exports = function requireRole(required, scope) {
+    return async function (req, res, next) {
+        if (req.user && req.user.apiKey) {
+            if (!scope || !apiKeyService.hasScope(req.user.apiKey.scopes, scope)) {
+                return res.status(403).json({
+                    error: 'insufficient_scope',
+                    message: `This operation requires the ${scope || required} scope`,
+                    requiredScope: scope || required,
+                    scopes: req.user.apiKey.scopes
+                });
+            }
+            return next();
+        }
+
+        try {
+            if (req.role === undefined) {
+                req.role = await roleService.resolveRole(req.user);
+            }
+        } catch (err) {
+            console.error('Role resolution failed:', err.message);
+            return res.status(500).json({ error: 'server_error' });
+        }
+
+        if (!roleService.hasRole(req.role, required)) {
+            return res.status(403).json({
+                error: 'insufficient_role',
+                message: `This operation requires the ${required} role`,
+                requiredRole: required,
+                role: req.role
+            });
+        }
+        next();
+    };
+};
@@ -0,0 +1,18 @@
+// middleware/tenant.js
+const tenantService = require('../services/tenantService');
+
+/**
+ * Express middleware (after requireAuth) that attaches req.tenant = { orgs, all }
+ * Callers that cannot be mapped to any organization are rejected.
+ */
+module.exports = function requireTenant(req, res, next) {
+    const tenant = tenantService.resolveTenant(req.user);
+    if (!tenant) {
+        return res
+            .status(403)
+            .json({ error: 'no_tenant', message: 'Authenticated user is not mapped to any organization' });
+    }
+
+    req.tenant = tenant;
+    next();
+};
@@ -0,0 +1,36 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const requireTenant = require('../middleware/tenant');
+
+// Admin endpoints: authenticated admins (or API keys with the admin scope) only
+router.use(requireAuth, requireRole('admin', 'admin'));
+
+// GET /v1/admin/roles - list stored role grants (limited to grants within the caller's orgs)
+router.get('/roles', requireTenant, adminController.listRoles);
+
+// GET|PUT|DELETE /v1/admin/users/:user/role - read, grant or revoke a user's role
+router.get('/users/:user/role', requireTenant, adminController.getUserRole);
+router.put('/users/:user/role', requireTenant, adminController.grantUserRole);
+router.delete('/users/:user/role', requireTenant, adminController.revokeUserRole);
+
+// API keys: issue, list, inspect, rotate, revoke (limited to keys within the caller's orgs)
+router.post('/api-keys', requireTenant, adminController.issueApiKey);
+router.get('/api-keys', requireTenant, adminController.listApiKeys);
+router.get('/api-keys/:keyId', requireTenant, adminController.getApiKey);
+router.post('/api-keys/:keyId/rotate', requireTenant, adminController.rotateApiKey);
+router.delete('/api-keys/:keyId', requireTenant, adminController.revokeApiKey);
+
+// Indexing dead-letter queue: inspect, replay, purge (callers allowed every org only)
+router.get('/dlq', requireTenant, adminController.listDeadLetters);
+router.post('/dlq/replay', requireTenant, adminController.replayDeadLetters);
+router.post('/dlq/purge', requireTenant, adminController.purgeDeadLetters);
+
+// Rebuild / reconcile the search index from Redis (callers allowed every org only)
+router.post('/reindex', requireTenant, adminController.startReindex);
+router.get('/reindex/:jobId', requireTenant, adminController.getReindexJob);
+
+module.exports = router;
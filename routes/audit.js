@@ -0,0 +1,18 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const requireAuth = require('../middleware/requireAuth');
+const requireTenant = require('../middleware/tenant');
+const requireRole = require('../middleware/requireRole');
+
+// Audit trail: admins (or API keys with the admin scope), limited to their tenant's orgs
+router.use(requireAuth, requireTenant, requireRole('admin', 'admin'));
+
+// GET /v1/audit - filtered, paginated entries
+router.get('/', auditController.listAudit);
+
+// GET /v1/audit/export - NDJSON export for archiving
+router.get('/export', auditController.exportAudit);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/events.js
+const express = require('express');
+const router = express.Router();
+const eventsController = require('../controllers/eventsController');
+const requireAuth = require('../middleware/requireAuth');
+const requireTenant = require('../middleware/tenant');
+const requireRole = require('../middleware/requireRole');
+
+// Live plan notifications: viewers and up (or the plans:read scope), limited to their tenant's orgs
+router.use(requireAuth, requireTenant, requireRole('viewer', 'plans:read'));
+
+// GET /v1/events?org=<org> - SSE stream of plan created/updated/deleted events
+router.get('/', eventsController.streamEvents);
+
+module.exports = router;
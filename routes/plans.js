@@ -2,21 +2,71 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/plansController');
-const requireAuth = require('../middleware/authGoogle');
+const versionsController = require('../controllers/versionsController');
+const eventsController = require('../controllers/eventsController');
+const requireAuth = require('../middleware/requireAuth');
+const requireTenant = require('../middleware/tenant');
+const requireRole = require('../middleware/requireRole');
 
-// Apply authentication middleware to all plan routes
-router.use(requireAuth);
+// Apply authentication + tenant resolution to all plan routes
+router.use(requireAuth, requireTenant);
+
+// Roles: viewers read, editors create and modify, admins delete and manage the trash
+// (API keys need plans:read, plans:write and admin scopes respectively)
+const viewer = requireRole('viewer', 'plans:read');
+const editor = requireRole('editor', 'plans:write');
+const admin = requireRole('admin', 'admin');
 
 // POST /v1/plans
-router.post('/', controller.createPlan);
+router.post('/', editor, controller.createPlan);
+
+// GET /v1/plans (paginated, filterable collection)
+router.get('/', viewer, controller.listPlans);
+
+// GET /v1/plans/_trash (soft-deleted plans; registered before :id)
+router.get('/_trash', admin, controller.listTrash);
+
+// POST /v1/plans/:id/restore (bring a plan back from the trash)
+router.post('/:id/restore', admin, controller.restorePlan);
+
+// GET /v1/plans/:id (?asOf=<timestamp> for a historical read)
+router.get('/:id', viewer, controller.getPlan);
+
+// GET /v1/plans/:id/events (SSE stream of changes to this plan)
+router.get('/:id/events', viewer, eventsController.streamPlanEvents);
+
+// Version history (diff is registered before :version so it is not taken as a number)
+router.get('/:id/versions', viewer, versionsController.listVersions);
+router.get('/:id/versions/diff', viewer, versionsController.diffVersions);
+router.get('/:id/versions/:version', viewer, versionsController.getVersion);
+router.post('/:id/versions/:version/restore', editor, versionsController.restoreVersion);
+
+// Addressable sub-resources (own ETag, conditional PATCH/DELETE)
+const SUBRESOURCE_PATHS = [
+    '/:id/planCostShares',
+    '/:id/linkedPlanServices/:objectId',
+    '/:id/linkedPlanServices/:objectId/linkedService',
+    '/:id/linkedPlanServices/:objectId/planserviceCostShares'
+];
+
+// GET /v1/plans/:id/linkedPlanServices
+router.get('/:id/linkedPlanServices', viewer, controller.getSubresource);
+
+// POST /v1/plans/:id/linkedPlanServices (append)
+router.post('/:id/linkedPlanServices', editor, controller.appendLinkedPlanService);
+
+// GET|PATCH|DELETE /v1/plans/:id/<sub-resource>
+router.get(SUBRESOURCE_PATHS, viewer, controller.getSubresource);
+router.patch(SUBRESOURCE_PATHS, editor, controller.patchSubresource);
+router.delete(SUBRESOURCE_PATHS, admin, controller.deleteSubresource);
 
-// GET /v1/plans/:id
-router.get('/:id', controller.getPlan);
+// PUT /v1/plans/:id (full replacement, upsert with If-None-Match: *)
+router.put('/:id', editor, controller.putPlan);
 
 // PATCH /v1/plans/:id (partial merge update)
-router.patch('/:id', controller.patchPlan);
+router.patch('/:id', editor, controller.patchPlan);
 
-// DELETE /v1/plans/:id (cascaded delete)
-router.delete('/:id', controller.deletePlan);
+// DELETE /v1/plans/:id (soft delete; ?hard=true for a cascaded delete)
+router.delete('/:id', admin, controller.deletePlan);
 
 module.exports = router;
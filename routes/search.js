@@ -2,15 +2,17 @@
 const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/searchController');
-const requireAuth = require('../middleware/authGoogle');
+const requireAuth = require('../middleware/requireAuth');
+const requireTenant = require('../middleware/tenant');
+const requireRole = require('../middleware/requireRole');
 
-// Apply authentication middleware to all search routes
-router.use(requireAuth);
+// Apply authentication + tenant resolution to all search routes (viewers and up, or the search scope)
+router.use(requireAuth, requireTenant, requireRole('viewer', 'search'));
 
-// GET /v1/search?q=<query> - Simple search
+// GET /v1/search?filter=<filter> - Search with the filter language (deprecated: ?q=<text>)
 router.get('/', searchController.searchPlans);
 
-// POST /v1/search - Advanced search with Elasticsearch query body
+// POST /v1/search - { filter, size, from } (deprecated: raw Elasticsearch query body)
 router.post('/', searchController.searchPlans);
 
 // GET /v1/search/plan/:id - Get plan with all children (parent-child view)
@@ -0,0 +1,24 @@
+// routes/webhooks.js
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('../controllers/webhooksController');
+const requireAuth = require('../middleware/requireAuth');
+const requireTenant = require('../middleware/tenant');
+const requireRole = require('../middleware/requireRole');
+
+// Webhook subscriptions: admins (or API keys with the admin scope), limited to their tenant's orgs
+router.use(requireAuth, requireTenant, requireRole('admin', 'admin'));
+
+// POST|GET /v1/webhooks - register or list subscriptions
+router.post('/', webhooksController.createWebhook);
+router.get('/', webhooksController.listWebhooks);
+
+// GET|PATCH|DELETE /v1/webhooks/:id
+router.get('/:id', webhooksController.getWebhook);
+router.patch('/:id', webhooksController.updateWebhook);
+router.delete('/:id', webhooksController.deleteWebhook);
+
+// GET /v1/webhooks/:id/deliveries - delivery attempt history
+router.get('/:id/deliveries', webhooksController.listDeliveries);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// scripts/migratePlanIndexes.js
+/**
+ * One-time migration for data written before per-plan indexes existed
+ *  - builds planobjects:<planId> sets from the parentId chain of every stored object
+ *  - rebuilds the GET /v1/plans collection indexes from the reconstructed plans
+ * Safe to re-run: every write is an idempotent SADD/ZADD.
+ * Run: npm run migrate:plan-index
+ */
+
+require('dotenv').config();
+const redisClient = require('../models/redisClient');
+const planService = require('../services/planService');
+const planListingService = require('../services/planListingService');
+
+const SCAN_COUNT = 500;
+
+/**
+ * Load every objectType:objectId string key into a map of objectId -> { key, stored }
+ */
+async function loadStoredObjects() {
+    const objects = new Map();
+
+    for await (const keys of redisClient.scanIterator({ MATCH: '*:*', COUNT: SCAN_COUNT, TYPE: 'string' })) {
+        if (keys.length === 0) continue;
+        const values = await redisClient.mGet(keys);
+
+        keys.forEach((key, i) => {
+            if (!values[i]) return;
+            try {
+                const stored = JSON.parse(values[i]);
+                if (stored && stored.data && stored.data.objectId && stored.objectType) {
+                    objects.set(stored.data.objectId, { key, stored });
+                }
+            } catch (e) {
+                // Not one of our objects
+            }
+        });
+    }
+
+    return objects;
+}
+
+/**
+ * Follow parentId links up to the root plan object
+ */
+function findRootId(objectId, objects) {
+    const visited = new Set();
+    let current = objects.get(objectId);
+
+    while (current && current.stored.parentId) {
+        if (visited.has(current.stored.data.objectId)) return null; // cycle guard
+        visited.add(current.stored.data.objectId);
+        current = objects.get(current.stored.parentId);
+    }
+
+    if (!current || current.stored.objectType !== 'plan') return null;
+    return current.stored.data.objectId;
+}
+
+async function migrate() {
+    console.log('[Migrate] Scanning stored objects...');
+    const objects = await loadStoredObjects();
+
+    // rootId -> member keys
+    const members = new Map();
+    let orphaned = 0;
+
+    for (const [objectId, { key }] of objects) {
+        const rootId = findRootId(objectId, objects);
+        if (!rootId) {
+            orphaned++;
+            continue;
+        }
+        if (!members.has(rootId)) members.set(rootId, []);
+        members.get(rootId).push(key);
+    }
+
+    console.log(`[Migrate] Found ${members.size} plans (${objects.size} objects, ${orphaned} without a root plan)`);
+
+    let migrated = 0;
+    for (const [planId, keys] of members) {
+        await redisClient.sAdd(planService.planObjectsKeyFor(planId), keys);
+
+        const root = objects.get(planId).stored;
+        const document = await planService.reconstructPlanFromObjects(planId);
+        if (document) {
+            const multi = redisClient.multi();
+            if (root.deletedAt) {
+                // Soft-deleted plans belong in the trash, not in the listing indexes
+                planListingService.addTrashToMulti(multi, planId, root.deletedAt, document._org);
+            } else {
+                planListingService.addIndexToMulti(multi, document, {
+                    createdAt: root.createdAt || root.lastModified || new Date().toISOString(),
+                    lastModified: root.lastModified || root.createdAt || new Date().toISOString()
+                });
+            }
+            await multi.exec();
+        }
+
+        migrated++;
+        if (migrated % 100 === 0) {
+            console.log(`[Migrate] ${migrated}/${members.size} plans indexed`);
+        }
+    }
+
+    console.log(`[Migrate] Done: ${migrated} plans indexed`);
+}
+
+migrate()
+    .then(() => redisClient.close())
+    .catch(async (error) => {
+        console.error('[Migrate] Failed:', error);
+        try { await redisClient.close(); } catch (e) { /* ignore */ }
+        process.exit(1);
+    });
@@ -0,0 +1,53 @@
+// scripts/migrateSearchIndex.js
+/**
+ * Move the plan search index to the mapping in the code without downtime
+ *  - status              aliases, indices, mapping versions and document counts
+ *  - migrate (default)   new <ES_INDEX_NAME>_v<N>, dual-write + reindex, verify counts, swap aliases
+ *  - rollback            point the aliases back at the previous index
+ *  - finalize [--delete-old]  stop dual-writing to the previous index (and delete it)
+ * Run: npm run migrate:search-index [-- status|rollback|finalize [--delete-old]]
+ */
+
+require('dotenv').config();
+const elasticsearchService = require('../services/elasticsearchService');
+const indexMigrationService = require('../services/indexMigrationService');
+
+const COMMANDS = ['status', 'migrate', 'rollback', 'finalize'];
+
+function log(message) {
+    console.log(`[Migrate] ${message}`);
+}
+
+async function run() {
+    const args = process.argv.slice(2);
+    const command = args.find(arg => !arg.startsWith('--')) || 'migrate';
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command '${command}' (expected one of: ${COMMANDS.join(', ')})`);
+    }
+
+    if (command === 'status') {
+        console.log(JSON.stringify(await indexMigrationService.getStatus(), null, 2));
+    } else if (command === 'migrate') {
+        await elasticsearchService.initialize();
+        const result = await indexMigrationService.migrate({ onProgress: log });
+        log(`Done: ${elasticsearchService.READ_ALIAS} now reads ${result.to} (from ${result.from})`);
+        log(result.rollbackAvailable
+            ? `${result.from} is still written to; run "rollback" to go back or "finalize" to stop`
+            : `${result.from} predated aliases and was replaced; rollback is not available`);
+    } else if (command === 'rollback') {
+        const result = await indexMigrationService.rollback();
+        log(`Rolled back: ${elasticsearchService.READ_ALIAS} reads ${result.to} again (${result.from} is kept)`);
+    } else {
+        const result = await indexMigrationService.finalize({ deleteOld: args.includes('--delete-old') });
+        log(result.removed.length === 0
+            ? 'Nothing to finalize'
+            : `Stopped writing to ${result.removed.join(', ')}${result.deleted ? ' (deleted)' : ''}`);
+    }
+}
+
+run()
+    .then(() => elasticsearchService.getClient().close())
+    .catch((error) => {
+        console.error('[Migrate] Failed:', error.message);
+        process.exit(1);
+    });
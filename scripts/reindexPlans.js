@@ -0,0 +1,71 @@
+// scripts/reindexPlans.js
+/**
+ * Rebuild the Elasticsearch index from Redis, or reconcile the two
+ *  - default:      reindex every live plan
+ *  - --reconcile:  report plans missing from the index, indexed with a stale ETag, or indexed
+ *                  but no longer live in Redis (orphaned)
+ *  - --fix:        with --reconcile, reindex missing/stale plans and remove orphaned ones
+ *  - --batch-size=N plans per bulk request (default REINDEX_BATCH_SIZE or 200)
+ * Run: npm run reindex [-- --reconcile [--fix]]
+ */
+
+require('dotenv').config();
+const redisClient = require('../models/redisClient');
+const elasticsearchService = require('../services/elasticsearchService');
+const reindexService = require('../services/reindexService');
+
+function parseArgs(argv) {
+    const options = { mode: 'reindex', fix: false };
+    argv.forEach(arg => {
+        if (arg === '--reconcile') options.mode = 'reconcile';
+        else if (arg === '--fix') options.fix = true;
+        else if (arg.startsWith('--batch-size=')) options.batchSize = Number(arg.slice('--batch-size='.length));
+        else throw new Error(`Unknown argument: ${arg}`);
+    });
+    return options;
+}
+
+function logProgress(report) {
+    const parts = [`${report.processed}/${report.total} plans`, `${report.indexed} indexed`];
+    if (report.skipped) parts.push(`${report.skipped} skipped`);
+    if (report.failed) parts.push(`${report.failed} failed`);
+    if (report.mode === 'reconcile') {
+        parts.push(`${report.missing.count} missing`, `${report.stale.count} stale`, `${report.orphaned.count} orphaned`);
+    }
+    console.log(`[Reindex] ${parts.join(', ')}`);
+}
+
+async function reindex() {
+    const options = parseArgs(process.argv.slice(2));
+    await elasticsearchService.initialize();
+
+    console.log(`[Reindex] Starting ${options.mode}${options.fix ? ' (fix)' : ''}...`);
+    const report = await reindexService.run({ ...options, onProgress: logProgress });
+
+    logProgress(report);
+    if (report.mode === 'reconcile') {
+        ['missing', 'stale', 'orphaned'].forEach(category => {
+            if (report[category].count > 0) {
+                console.log(`[Reindex] ${category}: ${report[category].ids.join(', ')}`);
+            }
+        });
+        if (report.fix) console.log(`[Reindex] ${report.deleted} orphaned plans removed`);
+    }
+    report.errors.forEach(({ planIds, error }) => {
+        console.error(`[Reindex] Failed for ${planIds.join(', ')}: ${error}`);
+    });
+    console.log('[Reindex] Done');
+
+    if (report.failed > 0) process.exitCode = 1;
+}
+
+reindex()
+    .then(async () => {
+        await redisClient.close();
+        await elasticsearchService.getClient().close();
+    })
+    .catch(async (error) => {
+        console.error('[Reindex] Failed:', error);
+        try { await redisClient.close(); } catch (e) { /* ignore */ }
+        process.exit(1);
+    });
@@ -0,0 +1,288 @@
+// services/apiKeyService.js
+/**
+ * API keys for service-to-service access
+ * Keys look like hpk_<keyId>_<secret>; only a SHA-256 hash of the secret is stored.
+ * Redis layout:
+ *  - apikey:<keyId>     JSON record { keyId, name, hash, scopes, orgs, expiresAt, createdAt, createdBy, ... }
+ *  - apikeys            set of all keyIds
+ *  - apikeys:lastUsed   hash keyId => ISO timestamp of the last successful use
+ */
+const crypto = require('crypto');
+const redisClient = require('../models/redisClient');
+const tenantService = require('./tenantService');
+
+const SCOPES = ['plans:read', 'plans:write', 'search', 'admin'];
+const KEY_PREFIX = 'hpk';
+const KEYS_SET = 'apikeys';
+const LAST_USED_KEY = 'apikeys:lastUsed';
+
+function recordKeyFor(keyId) { return `apikey:${keyId}`; }
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function formatKey(keyId, secret) {
+    return `${KEY_PREFIX}_${keyId}_${secret}`;
+}
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.code = 'E_BAD_REQUEST';
+    return err;
+}
+
+function notFound() {
+    const err = new Error('not found');
+    err.code = 'E_NOT_FOUND';
+    return err;
+}
+
+/**
+ * Keys are visible to tenants allowed every org they cover
+ * (a key for all orgs only to unrestricted callers)
+ */
+function isVisible(tenant, record) {
+    const orgs = tenantService.allowedOrgs(tenant);
+    if (orgs === null) return true;
+    return record.orgs !== null && record.orgs.every(org => orgs.includes(org));
+}
+
+/**
+ * Key orgs for the tenant: omitted means all orgs the tenant may use, so a key never
+ * reaches further than the caller who issued it
+ */
+function resolveOrgs(orgs, tenant) {
+    const allowed = tenantService.allowedOrgs(tenant);
+    if (orgs === undefined || orgs === null) {
+        return allowed === null ? null : [...allowed];
+    }
+    if (!Array.isArray(orgs) || orgs.length === 0 || orgs.some(o => typeof o !== 'string' || o === '')) {
+        throw badRequest('orgs must be a non-empty list of organization names');
+    }
+    const forbidden = orgs.filter(org => !tenantService.isOrgAllowed(tenant, org));
+    if (forbidden.length > 0) {
+        const err = new Error('organization not allowed');
+        err.code = 'E_TENANT';
+        err.details = forbidden.map(org => ({ field: '/orgs', message: `organization "${org}" is not allowed for this caller` }));
+        throw err;
+    }
+    return [...new Set(orgs)];
+}
+
+/**
+ * Public view of a key record (no hashes)
+ */
+function describe(record, lastUsedAt = null) {
+    const { hash, previousHash, previousHashExpiresAt, ...rest } = record;
+    return { ...rest, lastUsedAt };
+}
+
+/**
+ * Whether a key with `scopes` may use `scope` (admin covers every scope)
+ */
+function hasScope(scopes, scope) {
+    return scopes.includes('admin') || scopes.includes(scope);
+}
+
+/**
+ * Issue a new key; the plaintext key is only returned here
+ * { name, scopes, orgs?, expiresAt? } - orgs restricts the key to those _org values and must be
+ * allowed for options.tenant (default: the tenant's orgs; unrestricted only for unrestricted tenants)
+ */
+async function issueKey({ name, scopes, orgs, expiresAt } = {}, { actor = null, tenant } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw badRequest('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !SCOPES.includes(s))) {
+        throw badRequest(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+    }
+    if (expiresAt !== undefined && expiresAt !== null &&
+        (isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+        throw badRequest('expiresAt must be a future ISO timestamp');
+    }
+    const keyOrgs = resolveOrgs(orgs, tenant);
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = generateSecret();
+    const record = {
+        keyId,
+        name: name.trim(),
+        hash: hashSecret(secret),
+        scopes: [...new Set(scopes)],
+        orgs: keyOrgs,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        createdAt: new Date().toISOString(),
+        createdBy: actor,
+        rotatedAt: null,
+        revokedAt: null
+    };
+
+    const multi = redisClient.multi();
+    multi.set(recordKeyFor(keyId), JSON.stringify(record));
+    multi.sAdd(KEYS_SET, keyId);
+    await multi.exec();
+
+    return { key: formatKey(keyId, secret), ...describe(record) };
+}
+
+async function loadRecord(keyId) {
+    const raw = await redisClient.get(recordKeyFor(keyId));
+    return raw ? JSON.parse(raw) : null;
+}
+
+async function loadVisible(keyId, tenant) {
+    const record = await loadRecord(keyId);
+    if (!record || !isVisible(tenant, record)) throw notFound();
+    return record;
+}
+
+/**
+ * Keys visible to the tenant (including revoked ones) with their last-used timestamps
+ */
+async function listKeys({ tenant } = {}) {
+    const keyIds = await redisClient.sMembers(KEYS_SET);
+    if (keyIds.length === 0) return [];
+
+    const raws = await redisClient.mGet(keyIds.map(recordKeyFor));
+    const lastUsed = await redisClient.hmGet(LAST_USED_KEY, keyIds);
+    const keys = [];
+    raws.forEach((raw, i) => {
+        const record = raw ? JSON.parse(raw) : null;
+        if (record && isVisible(tenant, record)) keys.push(describe(record, lastUsed[i] || null));
+    });
+    return keys.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * Single key metadata
+ */
+async function getKey(keyId, { tenant } = {}) {
+    const record = await loadVisible(keyId, tenant);
+    return describe(record, await redisClient.hGet(LAST_USED_KEY, keyId));
+}
+
+/**
+ * Apply change(record) to a visible key record under WATCH, so a concurrent rotate or revoke
+ * cannot be overwritten with an older copy; change returns the new record, or null to leave it
+ * Returns the stored record
+ */
+async function updateRecord(keyId, tenant, change) {
+    const key = recordKeyFor(keyId);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await redisClient.watch(key);
+        try {
+            const record = await loadVisible(keyId, tenant);
+            const updated = change(record);
+            if (!updated) {
+                await redisClient.unwatch();
+                return record;
+            }
+            const execResult = await redisClient.multi().set(key, JSON.stringify(updated)).exec();
+            if (execResult !== null) return updated;
+        } finally {
+            try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
+        }
+    }
+
+    const err = new Error('API key changed concurrently');
+    err.code = 'E_CONFLICT';
+    throw err;
+}
+
+/**
+ * Replace a key's secret; the old secret keeps working for graceSeconds (default 0)
+ * Returns the new plaintext key
+ */
+async function rotateKey(keyId, { graceSeconds = 0, actor = null, tenant } = {}) {
+    if (!Number.isInteger(graceSeconds) || graceSeconds < 0) {
+        throw badRequest('graceSeconds must be a non-negative integer');
+    }
+
+    const secret = generateSecret();
+    const record = await updateRecord(keyId, tenant, current => {
+        if (current.revokedAt) throw notFound();
+        return {
+            ...current,
+            hash: hashSecret(secret),
+            previousHash: graceSeconds > 0 ? current.hash : null,
+            previousHashExpiresAt: graceSeconds > 0 ? new Date(Date.now() + graceSeconds * 1000).toISOString() : null,
+            rotatedAt: new Date().toISOString(),
+            rotatedBy: actor
+        };
+    });
+
+    return { key: formatKey(keyId, secret), ...describe(record) };
+}
+
+/**
+ * Revoke a key; the record is kept (revokedAt) so it stays visible in the listing
+ */
+async function revokeKey(keyId, { actor = null, tenant } = {}) {
+    const record = await updateRecord(keyId, tenant, current => (current.revokedAt
+        ? null
+        : { ...current, previousHash: null, revokedAt: new Date().toISOString(), revokedBy: actor }));
+    return describe(record);
+}
+
+function secretMatches(secret, hash) {
+    if (!hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Verify a presented key; returns { keyId, name, scopes, orgs } and records last use
+ * Throws E_API_KEY_INVALID (unknown, wrong secret or revoked) or E_API_KEY_EXPIRED
+ */
+async function verifyKey(presented) {
+    const invalid = () => {
+        const err = new Error('invalid API key');
+        err.code = 'E_API_KEY_INVALID';
+        return err;
+    };
+
+    const match = typeof presented === 'string' && presented.match(/^hpk_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/);
+    if (!match) throw invalid();
+    const [, keyId, secret] = match;
+
+    const record = await loadRecord(keyId);
+    if (!record || record.revokedAt) throw invalid();
+
+    const now = Date.now();
+    const previousValid = record.previousHashExpiresAt && Date.parse(record.previousHashExpiresAt) > now;
+    if (!secretMatches(secret, record.hash) && !(previousValid && secretMatches(secret, record.previousHash))) {
+        throw invalid();
+    }
+
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+        const err = new Error('API key expired');
+        err.code = 'E_API_KEY_EXPIRED';
+        throw err;
+    }
+
+    try {
+        await redisClient.hSet(LAST_USED_KEY, keyId, new Date(now).toISOString());
+    } catch (err) {
+        console.error('Failed to record API key use:', err.message);
+    }
+
+    return { keyId, name: record.name, scopes: record.scopes, orgs: record.orgs };
+}
+
+module.exports = {
+    SCOPES,
+    hasScope,
+    issueKey,
+    listKeys,
+    getKey,
+    rotateKey,
+    revokeKey,
+    verifyKey
+};
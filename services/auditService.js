@@ -0,0 +1,137 @@
+// services/auditService.js
+/**
+ * Append-only audit trail of plan mutations
+ * Entries go to the Redis stream audit:plans inside the same MULTI as the write they
+ * describe, so a committed change always has its audit entry. The stream is capped at about
+ * AUDIT_MAX_ENTRIES entries (approximate MAXLEN trim on each append), dropping the oldest.
+ * Entry: { id, timestamp, operation, planId, org, version, etagBefore, etagAfter,
+ *          diff, actor, ip, requestId }
+ */
+const redisClient = require('../models/redisClient');
+const { diff } = require('../utils/jsonDiff');
+const tenantService = require('./tenantService');
+
+const STREAM_KEY = 'audit:plans';
+const SCAN_BATCH_SIZE = 200;
+const MAX_ENTRIES = Number(process.env.AUDIT_MAX_ENTRIES) || 1000000;
+// Most stream entries one listEntries call examines; a sparse filter gets a short page and a cursor
+const SCAN_LIMIT = Number(process.env.AUDIT_SCAN_LIMIT) || 10000;
+// Largest sequence number of a stream id, for an end bound covering a whole millisecond
+const MAX_SEQUENCE = '18446744073709551615';
+
+/**
+ * Queue an audit entry on a MULTI
+ * before/after are the full documents (null when the plan did not / no longer exists)
+ */
+function addEntryToMulti(multi, { operation, planId, org, version, etagBefore, etagAfter, before, after, actor, ip, requestId, timestamp }) {
+    multi.xAdd(STREAM_KEY, '*', {
+        timestamp: timestamp || new Date().toISOString(),
+        operation,
+        planId,
+        org: org || '',
+        version: String(version || ''),
+        etagBefore: etagBefore || '',
+        etagAfter: etagAfter || '',
+        diff: JSON.stringify(diff(before || {}, after || {})),
+        actor: JSON.stringify(actor || null),
+        ip: ip || '',
+        requestId: requestId || ''
+    }, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: MAX_ENTRIES }
+    });
+}
+
+function parseEntry({ id, message }) {
+    return {
+        id,
+        timestamp: message.timestamp,
+        operation: message.operation,
+        planId: message.planId,
+        org: message.org || null,
+        version: message.version ? Number(message.version) : null,
+        etagBefore: message.etagBefore || null,
+        etagAfter: message.etagAfter || null,
+        diff: JSON.parse(message.diff || '[]'),
+        actor: JSON.parse(message.actor || 'null'),
+        ip: message.ip || null,
+        requestId: message.requestId || null
+    };
+}
+
+function matches(entry, { planId, actor, operation, orgs }) {
+    if (planId && entry.planId !== planId) return false;
+    if (operation && entry.operation !== operation) return false;
+    if (actor && !(entry.actor && (entry.actor.sub === actor || entry.actor.email === actor))) return false;
+    if (orgs && !orgs.includes(entry.org)) return false;
+    return true;
+}
+
+/**
+ * Stream id bounds for the time filters (entry ids start with the epoch ms they were added at)
+ * Returns { start, end } for XREVRANGE, or null when the range is empty
+ */
+function idRange({ from, to, before }) {
+    if (from !== undefined && to !== undefined && from > to) return null;
+    const start = from !== undefined ? `${from}-0` : '-';
+    let end = to !== undefined ? `${to}-${MAX_SEQUENCE}` : '+';
+    // The cursor only narrows the range; a cursor past `to` leaves the `to` bound in place
+    if (before && (to === undefined || Number(before.split('-')[0]) <= to)) end = `(${before}`;
+    return { start, end };
+}
+
+/**
+ * Walk matching entries in batches, newest first
+ * filters: { planId, actor (sub or email), operation, from, to (epoch ms), before (entry id, exclusive) }
+ * options.tenant limits entries to the tenant's orgs; onEntry may be async (it is awaited before
+ * the next entry) and returning false stops the walk
+ * options.maxScanned caps the stream entries examined; when the cap ends the walk, the id of the
+ * last examined entry is returned (to resume from as filters.before), otherwise null
+ */
+async function scanEntries(filters, { tenant, maxScanned = Infinity } = {}, onEntry) {
+    const orgs = tenantService.allowedOrgs(tenant);
+    const range = idRange(filters);
+    if (!range) return null;
+    let { end } = range;
+    let scanned = 0;
+
+    for (;;) {
+        const count = Math.min(SCAN_BATCH_SIZE, maxScanned - scanned);
+        const batch = await redisClient.xRevRange(STREAM_KEY, end, range.start, { COUNT: count });
+
+        for (const raw of batch) {
+            const entry = parseEntry(raw);
+            if (matches(entry, { ...filters, orgs }) && await onEntry(entry) === false) return null;
+        }
+
+        if (batch.length < count) return null;
+        scanned += batch.length;
+        const lastId = batch[batch.length - 1].id;
+        if (scanned >= maxScanned) return lastId;
+        end = `(${lastId}`;
+    }
+}
+
+/**
+ * One page of matching entries (newest first); nextCursor is passed back as filters.before
+ * At most SCAN_LIMIT entries are examined, so a page can be short (even empty) with a nextCursor
+ */
+async function listEntries(filters, { limit = 50, ...options } = {}) {
+    const items = [];
+    let more = false;
+    const resumeAfter = await scanEntries(filters, { ...options, maxScanned: SCAN_LIMIT }, entry => {
+        if (items.length === limit) {
+            more = true;
+            return false;
+        }
+        items.push(entry);
+        return true;
+    });
+    return { items, nextCursor: more ? items[items.length - 1].id : resumeAfter };
+}
+
+module.exports = {
+    STREAM_KEY,
+    addEntryToMulti,
+    listEntries,
+    scanEntries
+};
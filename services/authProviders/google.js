@@ -0,0 +1,64 @@
+// services/authProviders/google.js
+const { OAuth2Client } = require('google-auth-library');
+
+// Allowed Google token issuers per docs
+const ALLOWED_ISSUERS = new Set(['accounts.google.com', 'https://accounts.google.com']);
+
+/**
+ * Google ID token provider (RS256, verified against Google's published certs)
+ * Config: GOOGLE_CLIENT_ID - one or more comma-separated client IDs (audiences)
+ */
+function createGoogleProvider(env = process.env) {
+    const clientId = env.GOOGLE_CLIENT_ID;
+    if (!clientId) {
+        const err = new Error('GOOGLE_CLIENT_ID is not set');
+        err.code = 'E_AUTH_CONFIG';
+        throw err;
+    }
+
+    // Allow multiple comma-separated Client IDs (optional)
+    const audiences = clientId.split(',').map(id => id.trim()).filter(Boolean);
+
+    // Create reusable OAuth2 client
+    const client = new OAuth2Client();
+
+    return {
+        name: 'google',
+
+        /**
+         * Only tokens issued by Google are tried with this provider
+         */
+        accepts(unverifiedPayload) {
+            return Boolean(unverifiedPayload) && ALLOWED_ISSUERS.has(unverifiedPayload.iss);
+        },
+
+        /**
+         * Verify a Google ID Token and return the user it identifies
+         */
+        async verify(idToken) {
+            const ticket = await client.verifyIdToken({
+                idToken,
+                audience: audiences, // enforce audience match
+            });
+
+            const payload = ticket.getPayload();
+
+            // Defense-in-depth: verify issuer
+            if (!ALLOWED_ISSUERS.has(payload.iss)) {
+                const err = new Error('invalid_issuer');
+                err.code = 'INVALID_ISSUER';
+                throw err;
+            }
+
+            return {
+                sub: payload.sub,
+                email: payload.email,
+                name: payload.name,
+                picture: payload.picture,
+                claims: payload,
+            };
+        }
+    };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,138 @@
+// services/authProviders/jwt.js
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const PUBLIC_KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+function list(value) {
+    return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function configError(message) {
+    const err = new Error(message);
+    err.code = 'E_AUTH_CONFIG';
+    return err;
+}
+
+/**
+ * Load a JWKS file ({ "keys": [...] }) into public keys indexed by kid
+ * Keys without "use" or with "use": "sig" are kept; private key material is never needed
+ */
+function loadJwks(path) {
+    let jwks;
+    try {
+        jwks = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw configError(`cannot read JWKS file ${path}: ${err.message}`);
+    }
+    if (!jwks || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+        throw configError(`JWKS file ${path} has no keys`);
+    }
+
+    return jwks.keys
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .map(jwk => ({ kid: jwk.kid || null, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+}
+
+/**
+ * Generic OIDC/JWT provider verified offline with jsonwebtoken
+ * Config:
+ *  - JWT_JWKS_FILE or JWT_SECRET  - local JWKS file (asymmetric) or shared secret (HMAC)
+ *  - JWT_ISSUERS / JWT_AUDIENCES  - comma-separated accepted iss / aud values
+ *  - JWT_ALGORITHMS               - defaults to HS* for a secret, RS/PS/ES* for a JWKS
+ *  - JWT_CLOCK_SKEW_SECONDS       - tolerance for exp/nbf/iat (default 60)
+ *  - JWT_EMAIL_CLAIM / JWT_NAME_CLAIM - claim names mapped to email / name
+ */
+function createJwtProvider(env = process.env) {
+    const secret = env.JWT_SECRET;
+    const jwksFile = env.JWT_JWKS_FILE;
+    if (!secret && !jwksFile) {
+        throw configError('JWT_JWKS_FILE or JWT_SECRET must be set');
+    }
+    if (secret && jwksFile) {
+        throw configError('set only one of JWT_JWKS_FILE and JWT_SECRET');
+    }
+
+    const issuers = list(env.JWT_ISSUERS);
+    const audiences = list(env.JWT_AUDIENCES);
+    if (issuers.length === 0 || audiences.length === 0) {
+        throw configError('JWT_ISSUERS and JWT_AUDIENCES must be set');
+    }
+
+    const algorithms = list(env.JWT_ALGORITHMS);
+    const allowed = secret ? HMAC_ALGORITHMS : PUBLIC_KEY_ALGORITHMS;
+    const unsupported = algorithms.filter(alg => !allowed.includes(alg));
+    if (unsupported.length > 0) {
+        throw configError(`JWT_ALGORITHMS not usable with this key type: ${unsupported.join(', ')}`);
+    }
+
+    const clockTolerance = Number(env.JWT_CLOCK_SKEW_SECONDS || 60);
+    // NaN would turn off the exp / nbf checks: every comparison with it is false
+    if (!Number.isInteger(clockTolerance) || clockTolerance < 0) {
+        throw configError('JWT_CLOCK_SKEW_SECONDS must be a non-negative integer');
+    }
+    const emailClaim = env.JWT_EMAIL_CLAIM || 'email';
+    const nameClaim = env.JWT_NAME_CLAIM || 'name';
+    const keys = jwksFile ? loadJwks(jwksFile) : null;
+
+    function keyFor(header) {
+        if (secret) return secret;
+        const match = header.kid
+            ? keys.find(k => k.kid === header.kid)
+            : (keys.length === 1 ? keys[0] : null);
+        if (!match) {
+            const err = new Error(header.kid ? `unknown key id ${header.kid}` : 'token has no kid');
+            err.code = 'INVALID_KEY';
+            throw err;
+        }
+        return match.key;
+    }
+
+    return {
+        name: 'jwt',
+
+        /**
+         * Only tokens from a configured issuer are tried with this provider
+         */
+        accepts(unverifiedPayload) {
+            return Boolean(unverifiedPayload) && issuers.includes(unverifiedPayload.iss);
+        },
+
+        /**
+         * Verify signature, issuer, audience and validity window; return the user
+         */
+        async verify(token) {
+            const decoded = jwt.decode(token, { complete: true });
+            if (!decoded || !decoded.header) {
+                const err = new Error('malformed token');
+                err.code = 'INVALID_TOKEN';
+                throw err;
+            }
+
+            const payload = jwt.verify(token, keyFor(decoded.header), {
+                algorithms: algorithms.length > 0 ? algorithms : allowed,
+                issuer: issuers,
+                audience: audiences,
+                clockTolerance
+            });
+
+            if (!payload.sub) {
+                const err = new Error('token has no sub claim');
+                err.code = 'INVALID_TOKEN';
+                throw err;
+            }
+
+            return {
+                sub: payload.sub,
+                email: payload[emailClaim],
+                name: payload[nameClaim],
+                picture: payload.picture,
+                claims: payload,
+            };
+        }
+    };
+}
+
+module.exports = { createJwtProvider };
@@ -0,0 +1,77 @@
+// services/authService.js
+/**
+ * Authentication provider chain
+ * AUTH_PROVIDERS lists providers in the order they are tried (default "google").
+ * A provider is only tried for tokens it accepts (matching issuer), so the chain
+ * stops at the first provider that claims the token; misconfigured providers are
+ * logged and left out instead of stopping the app.
+ */
+const jwt = require('jsonwebtoken');
+const { createGoogleProvider } = require('./authProviders/google');
+const { createJwtProvider } = require('./authProviders/jwt');
+
+const FACTORIES = {
+    google: createGoogleProvider,
+    jwt: createJwtProvider
+};
+
+let providers = null;
+
+/**
+ * Build the configured providers (once)
+ */
+function getProviders() {
+    if (providers) return providers;
+
+    const names = (process.env.AUTH_PROVIDERS || 'google').split(',').map(n => n.trim()).filter(Boolean);
+    providers = [];
+    for (const name of names) {
+        const factory = FACTORIES[name];
+        if (!factory) {
+            console.error(`Unknown auth provider "${name}" in AUTH_PROVIDERS; skipped`);
+            continue;
+        }
+        try {
+            providers.push(factory(process.env));
+        } catch (err) {
+            console.error(`Auth provider "${name}" disabled: ${err.message}`);
+        }
+    }
+    if (providers.length === 0) {
+        console.error('No authentication provider is configured; all authenticated routes will return 503');
+    }
+    return providers;
+}
+
+/**
+ * Verify a bearer token with the first provider that accepts it
+ * Returns the user ({ sub, email, name, picture, claims, provider })
+ * Throws E_AUTH_UNAVAILABLE when no provider is configured, E_AUTH_INVALID otherwise
+ */
+async function authenticate(token) {
+    const chain = getProviders();
+    if (chain.length === 0) {
+        const err = new Error('no authentication provider configured');
+        err.code = 'E_AUTH_UNAVAILABLE';
+        throw err;
+    }
+
+    const unverified = jwt.decode(token);
+    const candidates = chain.filter(provider => !provider.accepts || provider.accepts(unverified));
+
+    let lastError = null;
+    for (const provider of candidates) {
+        try {
+            const user = await provider.verify(token);
+            return { ...user, provider: provider.name };
+        } catch (err) {
+            lastError = err;
+        }
+    }
+
+    const err = new Error(lastError ? lastError.message : 'no provider accepts this token');
+    err.code = 'E_AUTH_INVALID';
+    throw err;
+}
+
+module.exports = { authenticate, getProviders };
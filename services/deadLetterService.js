@@ -0,0 +1,217 @@
+// services/deadLetterService.js
+/**
+ * Inspection, replay and purge of the indexing dead-letter queue (plan_indexing_queue_dead)
+ * RabbitMQ has no way to browse a queue, so messages are fetched unacknowledged on a
+ * dedicated channel; closing that channel returns every message not explicitly acked
+ * (replayed or purged) to the queue in its original order.
+ * Purging is two-step: the first call returns a confirmation token (kept in Redis as
+ * dlq:purge:<token> for PURGE_TOKEN_TTL_SECONDS) that the second call must present. The token
+ * records the ids of the selected messages, so messages dead-lettered in between are kept.
+ */
+const crypto = require('crypto');
+const redisClient = require('../models/redisClient');
+const rabbitmqService = require('./rabbitmqService');
+const planService = require('./planService');
+const historyService = require('./historyService');
+
+const DEAD_LETTER_QUEUE = `${rabbitmqService.QUEUE_NAME}_dead`;
+// Upper bound on messages fetched per request
+const SCAN_LIMIT = Number(process.env.DLQ_SCAN_LIMIT) || 10000;
+const PURGE_TOKEN_TTL_SECONDS = 300;
+
+function purgeTokenKeyFor(token) { return `dlq:purge:${token}`; }
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.code = 'E_BAD_REQUEST';
+    return err;
+}
+
+/**
+ * Summary of a dead-lettered message: { messageId, operation, planId, timestamp, failedAt,
+ * reason, failureClass, retryCount, attempts }
+ * Messages dead-lettered by the broker itself (no x-failure-* headers) report the x-death reason
+ */
+function describe(msg) {
+    const headers = msg.properties.headers || {};
+    const death = Array.isArray(headers['x-death']) ? headers['x-death'][0] : null;
+    let content = null;
+    try {
+        content = JSON.parse(msg.content.toString());
+    } catch (e) { /* reported with a null operation / planId */ }
+
+    let attempts = [];
+    try {
+        attempts = JSON.parse(headers['x-attempt-history'] || '[]');
+    } catch (e) { /* malformed history header */ }
+
+    return {
+        messageId: msg.properties.messageId || null,
+        operation: content ? content.operation : null,
+        planId: content && content.data ? (content.data.objectId || null) : null,
+        timestamp: content ? content.timestamp || null : null,
+        failedAt: headers['x-failed-at'] || (death && death.time ? new Date(Number(death.time) * 1000).toISOString() : null),
+        reason: headers['x-failure-reason'] || (death ? death.reason : null),
+        failureClass: headers['x-failure-class'] || null,
+        retryCount: Number(headers['x-retry-count'] || 0),
+        attempts
+    };
+}
+
+/**
+ * Fetch up to `max` messages without acking them, run fn(channel, messages), then close the
+ * channel so whatever fn did not ack goes back to the queue
+ */
+async function withDeadLetters(max, fn) {
+    const { connection } = await rabbitmqService.connect();
+    const channel = await connection.createChannel();
+    try {
+        const messages = [];
+        while (messages.length < max) {
+            const msg = await channel.get(DEAD_LETTER_QUEUE, { noAck: false });
+            if (!msg) break;
+            messages.push(msg);
+        }
+        return await fn(channel, messages);
+    } finally {
+        await channel.close();
+    }
+}
+
+async function queueDepth() {
+    const { connection } = await rabbitmqService.connect();
+    const channel = await connection.createChannel();
+    try {
+        return (await channel.checkQueue(DEAD_LETTER_QUEUE)).messageCount;
+    } finally {
+        await channel.close();
+    }
+}
+
+/**
+ * A page of dead-lettered messages, oldest first
+ * Every page is read from the head of the queue, so pages must end within SCAN_LIMIT
+ */
+async function listDeadLetters({ limit = 50, offset = 0 } = {}) {
+    if (!Number.isInteger(limit) || limit < 1) throw badRequest('limit must be a positive integer');
+    if (!Number.isInteger(offset) || offset < 0) throw badRequest('offset must be a non-negative integer');
+    if (offset + limit > SCAN_LIMIT) {
+        throw badRequest(`offset + limit must not exceed ${SCAN_LIMIT} (DLQ_SCAN_LIMIT)`);
+    }
+
+    const total = await queueDepth();
+    const items = await withDeadLetters(Math.min(offset + limit, SCAN_LIMIT), async (channel, messages) =>
+        messages.slice(offset).map(describe)
+    );
+    return { total, items };
+}
+
+/**
+ * Message to publish for a replay: the original payload, or with refresh the plan as it is
+ * now in Redis (an index of the latest document, or a delete if the plan is gone), carrying
+ * the current version so it cannot overwrite anything newer
+ */
+async function replayMessageFor(msg, refresh) {
+    const content = JSON.parse(msg.content.toString());
+    if (!refresh) return content;
+
+    const planId = content.data && (content.data.objectId || content.data);
+    const plan = await planService.getPlan(planId);
+    if (plan) {
+        return rabbitmqService.buildMessage('index', plan.document, { version: plan.version, etag: plan.etag });
+    }
+    // Gone from Redis: the latest history entry is its delete/purge
+    const version = (await historyService.nextVersion(planId)) - 1;
+    return rabbitmqService.buildMessage('delete', { objectId: planId }, { version: version > 0 ? version : null });
+}
+
+function selector(messageIds) {
+    if (messageIds === undefined || messageIds === null) return () => true;
+    if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.some(id => typeof id !== 'string')) {
+        throw badRequest('messageIds must be a non-empty list of message ids');
+    }
+    const wanted = new Set(messageIds);
+    return msg => wanted.has(msg.properties.messageId);
+}
+
+/**
+ * Republish dead-lettered messages to plan_exchange (all of them when messageIds is omitted)
+ * Each message leaves the DLQ only after the broker confirmed its replay
+ * Returns { replayed: [...summaries], notFound: [messageIds], failed: [{ messageId, error }] }
+ */
+async function replayDeadLetters({ messageIds, refresh = false } = {}) {
+    const matches = selector(messageIds);
+
+    return withDeadLetters(SCAN_LIMIT, async (channel, messages) => {
+        const replayed = [];
+        const failed = [];
+        const seen = new Set();
+
+        for (const msg of messages.filter(matches)) {
+            seen.add(msg.properties.messageId);
+            try {
+                await rabbitmqService.publishConfirmed(rabbitmqService.ROUTING_KEY, await replayMessageFor(msg, refresh));
+                channel.ack(msg);
+                replayed.push(describe(msg));
+            } catch (err) {
+                failed.push({ messageId: msg.properties.messageId || null, error: err.message });
+            }
+        }
+
+        const notFound = messageIds ? messageIds.filter(id => !seen.has(id)) : [];
+        return { replayed, notFound, failed };
+    });
+}
+
+/**
+ * First purge step: remember the selection and return a token to confirm it with
+ * Without messageIds the selection is every message in the DLQ now (up to SCAN_LIMIT)
+ */
+async function requestPurge({ messageIds, actor = null } = {}) {
+    selector(messageIds);
+    const selected = messageIds || await withDeadLetters(SCAN_LIMIT, async (channel, messages) => [
+        ...new Set(messages.map(msg => msg.properties.messageId).filter(Boolean))
+    ]);
+    const token = crypto.randomBytes(16).toString('hex');
+    await redisClient.set(
+        purgeTokenKeyFor(token),
+        JSON.stringify({ messageIds: selected, requestedBy: actor }),
+        { EX: PURGE_TOKEN_TTL_SECONDS }
+    );
+    return {
+        confirmationToken: token,
+        messageCount: selected.length,
+        expiresAt: new Date(Date.now() + PURGE_TOKEN_TTL_SECONDS * 1000).toISOString()
+    };
+}
+
+/**
+ * Second purge step: delete the messages selected when the token was issued (single use)
+ * Returns { purged } with the number of messages removed
+ */
+async function confirmPurge(token) {
+    const raw = typeof token === 'string' ? await redisClient.getDel(purgeTokenKeyFor(token)) : null;
+    const selection = raw ? JSON.parse(raw) : null;
+    if (!selection || !Array.isArray(selection.messageIds)) {
+        const err = new Error('invalid or expired confirmation token');
+        err.code = 'E_PURGE_TOKEN';
+        throw err;
+    }
+    const { messageIds } = selection;
+    if (messageIds.length === 0) return { purged: 0 };
+
+    const matches = selector(messageIds);
+    return withDeadLetters(SCAN_LIMIT, async (channel, messages) => {
+        const selected = messages.filter(matches);
+        selected.forEach(msg => channel.ack(msg));
+        return { purged: selected.length };
+    });
+}
+
+module.exports = {
+    DEAD_LETTER_QUEUE,
+    listDeadLetters,
+    replayDeadLetters,
+    requestPurge,
+    confirmPurge
+};
@@ -1,10 +1,38 @@
 // services/elasticsearchService.js
 const { Client } = require('@elastic/elasticsearch');
+const searchMapping = require('../utils/searchMapping');
 
 const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
+// Plan documents live in versioned physical indices (<INDEX_NAME>_v<N>). Reads go through
+// the INDEX_NAME alias and writes through WRITE_ALIAS, which points at both the old and the
+// new index while a migration dual-writes (see indexMigrationService).
 const INDEX_NAME = process.env.ES_INDEX_NAME || 'healthcare_plans';
+const READ_ALIAS = INDEX_NAME;
+const WRITE_ALIAS = process.env.ES_WRITE_ALIAS || `${INDEX_NAME}_write`;
+// Bump whenever the mapping derived from plan.schema.json changes incompatibly; deployments
+// on an older index then need npm run migrate:search-index (new fields are added in place)
+const MAPPING_VERSION = 4;
+// From this mapping version on, every plan document carries its plan version as external
+// version, so a stale write cannot replace documents of a newer one. Older indices hold
+// internally versioned documents and are written without versions until migrated.
+const VERSIONED_DOCUMENTS_SINCE = 4;
+// Page size when listing the documents indexed for a plan
+const DOCUMENT_SCAN_SIZE = 1000;
+// How long the indices behind WRITE_ALIAS are cached by each process
+const WRITE_ALIAS_REFRESH_MS = Number(process.env.ES_ALIAS_REFRESH_MS) || 5000;
+// Refresh policy of indexing bulk requests: 'true', 'false' or 'wait_for'
+const REFRESH_POLICY = parseRefreshPolicy(process.env.ES_REFRESH_POLICY);
+
+function parseRefreshPolicy(value) {
+    if (value === 'false') return false;
+    if (value === 'wait_for') return 'wait_for';
+    return true;
+}
+// One document per plan with the latest version applied (kept as a tombstone after deletes)
+const VERSIONS_INDEX_NAME = process.env.ES_VERSIONS_INDEX_NAME || `${INDEX_NAME}_versions`;
 
 let client = null;
+let writeTargets = null;
 
 /**
  * Initialize Elasticsearch client
@@ -22,22 +50,18 @@ function getClient() {
 }
 
 /**
- * Create index with parent-child (join field) mapping
- * This enables parent-child relationships in Elasticsearch
+ * Physical index name for a mapping version
  */
-async function createIndexWithMapping() {
-    const esClient = getClient();
-
-    const indexExists = await esClient.indices.exists({ index: INDEX_NAME });
-
-    if (indexExists) {
-        console.log(`Index '${INDEX_NAME}' already exists`);
-        return;
-    }
+function physicalIndexName(version = MAPPING_VERSION) {
+    return `${INDEX_NAME}_v${version}`;
+}
 
-    // Parent-Child mapping using join field
-    // Hierarchy: plan -> planCostShares, linkedPlanServices -> linkedService, planserviceCostShares
-    const mapping = {
+/**
+ * Settings and parent-child (join field) mapping of a plan index, derived from the plan schema
+ * Hierarchy: plan -> planCostShares, linkedPlanServices -> linkedService, planserviceCostShares
+ */
+function indexDefinition() {
+    return {
         settings: {
             number_of_shards: 1,
             number_of_replicas: 0,
@@ -46,230 +70,542 @@ async function createIndexWithMapping() {
             }
         },
         mappings: {
-            properties: {
-                // Join field for parent-child relationship
-                plan_join: {
-                    type: 'join',
-                    relations: {
-                        plan: ['planCostShares', 'linkedPlanServices'],
-                        linkedPlanServices: ['linkedService', 'planserviceCostShares']
-                    }
-                },
-                // Common fields
-                objectId: { type: 'keyword' },
-                objectType: { type: 'keyword' },
-                _org: { type: 'keyword' },
-
-                // Plan specific fields
-                planType: { type: 'keyword' },
-                creationDate: { type: 'keyword' },
-
-                // Cost share fields (for planCostShares and planserviceCostShares)
-                deductible: { type: 'integer' },
-                copay: { type: 'integer' },
-
-                // Service fields
-                name: { type: 'text', fields: { keyword: { type: 'keyword' } } }
-            }
+            _meta: { mappingVersion: MAPPING_VERSION },
+            ...searchMapping.mapping
         }
     };
+}
+
+/**
+ * Create a physical plan index with the current mapping, optionally with aliases
+ */
+async function createPhysicalIndex(index, aliases = {}) {
+    await getClient().indices.create({
+        index,
+        body: { ...indexDefinition(), aliases }
+    });
+    console.log(`Index '${index}' created with parent-child mapping (v${MAPPING_VERSION})`);
+}
+
+/**
+ * Indices behind an alias: [{ index, isWriteIndex }] (empty when the alias does not exist)
+ */
+async function getAliasIndices(alias) {
+    try {
+        const response = await getClient().indices.getAlias({ name: alias });
+        return Object.entries(response).map(([index, { aliases }]) => ({
+            index,
+            isWriteIndex: Boolean(aliases[alias] && aliases[alias].is_write_index)
+        }));
+    } catch (err) {
+        if (err && err.meta && err.meta.statusCode === 404) return [];
+        throw err;
+    }
+}
+
+/**
+ * Mapping version recorded on a physical index (1 for indices created before it was recorded)
+ */
+async function getMappingVersion(index) {
+    const response = await getClient().indices.getMapping({ index });
+    const meta = response[index].mappings._meta;
+    return meta && meta.mappingVersion ? meta.mappingVersion : 1;
+}
+
+/**
+ * Set up the plan index and its aliases (if not exists)
+ *  - new deployment: <INDEX_NAME>_v<MAPPING_VERSION> behind both aliases
+ *  - index created before aliases (a concrete INDEX_NAME index): the write alias is added to it
+ *    so it keeps serving until migrated
+ * Fields added to the plan schema since the index was created are added to its mapping;
+ * an older mapping version (or an incompatible change) needs a migration and is only reported
+ */
+async function createIndexWithMapping() {
+    const esClient = getClient();
+
+    if ((await getAliasIndices(WRITE_ALIAS)).length === 0) {
+        if (!(await esClient.indices.exists({ index: INDEX_NAME }))) {
+            await createPhysicalIndex(physicalIndexName(), {
+                [READ_ALIAS]: {},
+                [WRITE_ALIAS]: { is_write_index: true }
+            });
+            return;
+        }
+        await esClient.indices.putAlias({ index: INDEX_NAME, name: WRITE_ALIAS, body: { is_write_index: true } });
+        console.log(`Alias '${WRITE_ALIAS}' added to existing index '${INDEX_NAME}'`);
+    }
+
+    const [current] = await getAliasIndices(READ_ALIAS);
+    const index = current ? current.index : INDEX_NAME;
+    const version = await getMappingVersion(index);
+    if (version < MAPPING_VERSION) {
+        console.warn(`Index '${index}' has mapping v${version}, the code expects v${MAPPING_VERSION}: run npm run migrate:search-index`);
+        return;
+    }
+
+    try {
+        await esClient.indices.putMapping({ index, body: searchMapping.mapping });
+        console.log(`Index '${index}' already exists (mapping up to date)`);
+    } catch (err) {
+        if (!(err && err.meta && err.meta.statusCode === 400)) throw err;
+        console.warn(`Index '${index}' mapping conflicts with plan.schema.json (${err.message}): bump MAPPING_VERSION and run npm run migrate:search-index`);
+    }
+}
+
+/**
+ * Physical indices that plan writes go to, [{ index, versioned }] (cached for ES_ALIAS_REFRESH_MS)
+ * More than one while a migration dual-writes to the old and the new index
+ */
+async function getWriteTargets() {
+    if (!writeTargets || writeTargets.expiresAt <= Date.now()) {
+        const indices = (await getAliasIndices(WRITE_ALIAS)).map(({ index }) => index);
+        const targets = indices.length > 0
+            ? await Promise.all(indices.map(async index => ({
+                index,
+                versioned: await getMappingVersion(index) >= VERSIONED_DOCUMENTS_SINCE
+            })))
+            : [{ index: WRITE_ALIAS, versioned: true }];
+        writeTargets = { targets, expiresAt: Date.now() + WRITE_ALIAS_REFRESH_MS };
+    }
+    return writeTargets.targets;
+}
+
+async function getWriteIndices() {
+    return (await getWriteTargets()).map(({ index }) => index);
+}
+
+/**
+ * Create the plan version index used to order queue messages (if not exists)
+ */
+async function createVersionsIndex() {
+    const esClient = getClient();
+
+    if (await esClient.indices.exists({ index: VERSIONS_INDEX_NAME })) {
+        return;
+    }
 
     await esClient.indices.create({
-        index: INDEX_NAME,
-        body: mapping
+        index: VERSIONS_INDEX_NAME,
+        body: {
+            settings: { number_of_shards: 1, number_of_replicas: 0 },
+            mappings: {
+                properties: {
+                    planId: { type: 'keyword' },
+                    version: { type: 'long' },
+                    etag: { type: 'keyword' },
+                    deleted: { type: 'boolean' },
+                    confirmed: { type: 'boolean' },
+                    appliedAt: { type: 'date' }
+                }
+            }
+        }
+    });
+
+    console.log(`Index '${VERSIONS_INDEX_NAME}' created`);
+}
+
+function isVersionConflict(err) {
+    return err && err.name === 'ResponseError' && err.meta && err.meta.statusCode === 409;
+}
+
+async function writeVersion(planId, { version, etag = null }, deleted, confirmed) {
+    await getClient().index({
+        index: VERSIONS_INDEX_NAME,
+        id: planId,
+        version,
+        version_type: 'external_gte',
+        document: { planId, version, etag, deleted, confirmed, appliedAt: new Date().toISOString() }
     });
+}
 
-    console.log(`Index '${INDEX_NAME}' created with parent-child mapping`);
+/**
+ * Record that `version` of a plan is being applied, unless a newer version already was
+ * Uses external versioning (external_gte, so a retried message may re-apply its own version).
+ * Deletes leave the record as a tombstone, so a stale index arriving later is rejected too.
+ * The record stays unconfirmed until confirmVersion, i.e. until the documents were written.
+ * Returns false when the message is stale; messages without a version are always applied.
+ */
+async function claimVersion(planId, meta = {}, deleted = false) {
+    if (meta.version === undefined || meta.version === null) return true;
+
+    try {
+        await writeVersion(planId, meta, deleted, false);
+        return true;
+    } catch (err) {
+        if (isVersionConflict(err)) return false;
+        throw err;
+    }
+}
+
+/**
+ * Mark a claimed version as written to the index (a no-op once a newer version was claimed)
+ */
+async function confirmVersion(planId, meta = {}, deleted = false) {
+    if (meta.version === undefined || meta.version === null) return;
+
+    try {
+        await writeVersion(planId, meta, deleted, true);
+    } catch (err) {
+        if (!isVersionConflict(err)) throw err;
+    }
+}
+
+/**
+ * Latest applied version record for a plan, or null
+ */
+async function getIndexedVersion(planId) {
+    try {
+        const response = await getClient().get({ index: VERSIONS_INDEX_NAME, id: planId });
+        return response._source;
+    } catch (err) {
+        if (err && err.meta && err.meta.statusCode === 404) return null;
+        throw err;
+    }
 }
 
 /**
  * Index a plan document with all its children
  * Uses bulk API for efficiency
+ * meta: { version, etag } from the queue message; a version older than the one already
+ * applied is skipped ({ skipped: true })
  */
-async function indexPlan(planDocument) {
-    const esClient = getClient();
-    const operations = [];
+async function indexPlan(planDocument, meta = {}) {
+    if (!(await claimVersion(planDocument.objectId, meta))) {
+        return { skipped: true, planId: planDocument.objectId };
+    }
+    const result = await indexDocuments(planDocument, meta);
+    await confirmVersion(planDocument.objectId, meta);
+    return result;
+}
+
+/**
+ * External version fields for a document write of plan version `version` (none without one)
+ * external_gte lets a retried message re-apply its own version
+ */
+function versionFields(version) {
+    return version === undefined || version === null ? {} : { version, version_type: 'external_gte' };
+}
+
+/**
+ * Bulk operations (action/document pairs) indexing a plan and all its children
+ * The documents come from the plan schema (utils/searchMapping); all of them are routed by planId
+ * and carry the plan version
+ */
+function buildPlanOperations(planDocument, { version = null, etag = null } = {}) {
     const planId = planDocument.objectId;
 
-    // 1. Index the parent plan document
-    operations.push({
-        index: {
-            _index: INDEX_NAME,
-            _id: planId,
-            routing: planId // All children will use same routing
+    return searchMapping.extractDocuments(planDocument).flatMap(({ id, source }, i) => [
+        { index: { _id: id, routing: planId, ...versionFields(version) } },
+        // The root document also records the plan version / ETag it was indexed from
+        i === 0 ? { ...source, planVersion: version, planEtag: etag } : source
+    ]);
+}
+
+/**
+ * Send bulk items ([{ operation, document }], operations carry their _index)
+ * Version conflicts (a newer plan version is indexed) are expected and counted; other item
+ * failures throw E_BULK with the failed items. Returns { conflicts }
+ */
+async function runBulk(items, refresh = REFRESH_POLICY) {
+    if (items.length === 0) return { conflicts: 0 };
+    const operations = items.flatMap(({ operation, document }) => document ? [operation, document] : [operation]);
+    const bulkResponse = await getClient().bulk({ refresh, operations });
+
+    let conflicts = 0;
+    const erroredDocuments = [];
+    bulkResponse.items.forEach((action, i) => {
+        const operation = Object.keys(action)[0];
+        const result = action[operation];
+        if (!result.error) return;
+        if (result.status === 409 && result.error.type === 'version_conflict_engine_exception') {
+            conflicts++;
+            return;
         }
+        erroredDocuments.push({
+            status: result.status,
+            error: result.error,
+            operation: items[i].operation,
+            document: items[i].document
+        });
     });
-    operations.push({
-        objectId: planDocument.objectId,
-        objectType: planDocument.objectType,
-        _org: planDocument._org,
-        planType: planDocument.planType,
-        creationDate: planDocument.creationDate,
-        plan_join: {
-            name: 'plan'
+
+    if (erroredDocuments.length > 0) {
+        console.error('Bulk indexing errors:', erroredDocuments);
+        const err = new Error(`Bulk indexing failed: ${erroredDocuments.map(d => `${d.status} ${d.error.type}`).join(', ')}`);
+        err.code = 'E_BULK';
+        err.items = erroredDocuments;
+        throw err;
+    }
+    return { conflicts };
+}
+
+/**
+ * Run bulk operations (index actions with their document, delete actions; no _index) against
+ * every write index; indices from before VERSIONED_DOCUMENTS_SINCE are written without versions
+ * Returns { conflicts }
+ */
+async function executeBulk(planOperations, refresh = REFRESH_POLICY) {
+    // One entry per bulk item: { operation, document } (no document for deletes)
+    const items = [];
+    (await getWriteTargets()).forEach(({ index, versioned }) => {
+        for (let i = 0; i < planOperations.length; i++) {
+            const [type] = Object.keys(planOperations[i]);
+            const { version, version_type: versionType, ...action } = planOperations[i][type];
+            const operation = { [type]: { ...action, ...(versioned ? versionFields(version) : {}), _index: index } };
+            items.push(type === 'delete' ? { operation } : { operation, document: planOperations[++i] });
         }
     });
+    return runBulk(items, refresh);
+}
 
-    // 2. Index planCostShares as child of plan
-    if (planDocument.planCostShares) {
-        const costShare = planDocument.planCostShares;
-        operations.push({
-            index: {
-                _index: INDEX_NAME,
-                _id: costShare.objectId,
-                routing: planId
-            }
-        });
-        operations.push({
-            objectId: costShare.objectId,
-            objectType: costShare.objectType,
-            _org: costShare._org,
-            deductible: costShare.deductible,
-            copay: costShare.copay,
-            plan_join: {
-                name: 'planCostShares',
-                parent: planId
+/**
+ * Documents indexed for the given plans in the write indices: [{ index, id, planId }]
+ */
+async function findPlanDocuments(planIds) {
+    const found = [];
+    let searchAfter = null;
+
+    for (;;) {
+        const response = await getClient().search({
+            index: (await getWriteIndices()).join(','),
+            body: {
+                query: { terms: { _routing: planIds } },
+                _source: false,
+                sort: [{ objectId: 'asc' }, { _index: 'asc' }],
+                size: DOCUMENT_SCAN_SIZE,
+                ...(searchAfter ? { search_after: searchAfter } : {})
             }
         });
+
+        const hits = response.hits.hits;
+        hits.forEach(hit => found.push({ index: hit._index, id: hit._id, planId: hit._routing }));
+        if (hits.length < DOCUMENT_SCAN_SIZE) return found;
+        searchAfter = hits[hits.length - 1].sort;
     }
+}
 
-    // 3. Index linkedPlanServices and their children
-    if (planDocument.linkedPlanServices && Array.isArray(planDocument.linkedPlanServices)) {
-        for (const planService of planDocument.linkedPlanServices) {
-            const planServiceId = planService.objectId;
-
-            // Index planService as child of plan
-            operations.push({
-                index: {
-                    _index: INDEX_NAME,
-                    _id: planServiceId,
-                    routing: planId
-                }
-            });
-            operations.push({
-                objectId: planService.objectId,
-                objectType: planService.objectType,
-                _org: planService._org,
-                plan_join: {
-                    name: 'linkedPlanServices',
-                    parent: planId
+/**
+ * Delete the indexed documents of each plan that are not in its keep set
+ * plans: [{ planId, keep: Set of document ids, version }]. Deletes carry the plan version, so
+ * documents a newer version (re)wrote are left alone. Returns { deleted, conflicts }
+ */
+async function deleteStaleDocuments(plans, refresh = REFRESH_POLICY) {
+    if (plans.length === 0) return { deleted: 0, conflicts: 0 };
+    const byPlan = new Map(plans.map(plan => [plan.planId, plan]));
+    const unversioned = new Set((await getWriteTargets()).filter(t => !t.versioned).map(t => t.index));
+
+    const items = (await findPlanDocuments([...byPlan.keys()]))
+        .filter(({ id, planId }) => !byPlan.get(planId).keep.has(id))
+        .map(({ index, id, planId }) => ({
+            operation: {
+                delete: {
+                    _index: index,
+                    _id: id,
+                    routing: planId,
+                    ...(unversioned.has(index) ? {} : versionFields(byPlan.get(planId).version))
                 }
-            });
-
-            // Index linkedService as child of planService
-            if (planService.linkedService) {
-                const service = planService.linkedService;
-                operations.push({
-                    index: {
-                        _index: INDEX_NAME,
-                        _id: service.objectId,
-                        routing: planId
-                    }
-                });
-                operations.push({
-                    objectId: service.objectId,
-                    objectType: service.objectType,
-                    _org: service._org,
-                    name: service.name,
-                    plan_join: {
-                        name: 'linkedService',
-                        parent: planServiceId
-                    }
-                });
             }
+        }));
+    const { conflicts } = await runBulk(items, refresh);
+    return { deleted: items.length - conflicts, conflicts };
+}
 
-            // Index planserviceCostShares as child of planService
-            if (planService.planserviceCostShares) {
-                const serviceCostShare = planService.planserviceCostShares;
-                operations.push({
-                    index: {
-                        _index: INDEX_NAME,
-                        _id: serviceCostShare.objectId,
-                        routing: planId
-                    }
-                });
-                operations.push({
-                    objectId: serviceCostShare.objectId,
-                    objectType: serviceCostShare.objectType,
-                    _org: serviceCostShare._org,
-                    deductible: serviceCostShare.deductible,
-                    copay: serviceCostShare.copay,
-                    plan_join: {
-                        name: 'planserviceCostShares',
-                        parent: planServiceId
-                    }
-                });
-            }
-        }
+/**
+ * Ids of the documents indexed by bulk operations
+ */
+function documentIds(operations) {
+    return operations.filter(operation => operation.index).map(operation => operation.index._id);
+}
+
+/**
+ * Withdraw the documents a write just indexed when a newer version of the plan was claimed
+ * meanwhile: that writer may have finished before they landed and cannot know about the ones
+ * its plan does not have. The deletes carry the written version, so every document the newer
+ * version wrote stays. plans: [{ planId, version, ids }]
+ */
+async function withdrawSuperseded(plans, refresh = REFRESH_POLICY) {
+    const versioned = (await getWriteTargets()).filter(target => target.versioned);
+    const items = [];
+    for (const { planId, version, ids } of plans) {
+        if (version === undefined || version === null) continue;
+        const applied = await getIndexedVersion(planId);
+        if (!applied || applied.version <= version) continue;
+        console.log(`Plan ${planId} v${applied.version} was claimed while v${version} was written; withdrawing it`);
+        versioned.forEach(({ index }) => ids.forEach(id => items.push({
+            operation: { delete: { _index: index, _id: id, routing: planId, ...versionFields(version) } }
+        })));
     }
+    await runBulk(items, refresh);
+}
 
-    // Execute bulk operation
-    if (operations.length > 0) {
-        const bulkResponse = await esClient.bulk({
-            refresh: true,
-            operations
-        });
+/**
+ * Index every document of a plan, then delete its documents that are no longer part of it
+ * conflicts counts documents left alone because a newer plan version is indexed
+ */
+async function indexDocuments(planDocument, meta = {}) {
+    const planId = planDocument.objectId;
+    const operations = buildPlanOperations(planDocument, meta);
 
-        if (bulkResponse.errors) {
-            const erroredDocuments = [];
-            bulkResponse.items.forEach((action, i) => {
-                const operation = Object.keys(action)[0];
-                if (action[operation].error) {
-                    erroredDocuments.push({
-                        status: action[operation].status,
-                        error: action[operation].error,
-                        operation: operations[i * 2],
-                        document: operations[i * 2 + 1]
-                    });
-                }
-            });
-            console.error('Bulk indexing errors:', erroredDocuments);
-            throw new Error('Bulk indexing failed');
+    const written = await executeBulk(operations);
+    const keep = new Set(documentIds(operations));
+    const removed = await deleteStaleDocuments([{ planId, keep, version: meta.version }]);
+    await withdrawSuperseded([{ planId, version: meta.version, ids: [...keep] }]);
+    const conflicts = written.conflicts + removed.conflicts;
+    console.log(`Indexed plan ${planId} with ${operations.length / 2} documents (${removed.deleted} removed, ${conflicts} newer kept)`);
+
+    return { indexed: operations.length / 2 - written.conflicts, deleted: removed.deleted, conflicts, planId };
+}
+
+/**
+ * Delete a plan and all its children from the index
+ * All documents for a plan share the same routing key (planId)
+ * meta.version is recorded as a tombstone; a stale delete ({ skipped: true }) is ignored, and
+ * documents already written by a newer version survive it
+ */
+async function deletePlan(planId, meta = {}) {
+    if (!(await claimVersion(planId, meta, true))) {
+        return { skipped: true, planId };
+    }
+    const { deleted, conflicts } = await deleteStaleDocuments([{ planId, keep: new Set(), version: meta.version }], true);
+    console.log(`Deleted ${deleted} documents for plan ${planId}`);
+    await confirmVersion(planId, meta, true);
+    return { deleted, conflicts, planId };
+}
+
+/**
+ * Update/re-index a plan (used after PATCH / PUT operations; skipped when meta.version is stale)
+ * With meta.changes ({ changed, added, removed } objectIds) and the previous version confirmed
+ * as written, only those documents (and the plan document, for planVersion / planEtag) are
+ * written. Otherwise, e.g. after a lost message or a failed write of the previous version,
+ * all documents are re-indexed and the ones the plan no longer has deleted.
+ */
+async function updatePlan(planDocument, meta = {}) {
+    const planId = planDocument.objectId;
+    const applied = meta.changes ? await getIndexedVersion(planId) : null;
+
+    if (!(await claimVersion(planId, meta))) {
+        return { skipped: true, planId };
+    }
+
+    let result;
+    if (applied && applied.confirmed === true && !applied.deleted && applied.version === meta.version - 1) {
+        result = await applyChanges(planDocument, meta);
+    } else {
+        // Re-index every document, then drop the ones the plan no longer has
+        result = await indexDocuments(planDocument, meta);
+    }
+
+    await confirmVersion(planId, meta);
+    return result;
+}
+
+/**
+ * One bulk request re-indexing the plan document and its changed/added children and
+ * deleting the removed ones
+ */
+async function applyChanges(planDocument, { changes, ...meta }) {
+    const planId = planDocument.objectId;
+    const touched = new Set([planId, ...changes.changed, ...changes.added]);
+
+    const planOperations = buildPlanOperations(planDocument, meta);
+    const operations = [];
+    let indexed = 0;
+    for (let i = 0; i < planOperations.length; i += 2) {
+        if (touched.has(planOperations[i].index._id)) {
+            operations.push(planOperations[i], planOperations[i + 1]);
+            indexed++;
         }
+    }
+    changes.removed.forEach(objectId => {
+        operations.push({ delete: { _id: objectId, routing: planId, ...versionFields(meta.version) } });
+    });
+
+    const { conflicts } = await executeBulk(operations);
+    await withdrawSuperseded([{ planId, version: meta.version, ids: documentIds(operations) }]);
+    console.log(`Updated plan ${planId}: ${indexed} documents indexed, ${changes.removed.length} deleted, ${conflicts} newer kept`);
 
-        console.log(`Indexed plan ${planId} with ${operations.length / 2} documents`);
+    return { indexed, deleted: changes.removed.length, conflicts, planId, incremental: true };
+}
+
+/**
+ * Replace several plans in one pass (reindex / reconcile)
+ * entries: [{ document, version, etag }]. The current documents of every plan are indexed in a
+ * single bulk request and the documents they no longer have deleted; plans whose version is
+ * older than the one already applied are skipped. Returns { indexed, skipped }
+ */
+async function replacePlans(entries, { refresh = false } = {}) {
+    const claimed = [];
+    for (const entry of entries) {
+        if (await claimVersion(entry.document.objectId, entry)) claimed.push(entry);
+    }
+    if (claimed.length === 0) return { indexed: 0, skipped: entries.length };
+
+    const plans = claimed.map(entry => ({
+        entry,
+        operations: buildPlanOperations(entry.document, entry)
+    }));
+    await executeBulk(plans.flatMap(({ operations }) => operations), refresh);
+    await deleteStaleDocuments(plans.map(({ entry, operations }) => ({
+        planId: entry.document.objectId,
+        keep: new Set(documentIds(operations)),
+        version: entry.version
+    })), refresh);
+    await withdrawSuperseded(plans.map(({ entry, operations }) => ({
+        planId: entry.document.objectId,
+        version: entry.version,
+        ids: documentIds(operations)
+    })), refresh);
+    for (const entry of claimed) {
+        await confirmVersion(entry.document.objectId, entry);
     }
 
-    return { indexed: operations.length / 2, planId };
+    return { indexed: claimed.length, skipped: entries.length - claimed.length };
 }
 
 /**
- * Delete a plan and all its children from the index
- * All documents for a plan share the same routing key (planId)
- * So we can delete all documents with that routing
+ * Indexed plan documents by id: Map planId => { planEtag, planVersion } (missing ids are absent)
  */
-async function deletePlan(planId) {
-    const esClient = getClient();
+async function getIndexedPlans(planIds) {
+    if (planIds.length === 0) return new Map();
 
-    // Delete ALL documents with this routing (plan and all children share same routing)
-    const response = await esClient.deleteByQuery({
-        index: INDEX_NAME,
-        routing: planId,
-        refresh: true,
-        conflicts: 'proceed',
+    const response = await getClient().mget({
+        index: READ_ALIAS,
         body: {
-            query: {
-                match_all: {}
-            }
+            docs: planIds.map(id => ({ _id: id, routing: id, _source: ['planEtag', 'planVersion'] }))
         }
     });
 
-    console.log(`Deleted ${response.deleted} documents for plan ${planId}`);
-    return { deleted: response.deleted, planId };
+    const indexed = new Map();
+    response.docs.forEach(doc => {
+        if (doc.found) indexed.set(doc._id, doc._source || {});
+    });
+    return indexed;
 }
 
 /**
- * Update/re-index a plan (used after PATCH operations)
- * Deletes existing and re-indexes with new data
+ * Walk the ids of every indexed plan (parent) document in batches
  */
-async function updatePlan(planDocument) {
-    const planId = planDocument.objectId;
-
-    // Delete existing documents for this plan
-    await deletePlan(planId);
+async function scanIndexedPlanIds(onBatch, batchSize = 1000) {
+    let searchAfter = null;
+
+    for (;;) {
+        const response = await getClient().search({
+            index: READ_ALIAS,
+            body: {
+                query: { term: { [searchMapping.JOIN_FIELD]: searchMapping.ROOT_RELATION } },
+                _source: false,
+                sort: [{ objectId: 'asc' }],
+                size: batchSize,
+                ...(searchAfter ? { search_after: searchAfter } : {})
+            }
+        });
 
-    // Re-index with updated data
-    return await indexPlan(planDocument);
+        const hits = response.hits.hits;
+        if (hits.length === 0) return;
+        await onBatch(hits.map(hit => hit._id));
+        if (hits.length < batchSize) return;
+        searchAfter = hits[hits.length - 1].sort;
+    }
 }
 
 /**
@@ -279,7 +615,7 @@ async function searchPlans(query) {
     const esClient = getClient();
 
     const response = await esClient.search({
-        index: INDEX_NAME,
+        index: READ_ALIAS,
         body: query
     });
 
@@ -296,28 +632,31 @@ async function searchPlans(query) {
 
 /**
  * Get all children of a plan
+ * filter (optional) is an extra filter clause, e.g. the caller's _org restriction
  */
-async function getPlanWithChildren(planId) {
+async function getPlanWithChildren(planId, filter = null) {
     const esClient = getClient();
 
+    const query = {
+        bool: {
+            should: [
+                { term: { objectId: planId } },
+                {
+                    has_parent: {
+                        parent_type: 'plan',
+                        query: { term: { objectId: planId } },
+                        inner_hits: {}
+                    }
+                }
+            ]
+        }
+    };
+
     const response = await esClient.search({
-        index: INDEX_NAME,
+        index: READ_ALIAS,
         routing: planId,
         body: {
-            query: {
-                bool: {
-                    should: [
-                        { term: { objectId: planId } },
-                        {
-                            has_parent: {
-                                parent_type: 'plan',
-                                query: { term: { objectId: planId } },
-                                inner_hits: {}
-                            }
-                        }
-                    ]
-                }
-            },
+            query: filter ? { bool: { must: [query], filter: [filter] } } : query,
             size: 100
         }
     });
@@ -328,6 +667,26 @@ async function getPlanWithChildren(planId) {
     }));
 }
 
+/**
+ * Whether an indexing error is worth retrying
+ * Retryable: connection problems, timeouts, 408/429 and 5xx responses (also per bulk item)
+ * Permanent: mapping/parsing errors and other 4xx responses, and anything unrecognised
+ */
+function isRetryableError(err) {
+    const retryableStatus = status => status === 408 || status === 429 || status >= 500;
+
+    if (err && err.code === 'E_BULK') {
+        return err.items.some(item => retryableStatus(item.status));
+    }
+    if (err && ['ConnectionError', 'TimeoutError', 'NoLivingConnectionsError', 'RequestAbortedError'].includes(err.name)) {
+        return true;
+    }
+    if (err && err.name === 'ResponseError') {
+        return retryableStatus(err.meta && err.meta.statusCode);
+    }
+    return false;
+}
+
 /**
  * Health check for Elasticsearch
  */
@@ -347,6 +706,7 @@ async function healthCheck() {
 async function initialize() {
     try {
         await createIndexWithMapping();
+        await createVersionsIndex();
         console.log('Elasticsearch service initialized');
     } catch (error) {
         console.error('Failed to initialize Elasticsearch:', error.message);
@@ -356,13 +716,29 @@ async function initialize() {
 
 module.exports = {
     getClient,
+    physicalIndexName,
+    createPhysicalIndex,
+    getAliasIndices,
+    getMappingVersion,
     createIndexWithMapping,
+    createVersionsIndex,
+    getIndexedVersion,
     indexPlan,
     deletePlan,
     updatePlan,
+    replacePlans,
+    getIndexedPlans,
+    scanIndexedPlanIds,
     searchPlans,
     getPlanWithChildren,
+    isRetryableError,
     healthCheck,
     initialize,
-    INDEX_NAME
+    INDEX_NAME,
+    READ_ALIAS,
+    WRITE_ALIAS,
+    MAPPING_VERSION,
+    VERSIONED_DOCUMENTS_SINCE,
+    WRITE_ALIAS_REFRESH_MS,
+    VERSIONS_INDEX_NAME
 };
@@ -0,0 +1,104 @@
+// services/eventStreamService.js
+/**
+ * Live plan change notifications for Server-Sent Events
+ * Every API instance binds its own queue to plan_exchange (plan.event), so each one sees
+ * all events no matter which instance made the write. The last SSE_REPLAY_BUFFER events
+ * are kept in memory for Last-Event-ID resume; since all instances receive the same events
+ * an id from one instance is usually found on another.
+ */
+const rabbitmqService = require('./rabbitmqService');
+const tenantService = require('./tenantService');
+
+const REPLAY_BUFFER_SIZE = Number(process.env.SSE_REPLAY_BUFFER) || 1000;
+const RESUBSCRIBE_DELAY_MS = 5000;
+
+const listeners = new Set();
+const buffer = [];
+let subscribing = null;
+let subscribed = false;
+let retryTimer = null;
+
+/**
+ * Notification pushed to clients: the event without its diff
+ */
+function toNotification(event) {
+    const { diff, ...notification } = event;
+    return notification;
+}
+
+function receive(event) {
+    const notification = toNotification(event);
+    buffer.push(notification);
+    if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+
+    for (const listener of listeners) {
+        try {
+            listener(notification);
+        } catch (err) {
+            console.error('Event listener error:', err.message);
+        }
+    }
+}
+
+function scheduleResubscribe() {
+    subscribed = false;
+    if (retryTimer) return;
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        start().catch(err => console.error('Event stream resubscribe failed:', err.message));
+    }, RESUBSCRIBE_DELAY_MS);
+    retryTimer.unref();
+}
+
+/**
+ * Bind this instance to the event fan-out (idempotent; retried after a broker disconnect)
+ */
+async function start() {
+    if (subscribed) return;
+    if (!subscribing) {
+        subscribing = rabbitmqService.subscribeToEvents(receive, scheduleResubscribe)
+            .then(() => { subscribed = true; })
+            .catch(err => {
+                scheduleResubscribe();
+                throw err;
+            })
+            .finally(() => { subscribing = null; });
+    }
+    return subscribing;
+}
+
+/**
+ * Events a client may see: the tenant's orgs, optionally one org and/or one plan
+ */
+function matcher({ tenant, org, planId } = {}) {
+    return event =>
+        tenantService.isOrgAllowed(tenant, event.org) &&
+        (!org || event.org === org) &&
+        (!planId || event.planId === planId);
+}
+
+/**
+ * Buffered events after lastEventId that pass the filter, or null when the id is no longer buffered
+ */
+function eventsSince(lastEventId, filter) {
+    const index = buffer.findIndex(event => event.id === lastEventId);
+    if (index === -1) return null;
+    return buffer.slice(index + 1).filter(filter);
+}
+
+/**
+ * Register a listener for new events passing filter; returns the unsubscribe function
+ */
+function subscribe(filter, listener) {
+    const wrapped = event => { if (filter(event)) listener(event); };
+    listeners.add(wrapped);
+    start().catch(err => console.error('Event stream unavailable:', err.message));
+    return () => listeners.delete(wrapped);
+}
+
+module.exports = {
+    start,
+    matcher,
+    eventsSince,
+    subscribe
+};
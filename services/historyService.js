@@ -0,0 +1,117 @@
+// services/historyService.js
+/**
+ * Immutable plan version history
+ * Each create/update/delete appends a snapshot to the planhistory:<planId> list
+ * inside the same MULTI as the write, so version n is element n-1 of the list.
+ * History is kept after a plan is deleted so past states stay answerable.
+ * Reads take options.tenant and only return snapshots of orgs the tenant may use, since a
+ * purged objectId can be re-created by another org and continue the same history.
+ * A delete snapshot belongs to the org of the document it deleted.
+ */
+const redisClient = require('../models/redisClient');
+const { diff } = require('../utils/jsonDiff');
+const tenantService = require('./tenantService');
+
+function historyKeyFor(planId) { return `planhistory:${planId}`; }
+
+/**
+ * Next version number for a plan (call after WATCHing historyKeyFor(planId))
+ */
+async function nextVersion(planId) {
+    const length = await redisClient.lLen(historyKeyFor(planId));
+    return length + 1;
+}
+
+/**
+ * Append a snapshot: { version, operation, etag, timestamp, actor, document }
+ * document is null for deletes
+ */
+function addSnapshotToMulti(multi, planId, snapshot) {
+    multi.rPush(historyKeyFor(planId), JSON.stringify(snapshot));
+}
+
+function summarize(snapshot) {
+    const { document, ...summary } = snapshot;
+    return summary;
+}
+
+async function loadSnapshots(planId) {
+    const raws = await redisClient.lRange(historyKeyFor(planId), 0, -1);
+    return raws.map(raw => JSON.parse(raw));
+}
+
+/**
+ * Snapshots the tenant may read, oldest first
+ */
+function visibleSnapshots(snapshots, tenant) {
+    if (tenantService.allowedOrgs(tenant) === null) return snapshots;
+    let org;
+    return snapshots.filter(snapshot => {
+        if (snapshot.document) org = snapshot.document._org;
+        return org !== undefined && tenantService.isOrgAllowed(tenant, org);
+    });
+}
+
+/**
+ * List version metadata (without documents), oldest first
+ */
+async function listVersions(planId, { tenant } = {}) {
+    const snapshots = await loadSnapshots(planId);
+    return visibleSnapshots(snapshots, tenant).map(summarize);
+}
+
+/**
+ * Get a single snapshot by version number (1-based)
+ */
+async function getVersion(planId, version, { tenant } = {}) {
+    if (!Number.isInteger(version) || version < 1) return null;
+    if (tenantService.allowedOrgs(tenant) !== null) {
+        const snapshots = await loadSnapshots(planId);
+        return visibleSnapshots(snapshots.slice(0, version), tenant)
+            .find(snapshot => snapshot.version === version) || null;
+    }
+    const raw = await redisClient.lIndex(historyKeyFor(planId), version - 1);
+    return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Latest snapshot at or before a point in time (epoch ms)
+ * null when the plan at that time belonged to an org the tenant may not use
+ */
+async function getAsOf(planId, timestampMs, { tenant } = {}) {
+    const snapshots = await loadSnapshots(planId);
+    let count = 0;
+    while (count < snapshots.length && Date.parse(snapshots[count].timestamp) <= timestampMs) count++;
+    if (count === 0) return null;
+
+    const visible = visibleSnapshots(snapshots.slice(0, count), tenant);
+    const match = snapshots[count - 1];
+    return visible[visible.length - 1] === match ? match : null;
+}
+
+/**
+ * Field-level diff between two versions (deleted states diff as null)
+ */
+async function diffVersions(planId, fromVersion, toVersion, options = {}) {
+    const [from, to] = await Promise.all([
+        getVersion(planId, fromVersion, options),
+        getVersion(planId, toVersion, options)
+    ]);
+    if (!from || !to) return null;
+
+    return {
+        from: summarize(from),
+        to: summarize(to),
+        changes: diff(from.document, to.document)
+    };
+}
+
+module.exports = {
+    historyKeyFor,
+    nextVersion,
+    addSnapshotToMulti,
+    listVersions,
+    getVersion,
+    getAsOf,
+    diffVersions
+};
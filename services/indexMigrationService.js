@@ -0,0 +1,240 @@
+// services/indexMigrationService.js
+/**
+ * Zero-downtime migrations of the plan search index to a new mapping version
+ * Plan documents live in physical indices <ES_INDEX_NAME>_v<N>; searches read the
+ * <ES_INDEX_NAME> alias and the indexing worker writes through <ES_INDEX_NAME>_write.
+ * migrate:
+ *  1. creates <ES_INDEX_NAME>_v<MAPPING_VERSION> with the mapping in the code
+ *  2. adds it to the write alias, so every write goes to both indices (dual-write), and waits
+ *     until all processes picked that up (ES_ALIAS_REFRESH_MS)
+ *  3. copies the current index into it with _reindex (documents dual-written meanwhile win)
+ *  4. verifies both indices hold the same number of documents
+ *  5. swaps both aliases to the new index in one atomic _aliases call; the old index stays
+ *     on the write alias so it is kept up to date for a rollback
+ * rollback points the aliases back at the old index, finalize stops writing to it.
+ * The versions index (ES_VERSIONS_INDEX_NAME) is shared by all physical indices: it records
+ * which plan version was applied, and dual-writes apply each version to every index at once.
+ */
+const elasticsearchService = require('./elasticsearchService');
+
+const { READ_ALIAS, WRITE_ALIAS } = elasticsearchService;
+const TASK_POLL_MS = 2000;
+const VERIFY_ATTEMPTS = 5;
+
+function migrationError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function countDocuments(index) {
+    const esClient = elasticsearchService.getClient();
+    await esClient.indices.refresh({ index });
+    return (await esClient.count({ index })).count;
+}
+
+async function updateAliases(actions) {
+    await elasticsearchService.getClient().indices.updateAliases({ body: { actions } });
+}
+
+/**
+ * Current index layout: { readIndex, writeIndex, previousIndices, mappingVersion,
+ * codeMappingVersion, documents: { <index>: count } }
+ * previousIndices are old indices still dual-written (a rollback target after migrate)
+ */
+async function getStatus() {
+    const [readIndices, writeIndices] = await Promise.all([
+        elasticsearchService.getAliasIndices(READ_ALIAS),
+        elasticsearchService.getAliasIndices(WRITE_ALIAS)
+    ]);
+    let readIndex = readIndices.length > 0 ? readIndices[0].index : null;
+    // A concrete index named like the read alias predates aliases
+    if (!readIndex && await elasticsearchService.getClient().indices.exists({ index: READ_ALIAS })) {
+        readIndex = READ_ALIAS;
+    }
+    const writeIndex = writeIndices.find(entry => entry.isWriteIndex) || writeIndices[0] || null;
+
+    const documents = {};
+    for (const { index } of writeIndices) {
+        documents[index] = await countDocuments(index);
+    }
+
+    return {
+        readAlias: READ_ALIAS,
+        writeAlias: WRITE_ALIAS,
+        readIndex,
+        writeIndex: writeIndex ? writeIndex.index : null,
+        previousIndices: writeIndices.map(({ index }) => index).filter(index => index !== readIndex),
+        mappingVersion: readIndex ? await elasticsearchService.getMappingVersion(readIndex) : null,
+        codeMappingVersion: elasticsearchService.MAPPING_VERSION,
+        documents
+    };
+}
+
+/**
+ * Copy every document of source into dest (creating only documents dest does not have yet)
+ * Documents of a versioned source keep their plan version, so dual-written newer ones win
+ */
+async function copyDocuments(source, dest, onProgress) {
+    const esClient = elasticsearchService.getClient();
+    const versioned = await elasticsearchService.getMappingVersion(source) >= elasticsearchService.VERSIONED_DOCUMENTS_SINCE;
+    const { task } = await esClient.reindex({
+        wait_for_completion: false,
+        refresh: true,
+        body: {
+            conflicts: 'proceed',
+            source: { index: source },
+            dest: versioned ? { index: dest, version_type: 'external' } : { index: dest, op_type: 'create' }
+        }
+    });
+
+    for (;;) {
+        const { completed, response, task: state, error } = await esClient.tasks.get({ task_id: task });
+        if (error) throw migrationError('E_MIGRATION_FAILED', `reindex failed: ${error.reason || error.type}`);
+        const status = completed ? response : state.status;
+        onProgress(`copied ${status.created + status.updated + status.version_conflicts}/${status.total} documents`);
+        if (completed) {
+            if (response.failures && response.failures.length > 0) {
+                throw migrationError('E_MIGRATION_FAILED', `reindex failed for ${response.failures.length} documents`);
+            }
+            return;
+        }
+        await sleep(TASK_POLL_MS);
+    }
+}
+
+/**
+ * Compare document counts; dual-writes may land between the two counts, so a mismatch is
+ * rechecked a few times before giving up
+ */
+async function verifyCounts(source, dest, onProgress) {
+    let counts = null;
+    for (let attempt = 1; attempt <= VERIFY_ATTEMPTS; attempt++) {
+        counts = { [source]: await countDocuments(source), [dest]: await countDocuments(dest) };
+        onProgress(`verify: ${source}=${counts[source]}, ${dest}=${counts[dest]}`);
+        if (counts[source] === counts[dest]) return counts;
+        await sleep(TASK_POLL_MS);
+    }
+    const err = migrationError('E_MIGRATION_VERIFY', `document counts differ: ${JSON.stringify(counts)}`);
+    err.counts = counts;
+    throw err;
+}
+
+/**
+ * Migrate to a fresh index with the current mapping and swap the aliases to it
+ * Returns { from, to, documents, rollbackAvailable }; throws E_MIGRATION_FAILED / E_MIGRATION_VERIFY after
+ * removing the new index again (reads and writes are unaffected)
+ */
+async function migrate({ onProgress = () => {} } = {}) {
+    const esClient = elasticsearchService.getClient();
+    const status = await getStatus();
+    const target = elasticsearchService.physicalIndexName();
+
+    if (!status.readIndex || !status.writeIndex) {
+        throw migrationError('E_MIGRATION_FAILED', `aliases ${READ_ALIAS} / ${WRITE_ALIAS} are not set up; start the API or worker once first`);
+    }
+    if (status.readIndex === target) {
+        throw migrationError('E_MIGRATION_CURRENT', `${READ_ALIAS} already points at ${target}`);
+    }
+    // The target itself is only on the write alias when an earlier run was interrupted
+    const pending = status.previousIndices.filter(index => index !== target);
+    if (pending.length > 0) {
+        throw migrationError('E_MIGRATION_PENDING', `still dual-writing to ${pending.join(', ')}; finalize or roll back first`);
+    }
+
+    const source = status.readIndex;
+    // A legacy concrete index is replaced by the read alias, so it cannot be rolled back to
+    const legacy = source === READ_ALIAS;
+
+    if (await esClient.indices.exists({ index: target })) {
+        onProgress(`removing leftover index ${target}`);
+        await esClient.indices.delete({ index: target });
+    }
+    await elasticsearchService.createPhysicalIndex(target);
+
+    try {
+        onProgress(`dual-writing to ${source} and ${target}`);
+        await updateAliases([
+            { add: { index: source, alias: WRITE_ALIAS, is_write_index: true } },
+            { add: { index: target, alias: WRITE_ALIAS, is_write_index: false } }
+        ]);
+        await sleep(elasticsearchService.WRITE_ALIAS_REFRESH_MS + 1000);
+
+        await copyDocuments(source, target, onProgress);
+        const documents = await verifyCounts(source, target, onProgress);
+
+        onProgress(`switching ${READ_ALIAS} and ${WRITE_ALIAS} to ${target}`);
+        await updateAliases(legacy
+            ? [
+                { remove_index: { index: source } },
+                { add: { index: target, alias: READ_ALIAS } },
+                { add: { index: target, alias: WRITE_ALIAS, is_write_index: true } }
+            ]
+            : [
+                { remove: { index: source, alias: READ_ALIAS } },
+                { add: { index: target, alias: READ_ALIAS } },
+                { add: { index: target, alias: WRITE_ALIAS, is_write_index: true } },
+                { add: { index: source, alias: WRITE_ALIAS, is_write_index: false } }
+            ]);
+
+        return { from: source, to: target, documents, rollbackAvailable: !legacy };
+    } catch (err) {
+        onProgress(`migration failed, removing ${target}`);
+        await esClient.indices.delete({ index: target });
+        throw err;
+    }
+}
+
+/**
+ * Point both aliases back at the index migrated from and stop writing to the newer one
+ * (which is kept for inspection). Returns { from, to }
+ */
+async function rollback() {
+    const status = await getStatus();
+    if (status.previousIndices.length !== 1) {
+        throw migrationError('E_NO_ROLLBACK', 'there is no previous index to roll back to');
+    }
+    const [previous] = status.previousIndices;
+    // An interrupted migrate leaves its (newer, incomplete) index on the write alias
+    const [previousVersion, currentVersion] = await Promise.all([
+        elasticsearchService.getMappingVersion(previous),
+        elasticsearchService.getMappingVersion(status.readIndex)
+    ]);
+    if (previousVersion >= currentVersion) {
+        throw migrationError('E_NO_ROLLBACK', `${previous} is not an older index; re-run migrate to clean up an interrupted migration`);
+    }
+
+    await updateAliases([
+        { remove: { index: status.readIndex, alias: READ_ALIAS } },
+        { remove: { index: status.readIndex, alias: WRITE_ALIAS } },
+        { add: { index: previous, alias: READ_ALIAS } },
+        { add: { index: previous, alias: WRITE_ALIAS, is_write_index: true } }
+    ]);
+    return { from: status.readIndex, to: previous };
+}
+
+/**
+ * Stop dual-writing to the previous index, and optionally delete it; rollback is no longer
+ * possible afterwards. Returns { removed: [indices], deleted }
+ */
+async function finalize({ deleteOld = false } = {}) {
+    const status = await getStatus();
+    if (status.previousIndices.length === 0) return { removed: [], deleted: false };
+
+    await updateAliases(status.previousIndices.map(index => ({ remove: { index, alias: WRITE_ALIAS } })));
+    if (deleteOld) {
+        await elasticsearchService.getClient().indices.delete({ index: status.previousIndices.join(',') });
+    }
+    return { removed: status.previousIndices, deleted: deleteOld };
+}
+
+module.exports = {
+    getStatus,
+    migrate,
+    rollback,
+    finalize
+};
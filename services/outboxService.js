@@ -0,0 +1,220 @@
+// services/outboxService.js
+/**
+ * Transactional outbox for queue messages
+ * Plan writes add their indexing message and lifecycle event to the outbox inside the same
+ * MULTI as the plan objects, so a committed write always has its messages. The relay publishes
+ * pending entries to plan_exchange in order, with publisher confirms, and removes an entry only
+ * after the broker acknowledged it (delivery is at-least-once).
+ * Redis layout:
+ *  - outbox:plans       stream of pending entries { routingKey, message }; the server-assigned
+ *                       entry id orders them and carries the enqueue time
+ *  - outbox:relay:lock  short-lived lock so one relay publishes at a time across instances
+ *  - outbox:attempts    hash entry id => publishes the broker refused so far
+ *  - outbox:plans:dead  entries moved aside: unreadable ones at once, refused ones after
+ *                       OUTBOX_MAX_ATTEMPTS; adds entryId, reason, attempts and failedAt
+ */
+const crypto = require('crypto');
+const redisClient = require('../models/redisClient');
+const rabbitmqService = require('./rabbitmqService');
+
+const STREAM_KEY = 'outbox:plans';
+const DEAD_STREAM_KEY = 'outbox:plans:dead';
+const ATTEMPTS_KEY = 'outbox:attempts';
+const LOCK_KEY = 'outbox:relay:lock';
+
+const RELAY_INTERVAL_MS = Number(process.env.OUTBOX_RELAY_INTERVAL_MS) || 1000;
+const BATCH_SIZE = Number(process.env.OUTBOX_BATCH_SIZE) || 100;
+const LOCK_TTL_MS = 30000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+
+// Extend / release the relay lock only while it still holds this relay's token
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+let relayTimer = null;
+let relaying = null;
+let rerun = false;
+
+function addEntryToMulti(multi, routingKey, message) {
+    multi.xAdd(STREAM_KEY, '*', { routingKey, message: JSON.stringify(message) });
+}
+
+/**
+ * Queue an indexing message ('index' | 'update' | 'delete') on a MULTI
+ * meta: { version, etag } of the plan after the write (updates: also changes)
+ */
+function addIndexOperationToMulti(multi, operation, data, meta) {
+    addEntryToMulti(multi, rabbitmqService.ROUTING_KEY, rabbitmqService.buildMessage(operation, data, meta));
+}
+
+/**
+ * Queue a plan lifecycle event on a MULTI
+ */
+function addEventToMulti(multi, event) {
+    addEntryToMulti(multi, rabbitmqService.EVENT_ROUTING_KEY, rabbitmqService.buildEvent(event));
+}
+
+/**
+ * Extend the relay lock; false when it expired and another relay may hold it now
+ */
+async function extendLock(lockToken) {
+    const extended = await redisClient.eval(EXTEND_LOCK_SCRIPT, {
+        keys: [LOCK_KEY],
+        arguments: [lockToken, String(LOCK_TTL_MS)]
+    });
+    return Number(extended) === 1;
+}
+
+async function releaseLock(lockToken) {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [LOCK_KEY], arguments: [lockToken] });
+}
+
+/**
+ * Move an entry that can never be published to the dead-letter stream, so it stops blocking
+ * the entries behind it
+ */
+async function deadLetter(id, fields, reason, attempts) {
+    console.error(`Outbox entry ${id} moved to ${DEAD_STREAM_KEY} after ${attempts} attempt(s): ${reason}`);
+    await redisClient.multi()
+        .xAdd(DEAD_STREAM_KEY, '*', {
+            ...fields,
+            entryId: id,
+            reason,
+            attempts: String(attempts),
+            failedAt: new Date().toISOString()
+        })
+        .xDel(STREAM_KEY, id)
+        .hDel(ATTEMPTS_KEY, id)
+        .exec();
+}
+
+/**
+ * Publish pending entries oldest first until the outbox is empty, the broker fails or the
+ * lock is lost. Returns the number of entries published
+ */
+async function relayPending() {
+    const lockToken = crypto.randomUUID();
+    const locked = await redisClient.set(LOCK_KEY, lockToken, { NX: true, PX: LOCK_TTL_MS });
+    if (!locked) return 0;
+
+    let published = 0;
+    try {
+        for (;;) {
+            const entries = await redisClient.xRange(STREAM_KEY, '-', '+', { COUNT: BATCH_SIZE });
+            if (entries.length === 0) break;
+
+            for (const { id, message: fields } of entries) {
+                // Another relay that took over an expired lock publishes the rest
+                if (!(await extendLock(lockToken))) {
+                    console.warn('Outbox relay lock lost; stopping this run');
+                    return published;
+                }
+                let message;
+                try {
+                    message = JSON.parse(fields.message);
+                } catch (err) {
+                    await deadLetter(id, fields, `unreadable message: ${err.message}`, 1);
+                    continue;
+                }
+                if (!fields.routingKey) {
+                    await deadLetter(id, fields, 'missing routing key', 1);
+                    continue;
+                }
+
+                try {
+                    await rabbitmqService.publishConfirmed(fields.routingKey, message);
+                } catch (err) {
+                    // A failure stops the run so later messages for a plan are never published ahead
+                    // of it; only a message the broker keeps refusing is eventually moved aside
+                    if (!err.rejected) throw err;
+                    const attempts = await redisClient.hIncrBy(ATTEMPTS_KEY, id, 1);
+                    if (attempts < MAX_ATTEMPTS) throw err;
+                    await deadLetter(id, fields, err.message, attempts);
+                    continue;
+                }
+                await redisClient.multi().xDel(STREAM_KEY, id).hDel(ATTEMPTS_KEY, id).exec();
+                published++;
+            }
+        }
+    } finally {
+        await releaseLock(lockToken);
+    }
+    return published;
+}
+
+/**
+ * Run the relay now (coalesced with a run already in progress); errors are logged
+ * and the entries stay pending for the next run
+ */
+function kick() {
+    if (relaying) {
+        rerun = true;
+        return relaying;
+    }
+    relaying = relayPending()
+        .catch(err => {
+            console.error('Outbox relay error:', err.message);
+            return 0;
+        })
+        .finally(() => {
+            relaying = null;
+            if (rerun) {
+                rerun = false;
+                kick();
+            }
+        });
+    return relaying;
+}
+
+/**
+ * Poll the outbox every OUTBOX_RELAY_INTERVAL_MS (picks up entries left by failures or other instances)
+ */
+function startRelay() {
+    if (relayTimer) return;
+    relayTimer = setInterval(kick, RELAY_INTERVAL_MS);
+    relayTimer.unref();
+    kick();
+}
+
+function stopRelay() {
+    clearInterval(relayTimer);
+    relayTimer = null;
+}
+
+/**
+ * Outbox depth, the age of the oldest pending entry and the number of dead-lettered entries
+ */
+async function getStats() {
+    const [depth, oldest, dead] = await Promise.all([
+        redisClient.xLen(STREAM_KEY),
+        redisClient.xRange(STREAM_KEY, '-', '+', { COUNT: 1 }),
+        redisClient.xLen(DEAD_STREAM_KEY)
+    ]);
+    const oldestEnqueuedAt = oldest.length > 0 ? Number(oldest[0].id.split('-')[0]) : null;
+    return {
+        depth,
+        dead,
+        oldestEnqueuedAt: oldestEnqueuedAt !== null ? new Date(oldestEnqueuedAt).toISOString() : null,
+        oldestAgeMs: oldestEnqueuedAt !== null ? Math.max(0, Date.now() - oldestEnqueuedAt) : null
+    };
+}
+
+module.exports = {
+    STREAM_KEY,
+    DEAD_STREAM_KEY,
+    addIndexOperationToMulti,
+    addEventToMulti,
+    relayPending,
+    kick,
+    startRelay,
+    stopRelay,
+    getStats
+};
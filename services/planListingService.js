@@ -0,0 +1,309 @@
+// services/planListingService.js
+/**
+ * Plan collection indexes for GET /v1/plans
+ * Kept in sync by planService inside the same MULTI as the plan objects:
+ *  - plans:createdAt / plans:lastModified  (sorted sets, score = epoch ms)
+ *  - plans:org:<org>:<sort> / plans:planType:<t>:<sort>
+ *                                          (the same per org / plan type, for sort createdAt
+ *                                          and lastModified; also used as filters)
+ *  - plans:creationDate                    (sorted set, score = parsed creationDate)
+ *  - plans:trash                           (sorted set of soft-deleted plans, score = deletedAt)
+ *  - plans:trash:org:<org>                 (same, per org, for tenant-scoped trash listings)
+ * Listings page over the most specific of these sorted sets (merging per-org sets for a tenant
+ * with several orgs) and check the remaining filters on the entries read, so no request
+ * builds or walks a set of every plan.
+ */
+const redisClient = require('../models/redisClient');
+const { computeETag } = require('../utils/etag');
+
+const SORT_KEYS = {
+    createdAt: 'plans:createdAt',
+    lastModified: 'plans:lastModified'
+};
+const CREATION_DATE_KEY = 'plans:creationDate';
+const TRASH_KEY = 'plans:trash';
+const SCAN_BATCH_SIZE = 100;
+
+function orgKeyFor(org, sort) { return `plans:org:${org}:${sort}`; }
+function planTypeKeyFor(planType, sort) { return `plans:planType:${planType}:${sort}`; }
+function trashOrgKeyFor(org) { return `${TRASH_KEY}:org:${org}`; }
+
+/**
+ * Parse a plan creationDate (MM-DD-YYYY as in the sample plans, or ISO YYYY-MM-DD)
+ * Returns epoch ms or null when the value is not a recognizable date
+ */
+function parseCreationDate(value) {
+    if (typeof value !== 'string') return null;
+    let match = value.match(/^(\d{2})-(\d{2})-(\d{4})$/);
+    if (match) {
+        const ms = Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+        return isNaN(ms) ? null : ms;
+    }
+    match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+        const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(ms) ? null : ms;
+    }
+    return null;
+}
+
+/**
+ * Add (or refresh) a plan's collection index entries
+ * previousDoc is the document being replaced, so stale org / plan type entries are removed
+ */
+function addIndexToMulti(multi, document, { createdAt, lastModified }, previousDoc = null) {
+    const id = document.objectId;
+    const scores = { createdAt: Date.parse(createdAt), lastModified: Date.parse(lastModified) };
+
+    Object.keys(SORT_KEYS).forEach(sort => {
+        if (previousDoc && previousDoc._org && previousDoc._org !== document._org) {
+            multi.zRem(orgKeyFor(previousDoc._org, sort), id);
+        }
+        if (previousDoc && previousDoc.planType && previousDoc.planType !== document.planType) {
+            multi.zRem(planTypeKeyFor(previousDoc.planType, sort), id);
+        }
+
+        const entry = { score: scores[sort], value: id };
+        multi.zAdd(SORT_KEYS[sort], entry);
+        if (document._org) multi.zAdd(orgKeyFor(document._org, sort), entry);
+        if (document.planType) multi.zAdd(planTypeKeyFor(document.planType, sort), entry);
+    });
+
+    const creationDate = parseCreationDate(document.creationDate);
+    if (creationDate === null) {
+        multi.zRem(CREATION_DATE_KEY, id);
+    } else {
+        multi.zAdd(CREATION_DATE_KEY, { score: creationDate, value: id });
+    }
+}
+
+/**
+ * Remove a plan from every collection index
+ */
+function addRemoveIndexToMulti(multi, document) {
+    const id = document.objectId;
+    Object.keys(SORT_KEYS).forEach(sort => {
+        multi.zRem(SORT_KEYS[sort], id);
+        if (document._org) multi.zRem(orgKeyFor(document._org, sort), id);
+        if (document.planType) multi.zRem(planTypeKeyFor(document.planType, sort), id);
+    });
+    multi.zRem(CREATION_DATE_KEY, id);
+}
+
+/**
+ * Move a plan into / out of the trash index (soft delete / restore / purge)
+ */
+function addTrashToMulti(multi, id, deletedAt, org) {
+    multi.zAdd(TRASH_KEY, { score: Date.parse(deletedAt), value: id });
+    if (org) multi.zAdd(trashOrgKeyFor(org), { score: Date.parse(deletedAt), value: id });
+}
+
+function addRemoveTrashToMulti(multi, id, org) {
+    multi.zRem(TRASH_KEY, id);
+    if (org) multi.zRem(trashOrgKeyFor(org), id);
+}
+
+/**
+ * Trash entries (most recently deleted first), optionally limited to a list of orgs
+ * Per-org trash is merged in memory; the trash is bounded by the retention period
+ */
+async function trashPage({ limit, offset, orgs }) {
+    if (!orgs) {
+        const entries = await redisClient.zRangeWithScores(TRASH_KEY, '+inf', '-inf', {
+            BY: 'SCORE', REV: true, LIMIT: { offset, count: limit }
+        });
+        return { entries, total: await redisClient.zCard(TRASH_KEY) };
+    }
+
+    const all = [];
+    for (const org of orgs) {
+        all.push(...await redisClient.zRangeWithScores(trashOrgKeyFor(org), '+inf', '-inf', { BY: 'SCORE', REV: true }));
+    }
+    all.sort((a, b) => b.score - a.score || (a.value < b.value ? 1 : -1));
+    return { entries: all.slice(offset, offset + limit), total: all.length };
+}
+
+/**
+ * Soft-deleted plans, most recently deleted first
+ * orgs (optional) restricts the listing to plans of those orgs
+ */
+async function listTrash({ limit = 20, offset = 0, orgs } = {}) {
+    const { entries, total } = await trashPage({ limit, offset, orgs });
+
+    const raws = entries.length > 0
+        ? await redisClient.mGet(entries.map(e => `plan:${e.value}`))
+        : [];
+    const items = [];
+    raws.forEach(raw => {
+        if (!raw) return;
+        const stored = JSON.parse(raw);
+        items.push({
+            objectId: stored.data.objectId,
+            _org: stored.data._org,
+            planType: stored.data.planType,
+            etag: stored.etag,
+            deletedAt: stored.deletedAt,
+            deletedBy: stored.deletedBy || null
+        });
+    });
+
+    return { items, total };
+}
+
+/**
+ * Ids of plans soft-deleted at or before the cutoff (epoch ms)
+ */
+async function listTrashedBefore(cutoffMs) {
+    return redisClient.zRange(TRASH_KEY, '-inf', cutoffMs, { BY: 'SCORE' });
+}
+
+/**
+ * Opaque pagination cursor: position (score + id) of the last returned plan
+ */
+function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify({ s: entry.score, id: entry.value })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof parsed.s !== 'number' || typeof parsed.id !== 'string') return null;
+        return parsed;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Sorted sets to page over for a listing (their union holds every match) and the filters
+ * left to check on the entries read from them
+ */
+function listingSources(sort, { org, orgs, planType }) {
+    if (org) {
+        return { keys: !orgs || orgs.includes(org) ? [orgKeyFor(org, sort)] : [], planType };
+    }
+    // orgs: member of any of the listed orgs (tenant restriction); none matches nothing
+    if (orgs) return { keys: [...new Set(orgs)].map(o => orgKeyFor(o, sort)), planType };
+    if (planType) return { keys: [planTypeKeyFor(planType, sort)], planType: undefined };
+    return { keys: [SORT_KEYS[sort]], planType: undefined };
+}
+
+/**
+ * The entries of a batch that pass the planType / creationDate filters
+ */
+async function applyFilters(entries, sort, { planType, creationDateFrom, creationDateTo }) {
+    if (entries.length === 0) return entries;
+    const ids = entries.map(entry => entry.value);
+    const [planTypeScores, creationDates] = await Promise.all([
+        planType ? redisClient.zmScore(planTypeKeyFor(planType, sort), ids) : null,
+        creationDateFrom !== undefined || creationDateTo !== undefined ? redisClient.zmScore(CREATION_DATE_KEY, ids) : null
+    ]);
+    return entries.filter((entry, i) => {
+        if (planTypeScores && planTypeScores[i] === null) return false;
+        if (creationDates) {
+            const date = creationDates[i];
+            if (date === null) return false;
+            if (creationDateFrom !== undefined && date < creationDateFrom) return false;
+            if (creationDateTo !== undefined && date > creationDateTo) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * List plan summaries with cursor-based pagination
+ * Reads each source sorted set from the cursor position until it has one entry more than the
+ * page, so a request costs the page size (plus entries skipped by planType / creationDate
+ * filters) per source. orgs (optional) limits results to plans of any of those orgs.
+ */
+async function listPlans({ org, orgs, planType, creationDateFrom, creationDateTo, sort = 'createdAt', order = 'desc', limit = 20, cursor } = {}) {
+    const desc = order === 'desc';
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+        const err = new Error('invalid cursor');
+        err.code = 'E_BAD_REQUEST';
+        throw err;
+    }
+
+    // Entries with the cursor's score but an id at or before it were already returned
+    const isAfterCursor = (entry) => {
+        if (!position || entry.score !== position.s) return true;
+        return desc ? entry.value < position.id : entry.value > position.id;
+    };
+    // Listing order: score, then id (as Redis orders equal scores)
+    const compare = (a, b) => {
+        const ascending = a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0);
+        return desc ? -ascending : ascending;
+    };
+
+    const bound = position ? position.s : (desc ? '+inf' : '-inf');
+    const sources = listingSources(sort, { org, orgs, planType });
+    const filters = { planType: sources.planType, creationDateFrom, creationDateTo };
+    const matches = [];
+
+    for (const key of sources.keys) {
+        const found = [];
+        let offset = 0;
+        // Only plans sharing the cursor's score or failing a filter are skipped
+        while (found.length <= limit) {
+            const batch = desc
+                ? await redisClient.zRangeWithScores(key, bound, '-inf', { BY: 'SCORE', REV: true, LIMIT: { offset, count: SCAN_BATCH_SIZE } })
+                : await redisClient.zRangeWithScores(key, bound, '+inf', { BY: 'SCORE', LIMIT: { offset, count: SCAN_BATCH_SIZE } });
+            if (batch.length === 0) break;
+            offset += batch.length;
+
+            found.push(...await applyFilters(batch.filter(isAfterCursor), sort, filters));
+
+            if (batch.length < SCAN_BATCH_SIZE) break;
+        }
+        matches.push(...found.slice(0, limit + 1));
+    }
+    matches.sort(compare);
+
+    const page = matches.slice(0, limit);
+    const nextCursor = matches.length > limit ? encodeCursor(page[page.length - 1]) : null;
+
+    // Summaries come from the root plan objects (flat data + metadata)
+    const raws = page.length > 0
+        ? await redisClient.mGet(page.map(e => `plan:${e.value}`))
+        : [];
+    const items = [];
+    raws.forEach(raw => {
+        if (!raw) return;
+        const stored = JSON.parse(raw);
+        items.push({
+            objectId: stored.data.objectId,
+            _org: stored.data._org,
+            planType: stored.data.planType,
+            creationDate: stored.data.creationDate,
+            etag: stored.etag,
+            createdAt: stored.createdAt,
+            lastModified: stored.lastModified
+        });
+    });
+
+    // Weak collection ETag: changes whenever any listed plan or the page boundary changes
+    const etag = `W/${computeETag({ items: items.map(i => [i.objectId, i.etag]), nextCursor })}`;
+
+    return { items, nextCursor, etag };
+}
+
+/**
+ * Ids of every live plan (oldest first)
+ */
+async function allPlanIds() {
+    return redisClient.zRange(SORT_KEYS.createdAt, 0, -1);
+}
+
+module.exports = {
+    addIndexToMulti,
+    addRemoveIndexToMulti,
+    addTrashToMulti,
+    addRemoveTrashToMulti,
+    listPlans,
+    allPlanIds,
+    listTrash,
+    listTrashedBefore,
+    parseCreationDate,
+    SORT_KEYS
+};
@@ -1,22 +1,39 @@
 // services/planService.js
 const redisClient = require('../models/redisClient');
 const { computeETag, canonicalize } = require('../utils/etag');
-const rabbitmqService = require('./rabbitmqService');
+const { applyJsonPatch } = require('../utils/jsonPatch');
+const outboxService = require('./outboxService');
+const planListingService = require('./planListingService');
+const historyService = require('./historyService');
+const tenantService = require('./tenantService');
+const auditService = require('./auditService');
+const { diff } = require('../utils/jsonDiff');
 
 // Keys are prefixed by objectType (e.g., plan:, memberCostShare:, planService:, service:)
 function typeKeyFor(objectType, objectId) { return `${objectType}:${objectId}`; }
 
+// Per-plan set of the objectType:objectId keys that make up the plan (root included)
+function planObjectsKeyFor(planId) { return `planobjects:${planId}`; }
+
+// Marker for removing an objectId-matched array element in a merge patch,
+// e.g. { "linkedPlanServices": [{ "objectId": "...", "_delete": true }] }
+const DELETE_MARKER = '_delete';
+
 /**
- * Enhanced recursive deep merge with array merge support by objectId
+ * JSON Merge Patch (RFC 7396) with array merge support by objectId
+ *  - null removes the property from the target
+ *  - arrays of objects with objectId are merged item by item (into an empty array when the
+ *    target has none); an item carrying `_delete: true` removes the matching element
+ *  - any other array replaces the target array
  */
 function deepMerge(target, patch) {
     if (patch === null || typeof patch !== 'object') return patch;
 
     if (Array.isArray(patch)) {
-        // Smart array merge: merge by objectId if both are arrays with objectId items
-        if (Array.isArray(target) && patch.length > 0 && patch[0] && patch[0].objectId) {
+        // Smart array merge by objectId; merging into an empty array drops markers and nulls too
+        if (patch.length > 0 && patch[0] && patch[0].objectId) {
             const targetMap = new Map();
-            target.forEach(item => {
+            (Array.isArray(target) ? target : []).forEach(item => {
                 if (item && item.objectId) {
                     targetMap.set(item.objectId, item);
                 }
@@ -24,12 +41,13 @@ function deepMerge(target, patch) {
 
             patch.forEach(patchItem => {
                 if (patchItem && patchItem.objectId) {
-                    const existing = targetMap.get(patchItem.objectId);
-                    if (existing) {
-                        targetMap.set(patchItem.objectId, deepMerge(existing, patchItem));
-                    } else {
-                        targetMap.set(patchItem.objectId, patchItem);
+                    if (patchItem[DELETE_MARKER] === true) {
+                        targetMap.delete(patchItem.objectId);
+                        return;
                     }
+                    const { [DELETE_MARKER]: ignored, ...itemPatch } = patchItem;
+                    // New items are merged into nothing so nested nulls are dropped
+                    targetMap.set(patchItem.objectId, deepMerge(targetMap.get(patchItem.objectId), itemPatch));
                 }
             });
 
@@ -38,9 +56,12 @@ function deepMerge(target, patch) {
         return patch.slice();
     }
 
-    const out = Object.assign({}, target || {});
+    const isObject = target && typeof target === 'object' && !Array.isArray(target);
+    const out = Object.assign({}, isObject ? target : {});
     for (const k of Object.keys(patch)) {
-        if (patch[k] && typeof patch[k] === 'object') {
+        if (patch[k] === null) {
+            delete out[k];
+        } else if (typeof patch[k] === 'object') {
             out[k] = deepMerge(out[k], patch[k]);
         } else {
             out[k] = patch[k];
@@ -62,7 +83,8 @@ function extractAllObjectIds(document) {
             objectIds.push({
                 objectId: obj.objectId,
                 objectType: obj.objectType,
-                parentId
+                parentId,
+                object: obj
             });
         }
 
@@ -81,15 +103,62 @@ function extractAllObjectIds(document) {
     return objectIds;
 }
 
+/**
+ * Own properties of an object without its children (nested objects/arrays that have objectId)
+ */
+function flattenObject(obj) {
+    const flat = {};
+    for (const key of Object.keys(obj)) {
+        const val = obj[key];
+        if (Array.isArray(val)) {
+            // Skip arrays of objects with objectId (these are children)
+            if (val.length > 0 && val[0] && val[0].objectId) {
+                continue;
+            }
+            flat[key] = val;
+        } else if (val && typeof val === 'object' && val.objectId) {
+            // Skip nested objects with objectId (these are children)
+            continue;
+        } else {
+            flat[key] = val;
+        }
+    }
+    return flat;
+}
+
+/**
+ * objectIds that differ between two versions of a plan: { changed, added, removed }
+ * An object changed when its own properties, type or parent did; children are compared
+ * on their own. Lets the indexing worker touch only those search documents.
+ */
+function diffObjectIds(previousDoc, nextDoc) {
+    const snapshot = document => new Map(extractAllObjectIds(document).map(obj => [
+        obj.objectId,
+        JSON.stringify(canonicalize({ objectType: obj.objectType, parentId: obj.parentId, data: flattenObject(obj.object) }))
+    ]));
+    const before = snapshot(previousDoc);
+    const after = snapshot(nextDoc);
+
+    const changes = { changed: [], added: [], removed: [] };
+    for (const [objectId, state] of after) {
+        if (!before.has(objectId)) changes.added.push(objectId);
+        else if (before.get(objectId) !== state) changes.changed.push(objectId);
+    }
+    for (const objectId of before.keys()) {
+        if (!after.has(objectId)) changes.removed.push(objectId);
+    }
+    return changes;
+}
+
 /**
  * Store individual objects in Redis (for granular access)
  * Keys are prefixed by objectType (e.g., plan:, memberCostShare:, planService:, service:)
  * Stores only flat properties, not nested children
- * For the root plan object, also stores etag and timestamps
+ * For the root plan object, also stores etag, timestamps and version number
  */
 function addObjectsToMulti(document, multi, metadata = {}) {
     const objects = extractAllObjectIds(document);
-    const { etag, createdAt, lastModified } = metadata;
+    const { etag, createdAt, lastModified, version } = metadata;
 
     function findObjectById(doc, targetId) {
         if (!doc || typeof doc !== 'object') return null;
@@ -109,27 +178,6 @@ function addObjectsToMulti(document, multi, metadata = {}) {
         return null;
     }
 
-    // Flatten object - remove nested objects/arrays that have objectId
-    function flattenObject(obj) {
-        const flat = {};
-        for (const key of Object.keys(obj)) {
-            const val = obj[key];
-            if (Array.isArray(val)) {
-                // Skip arrays of objects with objectId (these are children)
-                if (val.length > 0 && val[0] && val[0].objectId) {
-                    continue;
-                }
-                flat[key] = val;
-            } else if (val && typeof val === 'object' && val.objectId) {
-                // Skip nested objects with objectId (these are children)
-                continue;
-            } else {
-                flat[key] = val;
-            }
-        }
-        return flat;
-    }
-
     for (const obj of objects) {
         const actualObj = findObjectById(document, obj.objectId);
         if (actualObj) {
@@ -147,11 +195,18 @@ function addObjectsToMulti(document, multi, metadata = {}) {
                 if (etag) storedObj.etag = etag;
                 if (createdAt) storedObj.createdAt = createdAt;
                 if (lastModified) storedObj.lastModified = lastModified;
+                if (version) storedObj.version = version;
             }
 
             multi.set(key, JSON.stringify(storedObj));
         }
     }
+
+    // Track member keys so reconstruction only fetches this plan's objects
+    const memberKeys = objects.map(obj => typeKeyFor(obj.objectType, obj.objectId));
+    if (memberKeys.length > 0) {
+        multi.sAdd(planObjectsKeyFor(document.objectId), memberKeys);
+    }
 }
 
 /**
@@ -162,11 +217,102 @@ function addDeleteObjectsToMulti(document, multi) {
     for (const obj of objects) {
         multi.del(typeKeyFor(obj.objectType, obj.objectId));
     }
+    multi.del(planObjectsKeyFor(document.objectId));
+}
+
+/**
+ * Delete objects that exist in the previous document but not in the next one
+ * Used when a write replaces children so no orphaned keys are left behind
+ */
+function addRemovedObjectsToMulti(previousDoc, nextDoc, multi) {
+    const keep = new Set(
+        extractAllObjectIds(nextDoc).map(obj => typeKeyFor(obj.objectType, obj.objectId))
+    );
+    for (const obj of extractAllObjectIds(previousDoc)) {
+        const key = typeKeyFor(obj.objectType, obj.objectId);
+        if (!keep.has(key)) {
+            multi.del(key);
+            multi.sRem(planObjectsKeyFor(previousDoc.objectId), key);
+        }
+    }
+}
+
+/**
+ * objectType:objectId keys of a document's nested objects (the root plan excluded)
+ */
+function childKeysOf(document) {
+    return extractAllObjectIds(document)
+        .filter(obj => obj.parentId !== null)
+        .map(obj => typeKeyFor(obj.objectType, obj.objectId));
+}
+
+/**
+ * Reject nested objects whose keys already belong to another plan (object keys are global, so
+ * writing them would take the object over from that plan). Call under a WATCH on childKeys so
+ * a concurrent claim aborts the EXEC.
+ */
+async function assertChildrenUnclaimed(planId, childKeys) {
+    if (childKeys.length === 0) return;
+    const [values, members] = await Promise.all([
+        redisClient.mGet(childKeys),
+        redisClient.sMembers(planObjectsKeyFor(planId))
+    ]);
+    const own = new Set(members);
+    const taken = childKeys.filter((key, i) => values[i] !== null && !own.has(key));
+    if (taken.length > 0) {
+        await redisClient.unwatch();
+        const err = new Error('objectId belongs to another plan');
+        err.code = 'E_CONFLICT';
+        err.objectIds = taken.map(key => key.slice(key.indexOf(':') + 1));
+        throw err;
+    }
+}
+
+/**
+ * Reject documents with _org values the tenant may not use (or that differ from the plan's _org)
+ */
+function assertDocumentOrgs(tenant, document) {
+    const details = tenantService.checkDocumentOrgs(tenant, document);
+    if (details.length > 0) {
+        const err = new Error('organization not allowed');
+        err.code = 'E_TENANT';
+        err.details = details;
+        throw err;
+    }
+}
+
+/**
+ * Plans of other tenants are reported as missing rather than forbidden
+ */
+function notFoundUnlessAllowed(tenant, planStored) {
+    if (!tenantService.isOrgAllowed(tenant, planStored.data && planStored.data._org)) {
+        const err = new Error('not found');
+        err.code = 'E_NOT_FOUND';
+        throw err;
+    }
+}
+
+/**
+ * Queue a plan lifecycle event (plan.created / plan.updated / plan.deleted) on the write's MULTI
+ * Carries the new ETag and a field-level diff
+ */
+function addPlanEventToMulti(multi, type, { operation, planId, org, version, etag, previousEtag, before, after }) {
+    outboxService.addEventToMulti(multi, {
+        type,
+        operation,
+        planId,
+        org: org || null,
+        version,
+        etag: etag || null,
+        previousEtag: previousEtag || null,
+        diff: diff(before || {}, after || {})
+    });
 }
 
 /**
  * Reconstruct full plan document from individual objects in Redis
  * Keys are prefixed by objectType (e.g., plan:, memberCostShare:, planService:, service:)
+ * Only the keys listed in the plan's planobjects:<id> set are fetched
  */
 async function reconstructPlanFromObjects(planId) {
     try {
@@ -175,15 +321,14 @@ async function reconstructPlanFromObjects(planId) {
         const planRaw = await redisClient.get(planKey);
         if (!planRaw) return null;
 
-        // Get all keys that match the pattern objectType:objectId
-        const keys = await redisClient.keys('*');
-        if (!keys || keys.length === 0) return null;
-
-        // Filter to only keys with colon (objectType:objectId format)
-        const validKeys = keys.filter(k => k.includes(':'));
-        if (validKeys.length === 0) return null;
+        // Member keys of this plan (objectType:objectId)
+        const validKeys = await redisClient.sMembers(planObjectsKeyFor(planId));
+        if (!validKeys || validKeys.length === 0) {
+            console.warn(`No object index for plan ${planId}; run "npm run migrate:plan-index"`);
+            return null;
+        }
 
-        // Fetch all objects
+        // Fetch this plan's objects
         const values = await redisClient.mGet(validKeys);
 
         // Build object map
@@ -265,14 +410,18 @@ async function reconstructPlanFromObjects(planId) {
 /**
  * Create plan (fail if exists)
  * Stores individual objects in Redis with objectType:objectId keys
- * Publishes to queue for Elasticsearch indexing
+ * Records version snapshot and audit entry (options.actor / ip / requestId describe the caller)
+ * options.tenant must be allowed to use every _org in the document
+ * Nested objectIds that belong to another plan are rejected (E_CONFLICT with err.objectIds)
+ * Queues the Elasticsearch index message and plan.created event through the outbox
  */
-async function createPlan(document) {
+async function createPlan(document, { actor = null, tenant, ip = null, requestId = null } = {}) {
     if (!document || !document.objectId) {
         const err = new Error('missing objectId');
         err.code = 'E_BAD_REQUEST';
         throw err;
     }
+    assertDocumentOrgs(tenant, document);
 
     const id = document.objectId;
     const planKey = typeKeyFor('plan', id);
@@ -280,53 +429,76 @@ async function createPlan(document) {
     const canonicalDoc = canonicalize(document);
     const etag = computeETag(canonicalDoc);
     const nowIso = new Date().toISOString();
+    const childKeys = childKeysOf(document);
 
-    // Atomic create with WATCH/MULTI
-    await redisClient.watch(planKey);
-    try {
-        const exists = await redisClient.get(planKey);
-        if (exists) {
-            await redisClient.unwatch();
-            const err = new Error('resource exists');
-            err.code = 'E_CONFLICT';
-            err.objectId = id;
-            throw err;
-        }
+    // Atomic create with WATCH/MULTI; an EXEC aborted by a concurrent write re-runs the checks
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await redisClient.watch([planKey, historyService.historyKeyFor(id), ...childKeys]);
+        try {
+            const exists = await redisClient.get(planKey);
+            if (exists) {
+                await redisClient.unwatch();
+                const err = new Error('resource exists');
+                err.code = 'E_CONFLICT';
+                err.objectId = id;
+                err.deleted = Boolean(JSON.parse(exists).deletedAt);
+                throw err;
+            }
+            await assertChildrenUnclaimed(id, childKeys);
 
-        const multi = redisClient.multi();
-        // Store individual objects with metadata for root plan
-        addObjectsToMulti(document, multi, { etag, createdAt: nowIso, lastModified: nowIso });
+            // History survives deletes, so a re-created plan continues its numbering
+            const version = await historyService.nextVersion(id);
 
-        const execResult = await multi.exec();
-        if (execResult === null) {
-            const err = new Error('resource exists');
-            err.code = 'E_CONFLICT';
-            err.objectId = id;
-            throw err;
-        }
-    } finally {
-        try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
-    }
+            const multi = redisClient.multi();
+            // Store individual objects with metadata for root plan
+            addObjectsToMulti(document, multi, { etag, createdAt: nowIso, lastModified: nowIso, version });
+            // Collection indexes for GET /v1/plans
+            planListingService.addIndexToMulti(multi, document, { createdAt: nowIso, lastModified: nowIso });
+            historyService.addSnapshotToMulti(multi, id, {
+                version, operation: 'create', etag, timestamp: nowIso, actor, document
+            });
+            auditService.addEntryToMulti(multi, {
+                operation: 'create', planId: id, org: document._org, version,
+                etagBefore: null, etagAfter: etag, before: null, after: document,
+                actor, ip, requestId, timestamp: nowIso
+            });
+            // Elasticsearch indexing and the change event go out through the outbox
+            outboxService.addIndexOperationToMulti(multi, 'index', document, { version, etag });
+            addPlanEventToMulti(multi, 'plan.created', {
+                operation: 'create', planId: id, org: document._org, version, etag, before: null, after: document
+            });
 
-    // Publish to queue for Elasticsearch indexing
-    try {
-        await rabbitmqService.publishIndexOperation(document);
-    } catch (queueError) {
-        console.error('Failed to publish to queue:', queueError.message);
+            const execResult = await multi.exec();
+            if (execResult === null) {
+                continue;
+            }
+            outboxService.kick();
+
+            return { id, document, etag, version, lastModified: new Date(nowIso).toUTCString() };
+        } finally {
+            try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
+        }
     }
 
-    return { id, document, etag, lastModified: new Date(nowIso).toUTCString() };
+    const err = new Error('resource exists');
+    err.code = 'E_CONFLICT';
+    err.objectId = id;
+    throw err;
 }
 
 /**
  * Get plan by ID - reconstructs from individual objects
+ * Returns null for plans outside options.tenant's orgs
  */
-async function getPlan(id) {
+async function getPlan(id, { tenant } = {}) {
     const planKey = typeKeyFor('plan', id);
     const planRaw = await redisClient.get(planKey);
     if (!planRaw) return null;
 
     const planStored = JSON.parse(planRaw);
+    // Plans in the trash are only visible through listTrash / restorePlan
+    if (planStored.deletedAt) return null;
+    if (!tenantService.isOrgAllowed(tenant, planStored.data && planStored.data._org)) return null;
 
     // Reconstruct document from individual objects
     const document = await reconstructPlanFromObjects(id);
@@ -334,6 +506,7 @@ async function getPlan(id) {
 
     return {
         document,
+        version: planStored.version,
         etag: planStored.etag || '"unknown"',
         lastModified: planStored.lastModified
             ? new Date(planStored.lastModified).toUTCString()
@@ -342,18 +515,27 @@ async function getPlan(id) {
 }
 
 /**
- * Cascaded delete - removes plan and all child objects from Redis and Elasticsearch
+ * Soft delete (default) - moves the plan to the trash
+ * Objects stay in Redis with deletedAt/deletedBy on the root so the plan can be restored,
+ * but it is dropped from the collection indexes and from Elasticsearch
+ *
+ * Hard delete (options.hard) - cascaded delete of the plan and all child objects,
+ * live or already in the trash
+ *
+ * Version history is kept either way and gets a delete/purge snapshot plus an audit entry
+ * (options.actor / ip / requestId describe the caller; options.tenant must own the plan)
  */
-async function deletePlan(id, ifMatch) {
+async function deletePlan(id, ifMatch, { actor = null, hard = false, tenant, ip = null, requestId = null } = {}) {
     const planKey = typeKeyFor('plan', id);
 
     const planRaw = await redisClient.get(planKey);
-    if (!planRaw) {
+    const planStored = planRaw ? JSON.parse(planRaw) : null;
+    if (!planStored || (planStored.deletedAt && !hard)) {
         const err = new Error('not found');
         err.code = 'E_NOT_FOUND';
         throw err;
     }
-    const planStored = JSON.parse(planRaw);
+    notFoundUnlessAllowed(tenant, planStored);
     const currentEtag = planStored.etag;
 
     if (!ifMatch) {
@@ -377,9 +559,9 @@ async function deletePlan(id, ifMatch) {
         throw err;
     }
 
-    // Atomic cascaded delete with WATCH/MULTI/EXEC
+    // Atomic delete with WATCH/MULTI/EXEC
     for (let attempt = 0; attempt < 3; attempt++) {
-        await redisClient.watch(planKey);
+        await redisClient.watch([planKey, historyService.historyKeyFor(id)]);
         try {
             const currentPlanRaw = await redisClient.get(planKey);
             if (!currentPlanRaw) {
@@ -390,7 +572,7 @@ async function deletePlan(id, ifMatch) {
             }
 
             const afterPlan = JSON.parse(currentPlanRaw);
-            if (afterPlan.etag !== currentEtag) {
+            if (afterPlan.etag !== currentEtag || Boolean(afterPlan.deletedAt) !== Boolean(planStored.deletedAt)) {
                 await redisClient.unwatch();
                 const err = new Error('precondition failed');
                 err.code = 'E_PRECONDITION';
@@ -398,22 +580,133 @@ async function deletePlan(id, ifMatch) {
                 throw err;
             }
 
+            const version = await historyService.nextVersion(id);
+            const nowIso = new Date().toISOString();
+
             const multi = redisClient.multi();
-            addDeleteObjectsToMulti(document, multi);
+            if (hard) {
+                addDeleteObjectsToMulti(document, multi);
+                planListingService.addRemoveTrashToMulti(multi, id, document._org);
+            } else {
+                multi.set(planKey, JSON.stringify({ ...afterPlan, version, deletedAt: nowIso, deletedBy: actor }));
+                planListingService.addTrashToMulti(multi, id, nowIso, document._org);
+            }
+            planListingService.addRemoveIndexToMulti(multi, document);
+            historyService.addSnapshotToMulti(multi, id, {
+                version,
+                operation: hard ? 'purge' : 'delete',
+                etag: null,
+                timestamp: nowIso,
+                actor,
+                document: null
+            });
+            auditService.addEntryToMulti(multi, {
+                operation: hard ? 'purge' : 'delete', planId: id, org: document._org, version,
+                etagBefore: currentEtag, etagAfter: null, before: document, after: null,
+                actor, ip, requestId, timestamp: nowIso
+            });
+            // Remove from Elasticsearch (already removed if purging from the trash)
+            if (!planStored.deletedAt) {
+                outboxService.addIndexOperationToMulti(multi, 'delete', { objectId: id }, { version });
+                addPlanEventToMulti(multi, 'plan.deleted', {
+                    operation: hard ? 'purge' : 'delete', planId: id, org: document._org, version,
+                    etag: null, previousEtag: currentEtag, before: document, after: null
+                });
+            }
 
             const execResult = await multi.exec();
             if (execResult === null) {
                 continue;
             }
+            outboxService.kick();
 
-            // Publish delete to queue for Elasticsearch
-            try {
-                await rabbitmqService.publishDeleteOperation(id);
-            } catch (queueError) {
-                console.error('Failed to publish delete to queue:', queueError.message);
+            return true;
+        } finally {
+            try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
+        }
+    }
+
+    const err = new Error('precondition failed');
+    err.code = 'E_PRECONDITION';
+    throw err;
+}
+
+/**
+ * Restore a soft-deleted plan from the trash
+ * options.ifMatch is compared with the ETag the plan had when it was deleted
+ * The plan gets a new version and lastModified and is re-indexed
+ * options.tenant must own the plan; options.actor / ip / requestId go to the audit entry
+ */
+async function restorePlan(id, { ifMatch, actor = null, tenant, ip = null, requestId = null } = {}) {
+    const planKey = typeKeyFor('plan', id);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await redisClient.watch([planKey, historyService.historyKeyFor(id)]);
+        try {
+            const planRaw = await redisClient.get(planKey);
+            const planStored = planRaw ? JSON.parse(planRaw) : null;
+            if (!planStored || !planStored.deletedAt) {
+                await redisClient.unwatch();
+                const err = new Error('not found');
+                err.code = 'E_NOT_FOUND';
+                throw err;
+            }
+            notFoundUnlessAllowed(tenant, planStored);
+            if (ifMatch && ifMatch !== planStored.etag) {
+                await redisClient.unwatch();
+                const err = new Error('precondition failed');
+                err.code = 'E_PRECONDITION';
+                err.currentEtag = planStored.etag;
+                throw err;
             }
 
-            return true;
+            const document = await reconstructPlanFromObjects(id);
+            if (!document) {
+                await redisClient.unwatch();
+                const err = new Error('not found');
+                err.code = 'E_NOT_FOUND';
+                throw err;
+            }
+
+            const nowIso = new Date().toISOString();
+            const version = await historyService.nextVersion(id);
+            const { deletedAt, deletedBy, ...restored } = planStored;
+
+            const multi = redisClient.multi();
+            multi.set(planKey, JSON.stringify({ ...restored, lastModified: nowIso, version }));
+            planListingService.addRemoveTrashToMulti(multi, id, document._org);
+            planListingService.addIndexToMulti(multi, document, {
+                createdAt: planStored.createdAt || nowIso,
+                lastModified: nowIso
+            });
+            historyService.addSnapshotToMulti(multi, id, {
+                version, operation: 'undelete', etag: planStored.etag, timestamp: nowIso, actor, document
+            });
+            auditService.addEntryToMulti(multi, {
+                operation: 'undelete', planId: id, org: document._org, version,
+                etagBefore: null, etagAfter: planStored.etag, before: null, after: document,
+                actor, ip, requestId, timestamp: nowIso
+            });
+            outboxService.addIndexOperationToMulti(multi, 'index', document, { version, etag: planStored.etag });
+            // Subscribers saw plan.deleted; the plan reappears as a new one
+            addPlanEventToMulti(multi, 'plan.created', {
+                operation: 'undelete', planId: id, org: document._org, version,
+                etag: planStored.etag, before: null, after: document
+            });
+
+            const execResult = await multi.exec();
+            if (execResult === null) {
+                continue;
+            }
+            outboxService.kick();
+
+            return {
+                id,
+                document,
+                etag: planStored.etag,
+                version,
+                lastModified: new Date(nowIso).toUTCString()
+            };
         } finally {
             try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
         }
@@ -425,10 +718,66 @@ async function deletePlan(id, ifMatch) {
 }
 
 /**
- * Patch plan with merge support
- * Deep merges patch into document, updates Redis, publishes to queue for ES update
+ * Hard-delete plans that have been in the trash longer than retentionMs
+ * Returns the ids that were purged; failures are logged and retried on the next run
+ */
+async function purgeExpiredPlans(retentionMs) {
+    const ids = await planListingService.listTrashedBefore(Date.now() - retentionMs);
+    const purged = [];
+
+    for (const id of ids) {
+        try {
+            const raw = await redisClient.get(typeKeyFor('plan', id));
+            if (!raw) continue;
+            const stored = JSON.parse(raw);
+            await deletePlan(id, stored.etag, { hard: true, actor: { sub: 'system:trash-retention' } });
+            purged.push(id);
+        } catch (err) {
+            console.error(`Failed to purge plan ${id} from trash:`, err.message);
+        }
+    }
+
+    return purged;
+}
+
+/**
+ * Apply a patch to the current document according to its format
+ *  - 'merge'      => deep merge (application/json, application/merge-patch+json)
+ *  - 'json-patch' => RFC 6902 operation list (application/json-patch+json)
  */
-async function patchPlan(id, patch, ifMatch) {
+function applyPatch(currentDoc, patch, format) {
+    if (format === 'json-patch') {
+        const patched = applyJsonPatch(currentDoc, patch);
+        if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+            const err = new Error('patched document must be an object');
+            err.code = 'E_PATCH_INVALID';
+            err.path = '';
+            throw err;
+        }
+        if (patched.objectId !== currentDoc.objectId) {
+            const err = new Error('objectId cannot be changed');
+            err.code = 'E_PATCH_INVALID';
+            err.path = '/objectId';
+            throw err;
+        }
+        return patched;
+    }
+    return deepMerge(currentDoc, patch);
+}
+
+/**
+ * Conditional read-modify-write of a whole plan document (optimistic CAS)
+ * transform(doc) receives a copy of the current document and returns the updated
+ * document (it may mutate the copy), or throws to abort
+ * options.ifMatch is compared with the root plan ETag when given
+ * options.actor / options.operation are recorded in the version snapshot and audit entry
+ * (with options.ip / options.requestId)
+ * options.validate(document) may return a list of validation errors; a non-empty list
+ * rejects the update with E_VALIDATION before anything is written or published
+ * options.tenant must own the plan (E_NOT_FOUND) and every _org in the result (E_TENANT)
+ * Nested objectIds that belong to another plan are rejected (E_CONFLICT with err.objectIds)
+ */
+async function updatePlanDocument(id, transform, { ifMatch, validate, actor = null, operation = 'update', tenant, ip = null, requestId = null } = {}) {
     const planKey = typeKeyFor('plan', id);
 
     for (let attempt = 0; attempt < 3; attempt++) {
@@ -440,6 +789,12 @@ async function patchPlan(id, patch, ifMatch) {
         }
 
         const planStored = JSON.parse(planRaw);
+        if (planStored.deletedAt) {
+            const err = new Error('not found');
+            err.code = 'E_NOT_FOUND';
+            throw err;
+        }
+        notFoundUnlessAllowed(tenant, planStored);
         const currentEtag = planStored.etag;
 
         // Reconstruct current document from individual objects
@@ -457,15 +812,28 @@ async function patchPlan(id, patch, ifMatch) {
             throw err;
         }
 
-        // Deep merge patch into current document
-        const updatedDoc = deepMerge(currentDoc, patch);
+        // Apply the change to a copy; currentDoc is still needed to diff removed children
+        const updatedDoc = transform(JSON.parse(JSON.stringify(currentDoc)));
         updatedDoc.objectId = id;
+        assertDocumentOrgs(tenant, updatedDoc);
+
+        // Reject invalid results before the MULTI so Redis, ETag and queue stay untouched
+        if (validate) {
+            const details = validate(updatedDoc);
+            if (details && details.length > 0) {
+                const err = new Error('validation failed');
+                err.code = 'E_VALIDATION';
+                err.details = details;
+                throw err;
+            }
+        }
 
         const nowIso = new Date().toISOString();
         const canonicalDoc = canonicalize(updatedDoc);
         const newEtag = computeETag(canonicalDoc);
+        const childKeys = childKeysOf(updatedDoc);
 
-        await redisClient.watch(planKey);
+        await redisClient.watch([planKey, historyService.historyKeyFor(id), ...childKeys]);
         try {
             const currentPlanRaw = await redisClient.get(planKey);
             if (!currentPlanRaw) {
@@ -476,35 +844,62 @@ async function patchPlan(id, patch, ifMatch) {
             }
 
             const afterPlan = JSON.parse(currentPlanRaw);
+            // A soft delete keeps the ETag; writing now would bring the plan back outside the trash
+            if (afterPlan.deletedAt) {
+                await redisClient.unwatch();
+                const err = new Error('not found');
+                err.code = 'E_NOT_FOUND';
+                throw err;
+            }
             if (afterPlan.etag !== currentEtag) {
                 await redisClient.unwatch();
                 continue;
             }
+            await assertChildrenUnclaimed(id, childKeys);
+
+            const version = await historyService.nextVersion(id);
 
             const multi = redisClient.multi();
+            // Drop keys of nested objects the update removed, in the same transaction
+            addRemovedObjectsToMulti(currentDoc, updatedDoc, multi);
             // Update individual objects with new metadata
             addObjectsToMulti(updatedDoc, multi, {
                 etag: newEtag,
+                createdAt: planStored.createdAt || nowIso,
+                lastModified: nowIso,
+                version
+            });
+            planListingService.addIndexToMulti(multi, updatedDoc, {
                 createdAt: planStored.createdAt || nowIso,
                 lastModified: nowIso
+            }, currentDoc);
+            historyService.addSnapshotToMulti(multi, id, {
+                version, operation, etag: newEtag, timestamp: nowIso, actor, document: updatedDoc
+            });
+            auditService.addEntryToMulti(multi, {
+                operation, planId: id, org: updatedDoc._org, version,
+                etagBefore: currentEtag, etagAfter: newEtag, before: currentDoc, after: updatedDoc,
+                actor, ip, requestId, timestamp: nowIso
+            });
+            outboxService.addIndexOperationToMulti(multi, 'update', updatedDoc, {
+                version, etag: newEtag, changes: diffObjectIds(currentDoc, updatedDoc)
+            });
+            addPlanEventToMulti(multi, 'plan.updated', {
+                operation, planId: id, org: updatedDoc._org, version,
+                etag: newEtag, previousEtag: currentEtag, before: currentDoc, after: updatedDoc
             });
 
             const execResult = await multi.exec();
             if (execResult === null) {
                 continue;
             }
-
-            // Publish update to queue for Elasticsearch
-            try {
-                await rabbitmqService.publishUpdateOperation(updatedDoc);
-            } catch (queueError) {
-                console.error('Failed to publish update to queue:', queueError.message);
-            }
+            outboxService.kick();
 
             return {
                 id,
                 document: updatedDoc,
                 etag: newEtag,
+                version,
                 lastModified: new Date(nowIso).toUTCString()
             };
         } finally {
@@ -517,6 +912,190 @@ async function patchPlan(id, patch, ifMatch) {
     throw err;
 }
 
+/**
+ * Patch plan with merge or JSON Patch support
+ * Applies patch to the reconstructed document, updates Redis, publishes to queue for ES update
+ * Other options (validate, actor) are forwarded to updatePlanDocument
+ */
+async function patchPlan(id, patch, ifMatch, { format = 'merge', ...options } = {}) {
+    return updatePlanDocument(id, currentDoc => applyPatch(currentDoc, patch, format), { ...options, ifMatch });
+}
+
+/**
+ * Replace plan (full PUT with upsert semantics)
+ *  - ifNoneMatch '*' => create only if the plan does not exist
+ *  - ifMatch         => replace only if the current ETag matches
+ * Children missing from the new document are removed in the same transaction
+ * options.actor / options.operation / options.restoredFrom are recorded in the version snapshot
+ * and, with options.ip / options.requestId, in the audit entry
+ * options.tenant must be allowed every _org in the document and own the plan being replaced
+ * Nested objectIds that belong to another plan are rejected (E_CONFLICT with err.objectIds)
+ */
+async function replacePlan(id, document, { ifMatch, ifNoneMatch, actor = null, operation, restoredFrom, tenant, ip = null, requestId = null } = {}) {
+    if (!document || document.objectId !== id) {
+        const err = new Error('objectId mismatch');
+        err.code = 'E_BAD_REQUEST';
+        throw err;
+    }
+    assertDocumentOrgs(tenant, document);
+
+    const planKey = typeKeyFor('plan', id);
+    const canonicalDoc = canonicalize(document);
+    const etag = computeETag(canonicalDoc);
+    const childKeys = childKeysOf(document);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await redisClient.watch([planKey, historyService.historyKeyFor(id), ...childKeys]);
+        try {
+            const planRaw = await redisClient.get(planKey);
+            const planStored = planRaw ? JSON.parse(planRaw) : null;
+
+            // Plans of other organizations (in the trash or not) are not revealed
+            if (planStored && !tenantService.isOrgAllowed(tenant, planStored.data && planStored.data._org)) {
+                await redisClient.unwatch();
+                const err = new Error('not found');
+                err.code = 'E_NOT_FOUND';
+                throw err;
+            }
+
+            if (planStored && planStored.deletedAt) {
+                await redisClient.unwatch();
+                const err = new Error('plan is in the trash');
+                err.code = 'E_CONFLICT';
+                err.objectId = id;
+                err.deleted = true;
+                throw err;
+            }
+
+            if (planStored) {
+                if (ifNoneMatch === '*') {
+                    await redisClient.unwatch();
+                    const err = new Error('precondition failed');
+                    err.code = 'E_PRECONDITION';
+                    err.currentEtag = planStored.etag;
+                    throw err;
+                }
+                if (!ifMatch) {
+                    await redisClient.unwatch();
+                    const err = new Error('precondition required');
+                    err.code = 'E_PRECONDITION_REQUIRED';
+                    throw err;
+                }
+                if (ifMatch !== planStored.etag) {
+                    await redisClient.unwatch();
+                    const err = new Error('precondition failed');
+                    err.code = 'E_PRECONDITION';
+                    err.currentEtag = planStored.etag;
+                    throw err;
+                }
+            } else if (ifMatch) {
+                // No current representation can match (RFC 9110 13.1.1)
+                await redisClient.unwatch();
+                const err = new Error('precondition failed');
+                err.code = 'E_PRECONDITION';
+                err.currentEtag = null;
+                throw err;
+            }
+            await assertChildrenUnclaimed(id, childKeys);
+
+            // Current document is needed to find children dropped by the replacement
+            const currentDoc = planStored ? await reconstructPlanFromObjects(id) : null;
+
+            const nowIso = new Date().toISOString();
+            const version = await historyService.nextVersion(id);
+            const multi = redisClient.multi();
+            if (currentDoc) {
+                addRemovedObjectsToMulti(currentDoc, document, multi);
+            }
+            addObjectsToMulti(document, multi, {
+                etag,
+                createdAt: (planStored && planStored.createdAt) || nowIso,
+                lastModified: nowIso,
+                version
+            });
+            planListingService.addIndexToMulti(multi, document, {
+                createdAt: (planStored && planStored.createdAt) || nowIso,
+                lastModified: nowIso
+            }, currentDoc);
+            historyService.addSnapshotToMulti(multi, id, {
+                version,
+                operation: operation || (planStored ? 'replace' : 'create'),
+                etag,
+                timestamp: nowIso,
+                actor,
+                ...(restoredFrom ? { restoredFrom } : {}),
+                document
+            });
+            auditService.addEntryToMulti(multi, {
+                operation: operation || (planStored ? 'replace' : 'create'), planId: id, org: document._org, version,
+                etagBefore: planStored ? planStored.etag : null, etagAfter: etag, before: currentDoc, after: document,
+                actor, ip, requestId, timestamp: nowIso
+            });
+
+            const created = !planStored;
+
+            // One Elasticsearch message per replacement
+            outboxService.addIndexOperationToMulti(multi, created ? 'index' : 'update', document, {
+                version, etag, ...(currentDoc ? { changes: diffObjectIds(currentDoc, document) } : {})
+            });
+            addPlanEventToMulti(multi, created ? 'plan.created' : 'plan.updated', {
+                operation: operation || (created ? 'create' : 'replace'), planId: id, org: document._org, version,
+                etag, previousEtag: planStored ? planStored.etag : null, before: currentDoc, after: document
+            });
+
+            const execResult = await multi.exec();
+            if (execResult === null) {
+                continue;
+            }
+            outboxService.kick();
+
+            return {
+                id,
+                document,
+                etag,
+                version,
+                lastModified: new Date(nowIso).toUTCString(),
+                created
+            };
+        } finally {
+            try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
+        }
+    }
+
+    const err = new Error('precondition failed');
+    err.code = 'E_PRECONDITION';
+    throw err;
+}
+
+/**
+ * Org restriction for collection queries: an explicit org must be allowed for the tenant
+ */
+function scopeQueryToTenant(query, tenant) {
+    if (query.org && !tenantService.isOrgAllowed(tenant, query.org)) {
+        const err = new Error('organization not allowed');
+        err.code = 'E_TENANT';
+        err.details = [{ field: 'org', message: `organization "${query.org}" is not allowed for this caller` }];
+        throw err;
+    }
+    const orgs = tenantService.allowedOrgs(tenant);
+    return orgs === null ? query : { ...query, orgs };
+}
+
+/**
+ * List plan summaries from the collection indexes maintained on every write
+ * Limited to options.tenant's orgs
+ */
+async function listPlans(query, { tenant } = {}) {
+    return planListingService.listPlans(scopeQueryToTenant(query, tenant));
+}
+
+/**
+ * List soft-deleted plans (most recently deleted first), limited to options.tenant's orgs
+ */
+async function listTrash(query, { tenant } = {}) {
+    return planListingService.listTrash(scopeQueryToTenant(query, tenant));
+}
+
 /**
  * Get a specific nested object by objectId
  * Searches across all objectType prefixes
@@ -534,8 +1113,17 @@ async function getObject(objectId) {
 module.exports = {
     createPlan,
     getPlan,
+    listPlans,
     deletePlan,
+    restorePlan,
+    listTrash,
+    purgeExpiredPlans,
     patchPlan,
+    replacePlan,
+    updatePlanDocument,
+    applyPatch,
     getObject,
-    extractAllObjectIds
+    extractAllObjectIds,
+    reconstructPlanFromObjects,
+    planObjectsKeyFor
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 // services/rabbitmqService.js
+const crypto = require('crypto');
 const amqp = require('amqplib');
 
 // Build RabbitMQ URL from environment variables
@@ -12,8 +13,27 @@ const QUEUE_NAME = process.env.QUEUE_NAME || 'plan_indexing_queue';
 const EXCHANGE_NAME = 'plan_exchange';
 const ROUTING_KEY = 'plan.index';
 
+// Indexing retries: failed messages wait in delay queues (one per backoff tier, per-message TTL)
+// and dead-letter back to the main queue; only permanent or exhausted failures reach the DLQ
+const INDEX_MAX_RETRIES = Number(process.env.INDEX_MAX_RETRIES || 5);
+const INDEX_RETRY_BASE_DELAY_MS = Number(process.env.INDEX_RETRY_BASE_DELAY_MS) || 2000;
+const INDEX_RETRY_BACKOFF_FACTOR = Number(process.env.INDEX_RETRY_BACKOFF_FACTOR) || 3;
+const INDEX_RETRY_MAX_DELAY_MS = Number(process.env.INDEX_RETRY_MAX_DELAY_MS) || 300000;
+
+// Plan lifecycle events (plan.created / plan.updated / plan.deleted) for webhook delivery
+const EVENT_ROUTING_KEY = 'plan.event';
+const WEBHOOK_EVENT_QUEUE = process.env.WEBHOOK_EVENT_QUEUE || 'plan_webhook_queue';
+// One message per (event, subscription); retries wait in per-delay TTL queues that dead-letter back here
+const WEBHOOK_DELIVERY_ROUTING_KEY = 'webhook.deliver';
+const WEBHOOK_DELIVERY_QUEUE = `${WEBHOOK_EVENT_QUEUE}_delivery`;
+const WEBHOOK_DEAD_QUEUE = `${WEBHOOK_EVENT_QUEUE}_dead`;
+
 let connection = null;
 let channel = null;
+let confirmChannel = null;
+// Error the broker closed the confirm channel with (null while it is open or after a connection loss)
+let confirmChannelError = null;
+let retryQueues = new Set();
 
 /**
  * Connect to RabbitMQ and setup channel
@@ -47,6 +67,19 @@ async function connect() {
         // Bind main queue to exchange
         await channel.bindQueue(QUEUE_NAME, EXCHANGE_NAME, ROUTING_KEY);
 
+        // Lifecycle events wait here for the webhook worker (declared here so none are dropped)
+        const webhookQueueArgs = {
+            'x-dead-letter-exchange': `${EXCHANGE_NAME}_dlx`,
+            'x-dead-letter-routing-key': 'webhook.dead'
+        };
+        await channel.assertQueue(WEBHOOK_EVENT_QUEUE, { durable: true, arguments: webhookQueueArgs });
+        await channel.bindQueue(WEBHOOK_EVENT_QUEUE, EXCHANGE_NAME, EVENT_ROUTING_KEY);
+        await channel.assertQueue(WEBHOOK_DELIVERY_QUEUE, { durable: true, arguments: webhookQueueArgs });
+        await channel.bindQueue(WEBHOOK_DELIVERY_QUEUE, EXCHANGE_NAME, WEBHOOK_DELIVERY_ROUTING_KEY);
+        await channel.assertQueue(WEBHOOK_DEAD_QUEUE, { durable: true });
+        await channel.bindQueue(WEBHOOK_DEAD_QUEUE, `${EXCHANGE_NAME}_dlx`, 'webhook.dead');
+        retryQueues = new Set();
+
         // Set prefetch to 1 for fair dispatch
         await channel.prefetch(1);
 
@@ -57,12 +90,14 @@ async function connect() {
             console.error('RabbitMQ connection error:', err.message);
             connection = null;
             channel = null;
+            confirmChannel = null;
         });
 
         connection.on('close', () => {
             console.log('RabbitMQ connection closed');
             connection = null;
             channel = null;
+            confirmChannel = null;
         });
 
         return { connection, channel };
@@ -73,63 +108,264 @@ async function connect() {
 }
 
 /**
- * Publish a message to the queue
+ * Build an indexing message
  * @param {string} operation - 'index', 'update', or 'delete'
  * @param {object} data - The plan document or plan ID
+ * @param {object} meta - { version, etag } of the plan after the write; the worker ignores
+ *                        messages older than what is already indexed. Updates may add
+ *                        changes: { changed, added, removed } objectIds
  */
-async function publishMessage(operation, data) {
-    try {
-        const { channel } = await connect();
+function buildMessage(operation, data, { version = null, etag = null, changes } = {}) {
+    return {
+        operation,
+        data,
+        version,
+        etag,
+        ...(changes ? { changes } : {}),
+        timestamp: new Date().toISOString(),
+        messageId: `${operation}-${data.objectId || data}-${Date.now()}`
+    };
+}
 
-        const message = {
-            operation,
-            data,
-            timestamp: new Date().toISOString(),
-            messageId: `${operation}-${data.objectId || data}-${Date.now()}`
-        };
+/**
+ * Build a plan lifecycle event message
+ * @param {object} event - { type, planId, org, operation, etag, previousEtag, version, diff }
+ */
+function buildEvent(event) {
+    return {
+        id: crypto.randomUUID(),
+        occurredAt: new Date().toISOString(),
+        ...event
+    };
+}
 
-        const messageBuffer = Buffer.from(JSON.stringify(message));
+/**
+ * Publish a prebuilt message to plan_exchange and wait for the broker to confirm it
+ * Resolves once the broker has taken responsibility for the message; rejects on nack or
+ * connection loss. Used by the outbox relay. The error has rejected: true when the broker
+ * refused the message itself (a nack, or the channel closed over it) rather than being down.
+ * @param {string} routingKey - ROUTING_KEY (indexing) or EVENT_ROUTING_KEY (lifecycle events)
+ */
+async function publishConfirmed(routingKey, message) {
+    await confirmedPublish(EXCHANGE_NAME, routingKey, Buffer.from(JSON.stringify(message)), {
+        persistent: true,
+        contentType: 'application/json',
+        messageId: message.messageId || message.id,
+        ...(message.type ? { type: message.type } : {})
+    });
+}
+
+/**
+ * Publish raw content on the confirm channel; resolves when the broker acks
+ */
+async function confirmedPublish(exchange, routingKey, content, options) {
+    const { connection } = await connect();
+    if (!confirmChannel) {
+        confirmChannel = await connection.createConfirmChannel();
+        confirmChannelError = null;
+        // Only a channel-level close by the broker is reported here; a lost connection just closes it
+        confirmChannel.on('error', (err) => {
+            console.error('RabbitMQ confirm channel error:', err.message);
+            confirmChannelError = err;
+        });
+        confirmChannel.on('close', () => { confirmChannel = null; });
+    }
 
-        channel.publish(EXCHANGE_NAME, ROUTING_KEY, messageBuffer, {
-            persistent: true, // Message survives broker restart
-            contentType: 'application/json',
-            messageId: message.messageId
+    await new Promise((resolve, reject) => {
+        confirmChannel.publish(exchange, routingKey, content, options, (err) => {
+            if (!err) return resolve();
+            const nacked = !(err instanceof Error) || err.message === 'message nacked';
+            const failure = err instanceof Error ? err : new Error('message nacked by broker');
+            failure.rejected = nacked || confirmChannelError !== null;
+            reject(failure);
         });
+    });
+}
 
-        console.log(`Published ${operation} message for: ${data.objectId || data}`);
-        return { success: true, messageId: message.messageId };
-    } catch (error) {
-        console.error('Failed to publish message:', error.message);
-        throw error;
+/**
+ * Queue a webhook delivery job, optionally after delayMs (via a TTL queue for that delay)
+ * Resolves once the broker confirmed the job
+ * @param {object} job - { deliveryId, subscriptionId, attempt, event }
+ */
+async function publishWebhookDelivery(job, { delayMs = 0 } = {}) {
+    const { channel } = await connect();
+    const content = Buffer.from(JSON.stringify(job));
+    const options = { persistent: true, contentType: 'application/json', messageId: job.deliveryId };
+
+    if (delayMs <= 0) {
+        await confirmedPublish(EXCHANGE_NAME, WEBHOOK_DELIVERY_ROUTING_KEY, content, options);
+        return;
     }
+
+    const retryQueue = `${WEBHOOK_DELIVERY_QUEUE}_retry_${delayMs}`;
+    if (!retryQueues.has(retryQueue)) {
+        await channel.assertQueue(retryQueue, {
+            durable: true,
+            arguments: {
+                'x-message-ttl': delayMs,
+                'x-dead-letter-exchange': EXCHANGE_NAME,
+                'x-dead-letter-routing-key': WEBHOOK_DELIVERY_ROUTING_KEY
+            }
+        });
+        retryQueues.add(retryQueue);
+    }
+    // The default exchange routes to the queue of that name
+    await confirmedPublish('', retryQueue, content, options);
 }
 
 /**
- * Publish index operation
+ * Consume JSON messages from a webhook queue
+ * A handler error rejects the message to the webhook dead letter queue
  */
-async function publishIndexOperation(planDocument) {
-    return publishMessage('index', planDocument);
+async function consumeWebhookQueue(queue, handler) {
+    const { channel } = await connect();
+
+    console.log(`Waiting for messages in queue: ${queue}`);
+
+    channel.consume(queue, async (msg) => {
+        if (msg === null) return;
+
+        try {
+            await handler(JSON.parse(msg.content.toString()));
+            channel.ack(msg);
+        } catch (error) {
+            console.error(`Error processing ${queue} message:`, error.message);
+            channel.nack(msg, false, false);
+        }
+    }, { noAck: false });
 }
 
 /**
- * Publish update operation (for PATCH)
+ * Receive a copy of every plan lifecycle event on this process (fan-out for live streams)
+ * Uses its own channel and an exclusive, server-named queue that disappears with the connection
+ * onClose is called when the channel goes away so the caller can subscribe again
  */
-async function publishUpdateOperation(planDocument) {
-    return publishMessage('update', planDocument);
+async function subscribeToEvents(handler, onClose) {
+    const { connection } = await connect();
+    const eventChannel = await connection.createChannel();
+
+    const { queue } = await eventChannel.assertQueue('', { exclusive: true, autoDelete: true });
+    await eventChannel.bindQueue(queue, EXCHANGE_NAME, EVENT_ROUTING_KEY);
+
+    eventChannel.on('error', (err) => console.error('RabbitMQ event channel error:', err.message));
+    eventChannel.on('close', () => onClose && onClose());
+
+    await eventChannel.consume(queue, (msg) => {
+        if (msg === null) return;
+        try {
+            handler(JSON.parse(msg.content.toString()));
+        } catch (error) {
+            console.error('Error handling plan event:', error.message);
+        }
+    }, { noAck: true });
+
+    return queue;
 }
 
 /**
- * Publish delete operation
+ * Consume plan lifecycle events (webhook fan-out)
  */
-async function publishDeleteOperation(planId) {
-    return publishMessage('delete', { objectId: planId });
+async function consumeEvents(handler) {
+    return consumeWebhookQueue(WEBHOOK_EVENT_QUEUE, handler);
+}
+
+/**
+ * Consume webhook delivery jobs
+ */
+async function consumeWebhookDeliveries(handler) {
+    return consumeWebhookQueue(WEBHOOK_DELIVERY_QUEUE, handler);
+}
+
+/**
+ * Backoff before retry number `retry` (1-based): base * factor^(retry - 1), capped
+ */
+function retryDelayFor(retry) {
+    return Math.min(
+        INDEX_RETRY_BASE_DELAY_MS * Math.pow(INDEX_RETRY_BACKOFF_FACTOR, retry - 1),
+        INDEX_RETRY_MAX_DELAY_MS
+    );
+}
+
+/**
+ * Attempt history carried in the x-attempt-history header
+ */
+function attemptHistoryOf(msg) {
+    const headers = msg.properties.headers || {};
+    try {
+        return JSON.parse(headers['x-attempt-history'] || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Route a failed message: to the delay queue for its next backoff tier, or to the DLQ
+ * annotated with the failure reason and attempt history. The original is acked only after
+ * the broker confirmed the copy; if that fails it falls back to plain dead-lettering.
+ */
+async function handleFailure(channel, msg, error, retryable) {
+    const headers = msg.properties.headers || {};
+    const retryCount = Number(headers['x-retry-count'] || 0);
+    const history = [...attemptHistoryOf(msg), {
+        attempt: retryCount + 1,
+        at: new Date().toISOString(),
+        error: error.message,
+        retryable
+    }];
+    const properties = {
+        persistent: true,
+        contentType: msg.properties.contentType,
+        messageId: msg.properties.messageId
+    };
+
+    try {
+        if (retryable && retryCount < INDEX_MAX_RETRIES) {
+            const delayMs = retryDelayFor(retryCount + 1);
+            const retryQueue = `${QUEUE_NAME}_retry_${delayMs}`;
+            if (!retryQueues.has(retryQueue)) {
+                await channel.assertQueue(retryQueue, {
+                    durable: true,
+                    arguments: {
+                        'x-dead-letter-exchange': EXCHANGE_NAME,
+                        'x-dead-letter-routing-key': ROUTING_KEY
+                    }
+                });
+                retryQueues.add(retryQueue);
+            }
+            await confirmedPublish('', retryQueue, msg.content, {
+                ...properties,
+                expiration: String(delayMs),
+                headers: { ...headers, 'x-retry-count': retryCount + 1, 'x-attempt-history': JSON.stringify(history) }
+            });
+            console.warn(`Retry ${retryCount + 1}/${INDEX_MAX_RETRIES} in ${delayMs}ms for ${msg.properties.messageId}: ${error.message}`);
+        } else {
+            await confirmedPublish(`${EXCHANGE_NAME}_dlx`, 'plan.dead', msg.content, {
+                ...properties,
+                headers: {
+                    ...headers,
+                    'x-retry-count': retryCount,
+                    'x-attempt-history': JSON.stringify(history),
+                    'x-failure-reason': error.message,
+                    'x-failure-class': retryable ? 'exhausted' : 'permanent',
+                    'x-failed-at': new Date().toISOString()
+                }
+            });
+            console.error(`Dead-lettered ${msg.properties.messageId} (${retryable ? 'retries exhausted' : 'permanent failure'}): ${error.message}`);
+        }
+        channel.ack(msg);
+    } catch (routeError) {
+        console.error('Failed to route failed message, dead-lettering as is:', routeError.message);
+        channel.nack(msg, false, false);
+    }
 }
 
 /**
  * Consume messages from the queue
  * @param {function} handler - Async function to process messages
+ * @param {object} options - isRetryable(error) decides whether a failure is worth retrying
+ *                           (default: every handler error is retryable)
  */
-async function consumeMessages(handler) {
+async function consumeMessages(handler, { isRetryable = () => true } = {}) {
     const { channel } = await connect();
 
     console.log(`Waiting for messages in queue: ${QUEUE_NAME}`);
@@ -137,8 +373,15 @@ async function consumeMessages(handler) {
     channel.consume(QUEUE_NAME, async (msg) => {
         if (msg === null) return;
 
+        let content;
+        try {
+            content = JSON.parse(msg.content.toString());
+        } catch (error) {
+            // Unparseable messages can never succeed
+            return handleFailure(channel, msg, new Error(`invalid message: ${error.message}`), false);
+        }
+
         try {
-            const content = JSON.parse(msg.content.toString());
             console.log(`Processing message: ${content.operation} for ${content.data.objectId || content.data}`);
 
             await handler(content);
@@ -148,9 +391,7 @@ async function consumeMessages(handler) {
             console.log(`Message processed successfully: ${content.messageId}`);
         } catch (error) {
             console.error('Error processing message:', error.message);
-
-            // Reject and don't requeue (will go to dead letter queue)
-            channel.nack(msg, false, false);
+            await handleFailure(channel, msg, error, Boolean(isRetryable(error)));
         }
     }, { noAck: false });
 }
@@ -163,6 +404,9 @@ async function getQueueStats() {
         const { channel } = await connect();
         const queueInfo = await channel.checkQueue(QUEUE_NAME);
         const deadQueueInfo = await channel.checkQueue(`${QUEUE_NAME}_dead`);
+        const webhookQueueInfo = await channel.checkQueue(WEBHOOK_EVENT_QUEUE);
+        const deliveryQueueInfo = await channel.checkQueue(WEBHOOK_DELIVERY_QUEUE);
+        const webhookDeadInfo = await channel.checkQueue(WEBHOOK_DEAD_QUEUE);
 
         return {
             queue: {
@@ -173,6 +417,20 @@ async function getQueueStats() {
             deadLetterQueue: {
                 name: `${QUEUE_NAME}_dead`,
                 messageCount: deadQueueInfo.messageCount
+            },
+            webhookEvents: {
+                name: WEBHOOK_EVENT_QUEUE,
+                messageCount: webhookQueueInfo.messageCount,
+                consumerCount: webhookQueueInfo.consumerCount
+            },
+            webhookDeliveries: {
+                name: WEBHOOK_DELIVERY_QUEUE,
+                messageCount: deliveryQueueInfo.messageCount,
+                consumerCount: deliveryQueueInfo.consumerCount
+            },
+            webhookDeadLetterQueue: {
+                name: WEBHOOK_DEAD_QUEUE,
+                messageCount: webhookDeadInfo.messageCount
             }
         };
     } catch (error) {
@@ -205,6 +463,9 @@ async function healthCheck() {
  */
 async function close() {
     try {
+        if (confirmChannel) {
+            await confirmChannel.close();
+        }
         if (channel) {
             await channel.close();
         }
@@ -219,14 +480,20 @@ async function close() {
 
 module.exports = {
     connect,
-    publishMessage,
-    publishIndexOperation,
-    publishUpdateOperation,
-    publishDeleteOperation,
+    buildMessage,
+    buildEvent,
+    publishConfirmed,
+    publishWebhookDelivery,
     consumeMessages,
+    consumeEvents,
+    subscribeToEvents,
+    consumeWebhookDeliveries,
     getQueueStats,
     healthCheck,
     close,
     QUEUE_NAME,
-    EXCHANGE_NAME
+    EXCHANGE_NAME,
+    ROUTING_KEY,
+    EVENT_ROUTING_KEY,
+    WEBHOOK_EVENT_QUEUE
 };
@@ -0,0 +1,253 @@
+// services/reindexService.js
+/**
+ * Rebuild the Elasticsearch index from Redis, the source of truth
+ *  - reindex:   every live plan is reconstructed (as planService.getPlan does) and bulk-indexed
+ *  - reconcile: Redis ETags are compared with the indexed documents and missing, stale and
+ *               orphaned plans are reported; with fix they are reindexed or removed
+ * Plans are processed in batches of REINDEX_BATCH_SIZE. Each batch carries the plan versions,
+ * so a batch racing a newer write from the indexing worker is skipped for that plan.
+ * Runs started through the admin API are jobs: progress is kept in Redis as reindex:job:<id>
+ * (for JOB_TTL_SECONDS) and reindex:lock allows one job at a time.
+ */
+const crypto = require('crypto');
+const redisClient = require('../models/redisClient');
+const planService = require('./planService');
+const planListingService = require('./planListingService');
+const historyService = require('./historyService');
+const elasticsearchService = require('./elasticsearchService');
+
+const MODES = ['reindex', 'reconcile'];
+const BATCH_SIZE = Number(process.env.REINDEX_BATCH_SIZE) || 200;
+const LOCK_KEY = 'reindex:lock';
+const LOCK_TTL_SECONDS = 600;
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Ids listed per category in a reconcile report
+const REPORT_ID_LIMIT = 1000;
+
+function jobKeyFor(jobId) { return `reindex:job:${jobId}`; }
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.code = 'E_BAD_REQUEST';
+    return err;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+function validateOptions({ mode, fix, batchSize }) {
+    if (!MODES.includes(mode)) throw badRequest(`mode must be one of: ${MODES.join(', ')}`);
+    if (typeof fix !== 'boolean') throw badRequest('fix must be a boolean');
+    if (mode === 'reindex' && fix) throw badRequest('fix only applies to reconcile');
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 5000) {
+        throw badRequest('batchSize must be an integer between 1 and 5000');
+    }
+}
+
+/**
+ * Current state of the given plan ids in Redis: [{ document, version, etag }] (plans deleted
+ * meanwhile are left out)
+ */
+async function loadPlans(planIds) {
+    const plans = await Promise.all(planIds.map(id => planService.getPlan(id)));
+    return plans.filter(Boolean).map(({ document, version, etag }) => ({ document, version, etag }));
+}
+
+function newReport(mode, fix, total) {
+    const report = {
+        mode,
+        total,
+        processed: 0,
+        indexed: 0,
+        skipped: 0,
+        failed: 0,
+        errors: []
+    };
+    if (mode === 'reconcile') {
+        Object.assign(report, {
+            fix,
+            missing: { count: 0, ids: [] },
+            stale: { count: 0, ids: [] },
+            orphaned: { count: 0, ids: [] },
+            deleted: 0
+        });
+    }
+    return report;
+}
+
+function record(category, planId) {
+    category.count++;
+    if (category.ids.length < REPORT_ID_LIMIT) category.ids.push(planId);
+}
+
+async function indexBatch(report, entries) {
+    if (entries.length === 0) return;
+    try {
+        const { indexed, skipped } = await elasticsearchService.replacePlans(entries);
+        report.indexed += indexed;
+        report.skipped += skipped;
+    } catch (err) {
+        report.failed += entries.length;
+        report.errors.push({ planIds: entries.map(entry => entry.document.objectId), error: err.message });
+    }
+}
+
+async function reindexAll(report, planIds, batchSize, onProgress) {
+    for (const ids of chunk(planIds, batchSize)) {
+        await indexBatch(report, await loadPlans(ids));
+        report.processed += ids.length;
+        await onProgress(report);
+    }
+}
+
+/**
+ * Latest Redis version of a plan that is not live, or null when it is live after all
+ * (planIds is read when the run starts, so plans created since then are not in it).
+ * Removing an orphan under this version loses against any later write of the plan.
+ */
+async function orphanVersion(planId) {
+    const version = (await historyService.nextVersion(planId)) - 1;
+    if (await planService.getPlan(planId)) return null;
+    return version;
+}
+
+async function reconcileAll(report, planIds, batchSize, onProgress) {
+    for (const ids of chunk(planIds, batchSize)) {
+        const [plans, indexed] = await Promise.all([
+            loadPlans(ids),
+            elasticsearchService.getIndexedPlans(ids)
+        ]);
+
+        const outOfDate = [];
+        plans.forEach(plan => {
+            const planId = plan.document.objectId;
+            const doc = indexed.get(planId);
+            if (!doc) {
+                record(report.missing, planId);
+                outOfDate.push(plan);
+            } else if (doc.planEtag !== plan.etag) {
+                record(report.stale, planId);
+                outOfDate.push(plan);
+            }
+        });
+
+        if (report.fix) await indexBatch(report, outOfDate);
+        report.processed += ids.length;
+        await onProgress(report);
+    }
+
+    // Indexed plans that are no longer live in Redis (deleted, trashed or never stored)
+    const live = new Set(planIds);
+    await elasticsearchService.scanIndexedPlanIds(async (indexedIds) => {
+        for (const planId of indexedIds.filter(id => !live.has(id))) {
+            const version = await orphanVersion(planId);
+            if (version === null) continue;
+            record(report.orphaned, planId);
+            if (!report.fix) continue;
+            try {
+                await elasticsearchService.deletePlan(planId, { version });
+                report.deleted++;
+            } catch (err) {
+                report.failed++;
+                report.errors.push({ planIds: [planId], error: err.message });
+            }
+        }
+        await onProgress(report);
+    }, batchSize);
+}
+
+/**
+ * Run a reindex or reconciliation to completion and return its report
+ * options: { mode: 'reindex' | 'reconcile', fix, batchSize, onProgress(report) }
+ */
+async function run({ mode = 'reindex', fix = false, batchSize = BATCH_SIZE, onProgress = () => {} } = {}) {
+    validateOptions({ mode, fix, batchSize });
+
+    const planIds = await planListingService.allPlanIds();
+    const report = newReport(mode, fix, planIds.length);
+
+    if (mode === 'reindex') {
+        await reindexAll(report, planIds, batchSize, onProgress);
+    } else {
+        await reconcileAll(report, planIds, batchSize, onProgress);
+    }
+    return report;
+}
+
+async function saveJob(job) {
+    await redisClient.set(jobKeyFor(job.jobId), JSON.stringify(job), { EX: JOB_TTL_SECONDS });
+}
+
+/**
+ * Start a run in the background; returns the job ({ jobId, status: 'running', ... })
+ * Throws E_REINDEX_RUNNING while another run holds the lock
+ */
+async function startJob({ mode = 'reindex', fix = false, batchSize = BATCH_SIZE, actor = null } = {}) {
+    validateOptions({ mode, fix, batchSize });
+
+    const jobId = crypto.randomUUID();
+    const locked = await redisClient.set(LOCK_KEY, jobId, { NX: true, EX: LOCK_TTL_SECONDS });
+    if (!locked) {
+        const err = new Error('a reindex is already running');
+        err.code = 'E_REINDEX_RUNNING';
+        err.jobId = await redisClient.get(LOCK_KEY);
+        throw err;
+    }
+
+    const job = {
+        jobId,
+        mode,
+        fix,
+        status: 'running',
+        requestedBy: actor,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        progress: null
+    };
+    await saveJob(job);
+
+    const onProgress = async (report) => {
+        job.progress = report;
+        await saveJob(job);
+        await redisClient.expire(LOCK_KEY, LOCK_TTL_SECONDS);
+    };
+
+    run({ mode, fix, batchSize, onProgress })
+        .then(report => {
+            job.status = 'completed';
+            job.progress = report;
+        })
+        .catch(err => {
+            console.error('Reindex job error:', err);
+            job.status = 'failed';
+            job.error = err.message;
+        })
+        .then(async () => {
+            job.finishedAt = new Date().toISOString();
+            await saveJob(job);
+            if (await redisClient.get(LOCK_KEY) === jobId) {
+                await redisClient.del(LOCK_KEY);
+            }
+        })
+        .catch(err => console.error('Reindex job bookkeeping error:', err.message));
+
+    return job;
+}
+
+/**
+ * A job started by startJob, or null when unknown or expired
+ */
+async function getJob(jobId) {
+    const raw = await redisClient.get(jobKeyFor(jobId));
+    return raw ? JSON.parse(raw) : null;
+}
+
+module.exports = {
+    MODES,
+    run,
+    startJob,
+    getJob
+};
@@ -0,0 +1,218 @@
+// services/roleService.js
+/**
+ * Role resolution for authorization (viewer < editor < admin)
+ * A caller's role is the highest of:
+ *  - the token claim named by ROLE_CLAIM (string or array, default "roles")
+ *  - a grant in the Redis hash user:roles (field "email:<address>" or "sub:<issuer>|<subject>")
+ *    that covers the user's orgs
+ *  - admin for addresses in ADMIN_EMAILS (bootstrap, so the first grants can be made)
+ *  - DEFAULT_ROLE (default "viewer"; "none" gives unknown users no role)
+ * Grants record the orgs of the admin who made them (null = every org): they only apply
+ * to users whose tenant lies within those orgs, and only admins allowed all of them may
+ * see, replace or revoke them.
+ */
+const redisClient = require('../models/redisClient');
+const tenantService = require('./tenantService');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const ROLES_KEY = 'user:roles';
+const ROLE_CLAIM = process.env.ROLE_CLAIM || 'roles';
+const DEFAULT_ROLE = process.env.DEFAULT_ROLE || 'viewer';
+const BOOTSTRAP_ADMINS = new Set(
+    (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean)
+);
+
+function rank(role) { return ROLES.indexOf(role); }
+
+function isValidRole(role) { return ROLES.includes(role); }
+
+/**
+ * Whether `role` grants at least `required`
+ */
+function hasRole(role, required) {
+    return rank(role) >= 0 && rank(role) >= rank(required);
+}
+
+function highest(roles) {
+    return roles.filter(isValidRole).sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.code = 'E_BAD_REQUEST';
+    return err;
+}
+
+/**
+ * Issuers are compared as https URLs (Google also issues the bare "accounts.google.com")
+ */
+function normalizeIssuer(issuer) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(issuer) ? issuer : `https://${issuer}`;
+}
+
+/**
+ * Store field for a user identifier: an email address, or a token subject qualified by
+ * its issuer (subjects are only unique per issuer)
+ */
+function principalFor(user, issuer) {
+    if (issuer) return `sub:${normalizeIssuer(issuer)}|${user}`;
+    if (!user.includes('@')) throw badRequest('issuer is required to identify a token subject');
+    return `email:${user.toLowerCase()}`;
+}
+
+/**
+ * Grants are visible to tenants allowed every org they cover (all-org grants only to
+ * unrestricted callers)
+ */
+function isVisible(tenant, grant) {
+    const orgs = tenantService.allowedOrgs(tenant);
+    if (orgs === null) return true;
+    return Array.isArray(grant.orgs) && grant.orgs.every(org => orgs.includes(org));
+}
+
+/**
+ * Whether a grant applies to a user of the given tenant
+ */
+function appliesTo(grant, tenant) {
+    if (!Array.isArray(grant.orgs)) return true;
+    if (!tenant || tenant.all || tenant.orgs.length === 0) return false;
+    return tenant.orgs.every(org => grant.orgs.includes(org));
+}
+
+/**
+ * Public view of a grant: { user, issuer, role, orgs, grantedAt, grantedBy }
+ */
+function describe(grant, field) {
+    const separator = field.startsWith('sub:') && field.includes('|') ? field.indexOf('|') : field.indexOf(':');
+    return { user: field.slice(separator + 1), issuer: null, orgs: null, ...grant };
+}
+
+/**
+ * Effective role of an authenticated user (req.user), or null when none applies
+ */
+async function resolveRole(user) {
+    if (!user) return null;
+
+    const candidates = [];
+    const claimed = user.claims && user.claims[ROLE_CLAIM];
+    if (claimed) candidates.push(...[].concat(claimed));
+
+    const email = user.email ? user.email.toLowerCase() : null;
+    if (email && BOOTSTRAP_ADMINS.has(email)) candidates.push('admin');
+
+    const issuer = user.claims && user.claims.iss;
+    const fields = [
+        user.sub && issuer ? principalFor(user.sub, issuer) : null,
+        email ? principalFor(email) : null
+    ].filter(Boolean);
+    if (fields.length > 0) {
+        const tenant = tenantService.resolveTenant(user);
+        const grants = await redisClient.hmGet(ROLES_KEY, fields);
+        grants.forEach(raw => {
+            const grant = raw ? JSON.parse(raw) : null;
+            if (grant && appliesTo(grant, tenant)) candidates.push(grant.role);
+        });
+    }
+
+    if (DEFAULT_ROLE !== 'none') candidates.push(DEFAULT_ROLE);
+    return highest(candidates);
+}
+
+/**
+ * Grant a role to a user (email address, or subject with options.issuer); replaces any
+ * previous grant the caller can see. The grant covers options.tenant's orgs.
+ * Throws E_TENANT when the user holds a grant made for orgs outside options.tenant
+ */
+async function grantRole(user, role, { issuer = null, actor = null, tenant } = {}) {
+    if (!isValidRole(role)) {
+        throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    const field = principalFor(user, issuer);
+    const allowed = tenantService.allowedOrgs(tenant);
+    const grant = {
+        role,
+        orgs: allowed === null ? null : [...allowed],
+        grantedAt: new Date().toISOString(),
+        grantedBy: actor,
+        ...(issuer ? { issuer: normalizeIssuer(issuer) } : {})
+    };
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await redisClient.watch(ROLES_KEY);
+        try {
+            const raw = await redisClient.hGet(ROLES_KEY, field);
+            if (raw && !isVisible(tenant, JSON.parse(raw))) {
+                await redisClient.unwatch();
+                const err = new Error('user holds a role granted for other organizations');
+                err.code = 'E_TENANT';
+                throw err;
+            }
+            const execResult = await redisClient.multi().hSet(ROLES_KEY, field, JSON.stringify(grant)).exec();
+            if (execResult !== null) return describe(grant, field);
+        } finally {
+            try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
+        }
+    }
+
+    const err = new Error('role grant changed concurrently');
+    err.code = 'E_CONFLICT';
+    throw err;
+}
+
+/**
+ * Revoke a user's stored role; returns false when there was none visible to options.tenant
+ */
+async function revokeRole(user, { issuer = null, tenant } = {}) {
+    const field = principalFor(user, issuer);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await redisClient.watch(ROLES_KEY);
+        try {
+            const raw = await redisClient.hGet(ROLES_KEY, field);
+            if (!raw || !isVisible(tenant, JSON.parse(raw))) {
+                await redisClient.unwatch();
+                return false;
+            }
+            const execResult = await redisClient.multi().hDel(ROLES_KEY, field).exec();
+            if (execResult !== null) return true;
+        } finally {
+            try { await redisClient.unwatch(); } catch (e) { /* ignore */ }
+        }
+    }
+
+    const err = new Error('role grant changed concurrently');
+    err.code = 'E_CONFLICT';
+    throw err;
+}
+
+/**
+ * Stored grant for a user, or null (also when options.tenant may not see it)
+ */
+async function getGrant(user, { issuer = null, tenant } = {}) {
+    const field = principalFor(user, issuer);
+    const raw = await redisClient.hGet(ROLES_KEY, field);
+    const grant = raw ? JSON.parse(raw) : null;
+    return grant && isVisible(tenant, grant) ? describe(grant, field) : null;
+}
+
+/**
+ * Stored grants visible to options.tenant (claims and bootstrap admins are not included)
+ */
+async function listGrants({ tenant } = {}) {
+    const all = await redisClient.hGetAll(ROLES_KEY);
+    return Object.entries(all)
+        .map(([field, raw]) => [field, JSON.parse(raw)])
+        .filter(([, grant]) => isVisible(tenant, grant))
+        .map(([field, grant]) => describe(grant, field));
+}
+
+module.exports = {
+    ROLES,
+    isValidRole,
+    hasRole,
+    resolveRole,
+    grantRole,
+    revokeRole,
+    getGrant,
+    listGrants
+};
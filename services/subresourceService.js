@@ -0,0 +1,175 @@
+// services/subresourceService.js
+/**
+ * Addressable sub-resources of a plan, e.g.
+ *   /v1/plans/:id/planCostShares
+ *   /v1/plans/:id/linkedPlanServices/:objectId[/linkedService|/planserviceCostShares]
+ * A sub-resource is located by path segments: field names, with an objectId after each
+ * array field. Writes go through planService.updatePlanDocument, so the root plan's
+ * ETag/Last-Modified are recomputed and the plan is re-indexed like any other update.
+ */
+const planService = require('./planService');
+const { computeETag, canonicalize } = require('../utils/etag');
+
+/**
+ * Find the node addressed by segments inside a plan document
+ * Returns { parent, key, value } or null if any segment does not resolve
+ */
+function locate(document, segments) {
+    let parent = null;
+    let key = null;
+    let node = document;
+
+    for (let i = 0; i < segments.length; i++) {
+        const field = segments[i];
+        if (!node || typeof node !== 'object' || Array.isArray(node) ||
+            !Object.prototype.hasOwnProperty.call(node, field)) {
+            return null;
+        }
+        parent = node;
+        key = field;
+        node = node[field];
+
+        // Array fields are addressed by the objectId of their items
+        if (Array.isArray(node) && i + 1 < segments.length) {
+            const objectId = segments[++i];
+            const index = node.findIndex(item => item && item.objectId === objectId);
+            if (index < 0) return null;
+            parent = node;
+            key = index;
+            node = node[index];
+        }
+    }
+
+    return { parent, key, value: node };
+}
+
+function subtreeEtag(value) {
+    return computeETag(canonicalize(value));
+}
+
+function notFound() {
+    const err = new Error('not found');
+    err.code = 'E_NOT_FOUND';
+    return err;
+}
+
+/**
+ * Locate a single object (not a whole array) and check its ETag when ifMatch is given
+ */
+function locateObject(document, segments, ifMatch) {
+    const loc = locate(document, segments);
+    if (!loc || !loc.value || typeof loc.value !== 'object' || Array.isArray(loc.value)) {
+        throw notFound();
+    }
+    if (ifMatch) {
+        const currentEtag = subtreeEtag(loc.value);
+        if (ifMatch !== currentEtag) {
+            const err = new Error('precondition failed');
+            err.code = 'E_PRECONDITION';
+            err.currentEtag = currentEtag;
+            throw err;
+        }
+    }
+    return loc;
+}
+
+/**
+ * Read a sub-resource with its own ETag (hash of the subtree)
+ * options.tenant is forwarded to planService.getPlan
+ */
+async function getSubresource(id, segments, options = {}) {
+    const plan = await planService.getPlan(id, options);
+    if (!plan) return null;
+
+    const loc = locate(plan.document, segments);
+    if (!loc) return null;
+
+    return {
+        document: loc.value,
+        etag: subtreeEtag(loc.value),
+        planEtag: plan.etag,
+        lastModified: plan.lastModified
+    };
+}
+
+/**
+ * Conditionally patch a sub-resource (ifMatch is the sub-resource ETag)
+ * options: { format, validate } as for planService.patchPlan
+ */
+async function patchSubresource(id, segments, patch, ifMatch, options = {}) {
+    const { format = 'merge', ...updateOptions } = options;
+    let patched;
+
+    const result = await planService.updatePlanDocument(id, (currentDoc) => {
+        const loc = locateObject(currentDoc, segments, ifMatch);
+
+        patched = planService.applyPatch(loc.value, patch, format);
+        if (patched.objectId !== loc.value.objectId) {
+            const err = new Error('objectId cannot be changed');
+            err.code = 'E_PATCH_INVALID';
+            err.path = '/objectId';
+            throw err;
+        }
+
+        loc.parent[loc.key] = patched;
+        return currentDoc;
+    }, updateOptions);
+
+    return {
+        document: patched,
+        etag: subtreeEtag(patched),
+        planEtag: result.etag,
+        lastModified: result.lastModified
+    };
+}
+
+/**
+ * Conditionally delete a sub-resource and everything nested under it
+ */
+async function deleteSubresource(id, segments, ifMatch, options = {}) {
+    const result = await planService.updatePlanDocument(id, (currentDoc) => {
+        const loc = locateObject(currentDoc, segments, ifMatch);
+        if (Array.isArray(loc.parent)) {
+            loc.parent.splice(loc.key, 1);
+        } else {
+            delete loc.parent[loc.key];
+        }
+        return currentDoc;
+    }, options);
+
+    return { planEtag: result.etag, lastModified: result.lastModified };
+}
+
+/**
+ * Append a new linkedPlanService to a plan
+ * options.ifMatch (optional) is the root plan ETag
+ */
+async function appendLinkedPlanService(id, item, options = {}) {
+    const result = await planService.updatePlanDocument(id, (currentDoc) => {
+        const existingIds = new Set(planService.extractAllObjectIds(currentDoc).map(o => o.objectId));
+        const conflict = planService.extractAllObjectIds(item).find(o => existingIds.has(o.objectId));
+        if (conflict) {
+            const err = new Error('resource exists');
+            err.code = 'E_CONFLICT';
+            err.objectId = conflict.objectId;
+            throw err;
+        }
+
+        currentDoc.linkedPlanServices = (currentDoc.linkedPlanServices || []).concat([item]);
+        return currentDoc;
+    }, options);
+
+    return {
+        document: item,
+        etag: subtreeEtag(item),
+        planEtag: result.etag,
+        lastModified: result.lastModified
+    };
+}
+
+module.exports = {
+    getSubresource,
+    patchSubresource,
+    deleteSubresource,
+    appendLinkedPlanService
+};
@@ -0,0 +1,124 @@
+// services/tenantService.js
+/**
+ * Tenant resolution and _org enforcement
+ * A tenant is { orgs: [...], all: boolean } describing which _org values a caller may use.
+ * Resolved from the authenticated user (API keys use their orgs restriction), otherwise in
+ * order (TENANT_SOURCES, default "mapping,hd,email"):
+ *  - mapping => TENANT_ORG_MAP, JSON of email or email domain => org list ("*" = every org)
+ *  - hd      => Google hosted-domain claim
+ *  - email   => domain of an email address the token marks verified (email_verified: true)
+ * Services treat an undefined tenant as a trusted internal caller (workers, scripts, purge).
+ */
+
+const SOURCES = (process.env.TENANT_SOURCES || 'mapping,hd,email')
+    .split(',').map(s => s.trim()).filter(Boolean);
+
+function loadOrgMap() {
+    if (!process.env.TENANT_ORG_MAP) return {};
+    try {
+        const parsed = JSON.parse(process.env.TENANT_ORG_MAP);
+        const map = {};
+        for (const [key, orgs] of Object.entries(parsed)) {
+            map[key.toLowerCase()] = [].concat(orgs);
+        }
+        return map;
+    } catch (err) {
+        console.error('TENANT_ORG_MAP is not valid JSON; explicit tenant mappings disabled:', err.message);
+        return {};
+    }
+}
+
+const ORG_MAP = loadOrgMap();
+
+function tenantFor(orgs) {
+    if (orgs.includes('*')) return { orgs: [], all: true };
+    return { orgs: [...new Set(orgs)], all: false };
+}
+
+/**
+ * Map an authenticated user (req.user) to a tenant, or null if no source applies
+ * API keys are scoped by their own org restriction (none = every org)
+ */
+function resolveTenant(user) {
+    if (!user) return null;
+    if (user.apiKey) return tenantFor(user.apiKey.orgs || ['*']);
+    const claims = user.claims || {};
+    const email = typeof user.email === 'string' ? user.email.toLowerCase() : null;
+    const emailVerified = claims.email_verified === true;
+    const domain = email && email.includes('@') ? email.split('@').pop() : null;
+
+    for (const source of SOURCES) {
+        if (source === 'mapping') {
+            const orgs = (email && ORG_MAP[email]) || (domain && ORG_MAP[domain]);
+            if (orgs && orgs.length > 0) return tenantFor(orgs);
+        } else if (source === 'hd' && claims.hd) {
+            return tenantFor([String(claims.hd).toLowerCase()]);
+        } else if (source === 'email' && domain && emailVerified) {
+            return tenantFor([domain]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether the tenant may access plans of the given org
+ */
+function isOrgAllowed(tenant, org) {
+    if (tenant === undefined || (tenant && tenant.all)) return true;
+    return Boolean(tenant && tenant.orgs.includes(org));
+}
+
+/**
+ * Org list to restrict queries to, or null when unrestricted
+ */
+function allowedOrgs(tenant) {
+    if (tenant === undefined || (tenant && tenant.all)) return null;
+    return tenant ? tenant.orgs : [];
+}
+
+/**
+ * _org problems in a document as a list of { field, message } (empty when it is acceptable):
+ * every object's _org must equal the plan's _org, and that org must be allowed for the tenant
+ */
+function checkDocumentOrgs(tenant, document) {
+    const details = [];
+    const rootOrg = document && document._org;
+
+    if (rootOrg !== undefined && !isOrgAllowed(tenant, rootOrg)) {
+        details.push({ field: '/_org', message: `organization "${rootOrg}" is not allowed for this caller` });
+    }
+
+    (function walk(value, path) {
+        if (!value || typeof value !== 'object') return;
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, `${path}/${index}`));
+            return;
+        }
+        for (const key of Object.keys(value)) {
+            const childPath = `${path}/${key}`;
+            if (key === '_org' && path !== '' && value._org !== rootOrg) {
+                details.push({ field: childPath, message: `must match the plan _org "${rootOrg}"` });
+            } else {
+                walk(value[key], childPath);
+            }
+        }
+    })(document, '');
+
+    return details;
+}
+
+/**
+ * Elasticsearch filter clause restricting hits to the tenant's orgs (null when unrestricted)
+ */
+function searchFilter(tenant) {
+    const orgs = allowedOrgs(tenant);
+    return orgs === null ? null : { terms: { _org: orgs } };
+}
+
+module.exports = {
+    resolveTenant,
+    isOrgAllowed,
+    allowedOrgs,
+    checkDocumentOrgs,
+    searchFilter
+};
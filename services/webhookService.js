@@ -0,0 +1,463 @@
+// services/webhookService.js
+/**
+ * Webhook subscriptions and delivery
+ * Subscribers receive plan lifecycle events (plan.created / plan.updated / plan.deleted),
+ * optionally limited to some _org values. Each request body is the event JSON, signed with
+ * the subscription secret: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * URLs must resolve to public addresses, checked on registration and again when connecting
+ * (WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development). Only the response
+ * status is kept, never the body.
+ * Redis layout:
+ *  - webhook:<id>             JSON record { id, url, events, orgs, secret, active, description, ... }
+ *  - webhooks                 set of all subscription ids
+ *  - webhookdeliveries:<id>   list of delivery attempts, newest first (capped at WEBHOOK_HISTORY_LIMIT)
+ *  - webhookfanout:<eventId>  hash subscription id => delivery id of the jobs queued for an event
+ *                             (kept WEBHOOK_FANOUT_TTL_SECONDS so a redelivered event skips them)
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const redisClient = require('../models/redisClient');
+const tenantService = require('./tenantService');
+
+const EVENT_TYPES = ['plan.created', 'plan.updated', 'plan.deleted'];
+const SUBSCRIPTIONS_SET = 'webhooks';
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const HISTORY_LIMIT = Number(process.env.WEBHOOK_HISTORY_LIMIT) || 500;
+// Wait before attempt 2, 3, ...; attempts stop once the list is used up
+const RETRY_DELAYS_MS = (process.env.WEBHOOK_RETRY_DELAYS_MS || '5000,30000,120000,600000,1800000')
+    .split(',').map(Number).filter(ms => Number.isInteger(ms) && ms > 0);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const FANOUT_TTL_SECONDS = Number(process.env.WEBHOOK_FANOUT_TTL_SECONDS) || 7 * 24 * 3600;
+
+// Loopback, private, link-local (cloud metadata endpoints), shared, multicast and reserved ranges;
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function recordKeyFor(id) { return `webhook:${id}`; }
+function deliveriesKeyFor(id) { return `webhookdeliveries:${id}`; }
+function fanOutKeyFor(eventId) { return `webhookfanout:${eventId}`; }
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.code = 'E_BAD_REQUEST';
+    return err;
+}
+
+function notFound() {
+    const err = new Error('not found');
+    err.code = 'E_NOT_FOUND';
+    return err;
+}
+
+/**
+ * Public view of a subscription (the secret is only returned on creation)
+ */
+function describe(record) {
+    const { secret, ...rest } = record;
+    return rest;
+}
+
+/**
+ * Subscriptions are visible to tenants allowed every org they cover
+ * (a subscription for all orgs only to unrestricted callers)
+ */
+function isVisible(tenant, record) {
+    const orgs = tenantService.allowedOrgs(tenant);
+    if (orgs === null) return true;
+    return record.orgs !== null && record.orgs.every(org => orgs.includes(org));
+}
+
+function isBlockedAddress(address) {
+    if (ALLOW_PRIVATE_URLS) return false;
+    return BLOCKED_ADDRESSES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedAddressError(host, address) {
+    const err = new Error(host === address
+        ? `${address} is not a public address`
+        : `${host} resolves to ${address}, which is not a public address`);
+    err.code = 'E_BLOCKED_ADDRESS';
+    return err;
+}
+
+function hostOf(parsed) {
+    return parsed.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * dns.lookup for outgoing deliveries that refuses internal addresses, so the address
+ * connected to is the one that was checked
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Normalized subscription URL; throws E_BAD_REQUEST unless it is http(s) and every address
+ * of its host is public
+ */
+async function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw badRequest('url must be an absolute http(s) URL');
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw badRequest('url must be an absolute http(s) URL');
+    }
+
+    const host = hostOf(parsed);
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (e) {
+        throw badRequest(`url host ${host} could not be resolved`);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+        throw badRequest(`url must point to a public address: ${blockedAddressError(host, blocked.address).message}`);
+    }
+
+    return parsed.toString();
+}
+
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !EVENT_TYPES.includes(e))) {
+        throw badRequest(`events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`);
+    }
+    return [...new Set(events)];
+}
+
+/**
+ * Subscription orgs for the tenant: omitted means all orgs the tenant may use
+ */
+function resolveOrgs(orgs, tenant) {
+    const allowed = tenantService.allowedOrgs(tenant);
+    if (orgs === undefined || orgs === null) {
+        return allowed === null ? null : [...allowed];
+    }
+    if (!Array.isArray(orgs) || orgs.length === 0 || orgs.some(o => typeof o !== 'string' || o === '')) {
+        throw badRequest('orgs must be a non-empty list of organization names');
+    }
+    const forbidden = orgs.filter(org => !tenantService.isOrgAllowed(tenant, org));
+    if (forbidden.length > 0) {
+        const err = new Error('organization not allowed');
+        err.code = 'E_TENANT';
+        err.details = forbidden.map(org => ({ field: '/orgs', message: `organization "${org}" is not allowed for this caller` }));
+        throw err;
+    }
+    return [...new Set(orgs)];
+}
+
+async function loadRecord(id) {
+    const raw = await redisClient.get(recordKeyFor(id));
+    return raw ? JSON.parse(raw) : null;
+}
+
+async function loadVisible(id, tenant) {
+    const record = await loadRecord(id);
+    if (!record || !isVisible(tenant, record)) throw notFound();
+    return record;
+}
+
+/**
+ * Register a subscription { url, events, orgs?, secret?, description? }
+ * Returns the record including the signing secret (generated when not supplied)
+ */
+async function createSubscription({ url, events, orgs, secret, description } = {}, { actor = null, tenant } = {}) {
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        throw badRequest('secret must be a string of at least 16 characters');
+    }
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        url: await validateUrl(url),
+        events: validateEvents(events),
+        orgs: resolveOrgs(orgs, tenant),
+        description: typeof description === 'string' ? description : null,
+        active: true,
+        secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString(),
+        createdBy: actor,
+        updatedAt: null
+    };
+
+    const multi = redisClient.multi();
+    multi.set(recordKeyFor(record.id), JSON.stringify(record));
+    multi.sAdd(SUBSCRIPTIONS_SET, record.id);
+    await multi.exec();
+
+    return record;
+}
+
+async function loadAll() {
+    const ids = await redisClient.sMembers(SUBSCRIPTIONS_SET);
+    if (ids.length === 0) return [];
+    const raws = await redisClient.mGet(ids.map(recordKeyFor));
+    return raws.filter(Boolean).map(raw => JSON.parse(raw));
+}
+
+/**
+ * Subscriptions visible to the tenant, newest first
+ */
+async function listSubscriptions({ tenant } = {}) {
+    const records = await loadAll();
+    return records
+        .filter(record => isVisible(tenant, record))
+        .map(describe)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+async function getSubscription(id, { tenant } = {}) {
+    return describe(await loadVisible(id, tenant));
+}
+
+/**
+ * Change url, events, orgs, active or description
+ */
+async function updateSubscription(id, changes = {}, { actor = null, tenant } = {}) {
+    const record = await loadVisible(id, tenant);
+    const updated = { ...record };
+
+    if (changes.url !== undefined) updated.url = await validateUrl(changes.url);
+    if (changes.events !== undefined) updated.events = validateEvents(changes.events);
+    if (changes.orgs !== undefined) updated.orgs = resolveOrgs(changes.orgs, tenant);
+    if (changes.active !== undefined) {
+        if (typeof changes.active !== 'boolean') throw badRequest('active must be a boolean');
+        updated.active = changes.active;
+    }
+    if (changes.description !== undefined) {
+        if (changes.description !== null && typeof changes.description !== 'string') {
+            throw badRequest('description must be a string');
+        }
+        updated.description = changes.description;
+    }
+    updated.updatedAt = new Date().toISOString();
+    updated.updatedBy = actor;
+
+    await redisClient.set(recordKeyFor(id), JSON.stringify(updated));
+    return describe(updated);
+}
+
+/**
+ * Remove a subscription and its delivery history; queued deliveries are dropped by the worker
+ */
+async function deleteSubscription(id, { tenant } = {}) {
+    await loadVisible(id, tenant);
+    const multi = redisClient.multi();
+    multi.del(recordKeyFor(id));
+    multi.del(deliveriesKeyFor(id));
+    multi.sRem(SUBSCRIPTIONS_SET, id);
+    await multi.exec();
+}
+
+/**
+ * Active subscriptions that want the event (by type and the plan's _org)
+ */
+async function matchingSubscriptions(event) {
+    const records = await loadAll();
+    return records.filter(record =>
+        record.active &&
+        record.events.includes(event.type) &&
+        (record.orgs === null || record.orgs.includes(event.org))
+    );
+}
+
+/**
+ * Delivery id of an event for a subscription; the same for every fan-out of that event
+ */
+function deliveryIdFor(eventId, subscriptionId) {
+    return crypto.createHash('sha256').update(`${eventId}:${subscriptionId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Queue one delivery job per matching subscription through publish(job), which must resolve
+ * only once the job is safely queued. Subscriptions already queued for the event (an earlier,
+ * partly failed fan-out) are skipped; a subscription that fails does not stop the others, and
+ * E_FANOUT is thrown afterwards with the failed ones so the event can be redelivered.
+ * Returns { queued, alreadyQueued, subscriptions }
+ */
+async function fanOut(event, publish) {
+    const subscriptions = await matchingSubscriptions(event);
+    const key = fanOutKeyFor(event.id);
+    const done = await redisClient.hGetAll(key);
+
+    let queued = 0;
+    const failed = [];
+    for (const subscription of subscriptions) {
+        if (done[subscription.id]) continue;
+        const deliveryId = deliveryIdFor(event.id, subscription.id);
+        try {
+            await publish({ deliveryId, subscriptionId: subscription.id, attempt: 1, event });
+            await redisClient.multi()
+                .hSet(key, subscription.id, deliveryId)
+                .expire(key, FANOUT_TTL_SECONDS)
+                .exec();
+            queued++;
+        } catch (err) {
+            failed.push({ subscriptionId: subscription.id, error: err.message });
+        }
+    }
+
+    if (failed.length > 0) {
+        const err = new Error(`queueing ${event.id} failed for ${failed.length} of ${subscriptions.length} subscription(s): ${failed[0].error}`);
+        err.code = 'E_FANOUT';
+        err.failed = failed;
+        throw err;
+    }
+    return { queued, alreadyQueued: subscriptions.length - queued, subscriptions: subscriptions.length };
+}
+
+/**
+ * HMAC-SHA256 signature header value for a request body
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Network errors, timeouts, 408, 429 and 5xx are worth retrying; other responses are final
+ */
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * POST a body to a subscription URL and resolve with the response status; the response body
+ * is discarded, redirects are not followed and internal addresses are refused (E_BLOCKED_ADDRESS)
+ */
+function post(url, headers, body) {
+    const parsed = new URL(url);
+    const host = hostOf(parsed);
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        return Promise.reject(blockedAddressError(host, host));
+    }
+
+    const transport = parsed.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = transport.request(parsed, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        }, response => {
+            resolve(response.statusCode);
+            response.destroy();
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+async function recordAttempt(subscriptionId, attempt) {
+    const multi = redisClient.multi();
+    multi.lPush(deliveriesKeyFor(subscriptionId), JSON.stringify(attempt));
+    multi.lTrim(deliveriesKeyFor(subscriptionId), 0, HISTORY_LIMIT - 1);
+    await multi.exec();
+}
+
+/**
+ * Make one delivery attempt for a job { deliveryId, subscriptionId, attempt, event } and record it
+ * Returns { outcome, retryInMs } - retryInMs is set when the job should be queued again
+ */
+async function attemptDelivery(job) {
+    const record = await loadRecord(job.subscriptionId);
+    if (!record || !record.active) {
+        return { outcome: 'skipped', retryInMs: null };
+    }
+
+    const body = JSON.stringify(job.event);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    let blocked = false;
+
+    try {
+        statusCode = await post(record.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'healthcare-plan-webhooks/1',
+            'X-Webhook-Id': record.id,
+            'X-Webhook-Event': job.event.type,
+            'X-Webhook-Delivery': job.deliveryId,
+            'X-Webhook-Attempt': String(job.attempt),
+            'X-Webhook-Signature': sign(record.secret, body)
+        }, body);
+    } catch (err) {
+        error = err.name === 'AbortError' ? `timed out after ${TIMEOUT_MS}ms` : err.message;
+        blocked = err.code === 'E_BLOCKED_ADDRESS';
+    }
+
+    const succeeded = statusCode !== null && statusCode >= 200 && statusCode < 300;
+    // A host that now resolves to an internal address is not retried
+    const retryInMs = !succeeded && !blocked && isRetryable(statusCode) && job.attempt < MAX_ATTEMPTS
+        ? RETRY_DELAYS_MS[job.attempt - 1]
+        : null;
+    const outcome = succeeded ? 'delivered' : (retryInMs !== null ? 'retrying' : 'failed');
+
+    await recordAttempt(record.id, {
+        deliveryId: job.deliveryId,
+        eventId: job.event.id,
+        eventType: job.event.type,
+        planId: job.event.planId,
+        attempt: job.attempt,
+        maxAttempts: MAX_ATTEMPTS,
+        outcome,
+        url: record.url,
+        statusCode,
+        error,
+        durationMs: Date.now() - startedAt,
+        attemptedAt: new Date(startedAt).toISOString(),
+        nextAttemptAt: retryInMs !== null ? new Date(Date.now() + retryInMs).toISOString() : null
+    });
+
+    return { outcome, retryInMs };
+}
+
+/**
+ * Delivery attempts for a subscription, newest first
+ * filters: { deliveryId, eventId, outcome }
+ */
+async function listDeliveries(id, { limit = 50, offset = 0, filters = {}, tenant } = {}) {
+    await loadVisible(id, tenant);
+    const raws = await redisClient.lRange(deliveriesKeyFor(id), 0, -1);
+    const attempts = raws.map(raw => JSON.parse(raw)).filter(attempt =>
+        (!filters.deliveryId || attempt.deliveryId === filters.deliveryId) &&
+        (!filters.eventId || attempt.eventId === filters.eventId) &&
+        (!filters.outcome || attempt.outcome === filters.outcome)
+    );
+    return { total: attempts.length, items: attempts.slice(offset, offset + limit) };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    MAX_ATTEMPTS,
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    updateSubscription,
+    deleteSubscription,
+    matchingSubscriptions,
+    fanOut,
+    attemptDelivery,
+    listDeliveries,
+    sign
+};
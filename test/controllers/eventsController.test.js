@@ -0,0 +1,142 @@
+// test/controllers/eventsController.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+process.env.SSE_REPLAY_BUFFER = '3';
+const redis = installFakeRedis();
+const rabbitmqService = require('../../services/rabbitmqService');
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const eventsController = require('../../controllers/eventsController');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+// Stands in for this instance's queue bound to plan_exchange
+const broker = { subscriptions: 0, deliver: null, close: null };
+rabbitmqService.subscribeToEvents = async (handler, onClose) => {
+    broker.subscriptions++;
+    broker.deliver = handler;
+    broker.close = onClose;
+    return 'amq.gen-test';
+};
+
+const tenant = { orgs: ['example.com'], all: false };
+let sequence = 0;
+
+function event(fields = {}) {
+    sequence++;
+    return {
+        id: `event-${sequence}`,
+        type: 'plan.updated',
+        operation: 'update',
+        planId: example.objectId,
+        org: 'example.com',
+        version: sequence,
+        etag: `"etag-${sequence}"`,
+        diff: [{ op: 'replace', path: '/planType' }],
+        ...fields
+    };
+}
+
+/**
+ * Open a stream through the controller; returns the parsed SSE messages written so far and close()
+ */
+async function open(handler, { params = {}, query = {}, headers = {} } = {}) {
+    const req = Object.assign(new EventEmitter(), { params, query, tenant, header: name => headers[name] });
+    const written = [];
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        set() { return this; },
+        json(body) { this.body = body; return this; },
+        flushHeaders() {},
+        write(chunk) { written.push(chunk); return true; }
+    };
+    await handler(req, res);
+    const messages = () => written
+        .filter(chunk => chunk.startsWith('id:') || chunk.startsWith('event:'))
+        .map(chunk => Object.fromEntries(chunk.trim().split('\n').map(line => {
+            const at = line.indexOf(': ');
+            return [line.slice(0, at), line.slice(at + 2)];
+        })));
+    return { res, messages, close: () => req.emit('close') };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('a stream receives the tenant\'s events without their diff', async () => {
+    const stream = await open(eventsController.streamEvents);
+    try {
+        const mine = event();
+        broker.deliver(mine);
+        broker.deliver(event({ org: 'other.org' }));
+
+        const messages = stream.messages();
+        assert.deepEqual(messages.map(message => message.id), [mine.id]);
+        assert.equal(messages[0].event, 'plan.updated');
+        const { diff, ...notification } = mine;
+        assert.deepEqual(JSON.parse(messages[0].data), notification);
+    } finally {
+        stream.close();
+    }
+
+    // A closed stream is unsubscribed
+    broker.deliver(event());
+    assert.equal(stream.messages().length, 1);
+});
+
+test('Last-Event-ID replays the buffered events after it, or sends a reset once evicted', async () => {
+    const seen = event();
+    broker.deliver(seen);
+    const missed = [event(), event({ planId: 'another-plan' })];
+    missed.forEach(broker.deliver);
+
+    const resumed = await open(eventsController.streamEvents, { headers: { 'Last-Event-ID': seen.id } });
+    resumed.close();
+    assert.deepEqual(resumed.messages().map(message => message.id), missed.map(e => e.id));
+
+    // The buffer holds three events; one more pushes `seen` out
+    broker.deliver(event());
+    const reset = await open(eventsController.streamEvents, { query: { lastEventId: seen.id } });
+    reset.close();
+    assert.deepEqual(reset.messages().map(message => message.event), ['reset']);
+});
+
+test('a plan stream is limited to that plan and hidden from other orgs', async () => {
+    await planService.createPlan(JSON.parse(JSON.stringify(example)), { tenant });
+
+    const stream = await open(eventsController.streamPlanEvents, { params: { id: example.objectId } });
+    const mine = event();
+    broker.deliver(event({ planId: 'another-plan' }));
+    broker.deliver(mine);
+    stream.close();
+    assert.deepEqual(stream.messages().map(message => message.id), [mine.id]);
+
+    const missing = await open(eventsController.streamPlanEvents, { params: { id: 'unknown' } });
+    assert.equal(missing.res.statusCode, 404);
+
+    const forbidden = await open(eventsController.streamEvents, { query: { org: 'other.org' } });
+    assert.equal(forbidden.res.statusCode, 403);
+});
+
+test('a lost broker channel is resubscribed', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const stream = await open(eventsController.streamEvents);
+    try {
+        const before = broker.subscriptions;
+        broker.close();
+        t.mock.timers.tick(5000);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(broker.subscriptions, before + 1);
+
+        const next = event();
+        broker.deliver(next);
+        assert.deepEqual(stream.messages().map(message => message.id), [next.id]);
+    } finally {
+        stream.close();
+    }
+});
@@ -0,0 +1,138 @@
+// test/controllers/versionsController.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const versionsController = require('../../controllers/versionsController');
+const plansController = require('../../controllers/plansController');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const user = { sub: 'user-1', email: 'editor@example.com', name: 'Editor' };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        set(name, value) { this.headers[name] = value; return this; },
+        location(value) { return this.set('Location', value); },
+        json(body) { this.body = body; return this; },
+        end() { return this; }
+    };
+}
+
+async function call(handler, { params = {}, query = {}, headers = {} } = {}) {
+    const req = {
+        params: { id, ...params },
+        query,
+        user,
+        tenant,
+        header: name => headers[name]
+    };
+    const res = fakeResponse();
+    await handler(req, res);
+    return res;
+}
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test.beforeEach(() => redis.reset());
+
+test('every write is listed with its operation, ETag and acting user', async () => {
+    const created = await planService.createPlan(plan(), { tenant, actor: user });
+    const patched = await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant, actor: user });
+    await planService.deletePlan(id, patched.etag, { tenant, actor: user });
+
+    const res = await call(versionsController.listVersions);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.versions.map(v => [v.version, v.operation, v.etag]), [
+        [1, 'create', created.etag],
+        [2, 'update', patched.etag],
+        [3, 'delete', null]
+    ]);
+    assert.deepEqual(res.body.versions[1].actor, user);
+
+    const snapshot = await call(versionsController.getVersion, { params: { version: '1' } });
+    assert.equal(snapshot.headers.ETag, created.etag);
+    assert.deepEqual(snapshot.body.document, example);
+
+    assert.equal((await call(versionsController.getVersion, { params: { version: '0' } })).statusCode, 400);
+    assert.equal((await call(versionsController.getVersion, { params: { version: '9' } })).statusCode, 404);
+});
+
+test('asOf reads return the version current at that time', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await pause();
+    const between = Date.now();
+    await pause();
+    await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant });
+
+    const then = await call(plansController.getPlan, { query: { asOf: String(between) } });
+    assert.equal(then.statusCode, 200);
+    assert.equal(then.body.planType, example.planType);
+    assert.equal(then.headers.ETag, created.etag);
+
+    const now = await call(plansController.getPlan, { query: { asOf: new Date().toISOString() } });
+    assert.equal(now.body.planType, 'outOfNetwork');
+
+    assert.equal((await call(plansController.getPlan, { query: { asOf: '0' } })).statusCode, 404);
+    assert.equal((await call(plansController.getPlan, { query: { asOf: 'yesterday' } })).statusCode, 400);
+});
+
+test('diff defaults to the latest version against the one before', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant });
+
+    const res = await call(versionsController.diffVersions);
+    assert.equal(res.body.from.version, 1);
+    assert.equal(res.body.to.version, 2);
+    assert.deepEqual(res.body.changes.map(change => change.path), ['/planType']);
+    assert.equal((await call(versionsController.diffVersions, { query: { from: 'x' } })).statusCode, 400);
+});
+
+test('restore writes the snapshot back as a new conditional version', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const patched = await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant });
+    const params = { version: '1' };
+
+    assert.equal((await call(versionsController.restoreVersion, { params })).statusCode, 428);
+    const stale = await call(versionsController.restoreVersion, { params, headers: { 'If-Match': created.etag } });
+    assert.equal(stale.statusCode, 412);
+    assert.equal(stale.body.currentEtag, patched.etag);
+
+    const res = await call(versionsController.restoreVersion, { params, headers: { 'If-Match': patched.etag } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['X-Plan-Version'], '3');
+    assert.deepEqual(res.body, example);
+
+    const restored = await call(versionsController.getVersion, { params: { version: '3' } });
+    assert.equal(restored.body.operation, 'restore');
+    assert.equal(restored.body.restoredFrom, 1);
+});
+
+test('delete snapshots and trashed plans cannot be restored; a purged plan is re-created', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+
+    const deleteSnapshot = await call(versionsController.restoreVersion, { params: { version: '2' } });
+    assert.equal(deleteSnapshot.statusCode, 409);
+    assert.equal(deleteSnapshot.body.error, 'version_not_restorable');
+
+    const trashed = await call(versionsController.restoreVersion, { params: { version: '1' } });
+    assert.equal(trashed.statusCode, 409);
+    assert.equal(trashed.body.error, 'plan_in_trash');
+
+    await planService.deletePlan(id, created.etag, { tenant, hard: true });
+    const recreated = await call(versionsController.restoreVersion, { params: { version: '1' } });
+    assert.equal(recreated.statusCode, 201);
+    assert.deepEqual((await planService.getPlan(id, { tenant })).document, example);
+});
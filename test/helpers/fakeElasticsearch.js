@@ -0,0 +1,246 @@
+// test/helpers/fakeElasticsearch.js
+/**
+ * In-memory stand-in for the @elastic/elasticsearch client with the subset of the API the
+ * indexing paths use: aliases and mapping versions, index/get with external versioning, bulk
+ * (index/delete, external_gte, delete tombstones) and routing searches with search_after,
+ * plus what index migrations need: create/delete/exists, atomic alias updates, counts and a
+ * _reindex task that completes at once.
+ * installFakeElasticsearch() must run before any module that requires @elastic/elasticsearch.
+ */
+const ES_CLIENT_PATH = require.resolve('@elastic/elasticsearch');
+
+function responseError(statusCode, type) {
+    const err = new Error(`${statusCode} ${type}`);
+    err.name = 'ResponseError';
+    err.meta = { statusCode, body: { error: { type } } };
+    return err;
+}
+
+class FakeElasticsearch {
+    constructor() {
+        // alias -> Map(index -> isWriteIndex)
+        this.aliases = new Map();
+        this.mappingVersions = new Map();
+        // index -> Map(id -> { version, source, routing, deleted })
+        this.stores = new Map();
+        this.reindexFailure = null;
+        this.indices = {
+            getAlias: async ({ name }) => {
+                const indices = this.aliases.get(name);
+                if (!indices || indices.size === 0) throw responseError(404, 'aliases_not_found_exception');
+                return Object.fromEntries([...indices].map(([index, isWriteIndex]) => [
+                    index, { aliases: { [name]: isWriteIndex ? { is_write_index: true } : {} } }
+                ]));
+            },
+            getMapping: async ({ index }) => {
+                const mappingVersion = this.mappingVersions.get(index);
+                return { [index]: { mappings: mappingVersion ? { _meta: { mappingVersion } } : {} } };
+            },
+            exists: async ({ index }) => this.stores.has(index),
+            create: async ({ index, body }) => {
+                if (this.stores.has(index)) throw responseError(400, 'resource_already_exists_exception');
+                const meta = body.mappings && body.mappings._meta;
+                this.addIndex(index, { mappingVersion: meta ? meta.mappingVersion : null });
+                Object.entries(body.aliases || {}).forEach(([alias, options]) => this.alias(alias, index, options.is_write_index));
+            },
+            delete: async ({ index }) => index.split(',').forEach(name => {
+                if (!this.stores.has(name)) throw responseError(404, 'index_not_found_exception');
+                this.stores.delete(name);
+                this.mappingVersions.delete(name);
+                this.aliases.forEach(indices => indices.delete(name));
+            }),
+            refresh: async () => ({}),
+            // All actions apply together or not at all
+            updateAliases: async ({ body: { actions } }) => {
+                const next = new Map([...this.aliases].map(([alias, indices]) => [alias, new Map(indices)]));
+                const deleted = [];
+                for (const action of actions) {
+                    const [type] = Object.keys(action);
+                    const { index, alias, is_write_index: isWriteIndex } = action[type];
+                    if (!this.stores.has(index)) throw responseError(404, 'index_not_found_exception');
+                    if (type === 'add') {
+                        if (!next.has(alias)) next.set(alias, new Map());
+                        next.get(alias).set(index, Boolean(isWriteIndex));
+                    } else if (type === 'remove') {
+                        if (!next.has(alias) || !next.get(alias).has(index)) throw responseError(404, 'aliases_not_found_exception');
+                        next.get(alias).delete(index);
+                    } else {
+                        deleted.push(index);
+                    }
+                }
+                this.aliases = next;
+                for (const index of deleted) await this.indices.delete({ index });
+                return { acknowledged: true };
+            }
+        };
+        this.tasks = {
+            get: async ({ task_id: taskId }) => {
+                const task = this.tasksById.get(taskId);
+                return task.error ? { completed: true, error: task.error } : { completed: true, response: task.response };
+            }
+        };
+        this.tasksById = new Map();
+    }
+
+    reset() {
+        this.aliases.clear();
+        this.mappingVersions.clear();
+        this.stores.clear();
+        this.tasksById.clear();
+        this.reindexFailure = null;
+    }
+
+    alias(alias, index, isWriteIndex = false) {
+        if (!this.aliases.has(alias)) this.aliases.set(alias, new Map());
+        this.aliases.get(alias).set(index, Boolean(isWriteIndex));
+    }
+
+    /**
+     * Register a physical index behind the given aliases with a recorded mapping version
+     * writeAliases lists the aliases it is the write index of
+     */
+    addIndex(index, { aliases = [], writeAliases = [], mappingVersion = null } = {}) {
+        this.stores.set(index, new Map());
+        if (mappingVersion) this.mappingVersions.set(index, mappingVersion);
+        aliases.forEach(alias => this.alias(alias, index, writeAliases.includes(alias)));
+    }
+
+    /**
+     * Physical indices behind an alias: { <index>: isWriteIndex }
+     */
+    aliasIndices(alias) {
+        return Object.fromEntries(this.aliases.get(alias) || []);
+    }
+
+    documents(index) {
+        if (!this.stores.has(index)) this.stores.set(index, new Map());
+        return this.stores.get(index);
+    }
+
+    /**
+     * Live documents of an index: Map(id -> { version, source, routing })
+     */
+    live(index) {
+        return new Map([...this.documents(index)].filter(([, doc]) => !doc.deleted));
+    }
+
+    write(index, id, { version, versionType, routing, source, deleted, create }) {
+        const documents = this.documents(index);
+        const current = documents.get(id);
+        if (create && current && !current.deleted) {
+            throw responseError(409, 'version_conflict_engine_exception');
+        }
+        if (versionType) {
+            if (current && (version < current.version || (versionType === 'external' && version === current.version))) {
+                throw responseError(409, 'version_conflict_engine_exception');
+            }
+        } else if (deleted && (!current || current.deleted)) {
+            throw responseError(404, 'not_found');
+        }
+        const next = versionType ? version : (current ? current.version : 0) + 1;
+        documents.set(id, deleted ? { version: next, routing, deleted: true } : { version: next, routing, source });
+        return next;
+    }
+
+    async index({ index, id, version, version_type: versionType, document }) {
+        return { _version: this.write(index, id, { version, versionType, source: document }) };
+    }
+
+    async get({ index, id }) {
+        const doc = this.documents(index).get(id);
+        if (!doc || doc.deleted) throw responseError(404, 'not_found');
+        return { _id: id, _version: doc.version, _source: doc.source };
+    }
+
+    async bulk({ operations }) {
+        const items = [];
+        for (let i = 0; i < operations.length; i++) {
+            const [type] = Object.keys(operations[i]);
+            const { _index: index, _id: id, routing, version, version_type: versionType } = operations[i][type];
+            const source = type === 'delete' ? undefined : operations[++i];
+            try {
+                this.write(index, id, { version, versionType, routing, source, deleted: type === 'delete' });
+                items.push({ [type]: { _index: index, _id: id, status: 200 } });
+            } catch (err) {
+                const status = err.meta.statusCode;
+                // A missing document is a plain 404 result, not an item error
+                items.push({ [type]: status === 404
+                    ? { _index: index, _id: id, status, result: 'not_found' }
+                    : { _index: index, _id: id, status, error: { type: err.meta.body.error.type } } });
+            }
+        }
+        return { errors: items.some(item => Object.values(item)[0].error), items };
+    }
+
+    async count({ index }) {
+        return { count: this.live(index).size };
+    }
+
+    /**
+     * Copies at once; the task reports the totals (or reindexFailure as its error)
+     */
+    async reindex({ body: { source, dest } }) {
+        const task = `task-${this.tasksById.size + 1}`;
+        if (this.reindexFailure) {
+            this.tasksById.set(task, { error: this.reindexFailure });
+            return { task };
+        }
+        const status = { total: 0, created: 0, updated: 0, version_conflicts: 0, failures: [] };
+        this.live(source.index).forEach((doc, id) => {
+            status.total++;
+            const existed = this.live(dest.index).has(id);
+            try {
+                this.write(dest.index, id, {
+                    version: doc.version,
+                    versionType: dest.version_type,
+                    routing: doc.routing,
+                    source: doc.source,
+                    create: dest.op_type === 'create'
+                });
+                status[existed ? 'updated' : 'created']++;
+            } catch (err) {
+                status.version_conflicts++;
+            }
+        });
+        this.tasksById.set(task, { response: status });
+        return { task };
+    }
+
+    async search({ index, body }) {
+        const routings = body.query.terms._routing;
+        const hits = [];
+        index.split(',').forEach(name => {
+            this.live(name).forEach((doc, id) => {
+                if (routings.includes(doc.routing)) {
+                    hits.push({ _index: name, _id: id, _routing: doc.routing, sort: [id, name] });
+                }
+            });
+        });
+        const compare = (a, b) => a.sort[0].localeCompare(b.sort[0]) || a.sort[1].localeCompare(b.sort[1]);
+        hits.sort(compare);
+        const after = body.search_after ? hits.filter(hit => compare(hit, { sort: body.search_after }) > 0) : hits;
+        return { hits: { hits: after.slice(0, body.size) } };
+    }
+}
+
+/**
+ * Replace the client package with one whose Client always returns the shared fake
+ */
+function installFakeElasticsearch() {
+    const es = new FakeElasticsearch();
+    require.cache[ES_CLIENT_PATH] = {
+        id: ES_CLIENT_PATH,
+        filename: ES_CLIENT_PATH,
+        loaded: true,
+        exports: {
+            Client: class {
+                constructor() {
+                    return es;
+                }
+            }
+        }
+    };
+    return es;
+}
+
+module.exports = { FakeElasticsearch, installFakeElasticsearch };
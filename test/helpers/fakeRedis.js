@@ -0,0 +1,397 @@
+// test/helpers/fakeRedis.js
+/**
+ * In-memory stand-in for models/redisClient with the subset of node-redis commands the
+ * services use, including WATCH / MULTI / EXEC (EXEC returns null after a watched key changed).
+ * installFakeRedis() must run before any module that requires models/redisClient.
+ */
+const path = require('path');
+
+const REDIS_CLIENT_PATH = path.join(__dirname, '..', '..', 'models', 'redisClient.js');
+
+function bound(value) {
+    if (value === '-inf') return -Infinity;
+    if (value === '+inf') return Infinity;
+    return Number(value);
+}
+
+/**
+ * Stream id as [ms, seq] BigInts for comparison
+ */
+function streamId(id, missingSequence) {
+    const [ms, seq] = id.split('-');
+    return [BigInt(ms), BigInt(seq === undefined ? missingSequence : seq)];
+}
+
+function compareIds(a, b) {
+    return a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : (a[0] < b[0] ? -1 : 1);
+}
+
+/**
+ * Whether a stream id lies inside an XRANGE start/end pair ('-', '+', '(' exclusive, bare ms)
+ */
+function inStreamRange(id, start, end) {
+    const value = streamId(id);
+    if (start !== '-') {
+        const exclusive = start.startsWith('(');
+        const order = compareIds(value, streamId(exclusive ? start.slice(1) : start, '0'));
+        if (order < 0 || (exclusive && order === 0)) return false;
+    }
+    if (end !== '+') {
+        const exclusive = end.startsWith('(');
+        const order = compareIds(value, streamId(exclusive ? end.slice(1) : end, '18446744073709551615'));
+        if (order > 0 || (exclusive && order === 0)) return false;
+    }
+    return true;
+}
+
+class FakeRedis {
+    constructor() {
+        this.data = new Map();
+        this.versions = new Map();
+        this.watched = null;
+        this.streamSequence = 0;
+    }
+
+    reset() {
+        this.data.clear();
+        this.versions.clear();
+        this.watched = null;
+    }
+
+    touch(key) {
+        this.versions.set(key, (this.versions.get(key) || 0) + 1);
+    }
+
+    typed(key, Type) {
+        let value = this.data.get(key);
+        if (!(value instanceof Type)) {
+            value = new Type();
+            this.data.set(key, value);
+        }
+        return value;
+    }
+
+    dropIfEmpty(key) {
+        const value = this.data.get(key);
+        if (value && typeof value === 'object' && (value.size === 0 || value.length === 0)) this.data.delete(key);
+    }
+
+    // Strings
+    async get(key) {
+        const value = this.data.get(key);
+        return typeof value === 'string' ? value : null;
+    }
+
+    async set(key, value, options = {}) {
+        if (options.NX && this.data.has(key)) return null;
+        this.data.set(key, String(value));
+        this.touch(key);
+        return 'OK';
+    }
+
+    async getDel(key) {
+        const value = await this.get(key);
+        if (value !== null) {
+            this.data.delete(key);
+            this.touch(key);
+        }
+        return value;
+    }
+
+    async mGet(keys) {
+        return Promise.all(keys.map(key => this.get(key)));
+    }
+
+    async del(keys) {
+        let removed = 0;
+        [].concat(keys).forEach(key => {
+            if (this.data.delete(key)) removed++;
+            this.touch(key);
+        });
+        return removed;
+    }
+
+    // SCAN with MATCH (glob * and ?) and TYPE; yields batches of COUNT keys like node-redis v5
+    async *scanIterator({ MATCH = '*', COUNT = 10, TYPE } = {}) {
+        const escaped = MATCH.replace(/[.+^$()|{}[\]\\]/g, '\\$&');
+        const pattern = new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+        const types = { string: value => typeof value === 'string', set: value => value instanceof Set };
+        const keys = [...this.data].filter(([key, value]) => pattern.test(key) && (!TYPE || types[TYPE](value))).map(([key]) => key);
+        for (let i = 0; i < keys.length; i += COUNT) yield keys.slice(i, i + COUNT);
+    }
+
+    async expire() { return 1; }
+
+    async pExpire() { return 1; }
+
+    // Sets
+    async sAdd(key, members) {
+        const set = this.typed(key, Set);
+        [].concat(members).forEach(member => set.add(member));
+        this.touch(key);
+    }
+
+    async sRem(key, members) {
+        const set = this.data.get(key);
+        if (set instanceof Set) [].concat(members).forEach(member => set.delete(member));
+        this.dropIfEmpty(key);
+        this.touch(key);
+    }
+
+    async sMembers(key) {
+        const set = this.data.get(key);
+        return set instanceof Set ? [...set] : [];
+    }
+
+    // Hashes
+    async hSet(key, field, value) {
+        this.typed(key, Map).set(field, String(value));
+        this.touch(key);
+    }
+
+    async hGet(key, field) {
+        const hash = this.data.get(key);
+        return hash instanceof Map && hash.has(field) ? hash.get(field) : null;
+    }
+
+    async hmGet(key, fields) {
+        return Promise.all(fields.map(field => this.hGet(key, field)));
+    }
+
+    async hIncrBy(key, field, increment) {
+        const hash = this.typed(key, Map);
+        const value = Number(hash.get(field) || 0) + increment;
+        hash.set(field, String(value));
+        this.touch(key);
+        return value;
+    }
+
+    async hDel(key, field) {
+        const hash = this.data.get(key);
+        const removed = hash instanceof Map && hash.delete(field) ? 1 : 0;
+        this.dropIfEmpty(key);
+        this.touch(key);
+        return removed;
+    }
+
+    async hGetAll(key) {
+        const hash = this.data.get(key);
+        return hash instanceof Map ? Object.fromEntries(hash) : {};
+    }
+
+    // Sorted sets: { members: Map<value, score> } so plain sets can be told apart
+    zset(key) {
+        const value = this.data.get(key);
+        if (value instanceof Set) return new Map([...value].map(member => [member, 1]));
+        return value && value.zset ? value.zset : new Map();
+    }
+
+    storeZset(key, zset) {
+        if (zset.size > 0) this.data.set(key, { zset });
+        else this.data.delete(key);
+        this.touch(key);
+    }
+
+    async zAdd(key, entries) {
+        const zset = this.zset(key);
+        [].concat(entries).forEach(({ score, value }) => zset.set(value, Number(score)));
+        this.storeZset(key, zset);
+    }
+
+    async zRem(key, members) {
+        const zset = this.zset(key);
+        [].concat(members).forEach(member => zset.delete(member));
+        this.storeZset(key, zset);
+    }
+
+    async zmScore(key, members) {
+        const zset = this.zset(key);
+        return members.map(member => (zset.has(member) ? zset.get(member) : null));
+    }
+
+    async zCard(key) {
+        return this.zset(key).size;
+    }
+
+    sortedEntries(key) {
+        return [...this.zset(key)]
+            .map(([value, score]) => ({ value, score }))
+            .sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : 1));
+    }
+
+    async zRangeWithScores(key, start, stop, options = {}) {
+        let entries = this.sortedEntries(key);
+        if (options.REV) entries.reverse();
+        if (options.BY === 'SCORE') {
+            const [low, high] = options.REV ? [bound(stop), bound(start)] : [bound(start), bound(stop)];
+            entries = entries.filter(({ score }) => score >= low && score <= high);
+        } else {
+            const last = Number(stop) < 0 ? entries.length + Number(stop) : Number(stop);
+            entries = entries.slice(Number(start), last + 1);
+        }
+        if (options.LIMIT) entries = entries.slice(options.LIMIT.offset, options.LIMIT.offset + options.LIMIT.count);
+        return entries;
+    }
+
+    async zRange(key, start, stop, options = {}) {
+        return (await this.zRangeWithScores(key, start, stop, options)).map(({ value }) => value);
+    }
+
+    async zRangeStore(destination, source, start, stop, options = {}) {
+        const entries = await this.zRangeWithScores(source, start, stop, options);
+        this.storeZset(destination, new Map(entries.map(({ value, score }) => [value, score])));
+        return entries.length;
+    }
+
+    async zUnionStore(destination, keys) {
+        const union = new Map();
+        [].concat(keys).forEach(key => {
+            this.zset(key).forEach((score, member) => union.set(member, (union.get(member) || 0) + score));
+        });
+        this.storeZset(destination, union);
+        return union.size;
+    }
+
+    async zInterStore(destination, keys) {
+        const inputs = [].concat(keys).map(key => (typeof key === 'string' ? { key, weight: 1 } : key));
+        const zsets = inputs.map(({ key }) => this.zset(key));
+        const intersection = new Map();
+        zsets[0].forEach((score, member) => {
+            if (zsets.every(zset => zset.has(member))) {
+                intersection.set(member, inputs.reduce((sum, { weight }, i) => sum + zsets[i].get(member) * weight, 0));
+            }
+        });
+        this.storeZset(destination, intersection);
+        return intersection.size;
+    }
+
+    // Lists
+    async rPush(key, value) {
+        const list = this.typed(key, Array);
+        list.push(value);
+        this.touch(key);
+        return list.length;
+    }
+
+    async lPush(key, value) {
+        const list = this.typed(key, Array);
+        list.unshift(value);
+        this.touch(key);
+        return list.length;
+    }
+
+    async lLen(key) {
+        const list = this.data.get(key);
+        return Array.isArray(list) ? list.length : 0;
+    }
+
+    async lRange(key, start, stop) {
+        const list = this.data.get(key);
+        if (!Array.isArray(list)) return [];
+        return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    }
+
+    async lIndex(key, index) {
+        const list = this.data.get(key);
+        if (!Array.isArray(list)) return null;
+        const value = list[index < 0 ? list.length + index : index];
+        return value === undefined ? null : value;
+    }
+
+    async lTrim(key, start, stop) {
+        const list = this.data.get(key);
+        if (Array.isArray(list)) this.data.set(key, list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1));
+        this.touch(key);
+    }
+
+    // Streams
+    // Explicit ids are taken as given (callers keep them increasing); TRIM MAXLEN trims exactly
+    async xAdd(key, id, message, options = {}) {
+        const entryId = id === '*' ? `${Date.now()}-${this.streamSequence++}` : id;
+        const stream = this.typed(key, Array);
+        stream.push({ id: entryId, message: { ...message } });
+        if (options.TRIM && options.TRIM.strategy === 'MAXLEN' && stream.length > options.TRIM.threshold) {
+            stream.splice(0, stream.length - options.TRIM.threshold);
+        }
+        this.touch(key);
+        return entryId;
+    }
+
+    async xRange(key, start, end, options = {}) {
+        const stream = this.data.get(key);
+        const entries = Array.isArray(stream) ? stream.filter(entry => inStreamRange(entry.id, start, end)) : [];
+        return options.COUNT ? entries.slice(0, options.COUNT) : entries;
+    }
+
+    async xRevRange(key, end, start, options = {}) {
+        const entries = (await this.xRange(key, start, end)).reverse();
+        return options.COUNT ? entries.slice(0, options.COUNT) : entries;
+    }
+
+    async xDel(key, id) {
+        const stream = this.data.get(key);
+        if (Array.isArray(stream)) this.data.set(key, stream.filter(entry => entry.id !== id));
+        this.touch(key);
+    }
+
+    async xLen(key) {
+        const stream = this.data.get(key);
+        return Array.isArray(stream) ? stream.length : 0;
+    }
+
+    // Transactions
+    async watch(keys) {
+        this.watched = new Map([].concat(keys).map(key => [key, this.versions.get(key) || 0]));
+        return 'OK';
+    }
+
+    async unwatch() {
+        this.watched = null;
+        return 'OK';
+    }
+
+    multi() {
+        const queued = [];
+        const client = this;
+        const transaction = new Proxy({}, {
+            get(target, name) {
+                if (name === 'exec') {
+                    return async () => {
+                        const watched = client.watched;
+                        client.watched = null;
+                        if (watched && [...watched].some(([key, version]) => (client.versions.get(key) || 0) !== version)) {
+                            return null;
+                        }
+                        const results = [];
+                        for (const [command, args] of queued) results.push(await client[command](...args));
+                        return results;
+                    };
+                }
+                if (typeof client[name] !== 'function') return undefined;
+                return (...args) => {
+                    queued.push([name, args]);
+                    return transaction;
+                };
+            }
+        });
+        return transaction;
+    }
+
+    async close() {}
+}
+
+/**
+ * Replace models/redisClient with a fresh FakeRedis and return it
+ */
+function installFakeRedis() {
+    const client = new FakeRedis();
+    require.cache[REDIS_CLIENT_PATH] = {
+        id: REDIS_CLIENT_PATH,
+        filename: REDIS_CLIENT_PATH,
+        loaded: true,
+        exports: client
+    };
+    return client;
+}
+
+module.exports = { FakeRedis, installFakeRedis };
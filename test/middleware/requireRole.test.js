@@ -0,0 +1,59 @@
+// test/middleware/requireRole.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+delete process.env.DEFAULT_ROLE;
+installFakeRedis();
+const requireRole = require('../../middleware/requireRole');
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+async function run(middleware, req) {
+    const res = fakeResponse();
+    let called = false;
+    await middleware(req, res, () => { called = true; });
+    return { called, res };
+}
+
+test('users below the required role are rejected', async () => {
+    const req = { user: { email: 'sam@acme.com', claims: { roles: 'viewer' } } };
+    const { called, res } = await run(requireRole('editor', 'plans:write'), req);
+
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'insufficient_role');
+    assert.equal(res.body.role, 'viewer');
+});
+
+test('users with the role pass and the role is kept on the request', async () => {
+    const req = { user: { email: 'sam@acme.com', claims: { roles: 'admin' } } };
+    const { called } = await run(requireRole('editor', 'plans:write'), req);
+
+    assert.equal(called, true);
+    assert.equal(req.role, 'admin');
+});
+
+test('API keys are checked against their scopes instead of a role', async () => {
+    const readOnly = { user: { apiKey: { scopes: ['plans:read'] } } };
+    const denied = await run(requireRole('editor', 'plans:write'), readOnly);
+    assert.equal(denied.called, false);
+    assert.equal(denied.res.body.error, 'insufficient_scope');
+    assert.equal(denied.res.body.requiredScope, 'plans:write');
+
+    assert.equal((await run(requireRole('viewer', 'plans:read'), readOnly)).called, true);
+    assert.equal((await run(requireRole('editor', 'plans:write'), { user: { apiKey: { scopes: ['admin'] } } })).called, true);
+});
+
+test('routes without a scope are closed to API keys', async () => {
+    const { called, res } = await run(requireRole('admin'), { user: { apiKey: { scopes: ['admin'] } } });
+    assert.equal(called, false);
+    assert.equal(res.body.error, 'insufficient_scope');
+});
@@ -0,0 +1,32 @@
+// test/middleware/tenant.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requireTenant = require('../../middleware/tenant');
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+test('callers with a tenant get req.tenant', () => {
+    const req = { user: { email: 'sam@acme.com', claims: { email_verified: true } } };
+    let called = false;
+    requireTenant(req, fakeResponse(), () => { called = true; });
+
+    assert.equal(called, true);
+    assert.deepEqual(req.tenant, { orgs: ['acme.com'], all: false });
+});
+
+test('callers without an organization are rejected with 403', () => {
+    const res = fakeResponse();
+    let called = false;
+    requireTenant({ user: { email: 'sam@acme.com', claims: { email_verified: false } } }, res, () => { called = true; });
+
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'no_tenant');
+});
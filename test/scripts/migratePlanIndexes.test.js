@@ -0,0 +1,75 @@
+// test/scripts/migratePlanIndexes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const SCRIPT_PATH = require.resolve('../../scripts/migratePlanIndexes');
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+
+function renamed(suffix) {
+    const doc = plan();
+    (function rename(obj) {
+        if (!obj || typeof obj !== 'object') return;
+        if (obj.objectId) obj.objectId += suffix;
+        Object.values(obj).forEach(rename);
+    })(doc);
+    return doc;
+}
+
+/**
+ * Drop every index the migration builds, leaving the data as written before the indexes existed
+ */
+async function dropIndexes() {
+    for await (const keys of redis.scanIterator({ COUNT: 100 })) {
+        await redis.del(keys.filter(key => key.startsWith('planobjects:') || key.startsWith('plans:')));
+    }
+}
+
+/**
+ * The script runs on load and closes the client when it is done
+ */
+function runMigration() {
+    delete require.cache[SCRIPT_PATH];
+    return new Promise(resolve => {
+        redis.close = async () => resolve();
+        require(SCRIPT_PATH);
+    });
+}
+
+test('the migration rebuilds object and listing indexes for live and trashed plans', async t => {
+    t.mock.method(console, 'log', () => {});
+    const live = renamed('-live');
+    const trashed = renamed('-trashed');
+    await planService.createPlan(live, { tenant });
+    const created = await planService.createPlan(trashed, { tenant });
+    await planService.deletePlan(trashed.objectId, created.etag, { tenant });
+    const expected = {
+        live: await redis.sMembers(planService.planObjectsKeyFor(live.objectId)),
+        trashed: await redis.sMembers(planService.planObjectsKeyFor(trashed.objectId))
+    };
+    // An object whose parent chain does not reach a plan belongs to no index
+    await redis.set('service:orphan', JSON.stringify({ data: { objectId: 'orphan' }, parentId: 'gone', objectType: 'service' }));
+
+    await dropIndexes();
+    assert.equal(await planService.getPlan(live.objectId, { tenant }), null);
+
+    await runMigration();
+    await runMigration();
+
+    assert.deepEqual((await redis.sMembers(planService.planObjectsKeyFor(live.objectId))).sort(), expected.live.sort());
+    assert.deepEqual((await redis.sMembers(planService.planObjectsKeyFor(trashed.objectId))).sort(), expected.trashed.sort());
+    assert.deepEqual((await planService.getPlan(live.objectId, { tenant })).document, live);
+
+    const listed = await planService.listPlans({}, { tenant });
+    assert.deepEqual(listed.items.map(item => item.objectId), [live.objectId]);
+    const trash = await planService.listTrash({}, { tenant });
+    assert.deepEqual(trash.items.map(item => item.objectId), [trashed.objectId]);
+});
@@ -0,0 +1,145 @@
+// test/services/apiKeyService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const apiKeyService = require('../../services/apiKeyService');
+
+const acme = { orgs: ['acme.com'], all: false };
+const partner = { orgs: ['acme.com', 'globex.com'], all: false };
+const everyOrg = { orgs: [], all: true };
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('keys default to the issuing tenant orgs', async () => {
+    const issued = await apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'] }, { tenant: partner });
+    assert.deepEqual(issued.orgs, ['acme.com', 'globex.com']);
+    assert.equal('hash' in issued, false);
+
+    const unrestricted = await apiKeyService.issueKey({ name: 'ops', scopes: ['admin'] }, { tenant: everyOrg });
+    assert.equal(unrestricted.orgs, null);
+});
+
+test('keys cannot cover orgs outside the issuing tenant', async () => {
+    await assert.rejects(
+        apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'], orgs: ['acme.com', 'globex.com'] }, { tenant: acme }),
+        err => {
+            assert.equal(err.code, 'E_TENANT');
+            assert.deepEqual(err.details.map(detail => detail.message), ['organization "globex.com" is not allowed for this caller']);
+            return true;
+        }
+    );
+    await assert.rejects(
+        apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'], orgs: [] }, { tenant: acme }),
+        rejectsWith('E_BAD_REQUEST')
+    );
+    assert.deepEqual(await apiKeyService.listKeys({ tenant: everyOrg }), []);
+});
+
+test('tenants only see, rotate and revoke keys within their orgs', async () => {
+    const own = await apiKeyService.issueKey({ name: 'own', scopes: ['plans:read'] }, { tenant: acme });
+    const wider = await apiKeyService.issueKey({ name: 'wider', scopes: ['plans:read'] }, { tenant: partner });
+    const allOrgs = await apiKeyService.issueKey({ name: 'all-orgs', scopes: ['admin'] }, { tenant: everyOrg });
+
+    assert.deepEqual((await apiKeyService.listKeys({ tenant: acme })).map(key => key.name), ['own']);
+    assert.deepEqual((await apiKeyService.listKeys({ tenant: partner })).map(key => key.name).sort(), ['own', 'wider']);
+    assert.equal((await apiKeyService.listKeys({ tenant: everyOrg })).length, 3);
+
+    for (const keyId of [wider.keyId, allOrgs.keyId]) {
+        await assert.rejects(apiKeyService.getKey(keyId, { tenant: acme }), rejectsWith('E_NOT_FOUND'));
+        await assert.rejects(apiKeyService.rotateKey(keyId, { tenant: acme }), rejectsWith('E_NOT_FOUND'));
+        await assert.rejects(apiKeyService.revokeKey(keyId, { tenant: acme }), rejectsWith('E_NOT_FOUND'));
+    }
+    assert.equal((await apiKeyService.getKey(own.keyId, { tenant: acme })).name, 'own');
+});
+
+test('verified keys carry their scopes and orgs', async () => {
+    const issued = await apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read', 'search'] }, { tenant: acme });
+    const verified = await apiKeyService.verifyKey(issued.key);
+
+    assert.deepEqual(verified, { keyId: issued.keyId, name: 'ci', scopes: ['plans:read', 'search'], orgs: ['acme.com'] });
+    assert.ok((await apiKeyService.getKey(issued.keyId, { tenant: acme })).lastUsedAt);
+    await assert.rejects(apiKeyService.verifyKey(`${issued.key}x`), rejectsWith('E_API_KEY_INVALID'));
+    await assert.rejects(apiKeyService.verifyKey('not-a-key'), rejectsWith('E_API_KEY_INVALID'));
+});
+
+test('rotation keeps the old secret only during the grace period', async () => {
+    const issued = await apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'] }, { tenant: acme });
+    const graced = await apiKeyService.rotateKey(issued.keyId, { graceSeconds: 60, tenant: acme });
+    await apiKeyService.verifyKey(issued.key);
+    await apiKeyService.verifyKey(graced.key);
+
+    const rotated = await apiKeyService.rotateKey(issued.keyId, { tenant: acme });
+    await assert.rejects(apiKeyService.verifyKey(graced.key), rejectsWith('E_API_KEY_INVALID'));
+    await apiKeyService.verifyKey(rotated.key);
+});
+
+test('revoked keys stop working but stay listed', async () => {
+    const issued = await apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'] }, { tenant: acme });
+    await apiKeyService.revokeKey(issued.keyId, { tenant: acme });
+
+    await assert.rejects(apiKeyService.verifyKey(issued.key), rejectsWith('E_API_KEY_INVALID'));
+    await assert.rejects(apiKeyService.rotateKey(issued.keyId, { tenant: acme }), rejectsWith('E_NOT_FOUND'));
+    assert.ok((await apiKeyService.listKeys({ tenant: acme }))[0].revokedAt);
+});
+
+test('a revoke that lands during a rotation is not undone', async () => {
+    const issued = await apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'] }, { tenant: acme });
+    const recordKey = `apikey:${issued.keyId}`;
+    const get = redis.get.bind(redis);
+    let raced = false;
+    // The rotation has read the record when another admin's revoke is committed
+    redis.get = async key => {
+        const value = await get(key);
+        if (key === recordKey && !raced) {
+            raced = true;
+            await redis.set(key, JSON.stringify({ ...JSON.parse(value), revokedAt: new Date().toISOString() }));
+        }
+        return value;
+    };
+
+    try {
+        await assert.rejects(apiKeyService.rotateKey(issued.keyId, { tenant: acme }), rejectsWith('E_NOT_FOUND'));
+    } finally {
+        redis.get = get;
+    }
+    assert.ok(JSON.parse(await redis.get(recordKey)).revokedAt);
+    await assert.rejects(apiKeyService.verifyKey(issued.key), rejectsWith('E_API_KEY_INVALID'));
+});
+
+test('a rotation that lands during a revoke does not bring the key back', async () => {
+    const issued = await apiKeyService.issueKey({ name: 'ci', scopes: ['plans:read'] }, { tenant: acme });
+    const recordKey = `apikey:${issued.keyId}`;
+    const get = redis.get.bind(redis);
+    let raced = false;
+    redis.get = async key => {
+        const value = await get(key);
+        if (key === recordKey && !raced) {
+            raced = true;
+            await redis.set(key, JSON.stringify({ ...JSON.parse(value), hash: 'rotated', rotatedAt: new Date().toISOString() }));
+        }
+        return value;
+    };
+
+    try {
+        await apiKeyService.revokeKey(issued.keyId, { tenant: acme });
+    } finally {
+        redis.get = get;
+    }
+    const stored = JSON.parse(await redis.get(recordKey));
+    assert.ok(stored.revokedAt);
+    assert.equal(stored.hash, 'rotated');
+});
+
+test('admin scope covers every other scope', () => {
+    assert.equal(apiKeyService.hasScope(['admin'], 'plans:write'), true);
+    assert.equal(apiKeyService.hasScope(['plans:read'], 'plans:write'), false);
+});
@@ -0,0 +1,106 @@
+// test/services/auditService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+process.env.AUDIT_MAX_ENTRIES = '4';
+process.env.AUDIT_SCAN_LIMIT = '5';
+const redis = installFakeRedis();
+const auditService = require('../../services/auditService');
+
+const { STREAM_KEY } = auditService;
+
+/**
+ * Append an entry with a fixed id (`<ms>-0`) so the time filters are predictable
+ */
+function addAt(ms, { planId = 'plan-1', org = 'example.com', operation = 'update' } = {}) {
+    return redis.xAdd(STREAM_KEY, `${ms}-0`, {
+        timestamp: new Date(ms).toISOString(),
+        operation,
+        planId,
+        org,
+        version: '1',
+        diff: '[]',
+        actor: JSON.stringify({ sub: 'user-1' })
+    });
+}
+
+const ids = page => page.items.map(entry => entry.id);
+
+test.beforeEach(() => redis.reset());
+
+test('from / to become stream id bounds instead of a full scan', async () => {
+    for (const ms of [1000, 2000, 3000, 4000]) await addAt(ms);
+    const xRevRange = redis.xRevRange.bind(redis);
+    const calls = [];
+    redis.xRevRange = (key, end, start, options) => {
+        calls.push([end, start]);
+        return xRevRange(key, end, start, options);
+    };
+
+    try {
+        const page = await auditService.listEntries({ from: 2000, to: 3000 });
+        assert.deepEqual(ids(page), ['3000-0', '2000-0']);
+        assert.deepEqual(calls, [['3000-18446744073709551615', '2000-0']]);
+
+        // An empty time range never reaches Redis
+        calls.length = 0;
+        assert.deepEqual(ids(await auditService.listEntries({ from: 3000, to: 2000 })), []);
+        assert.deepEqual(calls, []);
+    } finally {
+        redis.xRevRange = xRevRange;
+    }
+});
+
+test('a cursor narrows the range but never widens it past to', async () => {
+    for (const ms of [1000, 2000, 3000, 4000]) await addAt(ms);
+
+    assert.deepEqual(ids(await auditService.listEntries({ before: '3000-0' })), ['2000-0', '1000-0']);
+    assert.deepEqual(ids(await auditService.listEntries({ to: 2000, before: '4000-0' })), ['2000-0', '1000-0']);
+});
+
+test('a sparse filter examines at most AUDIT_SCAN_LIMIT entries and returns a cursor', async () => {
+    // Seven entries, only the oldest matches
+    await addAt(1000, { planId: 'wanted' });
+    for (const ms of [2000, 3000, 4000, 5000, 6000, 7000]) await addAt(ms);
+
+    const first = await auditService.listEntries({ planId: 'wanted' }, { limit: 10 });
+    assert.deepEqual(first.items, []);
+    assert.equal(first.nextCursor, '3000-0');
+
+    const second = await auditService.listEntries({ planId: 'wanted', before: first.nextCursor }, { limit: 10 });
+    assert.deepEqual(ids(second), ['1000-0']);
+    assert.equal(second.nextCursor, null);
+});
+
+test('a full page reports the last returned entry as the cursor', async () => {
+    for (const ms of [1000, 2000, 3000]) await addAt(ms);
+
+    const page = await auditService.listEntries({}, { limit: 2 });
+    assert.deepEqual(ids(page), ['3000-0', '2000-0']);
+    assert.equal(page.nextCursor, '2000-0');
+});
+
+test('entries of other organizations are hidden from a tenant', async () => {
+    await addAt(1000, { org: 'example.com' });
+    await addAt(2000, { org: 'other.org' });
+
+    const tenant = { orgs: ['example.com'], all: false };
+    assert.deepEqual(ids(await auditService.listEntries({}, { tenant })), ['1000-0']);
+
+    const exported = [];
+    await auditService.scanEntries({}, { tenant }, entry => exported.push(entry.id));
+    assert.deepEqual(exported, ['1000-0']);
+});
+
+test('appends trim the stream to AUDIT_MAX_ENTRIES', async () => {
+    for (let i = 0; i < 6; i++) {
+        const multi = redis.multi();
+        auditService.addEntryToMulti(multi, { operation: 'update', planId: `plan-${i}`, org: 'example.com', version: 1 });
+        await multi.exec();
+    }
+
+    assert.equal(await redis.xLen(STREAM_KEY), 4);
+    const page = await auditService.listEntries({});
+    assert.deepEqual(page.items.map(entry => entry.planId), ['plan-5', 'plan-4', 'plan-3', 'plan-2']);
+});
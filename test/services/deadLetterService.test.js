@@ -0,0 +1,95 @@
+// test/services/deadLetterService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+process.env.DLQ_SCAN_LIMIT = '5';
+const redis = installFakeRedis();
+const rabbitmqService = require('../../services/rabbitmqService');
+const deadLetterService = require('../../services/deadLetterService');
+
+// The dead-letter queue: fetched messages are held by their channel until acked or returned on close
+let queue = [];
+
+function deadLetter(messageId) {
+    const content = { operation: 'index', data: { objectId: `plan-${messageId}` } };
+    queue.push({ content: Buffer.from(JSON.stringify(content)), properties: { messageId, headers: {} } });
+}
+
+rabbitmqService.connect = async () => ({
+    connection: {
+        createChannel: async () => {
+            const unacked = [];
+            return {
+                get: async () => {
+                    const msg = queue.shift();
+                    if (!msg) return false;
+                    unacked.push(msg);
+                    return msg;
+                },
+                ack: msg => unacked.splice(unacked.indexOf(msg), 1),
+                checkQueue: async () => ({ messageCount: queue.length }),
+                close: async () => {
+                    queue = [...unacked, ...queue];
+                }
+            };
+        }
+    }
+});
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(() => {
+    redis.reset();
+    queue = [];
+});
+
+test('purging everything keeps messages dead-lettered after the token was issued', async () => {
+    deadLetter('a');
+    deadLetter('b');
+    const pending = await deadLetterService.requestPurge({});
+    assert.equal(pending.messageCount, 2);
+
+    deadLetter('c');
+    assert.deepEqual(await deadLetterService.confirmPurge(pending.confirmationToken), { purged: 2 });
+    assert.deepEqual(queue.map(msg => msg.properties.messageId), ['c']);
+});
+
+test('a purge token is single use and a purge of an empty queue removes nothing', async () => {
+    const pending = await deadLetterService.requestPurge({});
+    deadLetter('a');
+
+    assert.deepEqual(await deadLetterService.confirmPurge(pending.confirmationToken), { purged: 0 });
+    await assert.rejects(deadLetterService.confirmPurge(pending.confirmationToken), rejectsWith('E_PURGE_TOKEN'));
+    assert.equal(queue.length, 1);
+});
+
+test('a selective purge removes only the listed messages', async () => {
+    ['a', 'b', 'c'].forEach(deadLetter);
+    const pending = await deadLetterService.requestPurge({ messageIds: ['b'] });
+
+    assert.deepEqual(await deadLetterService.confirmPurge(pending.confirmationToken), { purged: 1 });
+    assert.deepEqual(queue.map(msg => msg.properties.messageId), ['a', 'c']);
+});
+
+test('listing pages through the queue without removing messages', async () => {
+    ['a', 'b', 'c'].forEach(deadLetter);
+    const page = await deadLetterService.listDeadLetters({ limit: 2, offset: 1 });
+
+    assert.equal(page.total, 3);
+    assert.deepEqual(page.items.map(item => item.messageId), ['b', 'c']);
+    assert.equal(page.items[0].planId, 'plan-b');
+    assert.equal(queue.length, 3);
+});
+
+test('listing rejects invalid pages and pages beyond the scan limit', async () => {
+    for (const page of [{ limit: NaN }, { limit: 0 }, { offset: -1 }, { offset: 1.5 }, { limit: 2, offset: 4 }]) {
+        await assert.rejects(deadLetterService.listDeadLetters(page), rejectsWith('E_BAD_REQUEST'));
+    }
+    await deadLetterService.listDeadLetters({ limit: 2, offset: 3 });
+});
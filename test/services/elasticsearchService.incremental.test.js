@@ -0,0 +1,131 @@
+// test/services/elasticsearchService.incremental.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeElasticsearch } = require('../helpers/fakeElasticsearch');
+
+// Re-read the write alias on every test
+process.env.ES_ALIAS_REFRESH_MS = '1';
+const es = installFakeElasticsearch();
+const elasticsearchService = require('../../services/elasticsearchService');
+const searchMapping = require('../../utils/searchMapping');
+const example = require('../../plan-example.json');
+
+const { WRITE_ALIAS, VERSIONS_INDEX_NAME, MAPPING_VERSION } = elasticsearchService;
+const INDEX = elasticsearchService.physicalIndexName();
+const id = example.objectId;
+const [kept, removedChild] = example.linkedPlanServices;
+
+const plan = () => JSON.parse(JSON.stringify(example));
+
+// The plan without its second plan service, with a new one and a renamed service in the first
+function nextPlan() {
+    const next = plan();
+    next.linkedPlanServices = [next.linkedPlanServices[0], {
+        ...next.linkedPlanServices[0],
+        objectId: 'added-planservice',
+        linkedService: { ...next.linkedPlanServices[0].linkedService, objectId: 'added-service' },
+        planserviceCostShares: { ...next.linkedPlanServices[0].planserviceCostShares, objectId: 'added-costshare' }
+    }];
+    next.linkedPlanServices[0].linkedService = { ...next.linkedPlanServices[0].linkedService, name: 'Renamed' };
+    return next;
+}
+
+const changes = () => ({
+    changed: [kept.linkedService.objectId],
+    added: ['added-planservice', 'added-service', 'added-costshare'],
+    removed: [removedChild.objectId, removedChild.linkedService.objectId, removedChild.planserviceCostShares.objectId]
+});
+
+/**
+ * Run action and return the bulk requests it sent
+ */
+async function recordBulk(action) {
+    const bulk = es.bulk.bind(es);
+    const requests = [];
+    es.bulk = request => {
+        requests.push(request);
+        return bulk(request);
+    };
+    try {
+        await action();
+    } finally {
+        delete es.bulk;
+    }
+    return requests;
+}
+
+test.beforeEach(async t => {
+    t.mock.method(console, 'log', () => {});
+    es.reset();
+    es.addIndex(INDEX, { aliases: [WRITE_ALIAS], mappingVersion: MAPPING_VERSION });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await elasticsearchService.indexPlan(plan(), { version: 1, etag: '"v1"' });
+});
+
+test('the next version is applied with one bulk request touching only the changed documents', async () => {
+    let result;
+    const requests = await recordBulk(async () => {
+        result = await elasticsearchService.updatePlan(nextPlan(), { version: 2, etag: '"v2"', changes: changes() });
+    });
+
+    assert.deepEqual(result, { indexed: 5, deleted: 3, conflicts: 0, planId: id, incremental: true });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].refresh, true);
+    const actions = requests[0].operations.filter(op => op.index || op.delete);
+    assert.deepEqual(actions.filter(op => op.index).map(op => op.index._id).sort(),
+        [id, kept.linkedService.objectId, ...changes().added].sort());
+    assert.deepEqual(actions.filter(op => op.delete).map(op => op.delete._id), changes().removed);
+    assert.ok(actions.every(op => Object.values(op)[0].version === 2 && Object.values(op)[0].routing === id));
+
+    const documents = es.live(INDEX);
+    assert.deepEqual([...documents.keys()].sort(), searchMapping.extractDocuments(nextPlan()).map(document => document.id).sort());
+    assert.equal(documents.get(kept.linkedService.objectId).source.name, 'Renamed');
+    assert.equal(documents.get(id).source.planEtag, '"v2"');
+    // Untouched children keep the version they were indexed with
+    assert.equal(documents.get(kept.objectId).version, 1);
+
+    const { _source: applied } = await es.get({ index: VERSIONS_INDEX_NAME, id });
+    assert.deepEqual([applied.version, applied.confirmed], [2, true]);
+});
+
+test('a version gap falls back to a full rebuild', async () => {
+    const result = await elasticsearchService.updatePlan(nextPlan(), { version: 3, etag: '"v3"', changes: changes() });
+
+    assert.equal(result.incremental, undefined);
+    assert.equal(result.deleted, 3);
+    const documents = es.live(INDEX);
+    assert.deepEqual([...documents.keys()].sort(), searchMapping.extractDocuments(nextPlan()).map(document => document.id).sort());
+    assert.ok([...documents.values()].every(doc => doc.version === 3));
+});
+
+test('a previous version that was claimed but never confirmed falls back to a full rebuild', async () => {
+    // A worker claimed version 1 again and died before writing its documents
+    await es.index({
+        index: VERSIONS_INDEX_NAME,
+        id,
+        version: 1,
+        version_type: 'external_gte',
+        document: { planId: id, version: 1, etag: '"v1"', deleted: false, confirmed: false }
+    });
+
+    const result = await elasticsearchService.updatePlan(nextPlan(), { version: 2, etag: '"v2"', changes: changes() });
+    assert.equal(result.incremental, undefined);
+    assert.ok([...es.live(INDEX).values()].every(doc => doc.version === 2));
+});
+
+test('changes older than the applied version are skipped', async () => {
+    await elasticsearchService.updatePlan(nextPlan(), { version: 2, etag: '"v2"', changes: changes() });
+
+    const requests = await recordBulk(async () => {
+        const stale = await elasticsearchService.updatePlan(plan(), {
+            version: 1,
+            etag: '"v1"',
+            changes: { changed: [kept.linkedService.objectId], added: [], removed: [] }
+        });
+        assert.deepEqual(stale, { skipped: true, planId: id });
+    });
+
+    assert.deepEqual(requests, []);
+    assert.equal(es.live(INDEX).get(kept.linkedService.objectId).source.name, 'Renamed');
+    assert.equal(es.live(INDEX).get(id).source.planEtag, '"v2"');
+});
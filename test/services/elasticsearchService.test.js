@@ -0,0 +1,125 @@
+// test/services/elasticsearchService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeElasticsearch } = require('../helpers/fakeElasticsearch');
+
+// Re-read the write alias on every test, whose index layout differs
+process.env.ES_ALIAS_REFRESH_MS = '1';
+const es = installFakeElasticsearch();
+const elasticsearchService = require('../../services/elasticsearchService');
+const searchMapping = require('../../utils/searchMapping');
+const example = require('../../plan-example.json');
+
+const { WRITE_ALIAS, VERSIONS_INDEX_NAME, MAPPING_VERSION } = elasticsearchService;
+const INDEX = elasticsearchService.physicalIndexName();
+const id = example.objectId;
+const removedChild = example.linkedPlanServices[1];
+
+const plan = () => JSON.parse(JSON.stringify(example));
+
+// The plan without its second plan service, plus a new one
+function nextPlan() {
+    const next = plan();
+    next.linkedPlanServices = [next.linkedPlanServices[0], {
+        ...next.linkedPlanServices[0],
+        objectId: 'added-planservice',
+        linkedService: { ...next.linkedPlanServices[0].linkedService, objectId: 'added-service' },
+        planserviceCostShares: { ...next.linkedPlanServices[0].planserviceCostShares, objectId: 'added-costshare' }
+    }];
+    return next;
+}
+
+// Run `action` right after the versions index accepted the claim of `version`
+function afterClaim(version, action) {
+    const index = es.index.bind(es);
+    es.index = async request => {
+        const response = await index(request);
+        if (request.index === VERSIONS_INDEX_NAME && request.version === version && !request.document.confirmed) {
+            es.index = index;
+            await action();
+        }
+        return response;
+    };
+}
+
+test.beforeEach(async () => {
+    es.reset();
+    es.addIndex(INDEX, { aliases: [WRITE_ALIAS], mappingVersion: MAPPING_VERSION });
+    delete es.index;
+    await new Promise(resolve => setTimeout(resolve, 5));
+});
+
+test('a stale writer that passed its claim cannot overwrite a newer plan', async () => {
+    afterClaim(2, () => elasticsearchService.indexPlan(nextPlan(), { version: 3, etag: '"v3"' }));
+
+    const stale = await elasticsearchService.indexPlan(plan(), { version: 2, etag: '"v2"' });
+    assert.ok(stale.conflicts > 0);
+
+    const documents = es.live(INDEX);
+    assert.equal(documents.get(id).source.planEtag, '"v3"');
+    assert.equal(documents.has(removedChild.objectId), false);
+    assert.equal(documents.has(removedChild.linkedService.objectId), false);
+    assert.equal(documents.get('added-planservice').version, 3);
+    assert.ok([...documents.values()].every(doc => doc.version === 3));
+});
+
+test('a delete wins over a stale index still in flight', async () => {
+    afterClaim(1, () => elasticsearchService.deletePlan(id, { version: 2 }));
+
+    await elasticsearchService.indexPlan(plan(), { version: 1, etag: '"v1"' });
+
+    assert.equal(es.live(INDEX).size, 0);
+});
+
+test('a full rebuild indexes the plan and drops the documents it no longer has', async () => {
+    await elasticsearchService.indexPlan(plan(), { version: 1, etag: '"v1"' });
+    const result = await elasticsearchService.updatePlan(nextPlan(), { version: 2, etag: '"v2"' });
+
+    const documents = es.live(INDEX);
+    assert.equal(result.deleted, 3);
+    assert.deepEqual(
+        [...documents.keys()].sort(),
+        searchMapping.extractDocuments(nextPlan()).map(document => document.id).sort()
+    );
+    assert.ok([...documents.values()].every(doc => doc.version === 2));
+});
+
+test('replacePlans removes leftovers of a plan and skips stale entries', async () => {
+    await elasticsearchService.indexPlan(plan(), { version: 2, etag: '"v2"' });
+
+    assert.deepEqual(await elasticsearchService.replacePlans([{ document: nextPlan(), version: 1 }]), { indexed: 0, skipped: 1 });
+    assert.equal(es.live(INDEX).has(removedChild.objectId), true);
+
+    await elasticsearchService.replacePlans([{ document: nextPlan(), version: 3, etag: '"v3"' }]);
+    const documents = es.live(INDEX);
+    assert.equal(documents.has(removedChild.objectId), false);
+    assert.equal(documents.get(id).source.planVersion, 3);
+});
+
+test('an index from before versioned documents is written without versions', async () => {
+    const legacy = elasticsearchService.physicalIndexName(3);
+    es.reset();
+    es.addIndex(legacy, { aliases: [WRITE_ALIAS], mappingVersion: 3 });
+    es.addIndex(INDEX, { aliases: [WRITE_ALIAS], mappingVersion: MAPPING_VERSION });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const bulk = es.bulk.bind(es);
+    const operations = [];
+    es.bulk = request => {
+        operations.push(...request.operations.filter(op => op.index || op.delete));
+        return bulk(request);
+    };
+
+    try {
+        await elasticsearchService.indexPlan(plan(), { version: 5, etag: '"v5"' });
+        await elasticsearchService.updatePlan(nextPlan(), { version: 6, etag: '"v6"' });
+    } finally {
+        delete es.bulk;
+    }
+
+    const actions = operations.map(op => Object.values(op)[0]);
+    assert.ok(actions.filter(action => action._index === legacy).every(action => action.version === undefined));
+    assert.ok(actions.filter(action => action._index === INDEX).every(action => action.version_type === 'external_gte'));
+    assert.equal(es.live(legacy).has(removedChild.objectId), false);
+    assert.equal(es.live(legacy).get(id).version, 2);
+    assert.equal(es.live(INDEX).get(id).version, 6);
+});
@@ -0,0 +1,60 @@
+// test/services/historyService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const historyService = require('../../services/historyService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const owner = { orgs: ['example.com'], all: false };
+const other = { orgs: ['acme.com'], all: false };
+const everyOrg = { orgs: [], all: true };
+const id = example.objectId;
+const plan = () => JSON.parse(JSON.stringify(example));
+const acmePlan = () => JSON.parse(JSON.stringify(example).replaceAll('example.com', 'acme.com'));
+const versions = async tenant => (await historyService.listVersions(id, { tenant })).map(v => v.version);
+
+test.beforeEach(() => redis.reset());
+
+test('versions are numbered in order and diffed field by field', async () => {
+    const created = await planService.createPlan(plan(), { tenant: owner });
+    await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant: owner });
+
+    assert.deepEqual(await versions(owner), [1, 2]);
+    const result = await historyService.diffVersions(id, 1, 2, { tenant: owner });
+    assert.deepEqual(result.changes.map(change => change.path), ['/planType']);
+    assert.equal((await historyService.getVersion(id, 1, { tenant: owner })).document.planType, example.planType);
+});
+
+test('another org sees none of the history', async () => {
+    await planService.createPlan(plan(), { tenant: owner });
+
+    assert.deepEqual(await versions(other), []);
+    assert.equal(await historyService.getVersion(id, 1, { tenant: other }), null);
+    assert.equal(await historyService.getAsOf(id, Date.now(), { tenant: other }), null);
+});
+
+test('a purged objectId re-created by another org does not expose the earlier history', async () => {
+    const created = await planService.createPlan(plan(), { tenant: owner });
+    await planService.deletePlan(id, created.etag, { hard: true, tenant: owner });
+    const before = Date.now();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await planService.createPlan(acmePlan(), { tenant: other });
+
+    assert.deepEqual(await versions(other), [3]);
+    assert.deepEqual(await versions(owner), [1, 2]);
+    assert.deepEqual(await versions(everyOrg), [1, 2, 3]);
+
+    assert.equal(await historyService.getVersion(id, 1, { tenant: other }), null);
+    assert.equal(await historyService.getVersion(id, 3, { tenant: owner }), null);
+    assert.equal(await historyService.diffVersions(id, 1, 3, { tenant: other }), null);
+
+    assert.equal(await historyService.getAsOf(id, before, { tenant: other }), null);
+    assert.equal((await historyService.getAsOf(id, Date.now(), { tenant: other })).version, 3);
+    assert.equal(await historyService.getAsOf(id, Date.now(), { tenant: owner }), null);
+});
@@ -0,0 +1,118 @@
+// test/services/indexMigrationService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeElasticsearch } = require('../helpers/fakeElasticsearch');
+
+// Keeps the wait for other processes to pick up the dual-write alias at about a second
+process.env.ES_ALIAS_REFRESH_MS = '1';
+const es = installFakeElasticsearch();
+const elasticsearchService = require('../../services/elasticsearchService');
+const indexMigrationService = require('../../services/indexMigrationService');
+
+const { READ_ALIAS, WRITE_ALIAS } = elasticsearchService;
+const OLD = elasticsearchService.physicalIndexName(3);
+const NEW = elasticsearchService.physicalIndexName();
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    es.reset();
+    es.addIndex(OLD, { aliases: [READ_ALIAS, WRITE_ALIAS], writeAliases: [WRITE_ALIAS], mappingVersion: 3 });
+    ['plan-1', 'plan-2'].forEach(id => es.write(OLD, id, { routing: id, source: { objectId: id, planType: 'inNetwork' } }));
+});
+
+test('migrate copies into a new index, swaps both aliases and keeps writing the old one', async () => {
+    const progress = [];
+    const result = await indexMigrationService.migrate({ onProgress: message => progress.push(message) });
+
+    assert.deepEqual(result, { from: OLD, to: NEW, documents: { [OLD]: 2, [NEW]: 2 }, rollbackAvailable: true });
+    assert.deepEqual(es.aliasIndices(READ_ALIAS), { [NEW]: false });
+    assert.deepEqual(es.aliasIndices(WRITE_ALIAS), { [NEW]: true, [OLD]: false });
+    assert.deepEqual([...es.live(NEW).keys()].sort(), ['plan-1', 'plan-2']);
+    assert.ok(progress.some(message => message.startsWith('dual-writing')));
+
+    const status = await indexMigrationService.getStatus();
+    assert.equal(status.readIndex, NEW);
+    assert.equal(status.writeIndex, NEW);
+    assert.deepEqual(status.previousIndices, [OLD]);
+    assert.equal(status.mappingVersion, elasticsearchService.MAPPING_VERSION);
+
+    // Another run is refused until the previous index is finalized
+    await assert.rejects(indexMigrationService.migrate(), rejectsWith('E_MIGRATION_CURRENT'));
+
+    const finalized = await indexMigrationService.finalize({ deleteOld: true });
+    assert.deepEqual(finalized, { removed: [OLD], deleted: true });
+    assert.deepEqual(es.aliasIndices(WRITE_ALIAS), { [NEW]: true });
+    assert.equal(await es.indices.exists({ index: OLD }), false);
+    await assert.rejects(indexMigrationService.rollback(), rejectsWith('E_NO_ROLLBACK'));
+});
+
+test('documents dual-written during the copy are not overwritten by older ones', async () => {
+    const reindex = es.reindex.bind(es);
+    // The worker writes the newer plan-1 to both indices while _reindex runs
+    es.reindex = async request => {
+        es.write(OLD, 'plan-1', { routing: 'plan-1', source: { objectId: 'plan-1', planType: 'outOfNetwork' } });
+        es.write(NEW, 'plan-1', { version: 7, versionType: 'external_gte', routing: 'plan-1', source: { objectId: 'plan-1', planType: 'outOfNetwork' } });
+        return reindex(request);
+    };
+
+    try {
+        await indexMigrationService.migrate();
+    } finally {
+        delete es.reindex;
+    }
+    assert.equal(es.live(NEW).get('plan-1').source.planType, 'outOfNetwork');
+    assert.equal(es.live(NEW).get('plan-2').source.planType, 'inNetwork');
+});
+
+test('rollback points both aliases back at the previous index', async () => {
+    await indexMigrationService.migrate();
+
+    assert.deepEqual(await indexMigrationService.rollback(), { from: NEW, to: OLD });
+    assert.deepEqual(es.aliasIndices(READ_ALIAS), { [OLD]: false });
+    assert.deepEqual(es.aliasIndices(WRITE_ALIAS), { [OLD]: true });
+    // The newer index is kept for inspection
+    assert.equal(await es.indices.exists({ index: NEW }), true);
+    await assert.rejects(indexMigrationService.rollback(), rejectsWith('E_NO_ROLLBACK'));
+});
+
+test('a failed copy removes the new index and leaves the aliases alone', async () => {
+    es.reindexFailure = { type: 'search_phase_execution_exception', reason: 'shard failure' };
+
+    await assert.rejects(indexMigrationService.migrate(), err => {
+        assert.equal(err.code, 'E_MIGRATION_FAILED');
+        assert.match(err.message, /shard failure/);
+        return true;
+    });
+    assert.equal(await es.indices.exists({ index: NEW }), false);
+    assert.deepEqual(es.aliasIndices(READ_ALIAS), { [OLD]: false });
+    assert.deepEqual(es.aliasIndices(WRITE_ALIAS), { [OLD]: true });
+});
+
+test('migrate refuses while an older index is still dual-written or aliases are missing', async () => {
+    const older = elasticsearchService.physicalIndexName(2);
+    es.addIndex(older, { aliases: [WRITE_ALIAS], mappingVersion: 2 });
+    await assert.rejects(indexMigrationService.migrate(), rejectsWith('E_MIGRATION_PENDING'));
+
+    es.reset();
+    await assert.rejects(indexMigrationService.migrate(), rejectsWith('E_MIGRATION_FAILED'));
+});
+
+test('an index from before aliases is replaced by the read alias without a rollback', async () => {
+    es.reset();
+    es.addIndex(READ_ALIAS, { aliases: [WRITE_ALIAS], writeAliases: [WRITE_ALIAS] });
+    es.write(READ_ALIAS, 'plan-1', { routing: 'plan-1', source: { objectId: 'plan-1' } });
+
+    const result = await indexMigrationService.migrate();
+    assert.equal(result.rollbackAvailable, false);
+    assert.deepEqual(es.aliasIndices(READ_ALIAS), { [NEW]: false });
+    assert.deepEqual(es.aliasIndices(WRITE_ALIAS), { [NEW]: true });
+    assert.deepEqual([...es.live(NEW).keys()], ['plan-1']);
+    await assert.rejects(indexMigrationService.rollback(), rejectsWith('E_NO_ROLLBACK'));
+});
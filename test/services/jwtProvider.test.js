@@ -0,0 +1,49 @@
+// test/services/jwtProvider.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createJwtProvider } = require('../../services/authProviders/jwt');
+
+const env = {
+    JWT_SECRET: 'test-secret-with-enough-length',
+    JWT_ISSUERS: 'https://idp.example.com',
+    JWT_AUDIENCES: 'plans-api'
+};
+
+function configRejected(message) {
+    return err => {
+        assert.equal(err.code, 'E_AUTH_CONFIG');
+        assert.match(err.message, message);
+        return true;
+    };
+}
+
+test('an unusable clock skew is a configuration error', () => {
+    for (const value of ['abc', '-5', '1.5']) {
+        assert.throws(() => createJwtProvider({ ...env, JWT_CLOCK_SKEW_SECONDS: value }), configRejected(/JWT_CLOCK_SKEW_SECONDS/));
+    }
+    assert.ok(createJwtProvider({ ...env, JWT_CLOCK_SKEW_SECONDS: '0' }));
+    assert.ok(createJwtProvider(env));
+});
+
+test('missing issuer or key settings are configuration errors', () => {
+    assert.throws(() => createJwtProvider({ ...env, JWT_ISSUERS: '' }), configRejected(/JWT_ISSUERS/));
+    assert.throws(() => createJwtProvider({ ...env, JWT_SECRET: undefined }), configRejected(/JWT_SECRET/));
+    assert.throws(() => createJwtProvider({ ...env, JWT_ALGORITHMS: 'RS256' }), configRejected(/RS256/));
+});
+
+test('tokens are accepted only from configured issuers', () => {
+    const provider = createJwtProvider(env);
+    assert.equal(provider.accepts(jwt.decode(jwt.sign({ iss: 'https://idp.example.com' }, 'x'))), true);
+    assert.equal(provider.accepts(jwt.decode(jwt.sign({ iss: 'https://other.example.com' }, 'x'))), false);
+    assert.equal(provider.accepts(null), false);
+});
+
+test('expiry is checked with the configured clock skew', async () => {
+    const provider = createJwtProvider({ ...env, JWT_CLOCK_SKEW_SECONDS: '30' });
+    const now = Math.floor(Date.now() / 1000);
+    const sign = exp => jwt.sign({ sub: 'subject-1', iss: env.JWT_ISSUERS, aud: env.JWT_AUDIENCES, exp }, env.JWT_SECRET);
+
+    assert.equal((await provider.verify(sign(now - 10))).sub, 'subject-1');
+    await assert.rejects(provider.verify(sign(now - 60)), { name: 'TokenExpiredError' });
+});
@@ -0,0 +1,99 @@
+// test/services/outboxService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+process.env.OUTBOX_MAX_ATTEMPTS = '3';
+const redis = installFakeRedis();
+const rabbitmqService = require('../../services/rabbitmqService');
+const outboxService = require('../../services/outboxService');
+
+const { STREAM_KEY, DEAD_STREAM_KEY } = outboxService;
+
+// The lock scripts compare the stored token before extending / releasing the lock
+redis.eval = async (script, { keys: [key], arguments: [token] }) => {
+    if ((await redis.get(key)) !== token) return 0;
+    if (script.includes('DEL')) await redis.del(key);
+    return 1;
+};
+
+let published;
+let refuse;
+
+rabbitmqService.publishConfirmed = async (routingKey, message) => {
+    const failure = refuse(message);
+    if (failure) throw failure;
+    published.push(message.data.objectId);
+};
+
+function refused() {
+    const err = new Error('message nacked');
+    err.rejected = true;
+    return err;
+}
+
+async function enqueue(planId) {
+    const multi = redis.multi();
+    outboxService.addIndexOperationToMulti(multi, 'index', { objectId: planId }, { version: 1 });
+    await multi.exec();
+}
+
+test.beforeEach(() => {
+    redis.reset();
+    published = [];
+    refuse = () => null;
+});
+
+test('the relay publishes entries in order and removes them', async () => {
+    await enqueue('a');
+    await enqueue('b');
+
+    assert.equal(await outboxService.relayPending(), 2);
+    assert.deepEqual(published, ['a', 'b']);
+    assert.equal(await redis.xLen(STREAM_KEY), 0);
+});
+
+test('an unreadable entry is dead-lettered at once and the rest are published', async () => {
+    await enqueue('a');
+    await redis.xAdd(STREAM_KEY, '*', { routingKey: rabbitmqService.ROUTING_KEY, message: '{not json' });
+    await enqueue('c');
+
+    assert.equal(await outboxService.relayPending(), 2);
+    assert.deepEqual(published, ['a', 'c']);
+    const [dead] = await redis.xRange(DEAD_STREAM_KEY, '-', '+');
+    assert.match(dead.message.reason, /unreadable message/);
+    assert.equal(dead.message.message, '{not json');
+    assert.equal(await redis.xLen(STREAM_KEY), 0);
+});
+
+test('an entry the broker keeps refusing blocks the relay until OUTBOX_MAX_ATTEMPTS', async () => {
+    await enqueue('poison');
+    await enqueue('b');
+    refuse = message => message.data.objectId === 'poison' ? refused() : null;
+
+    for (let run = 1; run < 3; run++) {
+        await assert.rejects(outboxService.relayPending(), /nacked/);
+        assert.deepEqual(published, []);
+    }
+    assert.equal(await outboxService.relayPending(), 1);
+    assert.deepEqual(published, ['b']);
+
+    const [dead] = await redis.xRange(DEAD_STREAM_KEY, '-', '+');
+    assert.equal(dead.message.attempts, '3');
+    assert.equal(JSON.parse(dead.message.message).data.objectId, 'poison');
+    assert.equal((await outboxService.getStats()).dead, 1);
+});
+
+test('a broker that is down never dead-letters anything', async () => {
+    await enqueue('a');
+    refuse = () => new Error('connect ECONNREFUSED');
+
+    for (let run = 0; run < 5; run++) {
+        await assert.rejects(outboxService.relayPending(), /ECONNREFUSED/);
+    }
+    assert.equal(await redis.xLen(DEAD_STREAM_KEY), 0);
+    assert.equal(await redis.xLen(STREAM_KEY), 1);
+
+    refuse = () => null;
+    assert.equal(await outboxService.relayPending(), 1);
+});
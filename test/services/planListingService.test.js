@@ -0,0 +1,110 @@
+// test/services/planListingService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const planListingService = require('../../services/planListingService');
+
+// plan-1 is the oldest; orgs and plan types alternate
+async function addPlans(count) {
+    const multi = redis.multi();
+    for (let i = 1; i <= count; i++) {
+        const document = {
+            objectId: `plan-${i}`,
+            _org: i % 2 ? 'acme.com' : 'globex.com',
+            planType: i % 3 ? 'inNetwork' : 'outOfNetwork',
+            creationDate: `2020-01-${String(i).padStart(2, '0')}`
+        };
+        const timestamp = new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString();
+        multi.set(`plan:${document.objectId}`, JSON.stringify({ data: document, etag: `"${i}"`, createdAt: timestamp, lastModified: timestamp }));
+        planListingService.addIndexToMulti(multi, document, { createdAt: timestamp, lastModified: timestamp });
+    }
+    await multi.exec();
+}
+
+const ids = result => result.items.map(item => item.objectId);
+
+test.beforeEach(async () => {
+    redis.reset();
+    await addPlans(12);
+});
+
+test('plans are listed newest first and paged with a cursor', async () => {
+    const first = await planListingService.listPlans({ limit: 5 });
+    assert.deepEqual(ids(first), ['plan-12', 'plan-11', 'plan-10', 'plan-9', 'plan-8']);
+
+    const second = await planListingService.listPlans({ limit: 5, cursor: first.nextCursor });
+    assert.deepEqual(ids(second), ['plan-7', 'plan-6', 'plan-5', 'plan-4', 'plan-3']);
+
+    const last = await planListingService.listPlans({ limit: 5, cursor: second.nextCursor });
+    assert.deepEqual(ids(last), ['plan-2', 'plan-1']);
+    assert.equal(last.nextCursor, null);
+});
+
+test('filters are applied before paging', async () => {
+    const result = await planListingService.listPlans({ org: 'acme.com', planType: 'outOfNetwork', order: 'asc' });
+    assert.deepEqual(ids(result), ['plan-3', 'plan-9']);
+
+    const page = await planListingService.listPlans({ orgs: ['acme.com'], planType: 'inNetwork', limit: 2 });
+    assert.deepEqual(ids(page), ['plan-11', 'plan-7']);
+    const rest = await planListingService.listPlans({ orgs: ['acme.com'], planType: 'inNetwork', limit: 2, cursor: page.nextCursor });
+    assert.deepEqual(ids(rest), ['plan-5', 'plan-1']);
+});
+
+test('creationDate bounds and tenant orgs restrict the listing', async () => {
+    const from = Date.UTC(2020, 0, 4);
+    const to = Date.UTC(2020, 0, 6);
+    assert.deepEqual(ids(await planListingService.listPlans({ creationDateFrom: from, creationDateTo: to, order: 'asc' })), ['plan-4', 'plan-5', 'plan-6']);
+    assert.deepEqual(ids(await planListingService.listPlans({ orgs: ['globex.com'], creationDateFrom: from, creationDateTo: to })), ['plan-6', 'plan-4']);
+
+    // A tenant without orgs sees nothing
+    assert.deepEqual(ids(await planListingService.listPlans({ orgs: [] })), []);
+});
+
+test('a listing reads the per-org indexes and writes nothing', async () => {
+    const keys = [...redis.data.keys()].sort();
+    const read = new Set();
+    const zRangeWithScores = redis.zRangeWithScores.bind(redis);
+    redis.zRangeWithScores = async (key, ...args) => {
+        read.add(key);
+        return zRangeWithScores(key, ...args);
+    };
+
+    try {
+        await planListingService.listPlans({ orgs: ['acme.com', 'globex.com'], planType: 'inNetwork', creationDateFrom: 0 });
+    } finally {
+        redis.zRangeWithScores = zRangeWithScores;
+    }
+    assert.deepEqual([...read].sort(), ['plans:org:acme.com:createdAt', 'plans:org:globex.com:createdAt']);
+    assert.deepEqual([...redis.data.keys()].sort(), keys);
+});
+
+test('plans of several orgs are merged in order across pages', async () => {
+    const seen = [];
+    let cursor;
+    do {
+        const page = await planListingService.listPlans({ orgs: ['globex.com', 'acme.com'], sort: 'lastModified', order: 'asc', limit: 5, cursor });
+        seen.push(...ids(page));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, Array.from({ length: 12 }, (v, i) => `plan-${i + 1}`));
+});
+
+test('a replaced plan moves between the org and plan type indexes', async () => {
+    const previous = { objectId: 'plan-2', _org: 'globex.com', planType: 'inNetwork' };
+    const moved = { ...previous, _org: 'acme.com', planType: 'outOfNetwork' };
+    const multi = redis.multi();
+    const timestamp = new Date(Date.UTC(2024, 0, 2)).toISOString();
+    multi.set('plan:plan-2', JSON.stringify({ data: moved, etag: '"moved"', createdAt: timestamp, lastModified: timestamp }));
+    planListingService.addIndexToMulti(multi, moved, { createdAt: timestamp, lastModified: timestamp }, previous);
+    await multi.exec();
+
+    assert.ok(!ids(await planListingService.listPlans({ org: 'globex.com', limit: 50 })).includes('plan-2'));
+    assert.ok(!ids(await planListingService.listPlans({ planType: 'inNetwork', limit: 50 })).includes('plan-2'));
+    assert.equal(ids(await planListingService.listPlans({ org: 'acme.com', planType: 'outOfNetwork', limit: 50 }))[0], 'plan-2');
+});
+
+test('a malformed cursor is rejected', async () => {
+    await assert.rejects(planListingService.listPlans({ cursor: 'not-a-cursor' }), err => err.code === 'E_BAD_REQUEST');
+});
@@ -0,0 +1,83 @@
+// test/services/planService.mergePatch.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+installFakeRedis();
+const planService = require('../../services/planService');
+
+const merge = (document, patch) => planService.applyPatch(document, patch, 'merge');
+
+const plan = () => ({
+    objectId: 'plan-1',
+    planType: 'inNetwork',
+    creationDate: '12-12-2017',
+    planCostShares: { objectId: 'pcs-1', deductible: 2000, copay: 23 },
+    linkedPlanServices: [
+        { objectId: 'ps-1', linkedService: { objectId: 's-1', name: 'Yearly physical' } },
+        { objectId: 'ps-2', linkedService: { objectId: 's-2', name: 'well baby' } }
+    ]
+});
+
+test('scalars are replaced and nested objects merged', () => {
+    const result = merge(plan(), { planType: 'outOfNetwork', planCostShares: { copay: 30 } });
+    assert.equal(result.planType, 'outOfNetwork');
+    assert.deepEqual(result.planCostShares, { objectId: 'pcs-1', deductible: 2000, copay: 30 });
+});
+
+test('null removes a field or a whole child object', () => {
+    const result = merge(plan(), { creationDate: null, planCostShares: null });
+    assert.equal('creationDate' in result, false);
+    assert.equal('planCostShares' in result, false);
+});
+
+test('null inside a nested object removes only that field', () => {
+    const result = merge(plan(), { planCostShares: { copay: null } });
+    assert.deepEqual(result.planCostShares, { objectId: 'pcs-1', deductible: 2000 });
+});
+
+test('arrays of objects with objectId merge item by item', () => {
+    const result = merge(plan(), {
+        linkedPlanServices: [
+            { objectId: 'ps-2', linkedService: { name: 'Well baby visit' } },
+            { objectId: 'ps-3', linkedService: { objectId: 's-3', name: 'Dental', note: null } }
+        ]
+    });
+
+    assert.deepEqual(result.linkedPlanServices.map(ps => ps.objectId), ['ps-1', 'ps-2', 'ps-3']);
+    assert.deepEqual(result.linkedPlanServices[1].linkedService, { objectId: 's-2', name: 'Well baby visit' });
+    // Nulls in a new item are dropped rather than stored
+    assert.deepEqual(result.linkedPlanServices[2].linkedService, { objectId: 's-3', name: 'Dental' });
+});
+
+test('_delete removes the matching array element', () => {
+    const result = merge(plan(), { linkedPlanServices: [{ objectId: 'ps-1', _delete: true }] });
+    assert.deepEqual(result.linkedPlanServices.map(ps => ps.objectId), ['ps-2']);
+    assert.equal(JSON.stringify(result).includes('_delete'), false);
+});
+
+test('other arrays replace the target array', () => {
+    const result = merge({ objectId: 'plan-1', tags: ['a', 'b'] }, { tags: ['c'] });
+    assert.deepEqual(result.tags, ['c']);
+});
+
+test('the current document is left untouched', () => {
+    const doc = plan();
+    const before = JSON.stringify(doc);
+    merge(doc, { planCostShares: { copay: null }, linkedPlanServices: [{ objectId: 'ps-1', _delete: true }] });
+    assert.equal(JSON.stringify(doc), before);
+});
+
+test('an objectId array patched onto a missing field drops markers and nulls', () => {
+    const document = plan();
+    delete document.linkedPlanServices;
+    const result = merge(document, {
+        linkedPlanServices: [
+            { objectId: 'ps-3', _delete: true },
+            { objectId: 'ps-4', _delete: false, linkedService: { objectId: 's-4', name: 'dental', note: null } }
+        ]
+    });
+    assert.deepEqual(result.linkedPlanServices, [
+        { objectId: 'ps-4', linkedService: { objectId: 's-4', name: 'dental' } }
+    ]);
+});
@@ -0,0 +1,126 @@
+// test/services/planService.objectIds.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+const shared = example.linkedPlanServices[0].linkedService;
+
+/**
+ * The example plan with every objectId suffixed, so it shares nothing with the original
+ */
+function otherPlan(suffix = '-other') {
+    const doc = plan();
+    (function rename(obj) {
+        if (!obj || typeof obj !== 'object') return;
+        if (obj.objectId) obj.objectId += suffix;
+        Object.values(obj).forEach(rename);
+    })(doc);
+    return doc;
+}
+
+function rejectsWithObjectIds(objectIds) {
+    return err => {
+        assert.equal(err.code, 'E_CONFLICT');
+        assert.deepEqual(err.objectIds, objectIds);
+        return true;
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('creating a plan with another plan\'s nested objectId is rejected', async () => {
+    await planService.createPlan(plan(), { tenant });
+    const doc = otherPlan();
+    doc.linkedPlanServices[0].linkedService = { ...shared, name: 'Taken over' };
+
+    await assert.rejects(planService.createPlan(doc, { tenant }), rejectsWithObjectIds([shared.objectId]));
+
+    assert.equal(await planService.getPlan(doc.objectId, { tenant }), null);
+    const original = await planService.getPlan(id, { tenant });
+    assert.deepEqual(original.document.linkedPlanServices[0].linkedService, shared);
+});
+
+test('replace and patch cannot pull in another plan\'s nested objects', async () => {
+    await planService.createPlan(plan(), { tenant });
+    const other = await planService.createPlan(otherPlan(), { tenant });
+
+    const replacement = otherPlan();
+    replacement.linkedPlanServices[1].linkedService = shared;
+    await assert.rejects(
+        planService.replacePlan(replacement.objectId, replacement, { ifMatch: other.etag, tenant }),
+        rejectsWithObjectIds([shared.objectId])
+    );
+
+    const linkedPlanServices = [{ ...example.linkedPlanServices[1] }];
+    await assert.rejects(
+        planService.patchPlan(other.id, { linkedPlanServices }, other.etag, { tenant }),
+        rejectsWithObjectIds([
+            example.linkedPlanServices[1].objectId,
+            example.linkedPlanServices[1].linkedService.objectId,
+            example.linkedPlanServices[1].planserviceCostShares.objectId
+        ])
+    );
+
+    assert.equal((await planService.getPlan(other.id, { tenant })).etag, other.etag);
+});
+
+test('a plan may keep and move its own nested objects', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const [first, second] = example.linkedPlanServices;
+    const reordered = { ...plan(), linkedPlanServices: [{ ...second, linkedService: first.linkedService }] };
+
+    const replaced = await planService.replacePlan(id, reordered, { ifMatch: created.etag, tenant });
+    assert.equal(replaced.version, 2);
+    assert.equal(
+        (await planService.getPlan(id, { tenant })).document.linkedPlanServices[0].linkedService.objectId,
+        first.linkedService.objectId
+    );
+});
+
+test('a child claimed by another plan between the check and EXEC fails on retry', async () => {
+    const doc = otherPlan();
+    doc.linkedPlanServices[0].linkedService = shared;
+    const lLen = redis.lLen.bind(redis);
+    let raced = false;
+    // nextVersion runs under WATCH; a concurrent create stores the shared service there
+    redis.lLen = async key => {
+        if (!raced) {
+            raced = true;
+            await redis.set(`service:${shared.objectId}`, JSON.stringify({ data: shared, parentId: 'elsewhere', objectType: 'service' }));
+            await redis.sAdd('planobjects:elsewhere', [`service:${shared.objectId}`]);
+        }
+        return lLen(key);
+    };
+
+    try {
+        await assert.rejects(planService.createPlan(doc, { tenant }), rejectsWithObjectIds([shared.objectId]));
+    } finally {
+        redis.lLen = lLen;
+    }
+    assert.equal(await redis.get(`plan:${doc.objectId}`), null);
+    assert.equal(JSON.parse(await redis.get(`service:${shared.objectId}`)).parentId, 'elsewhere');
+});
+
+test('objects of a purged plan can be reused', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+
+    const doc = otherPlan();
+    doc.linkedPlanServices[0].linkedService = shared;
+    // Still owned while the plan is in the trash
+    await assert.rejects(planService.createPlan(doc, { tenant }), rejectsWithObjectIds([shared.objectId]));
+
+    await planService.deletePlan(id, created.etag, { hard: true, tenant });
+    const reused = await planService.createPlan(doc, { tenant });
+    assert.equal(reused.version, 1);
+});
@@ -0,0 +1,95 @@
+// test/services/planService.objectIndex.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+
+function otherPlan() {
+    const doc = plan();
+    (function rename(obj) {
+        if (!obj || typeof obj !== 'object') return;
+        if (obj.objectId) obj.objectId += '-other';
+        Object.values(obj).forEach(rename);
+    })(doc);
+    return doc;
+}
+
+const members = planId => redis.sMembers(planService.planObjectsKeyFor(planId)).then(keys => keys.sort());
+
+test.beforeEach(() => redis.reset());
+
+test('the object index lists every key of the plan', async () => {
+    await planService.createPlan(plan(), { tenant });
+
+    assert.deepEqual(await members(id), [
+        `membercostshare:${example.planCostShares.objectId}`,
+        ...example.linkedPlanServices.flatMap(ps => [
+            `membercostshare:${ps.planserviceCostShares.objectId}`,
+            `planservice:${ps.objectId}`,
+            `service:${ps.linkedService.objectId}`
+        ]),
+        `plan:${id}`
+    ].sort());
+});
+
+test('reconstruction fetches only the plan\'s own keys', async () => {
+    await planService.createPlan(plan(), { tenant });
+    await planService.createPlan(otherPlan(), { tenant });
+    const mGet = redis.mGet.bind(redis);
+    const fetched = [];
+    redis.mGet = keys => {
+        fetched.push(...keys);
+        return mGet(keys);
+    };
+
+    let document;
+    try {
+        document = await planService.reconstructPlanFromObjects(id);
+    } finally {
+        redis.mGet = mGet;
+    }
+
+    assert.deepEqual(document, plan());
+    assert.deepEqual(fetched.sort(), await members(id));
+});
+
+test('writes that drop children take them out of the index', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const [kept, dropped] = example.linkedPlanServices;
+
+    await planService.patchPlan(id, { linkedPlanServices: [{ objectId: dropped.objectId, _delete: true }] }, created.etag, { tenant });
+
+    const keys = await members(id);
+    assert.ok(keys.includes(`planservice:${kept.objectId}`));
+    assert.ok(!keys.includes(`planservice:${dropped.objectId}`));
+    assert.ok(!keys.includes(`service:${dropped.linkedService.objectId}`));
+    assert.equal(await redis.get(`service:${dropped.linkedService.objectId}`), null);
+});
+
+test('a hard delete removes the index with the objects', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+    assert.notDeepEqual(await members(id), []);
+
+    await planService.deletePlan(id, created.etag, { hard: true, tenant });
+    assert.deepEqual(await members(id), []);
+});
+
+test('a plan without an index is reported missing instead of scanning the keyspace', async t => {
+    await planService.createPlan(plan(), { tenant });
+    await redis.del(planService.planObjectsKeyFor(id));
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.equal(await planService.reconstructPlanFromObjects(id), null);
+    assert.match(warn.mock.calls[0].arguments[0], /migrate:plan-index/);
+});
@@ -0,0 +1,125 @@
+// test/services/planService.replace.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const example = require('../../plan-example.json');
+
+// Outbox entries are still written; only the relay (which needs RabbitMQ) is skipped
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('PUT with If-None-Match: * creates an absent plan', async () => {
+    const created = await planService.replacePlan(id, plan(), { ifNoneMatch: '*', tenant });
+    assert.equal(created.version, 1);
+
+    const stored = await planService.getPlan(id, { tenant });
+    assert.equal(stored.etag, created.etag);
+    assert.deepEqual(stored.document.planCostShares, example.planCostShares);
+});
+
+test('PUT with If-None-Match: * fails once the plan exists', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await assert.rejects(
+        planService.replacePlan(id, { ...plan(), planType: 'outOfNetwork' }, { ifNoneMatch: '*', tenant }),
+        err => err.code === 'E_PRECONDITION' && err.currentEtag === created.etag
+    );
+});
+
+test('replacing an existing plan requires If-Match', async () => {
+    await planService.createPlan(plan(), { tenant });
+    await assert.rejects(
+        planService.replacePlan(id, { ...plan(), planType: 'outOfNetwork' }, { tenant }),
+        rejectsWith('E_PRECONDITION_REQUIRED')
+    );
+});
+
+test('a stale If-Match is rejected and nothing is written', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const patched = await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant });
+
+    await assert.rejects(
+        planService.replacePlan(id, plan(), { ifMatch: created.etag, tenant }),
+        err => err.code === 'E_PRECONDITION' && err.currentEtag === patched.etag
+    );
+    assert.equal((await planService.getPlan(id, { tenant })).document.planType, 'outOfNetwork');
+});
+
+test('If-Match on an absent plan fails the precondition and creates nothing', async () => {
+    await assert.rejects(
+        planService.replacePlan(id, plan(), { ifMatch: '"abc"', tenant }),
+        err => err.code === 'E_PRECONDITION' && err.currentEtag === null
+    );
+    assert.equal(await planService.getPlan(id, { tenant }), null);
+});
+
+test('a matching If-Match replaces the plan and drops removed children', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const removed = example.linkedPlanServices[1];
+    assert.notEqual(await redis.get(`planservice:${removed.objectId}`), null);
+    const replacement = { ...plan(), linkedPlanServices: [plan().linkedPlanServices[0]] };
+
+    const replaced = await planService.replacePlan(id, replacement, { ifMatch: created.etag, tenant });
+    assert.equal(replaced.version, 2);
+    assert.notEqual(replaced.etag, created.etag);
+
+    const stored = await planService.getPlan(id, { tenant });
+    assert.deepEqual(stored.document.linkedPlanServices.map(ps => ps.objectId), [example.linkedPlanServices[0].objectId]);
+    assert.equal(await redis.get(`planservice:${removed.objectId}`), null);
+});
+
+test('a write that lands between WATCH and EXEC fails the precondition on retry', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const lLen = redis.lLen.bind(redis);
+    let raced = false;
+    // nextVersion runs under WATCH; a concurrent writer changes the plan there
+    redis.lLen = async key => {
+        if (!raced) {
+            raced = true;
+            const stored = JSON.parse(await redis.get(`plan:${id}`));
+            await redis.set(`plan:${id}`, JSON.stringify({ ...stored, etag: '"concurrent"' }));
+        }
+        return lLen(key);
+    };
+
+    try {
+        await assert.rejects(
+            planService.replacePlan(id, { ...plan(), planType: 'outOfNetwork' }, { ifMatch: created.etag, tenant }),
+            err => err.code === 'E_PRECONDITION' && err.currentEtag === '"concurrent"'
+        );
+    } finally {
+        redis.lLen = lLen;
+    }
+    assert.equal(JSON.parse(await redis.get(`plan:${id}`)).data.planType, example.planType);
+});
+
+test('patch with a stale If-Match is rejected', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant });
+    await assert.rejects(
+        planService.patchPlan(id, { planType: 'inNetwork' }, created.etag, { tenant }),
+        rejectsWith('E_PRECONDITION')
+    );
+});
+
+test('the objectId in the body must match the URL', async () => {
+    await assert.rejects(
+        planService.replacePlan('other-id', plan(), { ifNoneMatch: '*', tenant }),
+        rejectsWith('E_BAD_REQUEST')
+    );
+});
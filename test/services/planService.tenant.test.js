@@ -0,0 +1,68 @@
+// test/services/planService.tenant.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const owner = { orgs: ['example.com'], all: false };
+const other = { orgs: ['acme.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('plans cannot be created for an org outside the tenant', async () => {
+    await assert.rejects(planService.createPlan(plan(), { tenant: other }), err => {
+        assert.equal(err.code, 'E_TENANT');
+        assert.ok(err.details.some(detail => detail.field === '/_org'));
+        return true;
+    });
+    assert.equal(await redis.get(`plan:${id}`), null);
+});
+
+test('plans of another org look missing', async () => {
+    const created = await planService.createPlan(plan(), { tenant: owner });
+
+    assert.equal(await planService.getPlan(id, { tenant: other }), null);
+    assert.deepEqual((await planService.listPlans({}, { tenant: other })).items, []);
+    await assert.rejects(planService.patchPlan(id, { planType: 'x' }, created.etag, { tenant: other }), rejectsWith('E_NOT_FOUND'));
+    await assert.rejects(planService.deletePlan(id, created.etag, { tenant: other }), rejectsWith('E_NOT_FOUND'));
+
+    assert.ok(await planService.getPlan(id, { tenant: owner }));
+    assert.ok(await planService.getPlan(id, { tenant: { orgs: [], all: true } }));
+});
+
+test('a plan cannot be moved to another org or taken over by PUT', async () => {
+    const created = await planService.createPlan(plan(), { tenant: owner });
+
+    await assert.rejects(
+        planService.patchPlan(id, { _org: 'acme.com' }, created.etag, { tenant: owner }),
+        rejectsWith('E_TENANT')
+    );
+    const takeover = JSON.parse(JSON.stringify(plan()).replaceAll('example.com', 'acme.com'));
+    await assert.rejects(planService.replacePlan(id, takeover, { ifMatch: created.etag, tenant: other }), rejectsWith('E_NOT_FOUND'));
+    await assert.rejects(planService.replacePlan(id, takeover, { ifNoneMatch: '*', tenant: other }), rejectsWith('E_NOT_FOUND'));
+    assert.equal((await planService.getPlan(id, { tenant: owner })).etag, created.etag);
+});
+
+test('a PUT does not reveal that another org has the plan in its trash', async () => {
+    const created = await planService.createPlan(plan(), { tenant: owner });
+    await planService.deletePlan(id, created.etag, { tenant: owner });
+
+    const takeover = JSON.parse(JSON.stringify(plan()).replaceAll('example.com', 'acme.com'));
+    await assert.rejects(planService.replacePlan(id, takeover, { ifNoneMatch: '*', tenant: other }), rejectsWith('E_NOT_FOUND'));
+    await assert.rejects(planService.replacePlan(id, plan(), { ifMatch: created.etag, tenant: owner }), rejectsWith('E_CONFLICT'));
+});
@@ -0,0 +1,92 @@
+// test/services/planService.trash.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('soft delete moves the plan to the trash', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+
+    assert.equal(await planService.getPlan(id, { tenant }), null);
+    const trash = await planService.listTrash({}, { tenant });
+    assert.deepEqual(trash.items.map(item => item.objectId), [id]);
+    assert.equal(trash.items[0].etag, created.etag);
+    assert.deepEqual((await planService.listPlans({}, { tenant })).items, []);
+});
+
+test('a plan in the trash cannot be patched, replaced or deleted again', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+
+    await assert.rejects(planService.patchPlan(id, { planType: 'x' }, created.etag, { tenant }), rejectsWith('E_NOT_FOUND'));
+    await assert.rejects(planService.replacePlan(id, plan(), { ifMatch: created.etag, tenant }), rejectsWith('E_CONFLICT'));
+    await assert.rejects(planService.deletePlan(id, created.etag, { tenant }), rejectsWith('E_NOT_FOUND'));
+});
+
+test('restore brings the plan back under a new version', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+
+    await assert.rejects(planService.restorePlan(id, { ifMatch: '"stale"', tenant }), rejectsWith('E_PRECONDITION'));
+    const restored = await planService.restorePlan(id, { ifMatch: created.etag, tenant });
+    assert.equal(restored.version, 3);
+    assert.equal(restored.etag, created.etag);
+
+    assert.equal((await planService.getPlan(id, { tenant })).etag, created.etag);
+    assert.equal((await planService.listTrash({}, { tenant })).total, 0);
+});
+
+test('an update racing a soft delete fails instead of resurrecting the plan', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const watch = redis.watch.bind(redis);
+    // The delete commits after the update read the plan but before it takes its WATCH
+    redis.watch = async keys => {
+        redis.watch = watch;
+        await planService.deletePlan(id, created.etag, { tenant });
+        return watch(keys);
+    };
+
+    try {
+        await assert.rejects(
+            planService.patchPlan(id, { planType: 'outOfNetwork' }, created.etag, { tenant }),
+            rejectsWith('E_NOT_FOUND')
+        );
+    } finally {
+        redis.watch = watch;
+    }
+
+    const stored = JSON.parse(await redis.get(`plan:${id}`));
+    assert.ok(stored.deletedAt);
+    assert.equal(stored.data.planType, example.planType);
+    assert.equal(await planService.getPlan(id, { tenant }), null);
+    assert.deepEqual((await planService.listTrash({}, { tenant })).items.map(item => item.objectId), [id]);
+});
+
+test('hard delete purges a plan from the trash', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    await planService.deletePlan(id, created.etag, { tenant });
+    await planService.deletePlan(id, created.etag, { hard: true, tenant });
+
+    assert.equal(await redis.get(`plan:${id}`), null);
+    assert.equal((await planService.listTrash({}, { tenant })).total, 0);
+});
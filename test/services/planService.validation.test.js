@@ -0,0 +1,107 @@
+// test/services/planService.validation.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const historyService = require('../../services/historyService');
+const planService = require('../../services/planService');
+const { validatePlanDocument } = require('../../validators/planValidator');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+
+/**
+ * What a rejected write must leave alone: the stored root, its version history and the outbox
+ */
+async function writeState() {
+    return {
+        root: await redis.get(`plan:${id}`),
+        versions: await redis.lLen(historyService.historyKeyFor(id)),
+        outbox: await redis.xLen(outboxService.STREAM_KEY)
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('a merge patch that breaks the schema is rejected before anything is written', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const before = await writeState();
+
+    await assert.rejects(
+        planService.patchPlan(id, { planCostShares: { deductible: 'a lot' } }, created.etag, { tenant, validate: validatePlanDocument }),
+        err => {
+            assert.equal(err.code, 'E_VALIDATION');
+            assert.ok(err.details.some(detail => detail.field.includes('deductible')));
+            return true;
+        }
+    );
+
+    assert.deepEqual(await writeState(), before);
+    assert.equal((await planService.getPlan(id, { tenant })).etag, created.etag);
+});
+
+test('business rules run on the merged document too', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const before = await writeState();
+    // Reuses the plan-level cost share id inside a linked plan service
+    const duplicate = [{
+        objectId: example.linkedPlanServices[0].objectId,
+        planserviceCostShares: { ...example.linkedPlanServices[0].planserviceCostShares, objectId: example.planCostShares.objectId }
+    }];
+
+    await assert.rejects(
+        planService.patchPlan(id, { linkedPlanServices: duplicate }, created.etag, { tenant, validate: validatePlanDocument }),
+        err => err.code === 'E_VALIDATION' && err.details.some(detail => detail.message.includes('duplicate objectId'))
+    );
+    assert.deepEqual(await writeState(), before);
+});
+
+test('JSON Patch results are validated the same way', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const before = await writeState();
+
+    await assert.rejects(
+        planService.patchPlan(id, [{ op: 'remove', path: '/planCostShares' }], created.etag, {
+            tenant, format: 'json-patch', validate: validatePlanDocument
+        }),
+        err => err.code === 'E_VALIDATION'
+    );
+    assert.deepEqual(await writeState(), before);
+});
+
+test('the validator sees the merged document of the attempt that commits', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const seen = [];
+    const watch = redis.watch.bind(redis);
+    // A concurrent writer changes planType after the first attempt validated; the retry re-reads
+    redis.watch = async keys => {
+        redis.watch = watch;
+        const stored = JSON.parse(await redis.get(`plan:${id}`));
+        await redis.set(`plan:${id}`, JSON.stringify({ ...stored, etag: '"concurrent"', data: { ...stored.data, planType: 'outOfNetwork' } }));
+        return watch(keys);
+    };
+
+    let result;
+    try {
+        result = await planService.patchPlan(id, { creationDate: '01-01-2030' }, undefined, {
+            tenant,
+            validate: document => {
+                seen.push(document.planType);
+                return validatePlanDocument(document);
+            }
+        });
+    } finally {
+        redis.watch = watch;
+    }
+
+    assert.deepEqual(seen, [example.planType, 'outOfNetwork']);
+    assert.equal(result.document.planType, 'outOfNetwork');
+    assert.equal(result.document.creationDate, '01-01-2030');
+    assert.notEqual(result.etag, created.etag);
+});
@@ -0,0 +1,156 @@
+// test/services/rabbitmqService.retry.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.INDEX_MAX_RETRIES = '3';
+process.env.INDEX_RETRY_BASE_DELAY_MS = '1000';
+process.env.INDEX_RETRY_BACKOFF_FACTOR = '3';
+process.env.INDEX_RETRY_MAX_DELAY_MS = '5000';
+
+// amqplib stand-in: one connection whose channels record publishes, acks and nacks
+const broker = { consumer: null, published: [], acked: [], nacked: [], refuse: false, queues: [] };
+
+function fakeChannel() {
+    return {
+        assertExchange: async () => {},
+        assertQueue: async (queue, options) => { broker.queues.push({ queue, options }); },
+        bindQueue: async () => {},
+        prefetch: async () => {},
+        on: () => {},
+        consume: async (queue, consumer) => { broker.consumer = consumer; },
+        ack: msg => broker.acked.push(msg),
+        nack: (msg, allUpTo, requeue) => broker.nacked.push({ msg, requeue }),
+        publish: (exchange, routingKey, content, options, callback) => {
+            if (broker.refuse) return callback(new Error('message nacked'));
+            broker.published.push({ exchange, routingKey, content, options });
+            callback(null);
+        }
+    };
+}
+
+const AMQP_PATH = require.resolve('amqplib');
+require.cache[AMQP_PATH] = {
+    id: AMQP_PATH,
+    filename: AMQP_PATH,
+    loaded: true,
+    exports: {
+        connect: async () => ({
+            createChannel: async () => fakeChannel(),
+            createConfirmChannel: async () => fakeChannel(),
+            on: () => {}
+        })
+    }
+};
+
+const rabbitmqService = require('../../services/rabbitmqService');
+const elasticsearchService = require('../../services/elasticsearchService');
+
+const message = { operation: 'index', data: { objectId: 'plan-1' }, messageId: 'index-plan-1' };
+
+function delivery(content = JSON.stringify(message), headers = {}) {
+    return { content: Buffer.from(content), properties: { messageId: message.messageId, contentType: 'application/json', headers } };
+}
+
+/**
+ * Deliver msg to the consumer and return where the failure was routed (null if nothing was published)
+ */
+async function deliver(msg) {
+    broker.published = [];
+    await broker.consumer(msg);
+    return broker.published[0] || null;
+}
+
+let failure;
+
+test.before(async () => {
+    await rabbitmqService.consumeMessages(async () => { if (failure) throw failure; }, {
+        isRetryable: elasticsearchService.isRetryableError
+    });
+});
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    Object.assign(broker, { acked: [], nacked: [], refuse: false });
+    failure = null;
+});
+
+function responseError(statusCode, type) {
+    const err = new Error(type);
+    err.name = 'ResponseError';
+    err.meta = { statusCode, body: { error: { type } } };
+    return err;
+}
+
+test('a processed message is acked', async () => {
+    const msg = delivery();
+    assert.equal(await deliver(msg), null);
+    assert.deepEqual(broker.acked, [msg]);
+});
+
+test('retryable failures walk the backoff tiers, then reach the DLQ as exhausted', async () => {
+    failure = responseError(503, 'unavailable_shards_exception');
+    let msg = delivery();
+    const tiers = [];
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const retry = await deliver(msg);
+        assert.equal(retry.exchange, '');
+        assert.equal(retry.options.headers['x-retry-count'], attempt);
+        tiers.push([retry.routingKey, retry.options.expiration]);
+        // The delay queue dead-letters the copy back to the work queue when it expires
+        msg = delivery(retry.content.toString(), retry.options.headers);
+    }
+    assert.deepEqual(tiers, [
+        ['plan_indexing_queue_retry_1000', '1000'],
+        ['plan_indexing_queue_retry_3000', '3000'],
+        ['plan_indexing_queue_retry_5000', '5000']
+    ]);
+    const delayQueue = broker.queues.find(({ queue }) => queue === 'plan_indexing_queue_retry_1000');
+    assert.equal(delayQueue.options.arguments['x-dead-letter-routing-key'], rabbitmqService.ROUTING_KEY);
+
+    const dead = await deliver(msg);
+    assert.deepEqual([dead.exchange, dead.routingKey], ['plan_exchange_dlx', 'plan.dead']);
+    assert.equal(dead.options.headers['x-failure-class'], 'exhausted');
+    assert.equal(dead.options.headers['x-failure-reason'], 'unavailable_shards_exception');
+    const history = JSON.parse(dead.options.headers['x-attempt-history']);
+    assert.deepEqual(history.map(entry => [entry.attempt, entry.retryable]), [[1, true], [2, true], [3, true], [4, true]]);
+    assert.equal(broker.acked.length, 4);
+    assert.deepEqual(broker.nacked, []);
+});
+
+test('permanent failures and unreadable messages are dead-lettered at once', async () => {
+    failure = responseError(400, 'mapper_parsing_exception');
+    const dead = await deliver(delivery());
+    assert.equal(dead.routingKey, 'plan.dead');
+    assert.equal(dead.options.headers['x-failure-class'], 'permanent');
+    assert.equal(dead.options.headers['x-retry-count'], 0);
+
+    failure = null;
+    const unreadable = await deliver(delivery('{not json'));
+    assert.equal(unreadable.routingKey, 'plan.dead');
+    assert.equal(unreadable.options.headers['x-failure-class'], 'permanent');
+    assert.match(unreadable.options.headers['x-failure-reason'], /^invalid message/);
+});
+
+test('a failure the broker will not take a copy of is rejected to the DLQ as it is', async () => {
+    failure = responseError(503, 'unavailable_shards_exception');
+    broker.refuse = true;
+    const msg = delivery();
+
+    await deliver(msg);
+    assert.deepEqual(broker.acked, []);
+    assert.deepEqual(broker.nacked, [{ msg, requeue: false }]);
+});
+
+test('indexing errors are classified as retryable or permanent', () => {
+    const { isRetryableError } = elasticsearchService;
+    assert.equal(isRetryableError(responseError(429, 'es_rejected_execution_exception')), true);
+    assert.equal(isRetryableError(responseError(502, 'bad_gateway')), true);
+    assert.equal(isRetryableError(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), true);
+    assert.equal(isRetryableError(responseError(400, 'mapper_parsing_exception')), false);
+    assert.equal(isRetryableError(Object.assign(new Error('bulk'), { code: 'E_BULK', items: [{ status: 400 }, { status: 429 }] })), true);
+    assert.equal(isRetryableError(Object.assign(new Error('bulk'), { code: 'E_BULK', items: [{ status: 400 }] })), false);
+    assert.equal(isRetryableError(new TypeError('bug')), false);
+});
@@ -0,0 +1,101 @@
+// test/services/reindexService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const planService = require('../../services/planService');
+const elasticsearchService = require('../../services/elasticsearchService');
+const reindexService = require('../../services/reindexService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+// Plan document with its own objectIds, so several plans can be stored side by side
+function planNamed(name) {
+    return JSON.parse(JSON.stringify(example).replace(/"objectId": ?"([^"]+)"/g, (match, id) => `"objectId":"${name}-${id}"`));
+}
+
+// Elasticsearch stand-in: indexed plans by id => { planEtag }, plus the calls made
+function stubIndex(indexed, { onGetIndexed = async () => {} } = {}) {
+    const calls = { replaced: [], deleted: [] };
+    elasticsearchService.getIndexedPlans = async ids => {
+        await onGetIndexed();
+        return new Map(ids.filter(id => indexed.has(id)).map(id => [id, indexed.get(id)]));
+    };
+    elasticsearchService.scanIndexedPlanIds = async onBatch => onBatch([...indexed.keys()].sort());
+    elasticsearchService.replacePlans = async entries => {
+        calls.replaced.push(...entries.map(entry => entry.document.objectId));
+        return { indexed: entries.length, skipped: 0 };
+    };
+    elasticsearchService.deletePlan = async (planId, meta) => {
+        calls.deleted.push({ planId, ...meta });
+        return { deleted: 1, planId };
+    };
+    return calls;
+}
+
+test.beforeEach(() => redis.reset());
+
+test('reconcile reports missing, stale and orphaned plans', async () => {
+    const fresh = await planService.createPlan(planNamed('a'));
+    const stale = await planService.createPlan(planNamed('b'));
+    const missing = await planService.createPlan(planNamed('c'));
+    const gone = await planService.createPlan(planNamed('d'));
+    await planService.deletePlan(gone.id, gone.etag, { hard: true });
+
+    const calls = stubIndex(new Map([
+        [fresh.id, { planEtag: fresh.etag }],
+        [stale.id, { planEtag: '"old"' }],
+        [gone.id, { planEtag: gone.etag }]
+    ]));
+    const report = await reindexService.run({ mode: 'reconcile', fix: false });
+
+    assert.deepEqual(report.missing.ids, [missing.id]);
+    assert.deepEqual(report.stale.ids, [stale.id]);
+    assert.deepEqual(report.orphaned.ids, [gone.id]);
+    assert.deepEqual(calls, { replaced: [], deleted: [] });
+});
+
+test('fix reindexes out-of-date plans and removes orphans under their last version', async () => {
+    const live = await planService.createPlan(planNamed('a'));
+    const trashed = await planService.createPlan(planNamed('b'));
+    await planService.deletePlan(trashed.id, trashed.etag);
+
+    const calls = stubIndex(new Map([
+        [trashed.id, { planEtag: trashed.etag }],
+        ['never-stored', { planEtag: '"x"' }]
+    ]));
+    const report = await reindexService.run({ mode: 'reconcile', fix: true });
+
+    assert.deepEqual(calls.replaced, [live.id]);
+    assert.deepEqual(calls.deleted, [{ planId: trashed.id, version: 2 }, { planId: 'never-stored', version: 0 }]);
+    assert.equal(report.deleted, 2);
+});
+
+test('a plan created while the reconcile runs is not treated as an orphan', async () => {
+    const existing = await planService.createPlan(planNamed('a'));
+    let created = null;
+    const indexed = new Map([[existing.id, { planEtag: existing.etag }]]);
+    // The worker indexes the new plan after the run read its plan ids
+    const calls = stubIndex(indexed, {
+        onGetIndexed: async () => {
+            if (created) return;
+            created = await planService.createPlan(planNamed('b'));
+            indexed.set(created.id, { planEtag: created.etag });
+        }
+    });
+
+    const report = await reindexService.run({ mode: 'reconcile', fix: true });
+
+    assert.equal(report.total, 1);
+    assert.deepEqual(report.orphaned.ids, []);
+    assert.deepEqual(calls.deleted, []);
+});
+
+test('invalid options are rejected', async () => {
+    await assert.rejects(reindexService.run({ mode: 'rebuild' }), err => err.code === 'E_BAD_REQUEST');
+    await assert.rejects(reindexService.run({ mode: 'reindex', fix: true }), err => err.code === 'E_BAD_REQUEST');
+    await assert.rejects(reindexService.run({ mode: 'reconcile', batchSize: 0 }), err => err.code === 'E_BAD_REQUEST');
+});
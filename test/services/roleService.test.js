@@ -0,0 +1,95 @@
+// test/services/roleService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+// Role settings are read once when the service loads
+process.env.ADMIN_EMAILS = 'Root@Example.com';
+delete process.env.ROLE_CLAIM;
+delete process.env.DEFAULT_ROLE;
+const redis = installFakeRedis();
+const roleService = require('../../services/roleService');
+
+test.beforeEach(() => redis.reset());
+
+test('roles rank viewer < editor < admin', () => {
+    assert.equal(roleService.hasRole('admin', 'editor'), true);
+    assert.equal(roleService.hasRole('editor', 'editor'), true);
+    assert.equal(roleService.hasRole('viewer', 'editor'), false);
+    assert.equal(roleService.hasRole(null, 'viewer'), false);
+    assert.equal(roleService.hasRole('owner', 'viewer'), false);
+});
+
+test('unknown users get the default role', async () => {
+    assert.equal(await roleService.resolveRole({ email: 'sam@acme.com', claims: {} }), 'viewer');
+    assert.equal(await roleService.resolveRole(null), null);
+});
+
+test('the highest of claim, grant and bootstrap admin wins', async () => {
+    assert.equal(await roleService.resolveRole({ email: 'sam@acme.com', claims: { roles: ['viewer', 'editor', 'owner'] } }), 'editor');
+    assert.equal(await roleService.resolveRole({ email: 'root@example.com', claims: { roles: 'viewer' } }), 'admin');
+
+    await roleService.grantRole('Sam@Acme.com', 'admin');
+    assert.equal(await roleService.resolveRole({ email: 'sam@acme.com', claims: { roles: 'editor' } }), 'admin');
+
+    await roleService.grantRole('subject-1', 'editor', { issuer: 'https://idp.example.com' });
+    assert.equal(await roleService.resolveRole({ sub: 'subject-1', claims: { iss: 'https://idp.example.com' } }), 'editor');
+});
+
+test('subject grants are keyed by issuer', async () => {
+    await roleService.grantRole('subject-1', 'admin', { issuer: 'accounts.google.com' });
+
+    assert.equal(await roleService.resolveRole({ sub: 'subject-1', claims: { iss: 'https://accounts.google.com' } }), 'admin');
+    assert.equal(await roleService.resolveRole({ sub: 'subject-1', claims: { iss: 'https://other-idp.example.com' } }), 'viewer');
+    assert.equal(await roleService.resolveRole({ sub: 'subject-1', claims: {} }), 'viewer');
+    await assert.rejects(roleService.grantRole('subject-1', 'admin'), err => err.code === 'E_BAD_REQUEST');
+    assert.deepEqual(
+        (await roleService.listGrants()).map(({ user, issuer }) => ({ user, issuer })),
+        [{ user: 'subject-1', issuer: 'https://accounts.google.com' }]
+    );
+});
+
+test('grants only apply to users within the granting admin orgs', async () => {
+    const acmeAdmin = { orgs: ['acme.com'], all: false };
+    const verified = email => ({ email, claims: { email_verified: true } });
+
+    const grant = await roleService.grantRole('sam@acme.com', 'admin', { tenant: acmeAdmin });
+    assert.deepEqual(grant.orgs, ['acme.com']);
+    assert.equal(await roleService.resolveRole(verified('sam@acme.com')), 'admin');
+
+    await roleService.grantRole('eve@globex.com', 'admin', { tenant: acmeAdmin });
+    assert.equal(await roleService.resolveRole(verified('eve@globex.com')), 'viewer');
+});
+
+test('admins only see and change grants within their orgs', async () => {
+    const acmeAdmin = { orgs: ['acme.com'], all: false };
+    const globexAdmin = { orgs: ['globex.com'], all: false };
+    await roleService.grantRole('sam@acme.com', 'editor', { tenant: acmeAdmin });
+    await roleService.grantRole('ops@example.com', 'admin');
+
+    assert.deepEqual((await roleService.listGrants({ tenant: acmeAdmin })).map(g => g.user), ['sam@acme.com']);
+    assert.deepEqual(await roleService.listGrants({ tenant: globexAdmin }), []);
+    assert.equal((await roleService.listGrants({ tenant: { orgs: [], all: true } })).length, 2);
+
+    assert.equal(await roleService.getGrant('sam@acme.com', { tenant: globexAdmin }), null);
+    assert.equal(await roleService.revokeRole('sam@acme.com', { tenant: globexAdmin }), false);
+    await assert.rejects(roleService.grantRole('sam@acme.com', 'admin', { tenant: globexAdmin }), err => err.code === 'E_TENANT');
+    await assert.rejects(roleService.grantRole('ops@example.com', 'viewer', { tenant: acmeAdmin }), err => err.code === 'E_TENANT');
+
+    assert.equal((await roleService.getGrant('sam@acme.com', { tenant: acmeAdmin })).role, 'editor');
+    assert.equal(await roleService.revokeRole('sam@acme.com', { tenant: acmeAdmin }), true);
+});
+
+test('revoking a grant falls back to the other sources', async () => {
+    await roleService.grantRole('sam@acme.com', 'admin', { actor: 'root@example.com' });
+    assert.equal((await roleService.getGrant('sam@acme.com')).grantedBy, 'root@example.com');
+
+    assert.equal(await roleService.revokeRole('sam@acme.com'), true);
+    assert.equal(await roleService.revokeRole('sam@acme.com'), false);
+    assert.equal(await roleService.resolveRole({ email: 'sam@acme.com', claims: {} }), 'viewer');
+});
+
+test('only known roles can be granted', async () => {
+    await assert.rejects(roleService.grantRole('sam@acme.com', 'owner'), err => err.code === 'E_BAD_REQUEST');
+    assert.deepEqual(await roleService.listGrants(), []);
+});
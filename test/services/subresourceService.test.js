@@ -0,0 +1,147 @@
+// test/services/subresourceService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+const redis = installFakeRedis();
+const outboxService = require('../../services/outboxService');
+const rabbitmqService = require('../../services/rabbitmqService');
+const planService = require('../../services/planService');
+const subresourceService = require('../../services/subresourceService');
+const example = require('../../plan-example.json');
+
+outboxService.kick = () => {};
+
+const tenant = { orgs: ['example.com'], all: false };
+const plan = () => JSON.parse(JSON.stringify(example));
+const id = example.objectId;
+const [first, second] = example.linkedPlanServices;
+const servicePath = ['linkedPlanServices', first.objectId, 'linkedService'];
+
+/**
+ * Indexing messages queued in the outbox, oldest first
+ */
+async function indexMessages() {
+    const entries = await redis.xRange(outboxService.STREAM_KEY, '-', '+');
+    return entries
+        .filter(entry => entry.message.routingKey === rabbitmqService.ROUTING_KEY)
+        .map(entry => JSON.parse(entry.message.message));
+}
+
+function rejectsWith(code) {
+    return err => {
+        assert.equal(err.code, code);
+        return true;
+    };
+}
+
+test.beforeEach(() => redis.reset());
+
+test('a nested object is read with its own ETag next to the plan ETag', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+
+    const service = await subresourceService.getSubresource(id, servicePath, { tenant });
+    assert.deepEqual(service.document, first.linkedService);
+    assert.equal(service.planEtag, created.etag);
+    assert.notEqual(service.etag, created.etag);
+
+    const costShares = await subresourceService.getSubresource(id, ['planCostShares'], { tenant });
+    assert.deepEqual(costShares.document, example.planCostShares);
+
+    assert.equal(await subresourceService.getSubresource(id, ['linkedPlanServices', 'missing'], { tenant }), null);
+    assert.equal(await subresourceService.getSubresource(id, servicePath, { tenant: { orgs: ['other.org'], all: false } }), null);
+});
+
+test('a patch needs the sub-resource ETag and updates the root plan', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+    const { etag } = await subresourceService.getSubresource(id, servicePath, { tenant });
+
+    await assert.rejects(
+        subresourceService.patchSubresource(id, servicePath, { name: 'Stale' }, created.etag, { tenant }),
+        err => err.code === 'E_PRECONDITION' && err.currentEtag === etag
+    );
+
+    const patched = await subresourceService.patchSubresource(id, servicePath, { name: 'Well baby visit' }, etag, { tenant });
+    assert.equal(patched.document.name, 'Well baby visit');
+    assert.notEqual(patched.etag, etag);
+
+    const stored = await planService.getPlan(id, { tenant });
+    assert.equal(stored.etag, patched.planEtag);
+    assert.equal(stored.version, 2);
+    assert.equal(stored.document.linkedPlanServices[0].linkedService.name, 'Well baby visit');
+
+    const update = (await indexMessages()).pop();
+    assert.equal(update.operation, 'update');
+    assert.deepEqual(update.changes, { changed: [first.linkedService.objectId], added: [], removed: [] });
+});
+
+test('a patch cannot change the objectId of the sub-resource', async () => {
+    await planService.createPlan(plan(), { tenant });
+    const { etag } = await subresourceService.getSubresource(id, servicePath, { tenant });
+
+    await assert.rejects(
+        subresourceService.patchSubresource(id, servicePath, { objectId: 'renamed' }, etag, { tenant }),
+        rejectsWith('E_PATCH_INVALID')
+    );
+});
+
+test('a concurrent change to the subtree fails the precondition on retry', async () => {
+    await planService.createPlan(plan(), { tenant });
+    const { etag } = await subresourceService.getSubresource(id, servicePath, { tenant });
+    const watch = redis.watch.bind(redis);
+    // Another writer renames the service after the patch was applied but before WATCH
+    redis.watch = async keys => {
+        redis.watch = watch;
+        const current = await planService.getPlan(id, { tenant });
+        await subresourceService.patchSubresource(id, servicePath, { name: 'Concurrent' }, etag, { tenant });
+        assert.notEqual((await planService.getPlan(id, { tenant })).etag, current.etag);
+        return watch(keys);
+    };
+
+    try {
+        await assert.rejects(
+            subresourceService.patchSubresource(id, servicePath, { name: 'Mine' }, etag, { tenant }),
+            rejectsWith('E_PRECONDITION')
+        );
+    } finally {
+        redis.watch = watch;
+    }
+    assert.equal((await subresourceService.getSubresource(id, servicePath, { tenant })).document.name, 'Concurrent');
+});
+
+test('deleting a linked plan service removes it and everything below it', async () => {
+    await planService.createPlan(plan(), { tenant });
+    const path = ['linkedPlanServices', second.objectId];
+    const { etag } = await subresourceService.getSubresource(id, path, { tenant });
+
+    await subresourceService.deleteSubresource(id, path, etag, { tenant });
+
+    const stored = await planService.getPlan(id, { tenant });
+    assert.deepEqual(stored.document.linkedPlanServices.map(ps => ps.objectId), [first.objectId]);
+    assert.equal(await redis.get(`planservice:${second.objectId}`), null);
+    assert.equal(await redis.get(`service:${second.linkedService.objectId}`), null);
+    assert.equal(await subresourceService.getSubresource(id, path, { tenant }), null);
+});
+
+test('appending a linked plan service rejects objectIds already in use', async () => {
+    const created = await planService.createPlan(plan(), { tenant });
+
+    await assert.rejects(
+        subresourceService.appendLinkedPlanService(id, JSON.parse(JSON.stringify(first)), { tenant }),
+        err => err.code === 'E_CONFLICT' && err.objectId === first.objectId
+    );
+
+    const item = {
+        ...JSON.parse(JSON.stringify(first)),
+        objectId: 'new-planservice',
+        linkedService: { ...first.linkedService, objectId: 'new-service' },
+        planserviceCostShares: { ...first.planserviceCostShares, objectId: 'new-costshare' }
+    };
+    const appended = await subresourceService.appendLinkedPlanService(id, item, { tenant, ifMatch: created.etag });
+    assert.deepEqual(appended.document, item);
+
+    const stored = await planService.getPlan(id, { tenant });
+    assert.equal(stored.etag, appended.planEtag);
+    assert.deepEqual(stored.document.linkedPlanServices.map(ps => ps.objectId), [first.objectId, second.objectId, 'new-planservice']);
+    assert.deepEqual((await indexMessages()).pop().changes.added.sort(), ['new-costshare', 'new-planservice', 'new-service']);
+});
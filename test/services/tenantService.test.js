@@ -0,0 +1,75 @@
+// test/services/tenantService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The org map and sources are read once when the service loads
+process.env.TENANT_ORG_MAP = JSON.stringify({ 'ops@example.com': '*', 'partner.io': ['acme.com', 'globex.com'] });
+delete process.env.TENANT_SOURCES;
+const tenantService = require('../../services/tenantService');
+
+const user = (email, claims = {}) => ({ email, claims });
+
+test('API keys resolve to their org restriction, or every org without one', () => {
+    assert.deepEqual(tenantService.resolveTenant({ apiKey: { orgs: ['acme.com'] } }), { orgs: ['acme.com'], all: false });
+    assert.deepEqual(tenantService.resolveTenant({ apiKey: { orgs: null } }), { orgs: [], all: true });
+});
+
+test('explicit mappings win over the hosted domain and email domain', () => {
+    assert.deepEqual(tenantService.resolveTenant(user('OPS@example.com', { hd: 'example.com' })), { orgs: [], all: true });
+    assert.deepEqual(
+        tenantService.resolveTenant(user('sam@partner.io', { hd: 'partner.io' })),
+        { orgs: ['acme.com', 'globex.com'], all: false }
+    );
+});
+
+test('the hosted domain claim comes before the email domain', () => {
+    assert.deepEqual(tenantService.resolveTenant(user('sam@gmail.com', { hd: 'Acme.com' })), { orgs: ['acme.com'], all: false });
+    assert.deepEqual(tenantService.resolveTenant(user('sam@acme.com', { email_verified: true })), { orgs: ['acme.com'], all: false });
+});
+
+test('unverified emails and anonymous callers have no tenant', () => {
+    assert.equal(tenantService.resolveTenant(user('sam@acme.com', { email_verified: false })), null);
+    assert.equal(tenantService.resolveTenant(user('sam@acme.com', { email_verified: 'false' })), null);
+    // Tokens that do not say the email is verified do not count as verified
+    assert.equal(tenantService.resolveTenant(user('sam@acme.com')), null);
+    assert.equal(tenantService.resolveTenant(user('sam@acme.com', { email_verified: 'true' })), null);
+    assert.equal(tenantService.resolveTenant({ claims: {} }), null);
+    assert.equal(tenantService.resolveTenant(null), null);
+});
+
+test('org checks distinguish internal callers, all-org tenants and missing tenants', () => {
+    const acme = { orgs: ['acme.com'], all: false };
+    assert.equal(tenantService.isOrgAllowed(acme, 'acme.com'), true);
+    assert.equal(tenantService.isOrgAllowed(acme, 'globex.com'), false);
+    assert.equal(tenantService.isOrgAllowed({ orgs: [], all: true }, 'globex.com'), true);
+    assert.equal(tenantService.isOrgAllowed(undefined, 'globex.com'), true);
+    assert.equal(tenantService.isOrgAllowed(null, 'acme.com'), false);
+
+    assert.deepEqual(tenantService.allowedOrgs(acme), ['acme.com']);
+    assert.equal(tenantService.allowedOrgs({ orgs: [], all: true }), null);
+    assert.deepEqual(tenantService.allowedOrgs(null), []);
+});
+
+test('documents must use one allowed _org throughout', () => {
+    const acme = { orgs: ['acme.com'], all: false };
+    const document = {
+        _org: 'acme.com',
+        planCostShares: { _org: 'acme.com' },
+        linkedPlanServices: [{ _org: 'globex.com', linkedService: { _org: 'acme.com' } }]
+    };
+
+    assert.deepEqual(tenantService.checkDocumentOrgs(acme, document), [
+        { field: '/linkedPlanServices/0/_org', message: 'must match the plan _org "acme.com"' }
+    ]);
+    assert.deepEqual(
+        tenantService.checkDocumentOrgs(acme, { _org: 'globex.com' }).map(detail => detail.field),
+        ['/_org']
+    );
+    assert.deepEqual(tenantService.checkDocumentOrgs({ orgs: [], all: true }, { _org: 'globex.com' }), []);
+});
+
+test('search filters are limited to the tenant orgs', () => {
+    assert.deepEqual(tenantService.searchFilter({ orgs: ['acme.com'], all: false }), { terms: { _org: ['acme.com'] } });
+    assert.equal(tenantService.searchFilter({ orgs: [], all: true }), null);
+    assert.equal(tenantService.searchFilter(undefined), null);
+});
@@ -0,0 +1,69 @@
+// test/services/webhookService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeRedis } = require('../helpers/fakeRedis');
+
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+const redis = installFakeRedis();
+const webhookService = require('../../services/webhookService');
+
+const tenant = { orgs: ['example.com', 'other.org'], all: false };
+const event = { id: 'event-1', type: 'plan.updated', planId: 'plan-1', org: 'example.com' };
+
+function subscribe(url, orgs = ['example.com']) {
+    return webhookService.createSubscription({ url, events: ['plan.updated'], orgs }, { tenant });
+}
+
+test.beforeEach(() => redis.reset());
+
+test('fan-out queues one job per matching subscription', async () => {
+    const a = await subscribe('http://127.0.0.1/a');
+    const b = await subscribe('http://127.0.0.1/b');
+    await subscribe('http://127.0.0.1/other', ['other.org']);
+    const jobs = [];
+
+    const result = await webhookService.fanOut(event, async job => jobs.push(job));
+
+    assert.deepEqual(result, { queued: 2, alreadyQueued: 0, subscriptions: 2 });
+    assert.deepEqual(jobs.map(job => job.subscriptionId).sort(), [a.id, b.id].sort());
+    assert.ok(jobs.every(job => job.attempt === 1 && job.event === event));
+});
+
+test('a failed subscription does not stop the others and a redelivery queues only it', async () => {
+    const a = await subscribe('http://127.0.0.1/a');
+    const b = await subscribe('http://127.0.0.1/b');
+    const jobs = [];
+
+    await assert.rejects(
+        webhookService.fanOut(event, async job => {
+            if (job.subscriptionId === a.id) throw new Error('message nacked');
+            jobs.push(job);
+        }),
+        err => err.code === 'E_FANOUT' && err.failed.length === 1 && err.failed[0].subscriptionId === a.id
+    );
+    assert.deepEqual(jobs.map(job => job.subscriptionId), [b.id]);
+
+    const replayed = [];
+    const result = await webhookService.fanOut(event, async job => replayed.push(job));
+    assert.deepEqual(result, { queued: 1, alreadyQueued: 1, subscriptions: 2 });
+    assert.deepEqual(replayed.map(job => job.subscriptionId), [a.id]);
+
+    // A third delivery of the event sends nothing again
+    assert.deepEqual(await webhookService.fanOut(event, async () => assert.fail('queued twice')),
+        { queued: 0, alreadyQueued: 2, subscriptions: 2 });
+});
+
+test('a job queued again after its record was lost keeps its delivery id', async () => {
+    await subscribe('http://127.0.0.1/a');
+    const ids = [];
+    const publish = async job => ids.push(job.deliveryId);
+
+    await webhookService.fanOut(event, publish);
+    // The worker stopped between the broker confirm and recording the job
+    await redis.del('webhookfanout:event-1');
+    await webhookService.fanOut(event, publish);
+    await webhookService.fanOut({ ...event, id: 'event-2' }, publish);
+
+    assert.equal(ids[0], ids[1]);
+    assert.notEqual(ids[0], ids[2]);
+});
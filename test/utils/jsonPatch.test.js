@@ -0,0 +1,110 @@
+// test/utils/jsonPatch.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyJsonPatch } = require('../../utils/jsonPatch');
+
+const plan = () => ({
+    objectId: 'plan-1',
+    planType: 'inNetwork',
+    planCostShares: { objectId: 'pcs-1', deductible: 2000, copay: 23 },
+    linkedPlanServices: [
+        { objectId: 'ps-1', linkedService: { objectId: 's-1', name: 'Yearly physical' } },
+        { objectId: 'ps-2', linkedService: { objectId: 's-2', name: 'well baby' } }
+    ]
+});
+
+function patchError(code, fields = {}) {
+    return err => {
+        assert.equal(err.code, code);
+        Object.entries(fields).forEach(([key, value]) => assert.equal(err[key], value));
+        return true;
+    };
+}
+
+test('add, replace and remove work on objects and arrays', () => {
+    const result = applyJsonPatch(plan(), [
+        { op: 'replace', path: '/planCostShares/copay', value: 30 },
+        { op: 'add', path: '/linkedPlanServices/-', value: { objectId: 'ps-3' } },
+        { op: 'add', path: '/linkedPlanServices/0', value: { objectId: 'ps-0' } },
+        { op: 'remove', path: '/linkedPlanServices/2' },
+        { op: 'remove', path: '/planType' }
+    ]);
+
+    assert.equal(result.planCostShares.copay, 30);
+    assert.deepEqual(result.linkedPlanServices.map(ps => ps.objectId), ['ps-0', 'ps-1', 'ps-3']);
+    assert.equal('planType' in result, false);
+});
+
+test('move and copy take their value from "from"', () => {
+    const result = applyJsonPatch(plan(), [
+        { op: 'copy', from: '/planCostShares/deductible', path: '/planCostShares/maxDeductible' },
+        { op: 'move', from: '/linkedPlanServices/1', path: '/linkedPlanServices/0' }
+    ]);
+
+    assert.equal(result.planCostShares.maxDeductible, 2000);
+    assert.deepEqual(result.linkedPlanServices.map(ps => ps.objectId), ['ps-2', 'ps-1']);
+});
+
+test('test compares values regardless of key order', () => {
+    const doc = plan();
+    assert.doesNotThrow(() => applyJsonPatch(doc, [
+        { op: 'test', path: '/planCostShares', value: { copay: 23, deductible: 2000, objectId: 'pcs-1' } }
+    ]));
+    assert.throws(
+        () => applyJsonPatch(doc, [{ op: 'test', path: '/planType', value: 'outOfNetwork' }]),
+        patchError('E_PATCH_TEST_FAILED', { index: 0, op: 'test', path: '/planType' })
+    );
+});
+
+test('JSON Pointer escapes ~0 and ~1 are decoded', () => {
+    const result = applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+        { op: 'replace', path: '/a~1b', value: 10 },
+        { op: 'remove', path: '/c~0d' }
+    ]);
+    assert.deepEqual(result, { 'a/b': 10 });
+});
+
+test('the input document is left untouched', () => {
+    const doc = plan();
+    const before = JSON.stringify(doc);
+    applyJsonPatch(doc, [
+        { op: 'remove', path: '/linkedPlanServices/0' },
+        { op: 'replace', path: '/planCostShares/copay', value: 0 }
+    ]);
+    assert.equal(JSON.stringify(doc), before);
+});
+
+test('a failing operation applies nothing and reports its index', () => {
+    const doc = plan();
+    assert.throws(
+        () => applyJsonPatch(doc, [
+            { op: 'replace', path: '/planType', value: 'outOfNetwork' },
+            { op: 'remove', path: '/linkedPlanServices/5' }
+        ]),
+        patchError('E_PATCH_INVALID', { index: 1, op: 'remove', path: '/linkedPlanServices/5' })
+    );
+    assert.equal(doc.planType, 'inNetwork');
+});
+
+test('paths that do not resolve are invalid', () => {
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'replace', path: '/missing', value: 1 }]), patchError('E_PATCH_INVALID'));
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'add', path: '/missing/child', value: 1 }]), patchError('E_PATCH_INVALID'));
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'remove', path: '' }]), patchError('E_PATCH_INVALID'));
+    assert.throws(
+        () => applyJsonPatch(plan(), [{ op: 'move', from: '/planCostShares', path: '/planCostShares/nested' }]),
+        patchError('E_PATCH_INVALID')
+    );
+    assert.throws(
+        () => applyJsonPatch(plan(), [{ op: 'add', path: '/linkedPlanServices/01', value: {} }]),
+        patchError('E_PATCH_INVALID')
+    );
+});
+
+test('malformed patch documents are rejected', () => {
+    assert.throws(() => applyJsonPatch(plan(), { op: 'add' }), patchError('E_PATCH_MALFORMED'));
+    assert.throws(() => applyJsonPatch(plan(), [null]), patchError('E_PATCH_MALFORMED', { index: 0 }));
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'merge', path: '/a' }]), patchError('E_PATCH_MALFORMED'));
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'add', path: 'planType', value: 1 }]), patchError('E_PATCH_MALFORMED'));
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'replace', path: '/planType' }]), patchError('E_PATCH_MALFORMED'));
+    assert.throws(() => applyJsonPatch(plan(), [{ op: 'copy', path: '/a' }]), patchError('E_PATCH_MALFORMED'));
+});
@@ -0,0 +1,97 @@
+// test/utils/searchMapping.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const searchMapping = require('../../utils/searchMapping');
+const example = require('../../plan-example.json');
+
+const MODULE_PATH = require.resolve('../../utils/searchMapping');
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'schemas', 'plan.schema.json');
+const baseSchema = () => JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+
+/**
+ * A fresh copy of utils/searchMapping built from the plan schema as changed by `edit`
+ */
+function loadWithSchema(t, edit) {
+    const schema = baseSchema();
+    edit(schema);
+    const readFileSync = fs.readFileSync;
+    t.mock.method(fs, 'readFileSync', (file, ...args) =>
+        file === SCHEMA_PATH ? JSON.stringify(schema) : readFileSync(file, ...args));
+    const loaded = require.cache[MODULE_PATH];
+    delete require.cache[MODULE_PATH];
+    try {
+        return require(MODULE_PATH);
+    } finally {
+        require.cache[MODULE_PATH] = loaded;
+    }
+}
+
+test('join relations follow the nesting of objects with an objectId', () => {
+    assert.equal(searchMapping.ROOT_RELATION, 'plan');
+    assert.deepEqual(searchMapping.mapping.properties.plan_join, {
+        type: 'join',
+        relations: {
+            plan: ['planCostShares', 'linkedPlanServices'],
+            linkedPlanServices: ['linkedService', 'planserviceCostShares']
+        }
+    });
+    assert.equal(searchMapping.relations.linkedService.parent, 'linkedPlanServices');
+    assert.equal(searchMapping.relations.plan.parent, null);
+});
+
+test('fields are typed from the schema, so cost shares keep their decimals', () => {
+    const { properties } = searchMapping.mapping;
+    assert.deepEqual(properties.deductible, { type: 'double' });
+    assert.deepEqual(properties.copay, { type: 'double' });
+    assert.deepEqual(properties.planType, { type: 'keyword' });
+    assert.deepEqual(properties.name, { type: 'text', fields: { keyword: { type: 'keyword' } } });
+    // Only the root carries the fields the indexer adds
+    assert.deepEqual(searchMapping.relations.plan.fields.planVersion, { type: 'long' });
+    assert.equal(searchMapping.relations.planCostShares.fields.planVersion, undefined);
+});
+
+test('every object of a plan becomes a document routed to its parent', () => {
+    const documents = searchMapping.extractDocuments(example);
+    const [root] = documents;
+    const [first] = example.linkedPlanServices;
+
+    assert.equal(root.id, example.objectId);
+    assert.deepEqual(root.source.plan_join, { name: 'plan' });
+    assert.equal(root.source.linkedPlanServices, undefined);
+    assert.equal(documents.length, 2 + example.linkedPlanServices.length * 3);
+
+    const service = documents.find(document => document.id === first.linkedService.objectId);
+    assert.equal(service.relation, 'linkedService');
+    assert.deepEqual(service.source.plan_join, { name: 'linkedService', parent: first.objectId });
+    assert.equal(service.source.name, first.linkedService.name);
+
+    const costShares = documents.find(document => document.id === example.planCostShares.objectId);
+    assert.equal(costShares.source.deductible, example.planCostShares.deductible);
+});
+
+test('a property added to the schema is mapped and indexed without code changes', t => {
+    const mapping = loadWithSchema(t, schema => {
+        schema.properties.planCostShares.properties.coinsurance = { type: 'number' };
+        schema.properties.planCostShares.properties.effectiveDate = { type: 'string', format: 'date' };
+        schema.properties.planCostShares.properties.notes = { type: 'string', 'x-search': false };
+    });
+
+    assert.deepEqual(mapping.mapping.properties.coinsurance, { type: 'double' });
+    assert.deepEqual(mapping.mapping.properties.effectiveDate, { type: 'date' });
+    assert.equal(mapping.mapping.properties.notes, undefined);
+
+    const plan = JSON.parse(JSON.stringify(example));
+    Object.assign(plan.planCostShares, { coinsurance: 0.2, effectiveDate: '2026-01-01', notes: 'internal' });
+    const costShares = mapping.extractDocuments(plan).find(document => document.id === plan.planCostShares.objectId);
+    assert.equal(costShares.source.coinsurance, 0.2);
+    assert.equal(costShares.source.effectiveDate, '2026-01-01');
+    assert.equal(costShares.source.notes, undefined);
+});
+
+test('a field mapped two ways in different objects is rejected', t => {
+    assert.throws(() => loadWithSchema(t, schema => {
+        schema.properties.planCostShares.properties.name = { type: 'integer' };
+    }), /field "name" maps to both/);
+});
@@ -0,0 +1,113 @@
+// test/utils/searchQuery.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toQuery } = require('../../utils/searchQuery');
+
+// The translated filter without the wrapper that restricts hits to plan documents
+const clause = filter => toQuery(filter).bool.must[0];
+
+function queryError(position, message) {
+    return err => {
+        assert.equal(err.code, 'E_QUERY');
+        assert.equal(err.position, position);
+        if (message) assert.match(err.message, message);
+        return true;
+    };
+}
+
+test('matching documents are always plans', () => {
+    assert.deepEqual(toQuery('planType=inNetwork').bool.filter, [{ term: { plan_join: 'plan' } }]);
+});
+
+test('plan fields are queried directly, child fields through has_child', () => {
+    assert.deepEqual(clause('planType=inNetwork'), { term: { planType: 'inNetwork' } });
+    assert.deepEqual(clause('plan.copay>=10'), { has_child: { type: 'planCostShares', query: { range: { copay: { gte: 10 } } } } });
+    assert.deepEqual(clause('service.name:physical'), {
+        has_child: {
+            type: 'linkedPlanServices',
+            query: { has_child: { type: 'linkedService', query: { match: { name: { query: 'physical', operator: 'and' } } } } }
+        }
+    });
+});
+
+test('text, keyword and existence operators', () => {
+    const service = filter => clause(filter).has_child.query.has_child.query;
+    assert.deepEqual(service('service.name:"well baby"'), { match_phrase: { name: 'well baby' } });
+    assert.deepEqual(service('service.name="Yearly physical"'), { term: { 'name.keyword': 'Yearly physical' } });
+    assert.deepEqual(clause('objectId:1234*'), { wildcard: { objectId: { value: '1234*' } } });
+    assert.deepEqual(clause('objectId:"1234*"'), { term: { objectId: '1234*' } });
+    assert.deepEqual(clause('creationDate:*'), { exists: { field: 'creationDate' } });
+    assert.deepEqual(clause('creationDate!=*'), { bool: { must_not: [{ exists: { field: 'creationDate' } }] } });
+    assert.deepEqual(clause('planType!=inNetwork'), { bool: { must_not: [{ term: { planType: 'inNetwork' } }] } });
+});
+
+test('conditions on one entity joined by AND must hold for the same entity', () => {
+    assert.deepEqual(clause('service.name:"well baby" AND service.copay<50 AND planType=inNetwork'), {
+        bool: {
+            must: [
+                { term: { planType: 'inNetwork' } },
+                {
+                    has_child: {
+                        type: 'linkedPlanServices',
+                        query: {
+                            bool: {
+                                must: [
+                                    { has_child: { type: 'linkedService', query: { match_phrase: { name: 'well baby' } } } },
+                                    { has_child: { type: 'planserviceCostShares', query: { range: { copay: { lt: 50 } } } } }
+                                ]
+                            }
+                        }
+                    }
+                }
+            ]
+        }
+    });
+});
+
+test('OR, NOT and parentheses', () => {
+    assert.deepEqual(clause('NOT (planType=a OR planType=b)'), {
+        bool: {
+            must_not: [{
+                bool: { should: [{ term: { planType: 'a' } }, { term: { planType: 'b' } }], minimum_should_match: 1 }
+            }]
+        }
+    });
+    // AND binds tighter than OR
+    assert.equal(clause('planType=a OR planType=b AND planVersion>1').bool.should.length, 2);
+});
+
+test('values are checked against the field type', () => {
+    assert.deepEqual(clause('planVersion>2'), { range: { planVersion: { gt: 2 } } });
+    assert.throws(() => toQuery('planVersion>two'), queryError(12, /needs a number/));
+});
+
+test('syntax errors report the position of the offending input', () => {
+    assert.throws(() => toQuery(''), queryError(0, /empty query/));
+    assert.throws(() => toQuery('planType="inNetwork'), queryError(9, /unterminated string/));
+    assert.throws(() => toQuery('planType inNetwork'), queryError(9, /expected an operator after 'planType'/));
+    assert.throws(() => toQuery('planType=a AND'), queryError(14, /expected a field name but found end of query/));
+    assert.throws(() => toQuery('(planType=a'), queryError(11, /expected '\)'/));
+    assert.throws(() => toQuery('planType=a planType=b'), queryError(11, /expected AND, OR or end of query/));
+    assert.throws(() => toQuery('planType=a !b'), queryError(11, /unexpected character '!'/));
+});
+
+test('unknown fields list the fields that can be used', () => {
+    assert.throws(() => toQuery('planType=a AND service.colour=red'), err => {
+        assert.equal(err.code, 'E_QUERY');
+        assert.equal(err.position, 15);
+        assert.ok(err.fields.includes('service.name'));
+        assert.ok(err.fields.includes('plan.planType'));
+        return true;
+    });
+});
+
+test('object prototype names are not fields', () => {
+    assert.throws(() => toQuery('constructor:x'), queryError(0, /unknown field/));
+    assert.throws(() => toQuery('service.__proto__:x'), queryError(0, /unknown field/));
+    assert.throws(() => toQuery('plan.toString=x'), queryError(0, /unknown field/));
+});
+
+test('operators that do not fit the field type are rejected', () => {
+    assert.throws(() => toQuery('service.name<5'), queryError(12, /operator '<' is not supported/));
+    assert.throws(() => toQuery('planType>*'), queryError(8, /not supported/));
+});
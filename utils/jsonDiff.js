@@ -0,0 +1,80 @@
+// utils/jsonDiff.js
+const { canonicalize } = require('./etag');
+
+/**
+ * Escape a property name for use in a JSON Pointer (RFC 6901)
+ */
+function escapeToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(canonicalize(a)) === JSON.stringify(canonicalize(b));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isObjectIdArray(value) {
+    return Array.isArray(value) && value.every(item => isPlainObject(item) && item.objectId);
+}
+
+/**
+ * diff - field-level changes between two JSON documents
+ * Returns a list of { op: 'add'|'remove'|'replace', path, value?, previous? }
+ * using JSON Pointer paths. Arrays of objects with objectId are matched by objectId
+ * (removed items use their old index, added/changed items their new index);
+ * any other array that changed is reported as a single replace.
+ */
+function diff(before, after, path = '') {
+    const changes = [];
+
+    if (isEqual(before, after)) return changes;
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of [...keys].sort()) {
+            const childPath = `${path}/${escapeToken(key)}`;
+            if (!(key in after)) {
+                changes.push({ op: 'remove', path: childPath, previous: before[key] });
+            } else if (!(key in before)) {
+                changes.push({ op: 'add', path: childPath, value: after[key] });
+            } else {
+                changes.push(...diff(before[key], after[key], childPath));
+            }
+        }
+        return changes;
+    }
+
+    if (isObjectIdArray(before) && isObjectIdArray(after)) {
+        const afterIds = new Set(after.map(item => item.objectId));
+        before.forEach((item, index) => {
+            if (!afterIds.has(item.objectId)) {
+                changes.push({ op: 'remove', path: `${path}/${index}`, previous: item });
+            }
+        });
+
+        const beforeById = new Map(before.map(item => [item.objectId, item]));
+        after.forEach((item, index) => {
+            const previous = beforeById.get(item.objectId);
+            if (!previous) {
+                changes.push({ op: 'add', path: `${path}/${index}`, value: item });
+            } else {
+                changes.push(...diff(previous, item, `${path}/${index}`));
+            }
+        });
+        return changes;
+    }
+
+    if (before === undefined) {
+        changes.push({ op: 'add', path, value: after });
+    } else if (after === undefined) {
+        changes.push({ op: 'remove', path, previous: before });
+    } else {
+        changes.push({ op: 'replace', path, value: after, previous: before });
+    }
+    return changes;
+}
+
+module.exports = { diff };
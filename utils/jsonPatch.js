@@ -0,0 +1,214 @@
+// utils/jsonPatch.js
+const { canonicalize } = require('./etag');
+
+const OPERATIONS = new Set(['add', 'remove', 'replace', 'move', 'copy', 'test']);
+
+/**
+ * Build a patch error carrying the failing operation for structured responses
+ *  - E_PATCH_MALFORMED   => the patch document itself is not valid RFC 6902
+ *  - E_PATCH_INVALID     => a path does not resolve against the document
+ *  - E_PATCH_TEST_FAILED => a "test" operation did not match
+ */
+function patchError(code, message, index, operation) {
+    const err = new Error(message);
+    err.code = code;
+    err.index = index;
+    err.op = operation && operation.op;
+    err.path = operation && operation.path;
+    return err;
+}
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into reference tokens
+ */
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || pointer[0] !== '/') return null;
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(canonicalize(a)) === JSON.stringify(canonicalize(b));
+}
+
+/**
+ * Resolve an array index token; "-" is only allowed when appending
+ */
+function arrayIndex(arr, token, allowEnd) {
+    if (allowEnd && token === '-') return arr.length;
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) return -1;
+    const idx = Number(token);
+    const max = allowEnd ? arr.length : arr.length - 1;
+    return idx <= max ? idx : -1;
+}
+
+/**
+ * Walk to the container holding the last token of the path
+ * Returns { parent, key } or null if an intermediate node is missing
+ */
+function resolveParent(doc, tokens) {
+    let node = doc;
+    for (let i = 0; i < tokens.length - 1; i++) {
+        const token = tokens[i];
+        if (Array.isArray(node)) {
+            const idx = arrayIndex(node, token, false);
+            if (idx < 0) return null;
+            node = node[idx];
+        } else if (node && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, token)) {
+            node = node[token];
+        } else {
+            return null;
+        }
+    }
+    if (!node || typeof node !== 'object') return null;
+    return { parent: node, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, tokens) {
+    if (tokens.length === 0) return { found: true, value: doc };
+    const ref = resolveParent(doc, tokens);
+    if (!ref) return { found: false };
+    if (Array.isArray(ref.parent)) {
+        const idx = arrayIndex(ref.parent, ref.key, false);
+        return idx < 0 ? { found: false } : { found: true, value: ref.parent[idx] };
+    }
+    if (!Object.prototype.hasOwnProperty.call(ref.parent, ref.key)) return { found: false };
+    return { found: true, value: ref.parent[ref.key] };
+}
+
+/**
+ * Each primitive returns the new document root (the root itself can be replaced)
+ */
+function addValue(doc, tokens, value, index, operation) {
+    if (tokens.length === 0) return value;
+    const ref = resolveParent(doc, tokens);
+    if (!ref) throw patchError('E_PATCH_INVALID', 'path not found', index, operation);
+    if (Array.isArray(ref.parent)) {
+        const idx = arrayIndex(ref.parent, ref.key, true);
+        if (idx < 0) throw patchError('E_PATCH_INVALID', 'array index out of bounds', index, operation);
+        ref.parent.splice(idx, 0, value);
+    } else {
+        ref.parent[ref.key] = value;
+    }
+    return doc;
+}
+
+function removeValue(doc, tokens, index, operation) {
+    if (tokens.length === 0) throw patchError('E_PATCH_INVALID', 'cannot remove the document root', index, operation);
+    const ref = resolveParent(doc, tokens);
+    if (!ref) throw patchError('E_PATCH_INVALID', 'path not found', index, operation);
+    if (Array.isArray(ref.parent)) {
+        const idx = arrayIndex(ref.parent, ref.key, false);
+        if (idx < 0) throw patchError('E_PATCH_INVALID', 'array index out of bounds', index, operation);
+        ref.parent.splice(idx, 1);
+    } else {
+        if (!Object.prototype.hasOwnProperty.call(ref.parent, ref.key)) {
+            throw patchError('E_PATCH_INVALID', 'path not found', index, operation);
+        }
+        delete ref.parent[ref.key];
+    }
+    return doc;
+}
+
+function replaceValue(doc, tokens, value, index, operation) {
+    if (tokens.length === 0) return value;
+    if (!getValue(doc, tokens).found) throw patchError('E_PATCH_INVALID', 'path not found', index, operation);
+    const ref = resolveParent(doc, tokens);
+    if (Array.isArray(ref.parent)) {
+        ref.parent[arrayIndex(ref.parent, ref.key, false)] = value;
+    } else {
+        ref.parent[ref.key] = value;
+    }
+    return doc;
+}
+
+/**
+ * Validate the shape of a single operation object before applying it
+ */
+function checkOperation(operation, index) {
+    if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+        throw patchError('E_PATCH_MALFORMED', 'operation must be an object', index, operation);
+    }
+    if (!OPERATIONS.has(operation.op)) {
+        throw patchError('E_PATCH_MALFORMED', `unknown op "${operation.op}"`, index, operation);
+    }
+    if (parsePointer(operation.path) === null) {
+        throw patchError('E_PATCH_MALFORMED', 'path must be a JSON Pointer', index, operation);
+    }
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+        throw patchError('E_PATCH_MALFORMED', `"${operation.op}" requires a value`, index, operation);
+    }
+    if (['move', 'copy'].includes(operation.op) && parsePointer(operation.from) === null) {
+        throw patchError('E_PATCH_MALFORMED', `"${operation.op}" requires a JSON Pointer "from"`, index, operation);
+    }
+}
+
+/**
+ * applyJsonPatch - apply an RFC 6902 operation list to a document
+ * The input document is not modified; a patched copy is returned.
+ * Operations are applied all-or-nothing: any failure throws and nothing is returned.
+ */
+function applyJsonPatch(document, operations) {
+    if (!Array.isArray(operations)) {
+        throw patchError('E_PATCH_MALFORMED', 'JSON Patch document must be an array of operations');
+    }
+
+    let doc = clone(document);
+
+    operations.forEach((operation, index) => {
+        checkOperation(operation, index);
+        const tokens = parsePointer(operation.path);
+
+        switch (operation.op) {
+            case 'add':
+                doc = addValue(doc, tokens, clone(operation.value), index, operation);
+                break;
+
+            case 'remove':
+                doc = removeValue(doc, tokens, index, operation);
+                break;
+
+            case 'replace':
+                doc = replaceValue(doc, tokens, clone(operation.value), index, operation);
+                break;
+
+            case 'move': {
+                const fromTokens = parsePointer(operation.from);
+                if (operation.path !== operation.from && operation.path.startsWith(`${operation.from}/`)) {
+                    throw patchError('E_PATCH_INVALID', 'cannot move a value into one of its children', index, operation);
+                }
+                const source = getValue(doc, fromTokens);
+                if (!source.found) throw patchError('E_PATCH_INVALID', 'from path not found', index, operation);
+                doc = removeValue(doc, fromTokens, index, operation);
+                doc = addValue(doc, tokens, source.value, index, operation);
+                break;
+            }
+
+            case 'copy': {
+                const source = getValue(doc, parsePointer(operation.from));
+                if (!source.found) throw patchError('E_PATCH_INVALID', 'from path not found', index, operation);
+                doc = addValue(doc, tokens, clone(source.value), index, operation);
+                break;
+            }
+
+            case 'test': {
+                const target = getValue(doc, tokens);
+                if (!target.found || !isEqual(target.value, operation.value)) {
+                    throw patchError('E_PATCH_TEST_FAILED', 'test operation failed', index, operation);
+                }
+                break;
+            }
+        }
+    });
+
+    return doc;
+}
+
+module.exports = { applyJsonPatch };
@@ -0,0 +1,19 @@
+// utils/requestContext.js
+
+/**
+ * requestContext - per-request information the services record with each write
+ * Spread into service options, e.g. planService.patchPlan(id, patch, ifMatch, { ...requestContext(req) })
+ * tenant falls back to "no orgs" so a route without requireTenant cannot reach other tenants' data
+ * ip / requestId identify the call in the audit trail
+ */
+function requestContext(req) {
+    const user = req.user || null;
+    return {
+        actor: user ? { sub: user.sub, email: user.email, name: user.name } : null,
+        tenant: req.tenant || { orgs: [], all: false },
+        ip: req.ip || null,
+        requestId: req.id || null
+    };
+}
+
+module.exports = { requestContext };
@@ -0,0 +1,193 @@
+// utils/searchMapping.js
+/**
+ * Elasticsearch mapping and search documents derived from schemas/plan.schema.json
+ * Every object with an objectId is its own search document. Its relation in the plan_join
+ * field is named after the property holding it (the root after its objectType), and its
+ * scalar properties become fields:
+ *   string -> keyword (format date / date-time -> date), number -> double, integer -> long,
+ *   boolean -> boolean, array -> its item type, object without objectId -> object
+ * "x-search" on a property refines that: { "type": "text", "analyzer": "..." } for full-text
+ * search (with a .keyword sub-field), { "type": "<es type>" } to override the type, or false
+ * to leave the property out of the index.
+ * All relations share one field namespace, so a property name must map the same way wherever
+ * it appears.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const schemaPath = path.join(__dirname, '..', 'schemas', 'plan.schema.json');
+const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+const JOIN_FIELD = 'plan_join';
+
+// Fields the indexer adds to the root (plan) document
+const SYSTEM_FIELDS = {
+    planVersion: { type: 'long' },
+    planEtag: { type: 'keyword' }
+};
+
+function schemaError(message) {
+    return new Error(`plan.schema.json: ${message}`);
+}
+
+function typeOf(propertySchema) {
+    const { type } = propertySchema;
+    return Array.isArray(type) ? type.find(t => t !== 'null') : type;
+}
+
+/**
+ * Objects with an objectId are stored (and indexed) as documents of their own
+ */
+function isDocumentSchema(propertySchema) {
+    const target = typeOf(propertySchema) === 'array' ? propertySchema.items || {} : propertySchema;
+    return typeOf(target) === 'object' && Boolean(target.properties && target.properties.objectId);
+}
+
+/**
+ * ES field mapping for a property schema, or null when it is not indexed
+ */
+function fieldMapping(propertySchema, name) {
+    const hint = propertySchema['x-search'];
+    if (hint === false) return null;
+    if (hint && hint.type === 'text') {
+        return {
+            type: 'text',
+            ...(hint.analyzer ? { analyzer: hint.analyzer } : {}),
+            fields: { keyword: { type: 'keyword' } }
+        };
+    }
+    if (hint && hint.type) return { type: hint.type };
+
+    switch (typeOf(propertySchema)) {
+        case 'string':
+            return { type: ['date', 'date-time'].includes(propertySchema.format) ? 'date' : 'keyword' };
+        case 'number':
+            return { type: 'double' };
+        case 'integer':
+            return { type: 'long' };
+        case 'boolean':
+            return { type: 'boolean' };
+        case 'array':
+            return fieldMapping(propertySchema.items || {}, name);
+        case 'object': {
+            const properties = {};
+            Object.entries(propertySchema.properties || {}).forEach(([key, child]) => {
+                const mapping = fieldMapping(child, `${name}.${key}`);
+                if (mapping) properties[key] = mapping;
+            });
+            return { type: 'object', properties };
+        }
+        default:
+            throw schemaError(`cannot map "${name}" (type ${JSON.stringify(propertySchema.type)}) to a search field`);
+    }
+}
+
+/**
+ * Relation tree: { relation, fields: [{ key, mapping }], children: [{ key, node }] }
+ */
+function buildTree(objectSchema, relation) {
+    const node = { relation, fields: [], children: [] };
+    Object.entries(objectSchema.properties || {}).forEach(([key, propertySchema]) => {
+        if (isDocumentSchema(propertySchema)) {
+            const childSchema = typeOf(propertySchema) === 'array' ? propertySchema.items : propertySchema;
+            node.children.push({ key, node: buildTree(childSchema, key) });
+            return;
+        }
+        const mapping = fieldMapping(propertySchema, key);
+        if (mapping) node.fields.push({ key, mapping });
+    });
+    return node;
+}
+
+const rootType = schema.properties && schema.properties.objectType && schema.properties.objectType.enum;
+const TREE = buildTree(schema, rootType ? rootType[0] : 'plan');
+
+function walk(node, visit) {
+    visit(node);
+    node.children.forEach(({ node: child }) => walk(child, visit));
+}
+
+/**
+ * Join relations ({ parent: [children] }) and field mappings for the plan index
+ */
+function buildMapping() {
+    const relations = {};
+    const properties = {};
+    const seen = new Set();
+
+    walk(TREE, node => {
+        if (seen.has(node.relation)) throw schemaError(`relation "${node.relation}" appears more than once`);
+        seen.add(node.relation);
+        if (node.children.length > 0) {
+            relations[node.relation] = node.children.map(({ node: child }) => child.relation);
+        }
+        node.fields.forEach(({ key, mapping }) => {
+            if (properties[key] && JSON.stringify(properties[key]) !== JSON.stringify(mapping)) {
+                throw schemaError(`field "${key}" maps to both ${JSON.stringify(properties[key])} and ${JSON.stringify(mapping)}`);
+            }
+            properties[key] = mapping;
+        });
+    });
+
+    return {
+        properties: {
+            [JOIN_FIELD]: { type: 'join', relations },
+            ...properties,
+            ...SYSTEM_FIELDS
+        }
+    };
+}
+
+const MAPPING = buildMapping();
+
+/**
+ * Every relation with its parent relation (null for the root) and its field mappings:
+ * { <relation>: { parent, fields: { <field>: mapping } } }
+ */
+function buildRelations() {
+    const relations = {};
+    (function visit(node, parent) {
+        const fields = {};
+        node.fields.forEach(({ key, mapping }) => { fields[key] = mapping; });
+        relations[node.relation] = { parent, fields: parent ? fields : { ...fields, ...SYSTEM_FIELDS } };
+        node.children.forEach(({ node: child }) => visit(child, node.relation));
+    })(TREE, null);
+    return relations;
+}
+
+const RELATIONS = buildRelations();
+
+/**
+ * Search documents of a plan, root first: [{ id, relation, source }]
+ * source holds the object's indexed properties and its plan_join entry
+ */
+function extractDocuments(planDocument) {
+    const documents = [];
+
+    (function visit(node, object, parentId) {
+        const source = {};
+        node.fields.forEach(({ key }) => {
+            if (object[key] !== undefined) source[key] = object[key];
+        });
+        source[JOIN_FIELD] = parentId ? { name: node.relation, parent: parentId } : { name: node.relation };
+        documents.push({ id: object.objectId, relation: node.relation, source });
+
+        node.children.forEach(({ key, node: child }) => {
+            const value = object[key];
+            const items = Array.isArray(value) ? value : value ? [value] : [];
+            items.forEach(item => {
+                if (item && item.objectId) visit(child, item, object.objectId);
+            });
+        });
+    })(TREE, planDocument, null);
+
+    return documents;
+}
+
+module.exports = {
+    JOIN_FIELD,
+    ROOT_RELATION: TREE.relation,
+    mapping: MAPPING,
+    relations: RELATIONS,
+    extractDocuments
+};
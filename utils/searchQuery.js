@@ -0,0 +1,350 @@
+// utils/searchQuery.js
+/**
+ * Filter language for /v1/search, translated into parent/child-aware Elasticsearch queries
+ *
+ *   query      := or
+ *   or         := and ( OR and )*
+ *   and        := unary ( AND unary )*
+ *   unary      := NOT unary | '(' or ')' | comparison
+ *   comparison := field op value
+ *   op         := ':' | '=' | '!=' | '<' | '<=' | '>' | '>='
+ *   value      := word | "quoted string" (\" and \\ escape)
+ *
+ * Fields are <entity>.<property>, or just <property> for the plan (see ENTITIES), and are
+ * checked against the mapping derived from the plan schema. ':' is a full-text match on text
+ * fields (a phrase when quoted) and exact otherwise, with * wildcards on unquoted keywords
+ * and field:* for "has a value"; '=' is always exact. Matching documents are plans.
+ * Conditions on one entity joined by AND must hold for the same entity: service.name:"well baby"
+ * AND service.copay<50 needs one service with both.
+ * Errors are E_QUERY with the 0-based position of the offending input.
+ */
+const searchMapping = require('./searchMapping');
+
+const { relations: RELATIONS, ROOT_RELATION, JOIN_FIELD } = searchMapping;
+
+// Field prefixes clients use instead of relation names: a field is looked up in each relation
+// of its entity in turn; conditions on one entity are anchored at its `anchor` relation
+const ENTITIES = {
+    plan: { anchor: ROOT_RELATION, relations: [ROOT_RELATION, 'planCostShares'] },
+    service: { anchor: 'linkedPlanServices', relations: ['linkedService', 'planserviceCostShares', 'linkedPlanServices'] }
+};
+
+const OPERATORS = ['<=', '>=', '!=', ':', '=', '<', '>'];
+const KEYWORDS = new Set(['AND', 'OR', 'NOT']);
+const WORD_CHAR = /[^\s()"<>=!:]/;
+const NUMERIC_TYPES = new Set(['long', 'integer', 'short', 'byte', 'double', 'float', 'half_float', 'scaled_float']);
+const RANGE_BOUNDS = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function queryError(message, position) {
+    const err = new Error(`${message} at position ${position}`);
+    err.code = 'E_QUERY';
+    err.position = position;
+    return err;
+}
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, value: ch, position: i });
+            i++;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => input.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'op', value: operator, position: i });
+            i += operator.length;
+            continue;
+        }
+
+        if (ch === '"') {
+            let value = '';
+            let j = i + 1;
+            while (j < input.length && input[j] !== '"') {
+                if (input[j] === '\\' && j + 1 < input.length) j++;
+                value += input[j];
+                j++;
+            }
+            if (j >= input.length) throw queryError('unterminated string', i);
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        let j = i;
+        while (j < input.length && WORD_CHAR.test(input[j])) j++;
+        if (j === i) throw queryError(`unexpected character '${ch}'`, i);
+        const word = input.slice(i, j);
+        tokens.push({ type: KEYWORDS.has(word) ? word : 'word', value: word, position: i });
+        i = j;
+    }
+
+    tokens.push({ type: 'end', position: input.length });
+    return tokens;
+}
+
+function describeToken(token) {
+    return token.type === 'end' ? 'end of query' : `'${token.value}'`;
+}
+
+/**
+ * Parse a filter into its syntax tree:
+ * { type: 'or' | 'and', children } | { type: 'not', child } |
+ * { type: 'comparison', field, operator, value, quoted, fieldPosition, operatorPosition, valuePosition }
+ */
+function parse(input) {
+    const tokens = tokenize(input);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    function parseList(type, parseOperand) {
+        const children = [parseOperand()];
+        while (peek().type === type.toUpperCase()) {
+            next();
+            children.push(parseOperand());
+        }
+        return children.length === 1 ? children[0] : { type, children };
+    }
+
+    function parseOr() {
+        return parseList('or', () => parseList('and', parseUnary));
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token.type === 'NOT') {
+            next();
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token.type === '(') {
+            next();
+            const inner = parseOr();
+            const close = next();
+            if (close.type !== ')') throw queryError(`expected ')' but found ${describeToken(close)}`, close.position);
+            return inner;
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const field = next();
+        if (field.type !== 'word') {
+            throw queryError(`expected a field name but found ${describeToken(field)}`, field.position);
+        }
+        const operator = next();
+        if (operator.type !== 'op') {
+            throw queryError(`expected an operator after '${field.value}' but found ${describeToken(operator)}`, operator.position);
+        }
+        const value = next();
+        if (value.type !== 'word' && value.type !== 'string') {
+            throw queryError(`expected a value after '${operator.value}' but found ${describeToken(value)}`, value.position);
+        }
+        return {
+            type: 'comparison',
+            field: field.value,
+            operator: operator.value,
+            value: value.value,
+            quoted: value.type === 'string',
+            fieldPosition: field.position,
+            operatorPosition: operator.position,
+            valuePosition: value.position
+        };
+    }
+
+    if (peek().type === 'end') throw queryError('empty query', 0);
+    const tree = parseOr();
+    const rest = peek();
+    if (rest.type !== 'end') {
+        throw queryError(`expected AND, OR or end of query but found ${describeToken(rest)}`, rest.position);
+    }
+    return tree;
+}
+
+/**
+ * Mapping of a (possibly dotted object) property within a relation, or null
+ */
+function lookupMapping(fields, property) {
+    const [first, ...rest] = property.split('.');
+    let mapping = has(fields, first) ? fields[first] : null;
+    for (const part of rest) {
+        mapping = mapping && mapping.properties && has(mapping.properties, part) ? mapping.properties[part] : null;
+    }
+    return mapping || null;
+}
+
+/**
+ * Every field a filter may use, e.g. ['plan.planType', ..., 'service.name', ...]
+ */
+function knownFields() {
+    const fields = new Set();
+    Object.entries(ENTITIES).forEach(([entity, { relations }]) => {
+        relations.forEach(relation => {
+            Object.keys(RELATIONS[relation].fields).forEach(field => fields.add(`${entity}.${field}`));
+        });
+    });
+    return [...fields];
+}
+
+function resolveField(comparison) {
+    const [prefix, ...rest] = comparison.field.split('.');
+    const entityName = has(ENTITIES, prefix) && rest.length > 0 ? prefix : 'plan';
+    const property = entityName === prefix && rest.length > 0 ? rest.join('.') : comparison.field;
+    const entity = ENTITIES[entityName];
+
+    for (const relation of entity.relations) {
+        const mapping = lookupMapping(RELATIONS[relation].fields, property);
+        if (mapping) return { anchor: entity.anchor, relation, property, mapping };
+    }
+    const err = queryError(`unknown field '${comparison.field}'`, comparison.fieldPosition);
+    err.fields = knownFields();
+    throw err;
+}
+
+function parseValue(comparison, type) {
+    const { value, field, valuePosition } = comparison;
+    if (NUMERIC_TYPES.has(type)) {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) {
+            throw queryError(`'${field}' needs a number, got '${value}'`, valuePosition);
+        }
+        return number;
+    }
+    if (type === 'boolean') {
+        if (value !== 'true' && value !== 'false') {
+            throw queryError(`'${field}' needs true or false, got '${value}'`, valuePosition);
+        }
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Query for a single comparison, evaluated on documents of the field's relation
+ */
+function leafQuery(comparison, { property, mapping }) {
+    const { operator, value, quoted, field } = comparison;
+    const unsupported = () => queryError(`operator '${operator}' is not supported for '${field}'`, comparison.operatorPosition);
+
+    if (value === '*' && !quoted) {
+        if (operator === ':' || operator === '=') return { exists: { field: property } };
+        if (operator === '!=') return { bool: { must_not: [{ exists: { field: property } }] } };
+        throw unsupported();
+    }
+    if (operator === '!=') {
+        return { bool: { must_not: [leafQuery({ ...comparison, operator: '=' }, { property, mapping })] } };
+    }
+
+    if (mapping.type === 'text') {
+        if (operator === ':') {
+            return quoted
+                ? { match_phrase: { [property]: value } }
+                : { match: { [property]: { query: value, operator: 'and' } } };
+        }
+        if (operator === '=' && mapping.fields && mapping.fields.keyword) {
+            return { term: { [`${property}.keyword`]: value } };
+        }
+        throw unsupported();
+    }
+    if (mapping.type === 'object') throw unsupported();
+
+    const parsed = parseValue(comparison, mapping.type);
+    if (operator === ':' || operator === '=') {
+        if (operator === ':' && mapping.type === 'keyword' && !quoted && value.includes('*')) {
+            return { wildcard: { [property]: { value } } };
+        }
+        return { term: { [property]: parsed } };
+    }
+    if (mapping.type === 'boolean') throw unsupported();
+    return { range: { [property]: { [RANGE_BOUNDS[operator]]: parsed } } };
+}
+
+/**
+ * Relations below `from` down to `to`, e.g. (plan, linkedService) => [linkedPlanServices, linkedService]
+ */
+function relationPath(from, to) {
+    const path = [];
+    for (let relation = to; relation !== from; relation = RELATIONS[relation].parent) {
+        path.unshift(relation);
+    }
+    return path;
+}
+
+/**
+ * Wrap a query on documents of the last relation of path in has_child queries up to its start
+ */
+function nest(path, query) {
+    return path.reduceRight((inner, type) => ({ has_child: { type, query: inner } }), query);
+}
+
+/**
+ * A comparison as a query on its entity's anchor documents
+ */
+function condition(comparison) {
+    const field = resolveField(comparison);
+    return { anchor: field.anchor, query: nest(relationPath(field.anchor, field.relation), leafQuery(comparison, field)) };
+}
+
+function translate(node) {
+    switch (node.type) {
+        case 'or':
+            return { bool: { should: node.children.map(translate), minimum_should_match: 1 } };
+        case 'not':
+            return { bool: { must_not: [translate(node.child)] } };
+        case 'comparison': {
+            const { anchor, query } = condition(node);
+            return nest(relationPath(ROOT_RELATION, anchor), query);
+        }
+        case 'and': {
+            // Plain conditions on the same entity share one has_child on its anchor
+            const must = [];
+            const byAnchor = new Map();
+            node.children.forEach(child => {
+                if (child.type !== 'comparison') {
+                    must.push(translate(child));
+                    return;
+                }
+                const { anchor, query } = condition(child);
+                if (anchor === ROOT_RELATION) {
+                    must.push(query);
+                    return;
+                }
+                if (!byAnchor.has(anchor)) byAnchor.set(anchor, []);
+                byAnchor.get(anchor).push(query);
+            });
+            byAnchor.forEach((queries, anchor) => {
+                must.push(nest(relationPath(ROOT_RELATION, anchor), queries.length === 1 ? queries[0] : { bool: { must: queries } }));
+            });
+            return { bool: { must } };
+        }
+    }
+}
+
+/**
+ * Elasticsearch query matching the plans a filter describes (throws E_QUERY)
+ */
+function toQuery(filter) {
+    return {
+        bool: {
+            must: [translate(parse(filter))],
+            filter: [{ term: { [JOIN_FIELD]: ROOT_RELATION } }]
+        }
+    };
+}
+
+module.exports = {
+    ENTITIES,
+    parse,
+    toQuery,
+    knownFields
+};
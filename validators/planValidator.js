@@ -15,4 +15,62 @@ function errors() {
     return validate.errors;
 }
 
-module.exports = { validate, errors };
+/**
+ * Business rules the JSON schema cannot express
+ * Returns a list of { field, message } (empty when the document is valid)
+ */
+function validateBusinessRules(document) {
+    const problems = [];
+    const seen = new Map(); // objectId -> first path it appeared at
+
+    function traverse(obj, pointer) {
+        if (!obj || typeof obj !== 'object') return;
+
+        if (obj.objectId) {
+            // Every object is stored under its own key, so ids must be unique per plan
+            if (seen.has(obj.objectId)) {
+                problems.push({
+                    field: pointer,
+                    message: `duplicate objectId "${obj.objectId}" (also used at ${seen.get(obj.objectId) || '/'})`
+                });
+            } else {
+                seen.set(obj.objectId, pointer);
+            }
+        }
+
+        for (const key of Object.keys(obj)) {
+            if (Array.isArray(obj[key])) {
+                obj[key].forEach((item, i) => traverse(item, `${pointer}/${key}/${i}`));
+            } else if (typeof obj[key] === 'object' && obj[key] !== null) {
+                traverse(obj[key], `${pointer}/${key}`);
+            }
+        }
+    }
+
+    traverse(document, '');
+    return problems;
+}
+
+/**
+ * Helper to format AJV errors into friendlier shape
+ */
+function formatAjvErrors(ajvErrors) {
+    if (!ajvErrors) return [];
+    return ajvErrors.map(e => ({
+        field: e.instancePath || e.schemaPath || '',
+        message: e.message || ''
+    }));
+}
+
+/**
+ * Run schema validation followed by business-rule validation
+ * Returns a list of { field, message } (empty when the document is valid)
+ */
+function validatePlanDocument(document) {
+    if (!validate(document)) {
+        return formatAjvErrors(validate.errors);
+    }
+    return validateBusinessRules(document);
+}
+
+module.exports = { validate, errors, validateBusinessRules, validatePlanDocument };
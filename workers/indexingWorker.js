@@ -16,24 +16,28 @@ const MAX_RETRIES = 3;
  * Process a single message from the queue
  */
 async function processMessage(message) {
-    const { operation, data, messageId } = message;
+    const { operation, data, messageId, version, etag, changes } = message;
+    // Plan version/ETag after the write; older messages than what is indexed are skipped
+    const meta = { version, etag };
 
-    console.log(`[Worker] Processing ${operation} operation, messageId: ${messageId}`);
+    console.log(`[Worker] Processing ${operation} operation, messageId: ${messageId}, version: ${version}`);
 
+    let result;
     switch (operation) {
         case 'index':
-            await elasticsearchService.indexPlan(data);
-            console.log(`[Worker] Indexed plan: ${data.objectId}`);
+            result = await elasticsearchService.indexPlan(data, meta);
+            console.log(`[Worker] ${result.skipped ? 'Skipped stale' : 'Indexed'} plan: ${data.objectId}`);
             break;
 
         case 'update':
-            await elasticsearchService.updatePlan(data);
-            console.log(`[Worker] Updated plan in index: ${data.objectId}`);
+            // changes (changed/added/removed objectIds) limits the update to those documents
+            result = await elasticsearchService.updatePlan(data, { ...meta, changes });
+            console.log(`[Worker] ${result.skipped ? 'Skipped stale update of' : result.incremental ? 'Incrementally updated' : 'Updated'} plan in index: ${data.objectId}`);
             break;
 
         case 'delete':
-            await elasticsearchService.deletePlan(data.objectId);
-            console.log(`[Worker] Deleted plan from index: ${data.objectId}`);
+            result = await elasticsearchService.deletePlan(data.objectId, meta);
+            console.log(`[Worker] ${result.skipped ? 'Skipped stale delete of' : 'Deleted'} plan from index: ${data.objectId}`);
             break;
 
         default:
@@ -69,7 +73,10 @@ async function startWorker() {
 
     // Start consuming messages
     try {
-        await rabbitmqService.consumeMessages(processMessage);
+        // ES outages and overload are retried with backoff; mapping errors go straight to the DLQ
+        await rabbitmqService.consumeMessages(processMessage, {
+            isRetryable: elasticsearchService.isRetryableError
+        });
         console.log('[Worker] Worker is running and waiting for messages...');
     } catch (error) {
         console.error('[Worker] Failed to start consumer:', error.message);
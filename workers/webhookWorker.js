@@ -0,0 +1,68 @@
+// workers/webhookWorker.js
+/**
+ * Webhook Delivery Worker
+ * Fans plan lifecycle events out to matching subscriptions and delivers them,
+ * retrying failed deliveries with backoff (WEBHOOK_RETRY_DELAYS_MS)
+ * Run separately: node workers/webhookWorker.js
+ */
+
+require('dotenv').config();
+const rabbitmqService = require('../services/rabbitmqService');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Queue one delivery job per subscription interested in the event
+ * If some jobs cannot be queued the event goes to the dead letter queue; redelivering it
+ * queues only the subscriptions still missing
+ */
+async function fanOut(event) {
+    const { queued, alreadyQueued } = await webhookService.fanOut(event, job => rabbitmqService.publishWebhookDelivery(job));
+
+    console.log(`[Webhooks] ${event.type} for ${event.planId}: ${queued} subscription(s)${alreadyQueued > 0 ? `, ${alreadyQueued} queued earlier` : ''}`);
+}
+
+/**
+ * Attempt a delivery; failures worth retrying go back through a delay queue
+ */
+async function deliver(job) {
+    const { outcome, retryInMs } = await webhookService.attemptDelivery(job);
+
+    console.log(`[Webhooks] Delivery ${job.deliveryId} attempt ${job.attempt}: ${outcome}`);
+
+    if (retryInMs !== null) {
+        await rabbitmqService.publishWebhookDelivery({ ...job, attempt: job.attempt + 1 }, { delayMs: retryInMs });
+    }
+}
+
+/**
+ * Start the worker
+ */
+async function startWorker() {
+    console.log('[Webhooks] Starting webhook worker...');
+
+    try {
+        await rabbitmqService.consumeEvents(fanOut);
+        await rabbitmqService.consumeWebhookDeliveries(deliver);
+        console.log('[Webhooks] Worker is running and waiting for events...');
+    } catch (error) {
+        console.error('[Webhooks] Failed to start consumer:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Graceful shutdown
+ */
+async function shutdown() {
+    console.log('[Webhooks] Shutting down gracefully...');
+    await rabbitmqService.close();
+    process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+startWorker().catch(error => {
+    console.error('[Webhooks] Fatal error:', error);
+    process.exit(1);
+});